@@ -14,22 +14,61 @@
  * Output:
  * - Zip files created in `OUTPATH`, named according to the pattern:
  *   `<hash>-<zipFileSuffix>-<uniqueId>.zip`
+ * - A manifest next to each zip file, `<zip file name>.manifest.json`, listing the version
+ *   hash and the SHA-256 digest of the zip file and of every file in it, for tracing leaked
+ *   files with `verify.js` (see `fingerprint.js`). If `fingerprint.watermark` is set, each zip
+ *   file also holds a hidden watermark file naming its version.
+ * - If `upload.enabled` is set in the config file, the zip files are also uploaded to the
+ *   file host set with `upload.provider` (a hidden Canvas course folder by default), and their
+ *   download links are written to the upload record (`TestUploads.json`) for `CreateTest.js`
+ *   (see `upload.js` and `hosts/index.js`).
  *
  * Usage:
+ * - Set `paths.zip` in the config file (`page.config.json`, see `config.js`).
+ * - To upload the zip files, set `upload.enabled` to `true`, `upload.provider` and its
+ *   settings, `upload.folder` to the folder to upload to, and the `canvas` section.
  * - Configure the constants at the beginning of the script as needed.
  * - Run `npm install` from the `1.Ready/0.Create-Zip` directory to install dependencies.
  * - Run `node app.js` from the `1.Ready/0.Create-Zip` directory.
  *
  * Notes:
+ * - When run through the `page` CLI, `INPATH` and `OUTPATH` are the workspace's `datasets`
+ *   and `zips` folders (see `workspace.js`).
  * - The script uses the `archiver` library to create zip files.
- * - Files or folders are selected based on the `groupingType`.
+ * - Files or folders are selected based on the `groupingType`. With `'folder'`, every file in
+ *   a version's folder is zipped except those matching `patternsToExclude` (answer files), so
+ *   a dataset of related tables (`dataset.tables` in the config file, e.g. `games.csv`,
+ *   `publishers.csv` and `sales.csv`) is shipped whole.
  * - The script logs progress to the console.
+ * - At most `ZIP_CONCURRENCY` zip files are written at once, so per-student mode (one
+ *   version per student, see `roster.js`) does not open a file for every student together.
+ * - If a zip file cannot be written, the script stops with an error and removes the
+ *   unfinished file.
+ * - Set `fingerprint.secret` (or the `PAGE_FINGERPRINT_SECRET` environment variable) so
+ *   that the manifests and watermarks cannot be forged; keep it with the manifests.
  */
 
-const NUM_VERSIONS = 3; // Number of assessment versions to process
+let loaded = require("../../config.js").load([]);
+if (!loaded.errors && loaded.config.upload.enabled) {
+  // The upload record names the Canvas course the links are for (and the canvas provider
+  // uploads to it)
+  loaded = require("../../config.js").load(["canvas"]);
+}
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+const ZIP_CONCURRENCY = 4; // Number of zip files written at once
+const UPLOAD_CONCURRENCY = 2; // Number of zip files uploaded at once
 
-const INPATH = ""; // Input directory containing files/folders to zip
-const OUTPATH = ""; // Output directory where zip files will be saved
+const workspace = require("../../workspace.js");
+const INPATH = workspace.active
+  ? workspace.DATASETS
+  : loaded.config.paths.zip.inPath; // Input directory containing files/folders to zip
+const OUTPATH = workspace.active
+  ? workspace.ZIPS
+  : loaded.config.paths.zip.outPath; // Output directory where zip files will be saved
 
 const zipFileSuffix = "game"; // Suffix to include in the zip file names
 
@@ -45,6 +84,10 @@ const fs = require("fs");
 const mkpath = require("mkpath");
 const path = require("path");
 const shortid = require("shortid");
+const { PassThrough } = require("stream");
+const fingerprint = require("./fingerprint.js");
+
+const FINGERPRINT = loaded.config.fingerprint; // Watermark and manifest settings
 
 // Ensure the output directory exists
 mkpath.sync(`${OUTPATH}`);
@@ -61,29 +104,65 @@ console.log('Wait until "All files zipped" is printed.');
 console.log("===========================================");
 console.log(require("os").EOL);
 
-// Process each version hash in parallel, limiting concurrency to NUM_VERSIONS
+const zips = []; // The zip files created, to upload
+
+// Process each version hash in parallel, limiting concurrency to ZIP_CONCURRENCY
 async.eachLimit(
   HASHES,
-  NUM_VERSIONS,
+  ZIP_CONCURRENCY,
   (hash, done) => {
     // Generate a unique zip file name for this version
     const zipFileName = `${hash}-${zipFileSuffix}-${shortid.generate()}.zip`;
     const zipFilePath = path.join(OUTPATH, zipFileName);
     const outFile = fs.createWriteStream(zipFilePath);
     const archive = archiver("zip");
+    const files = []; // The files added to the zip file, for its manifest
+    let watermark = null;
+    let failed = false;
+
+    // Pass the first error to the callback, and remove the unfinished zip file
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      archive.abort();
+      outFile.destroy();
+      fs.unlink(zipFilePath, () => {});
+      done(new Error(`Failed to create ${zipFileName}: ${err.message}`));
+    };
 
     // Listen for the 'close' event to know when the zip file has been finalized
     outFile.on("close", function () {
+      if (failed) return;
+      try {
+        writeManifest(zipFileName, zipFilePath, hash, files, watermark);
+      } catch (err) {
+        return fail(err);
+      }
       console.log(`Created zip file: ${zipFileName}`);
+      zips.push({ hash: hash, fileName: zipFileName, filePath: zipFilePath });
       done(null);
     });
+    outFile.on("error", fail);
 
     // Pipe the archive data to the output file
     archive.pipe(outFile);
 
     // Handle any errors during archiving
-    archive.on("error", (err) => {
-      throw err;
+    archive.on("error", fail);
+
+    // Record the digest of each file added from the input directory
+    archive.on("entry", (entry) => {
+      if (entry.type !== "file" || !entry.sourcePath) return; // The watermark
+      try {
+        const content = fs.readFileSync(entry.sourcePath);
+        files.push({
+          name: entry.name,
+          size: content.length,
+          sha256: fingerprint.digest(content),
+        });
+      } catch (err) {
+        fail(err);
+      }
     });
 
     let globPattern = "*";
@@ -99,6 +178,20 @@ async.eachLimit(
       `Zipping files matching pattern: ${path.join(INPATH, globPattern)}`
     );
 
+    // Add the hidden watermark file next to the version's files
+    if (FINGERPRINT.watermark) {
+      const name =
+        groupingType === "folder"
+          ? `${hash}/${FINGERPRINT.watermarkFile}`
+          : FINGERPRINT.watermarkFile;
+      const mark = fingerprint.createWatermark(hash, FINGERPRINT.secret);
+      // Appended as a stream: archiver 1.x writes a wrong CRC for Buffer sources
+      const source = new PassThrough();
+      source.end(mark.content);
+      archive.append(source, { name: name });
+      watermark = { name: name, token: mark.token };
+    }
+
     // Append files matching the glob pattern to the archive, excluding specified patterns
     archive
       .glob(globPattern, {
@@ -109,10 +202,55 @@ async.eachLimit(
   },
   (err) => {
     if (err) {
-      console.error("An error occurred during zipping:", err);
-    } else {
-      console.log(`${require("os").EOL}All files zipped successfully.`);
+      console.error(`An error occurred during zipping: ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`${require("os").EOL}All files zipped successfully.`);
+    if (!loaded.config.upload.enabled) {
       process.exit();
     }
+
+    require("./upload.js").uploadZips(
+      loaded.config,
+      zips,
+      UPLOAD_CONCURRENCY,
+      (err, record) => {
+        if (err) {
+          console.error(err.message);
+          process.exit(1);
+        }
+        console.log(
+          `${require("os").EOL}All ${
+            Object.keys(record.files).length
+          } zip files uploaded.`
+        );
+        process.exit();
+      }
+    );
   }
 );
+
+/**
+ * Writes the manifest of a zip file next to it (see `fingerprint.js`).
+ * @param {string} zipFileName - The zip file's name.
+ * @param {string} zipFilePath - The zip file's path.
+ * @param {string} hash - The version hash.
+ * @param {object[]} files - The files in the zip file: `{ name, size, sha256 }`.
+ * @param {object|null} watermark - The watermark file: `{ name, token }`, or null.
+ */
+function writeManifest(zipFileName, zipFilePath, hash, files, watermark) {
+  const manifest = fingerprint.createManifest(
+    {
+      fileName: zipFileName,
+      version: hash,
+      content: fs.readFileSync(zipFilePath),
+    },
+    files,
+    watermark,
+    FINGERPRINT.secret
+  );
+  fs.writeFileSync(
+    `${zipFilePath}${fingerprint.MANIFEST_SUFFIX}`,
+    JSON.stringify(manifest, null, 2)
+  );
+}
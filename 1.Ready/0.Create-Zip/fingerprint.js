@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * Manifests and watermarks that tie each version's zip file to its version hash, so that a
+ * leaked file can be traced back to the version it came from (see `verify.js`).
+ *
+ * Every zip file gets a manifest next to it in the zip output folder,
+ * `<zip file name>.manifest.json`, which stays with the instructor (it is not uploaded):
+ *
+ *   {
+ *     "format": 1, "zipFile": "<hash>-game-<id>.zip", "version": "<hash>", "createdAt": "...",
+ *     "zip": { "size": 1234, "sha256": "..." },
+ *     "files": [{ "name": "<hash>/data.csv", "size": 1000, "sha256": "..." }],
+ *     "watermark": { "name": "<hash>/.page", "token": "..." },
+ *     "fingerprint": "..."
+ *   }
+ *
+ * The `fingerprint` is an HMAC-SHA256, keyed with `fingerprint.secret`, of the version,
+ * every file's name and digest, and the watermark's name and token, so a manifest that was
+ * edited afterwards no longer matches it. If `fingerprint.watermark` is set, the zip file also holds a hidden watermark file
+ * (`fingerprint.watermarkFile`, next to the version's files) with the version hash and a
+ * token keyed the same way, which students cannot change to another version's without the
+ * secret. Without a secret, both only show accidental changes.
+ *
+ * Exports:
+ * - `MANIFEST_SUFFIX`: The suffix of the manifest files.
+ * - `digest`: The SHA-256 digest of some content.
+ * - `createWatermark`: The watermark of a version.
+ * - `parseWatermark`: Reads a watermark file.
+ * - `checkWatermark`: Checks a watermark's token.
+ * - `createManifest`: The manifest of a zip file.
+ * - `checkManifest`: Checks a manifest's fingerprint.
+ * - `loadManifests`: Loads the manifests in a folder.
+ * - `readZip`: Lists the files in a zip file.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const FORMAT = 1; // Version of the manifest and watermark formats
+const MANIFEST_SUFFIX = ".manifest.json";
+const WATERMARK_HEADER = "page-watermark";
+
+/**
+ * Returns the SHA-256 digest of some content.
+ * @param {Buffer|string} content - The content.
+ * @returns {string} - The digest, in hexadecimal.
+ */
+function digest(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Returns the HMAC-SHA256 of a text, keyed with the secret.
+ * @param {string} secret - The key (may be empty).
+ * @param {string} text - The text.
+ * @returns {string} - The HMAC, in hexadecimal.
+ */
+function sign(secret, text) {
+  return crypto.createHmac("sha256", secret).update(text).digest("hex");
+}
+
+/**
+ * Returns the watermark file of a version.
+ * @param {string} version - The version hash.
+ * @param {string} secret - The key the token is signed with.
+ * @returns {object} - The `token` and the file's `content`.
+ */
+function createWatermark(version, secret) {
+  const token = sign(secret, `${WATERMARK_HEADER}:${FORMAT}:${version}`);
+  return {
+    token: token,
+    content: [
+      `${WATERMARK_HEADER}: ${FORMAT}`,
+      `version: ${version}`,
+      `token: ${token}`,
+      "",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Reads a watermark file.
+ * @param {Buffer|string} content - The file's content.
+ * @returns {object|null} - The `version` and `token`, or null if it is not a watermark file.
+ */
+function parseWatermark(content) {
+  const fields = {};
+  `${content}`.split(/\r?\n/).forEach((line) => {
+    const match = /^([\w-]+):\s*(.*)$/.exec(line.trim());
+    if (match) {
+      fields[match[1]] = match[2];
+    }
+  });
+  return fields[WATERMARK_HEADER] && fields.version && fields.token
+    ? { version: fields.version, token: fields.token }
+    : null;
+}
+
+/**
+ * Checks that a watermark's token was signed for its version with the secret.
+ * @param {object} watermark - The watermark read by `parseWatermark`.
+ * @param {string} secret - The key.
+ * @returns {boolean} - True if the token matches.
+ */
+function checkWatermark(watermark, secret) {
+  return createWatermark(watermark.version, secret).token === watermark.token;
+}
+
+/**
+ * Returns the manifest of a zip file.
+ * @param {object} zip - The zip file: `fileName`, `version` and its `content`.
+ * @param {object[]} files - The files in it: `{ name, size, sha256 }`.
+ * @param {object|null} watermark - The watermark file: `{ name, token }`, or null.
+ * @param {string} secret - The key the fingerprint is signed with.
+ * @returns {object} - The manifest.
+ */
+function createManifest(zip, files, watermark, secret) {
+  const manifest = {
+    format: FORMAT,
+    zipFile: zip.fileName,
+    version: zip.version,
+    createdAt: new Date().toISOString(),
+    zip: { size: zip.content.length, sha256: digest(zip.content) },
+    files: files
+      .slice()
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)),
+    watermark: watermark,
+  };
+  manifest.fingerprint = fingerprintOf(manifest, secret);
+  return manifest;
+}
+
+/**
+ * Checks that a manifest's fingerprint matches its version, zip file, files and watermark.
+ * @param {object} manifest - The manifest.
+ * @param {string} secret - The key.
+ * @returns {boolean} - True if the fingerprint matches.
+ */
+function checkManifest(manifest, secret) {
+  return fingerprintOf(manifest, secret) === manifest.fingerprint;
+}
+
+/**
+ * Computes the fingerprint of a manifest from the version, the zip file's digest, every
+ * file's name and digest, and the watermark's name and token, one per line.
+ * @param {object} manifest - The manifest.
+ * @param {string} secret - The key.
+ * @returns {string} - The fingerprint.
+ */
+function fingerprintOf(manifest, secret) {
+  return sign(
+    secret,
+    [
+      `${WATERMARK_HEADER}:${manifest.format}:${manifest.version}`,
+      `${manifest.zipFile} ${manifest.zip.sha256}`,
+    ]
+      .concat(manifest.files.map((file) => `${file.name} ${file.sha256}`))
+      .concat(
+        manifest.watermark
+          ? [`${manifest.watermark.name} ${manifest.watermark.token}`]
+          : []
+      )
+      .join("\n")
+  );
+}
+
+/**
+ * Loads the manifests in a folder.
+ * @param {string} folder - The zip output folder.
+ * @returns {object[]} - The manifests, with the `file` each was read from. Files that cannot be
+ *   read are left out.
+ */
+function loadManifests(folder) {
+  if (!fs.existsSync(folder)) {
+    return [];
+  }
+  return fs
+    .readdirSync(folder)
+    .filter((name) => name.endsWith(MANIFEST_SUFFIX))
+    .map((name) => {
+      const file = path.join(folder, name);
+      try {
+        return Object.assign(JSON.parse(fs.readFileSync(file, "utf8")), {
+          file: file,
+        });
+      } catch (err) {
+        console.warn(`Skipping ${file}: ${err.message}`);
+        return null;
+      }
+    })
+    .filter((manifest) => manifest && manifest.format === FORMAT);
+}
+
+/**
+ * Lists the files in a zip file, from its central directory. Stored and deflated files are
+ * read; Zip64 archives and other compression methods are not supported.
+ * @param {Buffer} content - The zip file's content.
+ * @returns {object[]} - The files: `{ name, content }` (folders are left out).
+ * @throws Will throw an error if the content is not a zip file that can be read.
+ */
+function readZip(content) {
+  // The end of central directory record is in the last 22 bytes, plus any comment
+  let end = -1;
+  for (
+    let i = content.length - 22;
+    i >= Math.max(0, content.length - 65557);
+    i--
+  ) {
+    if (content.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error("Not a zip file.");
+  }
+  const count = content.readUInt16LE(end + 10);
+  let offset = content.readUInt32LE(end + 16);
+  if (offset === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported.");
+  }
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (content.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("The zip file's central directory is damaged.");
+    }
+    const method = content.readUInt16LE(offset + 10);
+    const compressedSize = content.readUInt32LE(offset + 20);
+    const nameLength = content.readUInt16LE(offset + 28);
+    const extraLength = content.readUInt16LE(offset + 30);
+    const commentLength = content.readUInt16LE(offset + 32);
+    const localOffset = content.readUInt32LE(offset + 42);
+    const name = content.toString(
+      "utf8",
+      offset + 46,
+      offset + 46 + nameLength
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) {
+      continue;
+    }
+
+    // The file's data follows its local header, whose name and extra field can differ
+    const dataStart =
+      localOffset +
+      30 +
+      content.readUInt16LE(localOffset + 26) +
+      content.readUInt16LE(localOffset + 28);
+    const data = content.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.push({ name: name, content: data });
+    } else if (method === 8) {
+      files.push({ name: name, content: zlib.inflateRawSync(data) });
+    } else {
+      throw new Error(`${name} uses an unsupported compression method.`);
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  MANIFEST_SUFFIX,
+  digest,
+  createWatermark,
+  parseWatermark,
+  checkWatermark,
+  createManifest,
+  checkManifest,
+  loadManifests,
+  readZip,
+};
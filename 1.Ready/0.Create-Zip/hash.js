@@ -1,16 +1,64 @@
 "use strict";
 
 /**
- * Module exporting an array of version hashes.
+ * Module exporting an array of version hashes and the master seed.
  *
  * This module provides the `HASHES` array, which contains unique identifiers
  * for each version of the assessment. These hashes are used to name files and
  * associate data with specific versions.
  *
+ * `SEED` is the master seed printed by `1.Ready/1.Test/app.js`. Together with a
+ * version hash it determines every random choice made for that version, so the
+ * same seed and hash always rebuild the same dataset, questions and answers.
+ *
+ * When a workspace is in use (see `workspace.js`), the hashes and seed recorded by the
+ * sample stage in `<workspace>/datasets/seed.json` are exported instead, so they do not
+ * need to be copied here by hand.
+ *
+ * In per-student mode (`perStudent.enabled` in the config file), each student is a version:
+ * outside a workspace, the keys of the students in the roster file (see `roster.js`) are
+ * exported as the hashes instead of `HASHES`.
+ *
  * Exports:
  * - `HASHES`: An array of unique hash strings.
+ * - `SEED`: The master seed for the assessment (empty if not yet generated).
  */
 
+const fs = require("fs");
+const path = require("path");
+const workspace = require("../../workspace.js");
+
 const HASHES = ["iG6Zp4WDF", "Z8lZJChRtn", "F29R1ibztX"];
 
-module.exports = { HASHES };
+const SEED = "";
+
+const seedFile = path.join(workspace.DATASETS, "seed.json");
+const recorded =
+  workspace.active && fs.existsSync(seedFile)
+    ? JSON.parse(fs.readFileSync(seedFile, "utf8"))
+    : null;
+
+const loaded = require("../../config.js").load([]);
+const perStudent = !loaded.errors && loaded.config.perStudent.enabled;
+
+module.exports = recorded
+  ? { HASHES: recorded.hashes, SEED: recorded.seed }
+  : perStudent
+  ? { HASHES: rosterKeys(), SEED }
+  : { HASHES, SEED };
+
+/**
+ * Reads the keys of the students in the roster file, for per-student mode.
+ * @returns {string[]} - The keys, one per student.
+ */
+function rosterKeys() {
+  const roster = require("../../roster.js");
+  try {
+    return roster
+      .load(roster.filePath(loaded.config))
+      .students.map((student) => student.key);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * Canvas file host: a hidden folder in the course files.
+ *
+ * Students cannot browse a hidden folder, but can download its files from their links. The
+ * files are uploaded through the Canvas Files API with the Canvas client of the deploy stage
+ * (`3.Shoot/TEST 101/canvas.js`), so they share its retries and rate limiting.
+ *
+ * Settings: the `canvas` section, and `upload.folder` (the folder path in the course files).
+ *
+ * Exports:
+ * - `create`: Creates the provider (see `index.js`).
+ * - `downloadUrl`: The download link of a file listed in `TestFiles.csv`.
+ */
+
+const canvasClient = require("../../../3.Shoot/TEST 101/canvas.js");
+
+/**
+ * Creates the Canvas provider.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {object} - The provider: `prepare`, `upload` and `summary`.
+ */
+function create(config) {
+  const { canvas } = config;
+  const client = canvasClient.createClient({
+    domain: canvas.domain,
+    courseId: canvas.courseId,
+    token: canvas.token,
+  });
+
+  return {
+    prepare(done) {
+      client.hiddenFolder(config.upload.folder, (err, folder) => {
+        if (err) return done(err);
+        done(null, { id: folder.id, path: config.upload.folder });
+      });
+    },
+
+    upload(folder, filePath, done) {
+      client.uploadFile(folder.id, filePath, (err, file) => {
+        if (err) return done(err);
+        done(null, { fileId: file.id, fileUrl: file.url, size: file.size });
+      });
+    },
+
+    summary() {
+      return client.summary();
+    },
+  };
+}
+
+/**
+ * Returns the download link of a file listed in `TestFiles.csv`, where the first column
+ * holds the link copied from the course files page (see `Steps-Canvas.txt`).
+ * @param {object} config - The settings loaded by `config.js`.
+ * @param {string} fileId - The link.
+ * @returns {string} - The link.
+ */
+function downloadUrl(config, fileId) {
+  return fileId;
+}
+
+module.exports = { create, downloadUrl };
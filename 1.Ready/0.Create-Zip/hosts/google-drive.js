@@ -0,0 +1,245 @@
+"use strict";
+
+/**
+ * Google Drive file host, through the Drive API (v3).
+ *
+ * The files are uploaded into a Drive folder and each one is shared with anyone who has its
+ * link (without being findable in searches). The folder itself is not shared, so students
+ * cannot list the other versions' files.
+ *
+ * Settings (`upload.googleDrive`):
+ * - `folderId`: The ID of the folder to upload to (the last part of its address in Drive).
+ *   On a shared drive, the service account must be a member of it.
+ * - `credentialsFile`: A service account key file (JSON, from the Google Cloud console),
+ *   relative to the folder the script runs in. The folder must be shared with the service
+ *   account's e-mail address as an editor. Or
+ * - `accessToken`: An OAuth access token with the `drive` scope, e.g. from
+ *   `gcloud auth print-access-token`.
+ * - `apiUrl`: Only changed to use a stand-in (see `mock-hosts.js`); a stand-in token server
+ *   is set with `token_uri` in the key file.
+ *
+ * Exports:
+ * - `create`: Creates the provider (see `index.js`).
+ * - `downloadUrl`: The direct download link of a file.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const httpClient = require("./http.js");
+
+const SCOPE = "https://www.googleapis.com/auth/drive";
+const FOLDER_TYPE = "application/vnd.google-apps.folder";
+
+/**
+ * Creates the Google Drive provider.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {object} - The provider: `prepare`, `upload` and `summary`.
+ */
+function create(config) {
+  const settings = config.upload.googleDrive;
+  const client = httpClient.createClient();
+  const token = { value: settings.accessToken, expiresAt: Infinity };
+
+  /**
+   * Sends a Drive API request with the access token, getting a new token first if needed.
+   * @param {string} method - The request method.
+   * @param {string} url - The request URL.
+   * @param {object} args - The request arguments (see `http.js`).
+   * @param {number[]} expected - The status codes that mean success.
+   * @param {string} action - What the request does, for error messages.
+   * @param {function} done - Callback function called with an error or the data and response.
+   */
+  function request(method, url, args, expected, action, done) {
+    withToken((err, accessToken) => {
+      if (err) return done(err);
+      client.request(
+        method,
+        url,
+        Object.assign({}, args, {
+          headers: Object.assign({}, args.headers, {
+            Authorization: `Bearer ${accessToken}`,
+          }),
+        }),
+        expected,
+        action,
+        done
+      );
+    });
+  }
+
+  /**
+   * Gets an access token for the service account, unless a token is set or the last one is
+   * still valid.
+   * @param {function} done - Callback function called with an error or the access token.
+   */
+  function withToken(done) {
+    if (token.value && Date.now() < token.expiresAt) {
+      return done(null, token.value);
+    }
+    let key;
+    try {
+      key = JSON.parse(
+        fs.readFileSync(path.resolve(settings.credentialsFile), "utf8")
+      );
+    } catch (err) {
+      return done(
+        new Error(`Cannot read the service account key file: ${err.message}`)
+      );
+    }
+    client.request(
+      "POST",
+      key.token_uri || "https://oauth2.googleapis.com/token",
+      {
+        form: {
+          grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+          assertion: signedJwt(key),
+        },
+      },
+      [200],
+      `get a Google access token for ${key.client_email}`,
+      (err, data) => {
+        if (err) return done(err);
+        token.value = data.access_token;
+        // Renew the token a minute before it expires
+        token.expiresAt = Date.now() + ((data.expires_in || 3600) - 60) * 1000;
+        done(null, token.value);
+      }
+    );
+  }
+
+  return {
+    prepare(done) {
+      request(
+        "GET",
+        `${settings.apiUrl}/drive/v3/files/${encodeURIComponent(
+          settings.folderId
+        )}?fields=id,name,mimeType&supportsAllDrives=true`,
+        {},
+        [200],
+        `find the Google Drive folder ${settings.folderId}`,
+        (err, folder) => {
+          if (err) return done(err);
+          if (folder.mimeType !== FOLDER_TYPE) {
+            return done(
+              new Error(
+                `Google Drive item ${settings.folderId} is not a folder.`
+              )
+            );
+          }
+          done(null, { id: folder.id, path: folder.name });
+        }
+      );
+    },
+
+    upload(folder, filePath, done) {
+      const name = path.basename(filePath);
+      let content;
+      try {
+        content = fs.readFileSync(filePath);
+      } catch (err) {
+        return done(err);
+      }
+
+      // Start a resumable upload, which takes files of any size, then send the content
+      request(
+        "POST",
+        `${settings.apiUrl}/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true`,
+        {
+          headers: {
+            "X-Upload-Content-Type": "application/zip",
+            "X-Upload-Content-Length": content.length,
+          },
+          json: {
+            name: name,
+            parents: [folder.id],
+            mimeType: "application/zip",
+          },
+        },
+        [200],
+        `start the upload of ${name}`,
+        (err, data, response) => {
+          if (err) return done(err);
+          request(
+            "PUT",
+            response.headers.location,
+            { headers: { "Content-Type": "application/zip" }, body: content },
+            [200, 201],
+            `upload ${name}`,
+            (err, file) => {
+              if (err) return done(err);
+              share(file.id, name, (err) => {
+                if (err) return done(err);
+                done(null, {
+                  fileId: file.id,
+                  fileUrl: downloadUrl(config, file.id),
+                  size: content.length,
+                });
+              });
+            }
+          );
+        }
+      );
+    },
+
+    summary() {
+      return client.summary();
+    },
+  };
+
+  /**
+   * Shares a file with anyone who has its link, without it showing up in searches.
+   * @param {string} fileId - The Drive file ID.
+   * @param {string} name - The file name, for error messages.
+   * @param {function} done - Callback function called with an error, if any.
+   */
+  function share(fileId, name, done) {
+    request(
+      "POST",
+      `${settings.apiUrl}/drive/v3/files/${encodeURIComponent(
+        fileId
+      )}/permissions?supportsAllDrives=true`,
+      { json: { type: "anyone", role: "reader", allowFileDiscovery: false } },
+      [200],
+      `share ${name}`,
+      (err) => done(err)
+    );
+  }
+}
+
+/**
+ * Returns the direct download link of a Drive file.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @param {string} fileId - The Drive file ID.
+ * @returns {string} - The link.
+ */
+function downloadUrl(config, fileId) {
+  return `https://drive.google.com/uc?export=download&id=${encodeURIComponent(
+    fileId
+  )}`;
+}
+
+/**
+ * Builds the signed JWT a service account exchanges for an access token.
+ * @param {object} key - The service account key: `client_email`, `private_key` and `token_uri`.
+ * @returns {string} - The JWT.
+ */
+function signedJwt(key) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({
+    iss: key.client_email,
+    scope: SCOPE,
+    aud: key.token_uri || "https://oauth2.googleapis.com/token",
+    iat: now,
+    exp: now + 3600,
+  })}`;
+  const signature = crypto
+    .createSign("RSA-SHA256")
+    .update(unsigned)
+    .sign(key.private_key, "base64url");
+  return `${unsigned}.${signature}`;
+}
+
+module.exports = { create, downloadUrl };
@@ -0,0 +1,199 @@
+"use strict";
+
+/**
+ * HTTP client shared by the file host providers.
+ *
+ * The providers send JSON requests, form-encoded token requests and binary file content, so
+ * requests are sent with Node's `http` and `https` modules rather than `node-rest-client`
+ * (which converts request bodies to text). As in the Canvas client (`3.Shoot/TEST 101/canvas.js`):
+ * - Requests that fail with a network error, a timeout, `429 Too Many Requests` or a `5xx`
+ *   status are retried up to `maxRetries` times, waiting `retryDelayMs`, then twice as long
+ *   each time (or as long as a `Retry-After` header asks).
+ * - A call that still fails passes an `Error` to its callback with the `statusCode` and
+ *   `action`, and the error is also kept for the summary (`summary`).
+ *
+ * Exports:
+ * - `DEFAULTS`: The default retry settings.
+ * - `createClient`: Creates an HTTP client.
+ */
+
+const http = require("http");
+const https = require("https");
+
+const DEFAULTS = {
+  maxRetries: 3, // Number of times a failed request is retried
+  retryDelayMs: 1000, // Wait before the first retry; doubled for each further retry
+  timeoutMs: 120000, // Time allowed for a request to respond
+};
+
+/**
+ * Creates an HTTP client.
+ *
+ * @param {object} options - Any of `DEFAULTS`.
+ * @returns {object} - The client: `request` and `summary`.
+ */
+function createClient(options) {
+  const settings = Object.assign({}, DEFAULTS, options);
+  const stats = { requests: 0, retries: 0, succeeded: 0, failed: 0 };
+  const errors = [];
+
+  return {
+    /**
+     * Sends a request, retrying it while it fails with a retryable error.
+     * @param {string} method - The request method, e.g. "GET" or "POST".
+     * @param {string} url - The request URL.
+     * @param {object} args - `headers`, and the body as one of `json` (sent as JSON), `form`
+     *   (sent form-encoded) or `body` (a Buffer or string, sent as is).
+     * @param {number[]} expected - The status codes that mean success.
+     * @param {string} action - What the request does, for error messages.
+     * @param {function} done - Callback function called with an error or the response data
+     *   (parsed if JSON) and the response.
+     */
+    request(method, url, args, expected, action, done) {
+      const { headers, body } = encodeBody(args);
+      let attempt = 0;
+
+      const send = () => {
+        let settled = false;
+        const handle = (err, data, response) => {
+          if (settled) return;
+          settled = true;
+
+          const status = response ? response.statusCode : null;
+          if (!err && expected.includes(status)) {
+            stats.succeeded++;
+            return done(null, data, response);
+          }
+
+          if (
+            (err || status === 429 || status >= 500) &&
+            attempt < settings.maxRetries
+          ) {
+            attempt++;
+            stats.retries++;
+            return setTimeout(
+              send,
+              retryAfterMs(response) ||
+                settings.retryDelayMs * Math.pow(2, attempt - 1)
+            );
+          }
+
+          stats.failed++;
+          const error = new Error(
+            `Failed to ${action}: ${
+              err ? err.message : `${status} - ${describeResponse(data)}`
+            }${attempt > 0 ? ` (after ${attempt + 1} attempts)` : ""}`
+          );
+          error.statusCode = status;
+          error.action = action;
+          errors.push(error);
+          done(error, data, response);
+        };
+
+        stats.requests++;
+        const req = (url.startsWith("https:") ? https : http).request(
+          url,
+          { method: method, headers: headers },
+          (response) => {
+            const chunks = [];
+            response.on("data", (chunk) => chunks.push(chunk));
+            response.on("end", () =>
+              handle(
+                null,
+                decodeBody(Buffer.concat(chunks), response),
+                response
+              )
+            );
+            response.on("error", (err) => handle(err));
+          }
+        );
+        req.on("error", (err) => handle(err));
+        req.setTimeout(settings.timeoutMs, () => {
+          handle(new Error("the request timed out"));
+          req.destroy();
+        });
+        req.end(body);
+      };
+
+      send();
+    },
+
+    /**
+     * Summarises the requests made so far.
+     * @returns {object} - The numbers of `requests`, `retries`, `succeeded` and `failed`
+     *   calls, and the `errors` of the calls that failed.
+     */
+    summary() {
+      return Object.assign({}, stats, { errors: errors.slice() });
+    },
+  };
+}
+
+/**
+ * Encodes a request body and sets its Content-Type and Content-Length headers.
+ * @param {object} args - The request arguments (see `request`).
+ * @returns {object} - The `headers` and `body` to send.
+ */
+function encodeBody(args) {
+  const headers = Object.assign({}, args.headers);
+  let body = args.body;
+
+  if (args.json !== undefined) {
+    body = JSON.stringify(args.json);
+    headers["Content-Type"] = "application/json; charset=UTF-8";
+  } else if (args.form !== undefined) {
+    body = new URLSearchParams(args.form).toString();
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+  }
+  if (body !== undefined) {
+    headers["Content-Length"] = Buffer.byteLength(body);
+  }
+  return { headers: headers, body: body };
+}
+
+/**
+ * Decodes a response body, parsing it if it is JSON.
+ * @param {Buffer} raw - The response body.
+ * @param {object} response - The response.
+ * @returns {*} - The parsed JSON, or the body as text.
+ */
+function decodeBody(raw, response) {
+  const text = raw.toString();
+  if (/json/.test(response.headers["content-type"] || "")) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      // Leave a body that is not JSON as text
+    }
+  }
+  return text;
+}
+
+/**
+ * Reads the wait asked for by a `Retry-After` header.
+ * @param {object} response - The response.
+ * @returns {number} - The wait in milliseconds, or 0 if there is none.
+ */
+function retryAfterMs(response) {
+  const seconds = response && parseFloat(response.headers["retry-after"]);
+  return seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Describes an error response, using the host's error message when there is one.
+ * @param {*} data - The response body.
+ * @returns {string} - The description.
+ */
+function describeResponse(data) {
+  if (data && data.error) {
+    // Google and Microsoft Graph: { error: { message } }; OAuth: { error, error_description }
+    return (
+      data.error.message ||
+      data.error_description ||
+      (typeof data.error === "string" ? data.error : JSON.stringify(data.error))
+    );
+  }
+  return typeof data === "string" && data ? data.slice(0, 200) : "no details";
+}
+
+module.exports = { DEFAULTS, createClient };
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * File hosts the version zip files are stored on, and linked to from the quizzes.
+ *
+ * The provider is chosen with `upload.provider` in the config file. Each provider module in
+ * this folder exports:
+ * - `create(config)`: Creates the provider for the settings loaded by `config.js`:
+ *     - `prepare(done)`: Finds or creates the folder the files are uploaded to. Callback
+ *       `(err, folder)`, with the folder's `id` and `path`.
+ *     - `upload(folder, filePath, done)`: Uploads a file into the folder and shares it so that
+ *       anyone with its link can download it, without the folder being listed. Callback
+ *       `(err, file)`, with the file's `fileId`, direct download `fileUrl` and `size`.
+ *     - `summary()`: The numbers of `requests`, `retries`, `succeeded` and `failed` calls, and
+ *       the `errors` of the calls that failed.
+ * - `downloadUrl(config, fileId, fileName)`: The direct download link of a file listed by hand
+ *   in `TestFiles.csv` (see `util.loadStudentFilesUrls` in `3.Shoot/TEST 101`).
+ *
+ * Providers:
+ * - `canvas`: A hidden folder in the Canvas course files (see `canvas.js`).
+ * - `google-drive`: A Google Drive folder, with files shared with anyone with the link
+ *   (see `google-drive.js`).
+ * - `ms-graph`: A OneDrive or SharePoint folder through Microsoft Graph, with anonymous (or
+ *   organisation) view links (see `ms-graph.js`).
+ * - `local`: A folder served by a static web server (see `local.js`).
+ *
+ * The Google Drive and Microsoft Graph providers can be pointed at local stand-ins with
+ * their `apiUrl` and `authUrl` settings (see `mock-hosts.js`).
+ *
+ * Exports:
+ * - `PROVIDERS`: The provider modules, by name.
+ * - `create`: Creates the configured provider.
+ * - `downloadUrl`: The direct download link of a file on the configured provider.
+ */
+
+const PROVIDERS = {
+  canvas: require("./canvas.js"),
+  "google-drive": require("./google-drive.js"),
+  "ms-graph": require("./ms-graph.js"),
+  local: require("./local.js"),
+};
+
+/**
+ * Creates the provider set in `upload.provider`.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {object} - The provider: `prepare`, `upload` and `summary`.
+ * @throws Will throw an error if the provider is not known.
+ */
+function create(config) {
+  return providerOf(config).create(config);
+}
+
+/**
+ * Returns the direct download link of a file on the provider set in `upload.provider`.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @param {string} fileId - The file's ID or link, as listed in `TestFiles.csv`.
+ * @param {string} fileName - The file name.
+ * @returns {string} - The link.
+ * @throws Will throw an error if the provider is not known.
+ */
+function downloadUrl(config, fileId, fileName) {
+  return providerOf(config).downloadUrl(config, fileId, fileName);
+}
+
+/**
+ * Finds the module of the provider set in `upload.provider`.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {object} - The provider module.
+ * @throws Will throw an error if the provider is not known.
+ */
+function providerOf(config) {
+  const provider = PROVIDERS[config.upload.provider];
+  if (!provider) {
+    throw new Error(`Unknown file host provider: ${config.upload.provider}`);
+  }
+  return provider;
+}
+
+module.exports = { PROVIDERS, create, downloadUrl };
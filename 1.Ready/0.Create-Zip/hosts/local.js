@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * Local file host: a folder on this computer (or a mounted drive) that a static web server
+ * serves, e.g. a university web space or `npx http-server <folder>`.
+ *
+ * The files are copied into the folder and linked at `<baseUrl>/<file name>`. Whether the
+ * folder can be listed depends on the web server; turn directory listings off so that
+ * students cannot browse the other versions' files.
+ *
+ * Settings: `upload.local.directory` (relative to the folder the script runs in) and
+ * `upload.local.baseUrl`.
+ *
+ * Exports:
+ * - `create`: Creates the provider (see `index.js`).
+ * - `downloadUrl`: The download link of a file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Creates the local provider.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {object} - The provider: `prepare`, `upload` and `summary`.
+ */
+function create(config) {
+  const directory = path.resolve(config.upload.local.directory);
+  const stats = { requests: 0, retries: 0, succeeded: 0, failed: 0 };
+  const errors = [];
+
+  return {
+    prepare(done) {
+      try {
+        fs.mkdirSync(directory, { recursive: true });
+      } catch (err) {
+        return done(err);
+      }
+      done(null, { id: directory, path: directory });
+    },
+
+    upload(folder, filePath, done) {
+      const fileName = path.basename(filePath);
+      stats.requests++;
+      fs.copyFile(filePath, path.join(folder.id, fileName), (err) => {
+        if (err) {
+          stats.failed++;
+          const error = new Error(`Failed to copy ${fileName}: ${err.message}`);
+          errors.push(error);
+          return done(error);
+        }
+        stats.succeeded++;
+        done(null, {
+          fileId: fileName,
+          fileUrl: downloadUrl(config, fileName, fileName),
+          size: fs.statSync(filePath).size,
+        });
+      });
+    },
+
+    summary() {
+      return Object.assign({}, stats, { errors: errors.slice() });
+    },
+  };
+}
+
+/**
+ * Returns the download link of a file in the served folder.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @param {string} fileId - Not used; files are linked by name.
+ * @param {string} fileName - The file name.
+ * @returns {string} - The link.
+ */
+function downloadUrl(config, fileId, fileName) {
+  return `${config.upload.local.baseUrl.replace(
+    /\/+$/,
+    ""
+  )}/${encodeURIComponent(fileName)}`;
+}
+
+module.exports = { create, downloadUrl };
@@ -0,0 +1,762 @@
+"use strict";
+
+/**
+ * Local stand-in for the Google Drive and Microsoft Graph endpoints used by the file host
+ * providers (`google-drive.js` and `ms-graph.js`), and a static file server for the `local`
+ * provider.
+ *
+ * The server keeps the drives in memory, so uploads can be tried and checked offline, without
+ * a Google Cloud project or a Microsoft 365 tenant. It implements:
+ * - Google:
+ *     - `POST /token`: service account tokens, for a JWT assertion whose audience is this URL
+ *       (the signature is not checked).
+ *     - `GET /drive/v3/files/:file`: file and folder metadata. The folder `driveFolderId`
+ *       exists from the start.
+ *     - `POST /upload/drive/v3/files?uploadType=resumable`, then a `PUT` of the content to
+ *       the `Location` it returns: resumable uploads.
+ *     - `POST /drive/v3/files/:file/permissions`: sharing.
+ *     - `GET /uc?export=download&id=:file`: the download link of a file shared with anyone,
+ *       without a token.
+ * - Microsoft Graph (under `/v1.0`):
+ *     - `POST /:tenant/oauth2/v2.0/token`: client credentials tokens, for `clientId` and
+ *       `clientSecret`.
+ *     - `GET .../drives/:drive/items/:item`, `GET .../items/:item:/:name` and `POST
+ *       .../items/:item/children`: items and folders of the drive `driveId`, from `root`.
+ *     - `POST .../items/:item:/:name:/createUploadSession`, then `PUT`s of the content in
+ *       ranges to the `uploadUrl` it returns: upload sessions.
+ *     - `POST .../items/:item/createLink` and `GET .../items/:item/content`: sharing links,
+ *       served from `/s/:link` (`?download=1` downloads the file; `organization` links need
+ *       the token).
+ * - `GET /static/:file`: the files in `staticDir`, if set, for the `local` provider's
+ *   `baseUrl`.
+ *
+ * Faults can be injected to try the failure paths, as in `3.Shoot/TEST 101/mock-canvas.js`:
+ * each fault answers the requests whose method and path match it with an error status
+ * instead of handling them, for a number of `times`.
+ *
+ * Input:
+ * - The options given to `createServer`, or the port and static folder given on the command
+ *   line.
+ *
+ * Output:
+ * - None; the state (Drive files, Graph items, sharing links and a log of every request) is
+ *   kept in memory and can be read with `state` or `GET /__mock/state`.
+ *
+ * Usage:
+ * - Run `node hosts/mock-hosts.js [port] [static folder]` from the `1.Ready/0.Create-Zip`
+ *   directory, then set in the config file:
+ *     - Google Drive: `upload.googleDrive.apiUrl` to `http://localhost:<port>`, `folderId` to
+ *       `mock-folder`, and `accessToken` to `mock-token` (or `credentialsFile` to a service
+ *       account key file whose `token_uri` is `http://localhost:<port>/token`).
+ *     - Microsoft Graph: `upload.msGraph.apiUrl` to `http://localhost:<port>/v1.0`,
+ *       `authUrl` to `http://localhost:<port>`, `driveId` to `mock-drive`, and `accessToken`
+ *       to `mock-token` (or `tenantId`, `clientId` `mock-client` and `clientSecret`
+ *       `mock-secret`).
+ *     - Local: `upload.local.baseUrl` to `http://localhost:<port>/static`.
+ * - Or `require("./hosts/mock-hosts.js").createServer(options)` in a test and call `listen`.
+ *
+ * Notes:
+ * - `POST /__mock/faults` adds a fault (`path` is a regular expression) and `GET
+ *   /__mock/state` returns the state, without a token.
+ *
+ * Exports:
+ * - `DEFAULTS`: The default options.
+ * - `createServer`: Creates a mock file host server.
+ */
+
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+
+const DEFAULTS = {
+  token: "mock-token", // Access token given out and expected by the APIs
+  driveFolderId: "mock-folder", // ID of the Google Drive folder that exists from the start
+  driveId: "mock-drive", // ID of the Microsoft Graph drive
+  clientId: "mock-client", // Microsoft client credentials accepted
+  clientSecret: "mock-secret",
+  staticDir: null, // Folder served from /static/, for the local provider
+  faults: [], // Faults to inject from the start (see `inject`)
+};
+
+const FOLDER_TYPE = "application/vnd.google-apps.folder";
+
+/**
+ * Creates a mock file host server.
+ *
+ * @param {object} options - Any of `DEFAULTS`.
+ * @returns {object} - The mock: `listen`, `close`, `url`, `state` and `inject`.
+ */
+function createServer(options) {
+  const settings = Object.assign({}, DEFAULTS, options);
+  let lastId = 0; // Last ID given to a file, session or link
+  const state = {
+    drive: {
+      [settings.driveFolderId]: {
+        id: settings.driveFolderId,
+        name: "Assessment Files",
+        mimeType: FOLDER_TYPE,
+        parents: [],
+        permissions: [],
+      },
+    },
+    graph: { root: { id: "root", name: "root", folder: {}, parentId: null } },
+    links: {},
+    requests: [],
+  };
+  const sessions = {}; // Upload sessions in progress, by ID
+  let faults = [];
+  let baseUrl = null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, baseUrl);
+    readBody(req, (body, raw) => {
+      const fault = takeFault(req.method, url.pathname);
+      const send = (status, data, headers) => {
+        state.requests.push({
+          method: req.method,
+          path: url.pathname + url.search,
+          status: status,
+          fault: Boolean(fault),
+        });
+        reply(res, status, data, headers);
+      };
+
+      if (url.pathname.startsWith("/__mock/")) {
+        return control(req.method, url.pathname, body, send);
+      }
+      if (fault) {
+        return send(
+          fault.status,
+          errorBody(http.STATUS_CODES[fault.status]),
+          fault.retryAfter ? { "Retry-After": fault.retryAfter } : {}
+        );
+      }
+      route(req, url, body, raw, send);
+    });
+  });
+
+  /**
+   * Handles a request: the open endpoints first, then the APIs, which need the token.
+   * @param {object} req - The request.
+   * @param {URL} url - The request URL.
+   * @param {*} body - The parsed request body.
+   * @param {Buffer} raw - The request body as sent.
+   * @param {function} send - Sends the response: `(status, data, headers)`.
+   */
+  function route(req, url, body, raw, send) {
+    const authorised = req.headers.authorization === `Bearer ${settings.token}`;
+
+    if (req.method === "POST" && url.pathname === "/token") {
+      return googleToken(body, send);
+    }
+    if (
+      req.method === "POST" &&
+      /^\/[^/]+\/oauth2\/v2\.0\/token$/.test(url.pathname)
+    ) {
+      return graphToken(body, send);
+    }
+    if (req.method === "GET" && url.pathname === "/uc") {
+      const file = state.drive[url.searchParams.get("id")];
+      return file && file.permissions.some((p) => p.type === "anyone")
+        ? send(200, file.content, { "Content-Type": file.mimeType })
+        : send(404, errorBody("File not found."));
+    }
+    const linkMatch = /^\/s\/([^/]+)$/.exec(url.pathname);
+    if (req.method === "GET" && linkMatch) {
+      return openLink(state.links[linkMatch[1]], url, authorised, send);
+    }
+    const staticMatch = /^\/static\/(.+)$/.exec(url.pathname);
+    if (req.method === "GET" && staticMatch && settings.staticDir) {
+      return serveStatic(decodeURIComponent(staticMatch[1]), send);
+    }
+    // Upload URLs are pre-authorised, as on Google Drive and Microsoft Graph
+    if (req.method === "PUT" && url.pathname === "/upload/drive/v3/files") {
+      return driveContent(url.searchParams.get("upload_id"), raw, send);
+    }
+    const sessionMatch = /^\/__graph-upload\/([^/]+)$/.exec(url.pathname);
+    if (req.method === "PUT" && sessionMatch) {
+      return graphContent(sessionMatch[1], req, raw, send);
+    }
+
+    if (!authorised) {
+      return send(401, errorBody("Invalid access token."));
+    }
+    if (
+      url.pathname === "/drive/v3/files" ||
+      url.pathname.startsWith("/drive/v3/files/") ||
+      url.pathname === "/upload/drive/v3/files"
+    ) {
+      return driveApi(req.method, url, body, send);
+    }
+    const driveMatch = /^\/v1\.0\/drives\/([^/]+)\/items\/(.+)$/.exec(
+      url.pathname
+    );
+    if (driveMatch) {
+      if (decodeURIComponent(driveMatch[1]) !== settings.driveId) {
+        return send(404, graphError("itemNotFound", "Drive not found."));
+      }
+      return graphApi(req.method, driveMatch[2], body, send);
+    }
+    send(404, errorBody("Not found."));
+  }
+
+  /**
+   * Handles a Google service account token request.
+   * @param {object} body - The form: `grant_type` and `assertion`.
+   * @param {function} send - Sends the response.
+   */
+  function googleToken(body, send) {
+    const parts = `${(body && body.assertion) || ""}`.split(".");
+    let claims = null;
+    try {
+      claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    } catch (err) {
+      // Answered below
+    }
+    if (
+      !body ||
+      body.grant_type !== "urn:ietf:params:oauth:grant-type:jwt-bearer" ||
+      parts.length !== 3 ||
+      !claims ||
+      !claims.iss ||
+      claims.aud !== `${baseUrl}/token` ||
+      claims.exp * 1000 < Date.now()
+    ) {
+      return send(400, {
+        error: "invalid_grant",
+        error_description: "Invalid JWT assertion.",
+      });
+    }
+    send(200, {
+      access_token: settings.token,
+      expires_in: 3600,
+      token_type: "Bearer",
+    });
+  }
+
+  /**
+   * Handles a Microsoft client credentials token request.
+   * @param {object} body - The form: `client_id`, `client_secret`, `scope` and `grant_type`.
+   * @param {function} send - Sends the response.
+   */
+  function graphToken(body, send) {
+    if (
+      !body ||
+      body.grant_type !== "client_credentials" ||
+      body.client_id !== settings.clientId ||
+      body.client_secret !== settings.clientSecret
+    ) {
+      return send(401, {
+        error: "invalid_client",
+        error_description: "Invalid client credentials.",
+      });
+    }
+    send(200, {
+      access_token: settings.token,
+      expires_in: 3600,
+      token_type: "Bearer",
+    });
+  }
+
+  /**
+   * Handles a Google Drive API request.
+   * @param {string} method - The request method.
+   * @param {URL} url - The request URL.
+   * @param {*} body - The parsed request body.
+   * @param {function} send - Sends the response.
+   */
+  function driveApi(method, url, body, send) {
+    if (method === "POST" && url.pathname === "/upload/drive/v3/files") {
+      if (url.searchParams.get("uploadType") !== "resumable") {
+        return send(400, errorBody("Only resumable uploads are supported."));
+      }
+      const parent = state.drive[((body && body.parents) || [])[0]];
+      if (!body || !body.name || !parent || parent.mimeType !== FOLDER_TYPE) {
+        return send(404, errorBody("Parent folder not found."));
+      }
+      const id = `${++lastId}`;
+      sessions[id] = { metadata: body };
+      return send(200, "", {
+        Location: `${baseUrl}/upload/drive/v3/files?uploadType=resumable&upload_id=${id}`,
+      });
+    }
+
+    const match = /^\/drive\/v3\/files\/([^/]+)(\/permissions)?$/.exec(
+      url.pathname
+    );
+    const file = match && state.drive[decodeURIComponent(match[1])];
+    if (!file) {
+      return send(404, errorBody("File not found."));
+    }
+    if (method === "GET" && !match[2]) {
+      return url.searchParams.get("alt") === "media"
+        ? send(200, file.content, { "Content-Type": file.mimeType })
+        : send(200, driveJson(file));
+    }
+    if (method === "POST" && match[2]) {
+      if (!body || !body.type || !body.role) {
+        return send(400, errorBody("A permission needs a type and role."));
+      }
+      const permission = Object.assign(
+        { id: body.type === "anyone" ? "anyoneWithLink" : `${++lastId}` },
+        body
+      );
+      file.permissions.push(permission);
+      return send(200, permission);
+    }
+    send(404, errorBody("Not found."));
+  }
+
+  /**
+   * Receives the content of a Google Drive resumable upload, in one request.
+   * @param {string} id - The upload ID.
+   * @param {Buffer} raw - The content.
+   * @param {function} send - Sends the response.
+   */
+  function driveContent(id, raw, send) {
+    const session = sessions[id];
+    if (!session) {
+      return send(404, errorBody("Upload session not found."));
+    }
+    delete sessions[id];
+    const file = {
+      id: `drive-${id}`,
+      name: session.metadata.name,
+      mimeType: session.metadata.mimeType || "application/octet-stream",
+      parents: session.metadata.parents,
+      permissions: [],
+      content: raw,
+    };
+    state.drive[file.id] = file;
+    send(200, driveJson(file));
+  }
+
+  /**
+   * Handles a Microsoft Graph drive items request.
+   * @param {string} method - The request method.
+   * @param {string} rest - The path after `/items/`, still URL-encoded.
+   * @param {*} body - The parsed request body.
+   * @param {function} send - Sends the response.
+   */
+  function graphApi(method, rest, body, send) {
+    const byPath = /^([^/:]+):\/([^/:]+)(:\/createUploadSession)?$/.exec(rest);
+    const byId = /^([^/:]+)(?:\/(children|createLink|content))?$/.exec(rest);
+    const match = byPath || byId;
+    const parent = match && state.graph[decodeURIComponent(match[1])];
+    if (!parent) {
+      return send(404, graphError("itemNotFound", "Item not found."));
+    }
+
+    if (byPath) {
+      const name = decodeURIComponent(byPath[2]);
+      if (method === "POST" && byPath[3]) {
+        if (!parent.folder) {
+          return send(400, graphError("invalidRequest", "Not a folder."));
+        }
+        const id = `${++lastId}`;
+        sessions[id] = { parentId: parent.id, name: name, chunks: [] };
+        return send(200, {
+          uploadUrl: `${baseUrl}/__graph-upload/${id}`,
+          expirationDateTime: new Date(Date.now() + 3600000).toISOString(),
+        });
+      }
+      const item = childNamed(parent.id, name);
+      if (method === "GET" && !byPath[3]) {
+        return item
+          ? send(200, graphJson(item))
+          : send(404, graphError("itemNotFound", "Item not found."));
+      }
+      return send(404, graphError("invalidRequest", "Not supported."));
+    }
+
+    switch (`${method} ${byId[2] || ""}`) {
+      case "GET ":
+        return send(200, graphJson(parent));
+      case "POST children": {
+        if (!parent.folder || !body || !body.name || !body.folder) {
+          return send(400, graphError("invalidRequest", "Invalid folder."));
+        }
+        if (childNamed(parent.id, body.name)) {
+          return send(
+            409,
+            graphError("nameAlreadyExists", "The name already exists.")
+          );
+        }
+        const folder = {
+          id: `item-${++lastId}`,
+          name: body.name,
+          folder: {},
+          parentId: parent.id,
+        };
+        state.graph[folder.id] = folder;
+        return send(201, graphJson(folder));
+      }
+      case "POST createLink": {
+        if (!parent.file || !body || body.type !== "view") {
+          return send(400, graphError("invalidRequest", "Invalid link."));
+        }
+        const id = `link-${++lastId}`;
+        state.links[id] = {
+          itemId: parent.id,
+          scope: body.scope || "anonymous",
+        };
+        return send(201, {
+          id: id,
+          roles: ["read"],
+          link: {
+            type: "view",
+            scope: state.links[id].scope,
+            webUrl: `${baseUrl}/s/${id}`,
+          },
+        });
+      }
+      case "GET content":
+        return parent.file
+          ? send(200, parent.content, { "Content-Type": parent.file.mimeType })
+          : send(400, graphError("invalidRequest", "Not a file."));
+      default:
+        return send(404, graphError("invalidRequest", "Not supported."));
+    }
+  }
+
+  /**
+   * Receives a range of a Microsoft Graph upload session. The ranges must be sent in order;
+   * the last one creates the item, replacing any file of the same name.
+   * @param {string} id - The upload session ID.
+   * @param {object} req - The request, with its `Content-Range` header.
+   * @param {Buffer} raw - The range's content.
+   * @param {function} send - Sends the response.
+   */
+  function graphContent(id, req, raw, send) {
+    const session = sessions[id];
+    if (!session) {
+      return send(404, graphError("itemNotFound", "Upload session not found."));
+    }
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(
+      req.headers["content-range"] || ""
+    );
+    const received = session.chunks.reduce((sum, c) => sum + c.length, 0);
+    if (
+      !range ||
+      Number(range[1]) !== received ||
+      Number(range[2]) - Number(range[1]) + 1 !== raw.length
+    ) {
+      return send(416, graphError("invalidRange", "Invalid Content-Range."));
+    }
+    session.chunks.push(raw);
+    const total = Number(range[3]);
+    if (received + raw.length < total) {
+      return send(202, {
+        nextExpectedRanges: [`${received + raw.length}-`],
+      });
+    }
+
+    delete sessions[id];
+    const existing = childNamed(session.parentId, session.name);
+    const item = {
+      id: existing ? existing.id : `item-${++lastId}`,
+      name: session.name,
+      file: { mimeType: "application/zip" },
+      parentId: session.parentId,
+      content: Buffer.concat(session.chunks),
+    };
+    state.graph[item.id] = item;
+    send(201, graphJson(item));
+  }
+
+  /**
+   * Serves a file through a sharing link.
+   * @param {object} link - The link, or undefined if there is none.
+   * @param {URL} url - The request URL.
+   * @param {boolean} authorised - Whether the request has the token.
+   * @param {function} send - Sends the response.
+   */
+  function openLink(link, url, authorised, send) {
+    const item = link && state.graph[link.itemId];
+    if (!item) {
+      return send(404, errorBody("This item might not exist."));
+    }
+    if (link.scope === "organization" && !authorised) {
+      return send(403, errorBody("Sign in to open this item."));
+    }
+    if (url.searchParams.get("download") === "1") {
+      return send(200, item.content, { "Content-Type": item.file.mimeType });
+    }
+    send(200, `<html><body>${item.name}</body></html>`, {
+      "Content-Type": "text/html; charset=utf-8",
+    });
+  }
+
+  /**
+   * Serves a file from the static folder.
+   * @param {string} name - The file path, relative to the folder.
+   * @param {function} send - Sends the response.
+   */
+  function serveStatic(name, send) {
+    const root = path.resolve(settings.staticDir);
+    const file = path.resolve(root, name);
+    if (!file.startsWith(root + path.sep)) {
+      return send(403, errorBody("Forbidden."));
+    }
+    fs.readFile(file, (err, content) =>
+      err
+        ? send(404, errorBody("Not found."))
+        : send(200, content, { "Content-Type": "application/octet-stream" })
+    );
+  }
+
+  /**
+   * Finds the child of a Graph folder with a name.
+   * @param {string} parentId - The folder's item ID.
+   * @param {string} name - The name.
+   * @returns {object|undefined} - The item.
+   */
+  function childNamed(parentId, name) {
+    return Object.values(state.graph).find(
+      (item) => item.parentId === parentId && item.name === name
+    );
+  }
+
+  /**
+   * Handles a request to control the mock.
+   * @param {string} method - The request method.
+   * @param {string} pathname - The request path.
+   * @param {*} body - The parsed request body.
+   * @param {function} send - Sends the response.
+   */
+  function control(method, pathname, body, send) {
+    if (method === "GET" && pathname === "/__mock/state") {
+      return send(200, summary());
+    }
+    if (method === "POST" && pathname === "/__mock/faults") {
+      try {
+        inject(body || {});
+      } catch (err) {
+        return send(400, errorBody(err.message));
+      }
+      return send(201, body);
+    }
+    send(404, errorBody("Not found."));
+  }
+
+  /**
+   * Adds a fault. Faults are checked in the order they were added.
+   * @param {object} fault - `status`: the status code to answer with; `path`: a regular
+   *   expression (or its source) matched against the request path; and optionally `method`,
+   *   `times` (default 1; 0 for every request) and `retryAfter` (seconds).
+   * @throws Will throw an error if `status` or `path` is missing.
+   */
+  function inject(fault) {
+    if (!fault.status || !fault.path) {
+      throw new Error("A fault needs a status and a path.");
+    }
+    faults.push(
+      Object.assign({ times: 1 }, fault, {
+        path:
+          fault.path instanceof RegExp ? fault.path : new RegExp(fault.path),
+        used: 0,
+      })
+    );
+  }
+
+  /**
+   * Takes the first fault that matches a request, using up one of its times.
+   * @param {string} method - The request method.
+   * @param {string} pathname - The request path.
+   * @returns {object|null} - The fault, or null if none matches.
+   */
+  function takeFault(method, pathname) {
+    const fault = faults.find(
+      (f) =>
+        (!f.method || f.method.toUpperCase() === method) &&
+        f.path.test(pathname)
+    );
+    if (!fault) {
+      return null;
+    }
+    fault.used++;
+    if (fault.times > 0 && fault.used >= fault.times) {
+      faults = faults.filter((f) => f !== fault);
+    }
+    return fault;
+  }
+
+  /**
+   * Summarises the state, with the sizes of the files instead of their content.
+   * @returns {object} - The state.
+   */
+  function summary() {
+    const withoutContent = (items) =>
+      Object.values(items).map((item) => {
+        const json = Object.assign({}, item);
+        if (json.content) json.size = json.content.length;
+        delete json.content;
+        return json;
+      });
+    return {
+      drive: withoutContent(state.drive),
+      graph: withoutContent(state.graph),
+      links: state.links,
+      requests: state.requests,
+    };
+  }
+
+  return {
+    state: state,
+    inject: inject,
+
+    /**
+     * The base URL of the server, once it is listening.
+     * @returns {string|null} - The URL, e.g. `http://localhost:4630`.
+     */
+    url() {
+      return baseUrl;
+    },
+
+    /**
+     * Starts the server.
+     * @param {number} port - The port (0 for any free port).
+     * @param {function} done - Callback function called with an error or the base URL.
+     */
+    listen(port, done) {
+      settings.faults.forEach(inject);
+      server.once("error", done);
+      server.listen(port, "127.0.0.1", () => {
+        server.removeListener("error", done);
+        baseUrl = `http://localhost:${server.address().port}`;
+        done(null, baseUrl);
+      });
+    },
+
+    /**
+     * Stops the server, closing any open connections.
+     * @param {function} done - Callback function when done.
+     */
+    close(done) {
+      server.close(() => done());
+      server.closeAllConnections();
+    },
+  };
+}
+
+/**
+ * Returns a Drive file's metadata, as the Drive API returns it.
+ * @param {object} file - The file.
+ * @returns {object} - The metadata.
+ */
+function driveJson(file) {
+  return {
+    kind: "drive#file",
+    id: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    size: file.content ? `${file.content.length}` : undefined,
+  };
+}
+
+/**
+ * Returns a Graph item, as Microsoft Graph returns it.
+ * @param {object} item - The item.
+ * @returns {object} - The item.
+ */
+function graphJson(item) {
+  const json = { id: item.id, name: item.name };
+  if (item.folder) json.folder = { childCount: 0 };
+  if (item.file) {
+    json.file = item.file;
+    json.size = item.content.length;
+  }
+  return json;
+}
+
+/**
+ * Builds a Google error response body.
+ * @param {string} message - The error message.
+ * @returns {object} - The body.
+ */
+function errorBody(message) {
+  return { error: { message: message } };
+}
+
+/**
+ * Builds a Microsoft Graph error response body.
+ * @param {string} code - The error code.
+ * @param {string} message - The error message.
+ * @returns {object} - The body.
+ */
+function graphError(code, message) {
+  return { error: { code: code, message: message } };
+}
+
+/**
+ * Reads and parses a JSON or form-encoded request body.
+ * @param {object} req - The request.
+ * @param {function} done - Callback function called with the body (null if empty or not
+ *   JSON or a form) and the body as sent.
+ */
+function readBody(req, done) {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const raw = Buffer.concat(chunks);
+    const text = raw.toString();
+    if (/x-www-form-urlencoded/.test(req.headers["content-type"] || "")) {
+      return done(Object.fromEntries(new URLSearchParams(text)), raw);
+    }
+    if (!/json/.test(req.headers["content-type"] || "")) {
+      return done(null, raw);
+    }
+    try {
+      done(text ? JSON.parse(text) : null, raw);
+    } catch (err) {
+      done(null, raw);
+    }
+  });
+}
+
+/**
+ * Sends a response.
+ * @param {object} res - The response.
+ * @param {number} status - The status code.
+ * @param {*} data - The body: a string or Buffer, or a value sent as JSON.
+ * @param {object} headers - Extra headers.
+ */
+function reply(res, status, data, headers) {
+  const isText = typeof data === "string" || Buffer.isBuffer(data);
+  res.writeHead(
+    status,
+    Object.assign(
+      {
+        "Content-Type": isText
+          ? "text/plain; charset=utf-8"
+          : "application/json; charset=utf-8",
+      },
+      headers
+    )
+  );
+  res.end(isText ? data : JSON.stringify(data));
+}
+
+module.exports = { DEFAULTS, createServer };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 4630;
+  const staticDir = process.argv[3] || null;
+  const mock = createServer({ staticDir: staticDir });
+  mock.listen(port, (err, url) => {
+    if (err) {
+      console.error(`Cannot start the mock file host server: ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`Mock file host server listening on ${url}
+Google Drive: apiUrl ${url}, folderId ${DEFAULTS.driveFolderId}, accessToken ${
+      DEFAULTS.token
+    } (or token_uri ${url}/token)
+Microsoft Graph: apiUrl ${url}/v1.0, authUrl ${url}, driveId ${
+      DEFAULTS.driveId
+    }, clientId ${DEFAULTS.clientId}, clientSecret ${DEFAULTS.clientSecret}${
+      staticDir ? `\nLocal: baseUrl ${url}/static (serving ${staticDir})` : ""
+    }
+Press Ctrl+C to stop.`);
+  });
+}
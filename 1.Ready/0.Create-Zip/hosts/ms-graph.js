@@ -0,0 +1,265 @@
+"use strict";
+
+/**
+ * OneDrive and SharePoint file host, through Microsoft Graph.
+ *
+ * The files are uploaded into a folder of a drive (a OneDrive, or a SharePoint document
+ * library) and each one gets a view link. With an `anonymous` link anyone who has it can
+ * download the file; with an `organization` link only people signed in to the institution
+ * can. The folder itself is not shared, so students cannot list the other versions' files.
+ *
+ * Settings (`upload.msGraph`):
+ * - `driveId`: The ID of the drive, e.g. from `GET /sites/{site}/drives` or `GET /me/drive`.
+ * - `accessToken`: An access token with the `Files.ReadWrite.All` permission, e.g. from the
+ *   Graph Explorer. Or
+ * - `tenantId`, `clientId` and `clientSecret`: An app registration in Microsoft Entra ID with
+ *   the `Files.ReadWrite.All` (or `Sites.ReadWrite.All`) application permission, which gets
+ *   its own tokens.
+ * - `linkScope`: `anonymous` or `organization`. Anonymous links can be turned off by the
+ *   institution.
+ * - `apiUrl` and `authUrl`: Only changed to use a stand-in (see `mock-hosts.js`).
+ * And `upload.folder`: The folder path in the drive, created if it does not exist.
+ *
+ * Files are sent in upload sessions, in chunks of `CHUNK_SIZE`, so there is no size limit.
+ *
+ * Exports:
+ * - `create`: Creates the provider (see `index.js`).
+ * - `downloadUrl`: The direct download link of a shared file.
+ */
+
+const async = require("async");
+const fs = require("fs");
+const path = require("path");
+const httpClient = require("./http.js");
+
+const SCOPE = "https://graph.microsoft.com/.default";
+const CHUNK_SIZE = 16 * 320 * 1024; // Upload sessions need multiples of 320 KiB
+
+/**
+ * Creates the Microsoft Graph provider.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {object} - The provider: `prepare`, `upload` and `summary`.
+ */
+function create(config) {
+  const settings = config.upload.msGraph;
+  const client = httpClient.createClient();
+  const token = { value: settings.accessToken, expiresAt: Infinity };
+  const drive = `${settings.apiUrl}/drives/${encodeURIComponent(
+    settings.driveId
+  )}`;
+
+  /**
+   * Sends a Graph request with the access token, getting a new token first if needed.
+   * @param {string} method - The request method.
+   * @param {string} url - The request URL.
+   * @param {object} args - The request arguments (see `http.js`).
+   * @param {number[]} expected - The status codes that mean success.
+   * @param {string} action - What the request does, for error messages.
+   * @param {function} done - Callback function called with an error or the data and response.
+   */
+  function request(method, url, args, expected, action, done) {
+    withToken((err, accessToken) => {
+      if (err) return done(err);
+      client.request(
+        method,
+        url,
+        Object.assign({}, args, {
+          headers: Object.assign({}, args.headers, {
+            Authorization: `Bearer ${accessToken}`,
+          }),
+        }),
+        expected,
+        action,
+        done
+      );
+    });
+  }
+
+  /**
+   * Gets an access token for the app registration, unless a token is set or the last one is
+   * still valid.
+   * @param {function} done - Callback function called with an error or the access token.
+   */
+  function withToken(done) {
+    if (token.value && Date.now() < token.expiresAt) {
+      return done(null, token.value);
+    }
+    client.request(
+      "POST",
+      `${settings.authUrl}/${encodeURIComponent(
+        settings.tenantId
+      )}/oauth2/v2.0/token`,
+      {
+        form: {
+          client_id: settings.clientId,
+          client_secret: settings.clientSecret,
+          scope: SCOPE,
+          grant_type: "client_credentials",
+        },
+      },
+      [200],
+      `get a Microsoft access token for ${settings.clientId}`,
+      (err, data) => {
+        if (err) return done(err);
+        token.value = data.access_token;
+        // Renew the token a minute before it expires
+        token.expiresAt = Date.now() + ((data.expires_in || 3600) - 60) * 1000;
+        done(null, token.value);
+      }
+    );
+  }
+
+  return {
+    prepare(done) {
+      // Walk down the folder path from the drive root, creating the folders that are missing
+      const names = config.upload.folder.split("/").filter((name) => name);
+      let folder = { id: "root", path: "" };
+      async.eachSeries(
+        names,
+        (name, next) => {
+          const parent = `${drive}/items/${encodeURIComponent(folder.id)}`;
+          const folderPath = folder.path ? `${folder.path}/${name}` : name;
+          request(
+            "GET",
+            `${parent}:/${encodeURIComponent(name)}`,
+            {},
+            [200, 404],
+            `find the folder ${folderPath}`,
+            (err, item, response) => {
+              if (err) return next(err);
+              if (response.statusCode === 200) {
+                if (!item.folder) {
+                  return next(new Error(`${folderPath} is not a folder.`));
+                }
+                folder = { id: item.id, path: folderPath };
+                return next();
+              }
+              request(
+                "POST",
+                `${parent}/children`,
+                {
+                  json: {
+                    name: name,
+                    folder: {},
+                    "@microsoft.graph.conflictBehavior": "fail",
+                  },
+                },
+                [201],
+                `create the folder ${folderPath}`,
+                (err, created) => {
+                  if (err) return next(err);
+                  folder = { id: created.id, path: folderPath };
+                  next();
+                }
+              );
+            }
+          );
+        },
+        (err) => done(err, folder)
+      );
+    },
+
+    upload(folder, filePath, done) {
+      const name = path.basename(filePath);
+      let content;
+      try {
+        content = fs.readFileSync(filePath);
+      } catch (err) {
+        return done(err);
+      }
+
+      request(
+        "POST",
+        `${drive}/items/${encodeURIComponent(folder.id)}:/${encodeURIComponent(
+          name
+        )}:/createUploadSession`,
+        { json: { item: { "@microsoft.graph.conflictBehavior": "replace" } } },
+        [200],
+        `start the upload of ${name}`,
+        (err, session) => {
+          if (err) return done(err);
+          sendChunks(session.uploadUrl, name, content, (err, item) => {
+            if (err) return done(err);
+            request(
+              "POST",
+              `${drive}/items/${encodeURIComponent(item.id)}/createLink`,
+              { json: { type: "view", scope: settings.linkScope } },
+              [200, 201],
+              `share ${name}`,
+              (err, permission) => {
+                if (err) return done(err);
+                done(null, {
+                  fileId: item.id,
+                  fileUrl: downloadUrl(config, permission.link.webUrl),
+                  size: content.length,
+                });
+              }
+            );
+          });
+        }
+      );
+    },
+
+    summary() {
+      return client.summary();
+    },
+  };
+
+  /**
+   * Sends a file's content to an upload session, one chunk at a time. The session URL is
+   * pre-authorised, so the chunks are sent without the access token.
+   * @param {string} uploadUrl - The upload session URL.
+   * @param {string} name - The file name, for error messages.
+   * @param {Buffer} content - The file content.
+   * @param {function} done - Callback function called with an error or the uploaded item.
+   */
+  function sendChunks(uploadUrl, name, content, done) {
+    let offset = 0;
+    let item = null;
+    async.doWhilst(
+      (next) => {
+        const end = Math.min(offset + CHUNK_SIZE, content.length);
+        client.request(
+          "PUT",
+          uploadUrl,
+          {
+            headers: {
+              "Content-Range": `bytes ${offset}-${end - 1}/${content.length}`,
+            },
+            body: content.subarray(offset, end),
+          },
+          [200, 201, 202],
+          `upload ${name} (bytes ${offset}-${end - 1})`,
+          (err, data, response) => {
+            if (err) return next(err);
+            offset = end;
+            // The last chunk's response is the uploaded item
+            if (response.statusCode !== 202) item = data;
+            next();
+          }
+        );
+      },
+      () => !item && offset < content.length,
+      (err) => {
+        if (err) return done(err);
+        if (!item) {
+          return done(new Error(`The upload of ${name} did not complete.`));
+        }
+        done(null, item);
+      }
+    );
+  }
+}
+
+/**
+ * Returns the direct download link of a shared file, from its sharing link.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @param {string} fileId - The sharing link (as listed in `TestFiles.csv`).
+ * @returns {string} - The link.
+ */
+function downloadUrl(config, fileId) {
+  if (/[?&]download=1(&|$)/.test(fileId)) return fileId;
+  return `${fileId}${fileId.includes("?") ? "&" : "?"}download=1`;
+}
+
+module.exports = { create, downloadUrl };
@@ -0,0 +1,222 @@
+"use strict";
+
+/**
+ * Tests the file host providers (`hosts/`) against the mock file host server
+ * (`hosts/mock-hosts.js`).
+ *
+ * For `google-drive`, `ms-graph` and `local`, the mock is started on a free port, the config
+ * file is pointed at it, and a zip file is prepared for, uploaded and downloaded again from the
+ * link the provider returns.
+ *
+ * Usage:
+ * - Run `npm test` from the `1.Ready/0.Create-Zip` directory.
+ *
+ * Notes:
+ * - Google Drive links point at drive.google.com, so the file is downloaded from the mock's
+ *   `/uc` endpoint with the same file ID instead.
+ * - One Google Drive upload is made to fail by refusing to share the file (`403`), which is
+ *   not retried.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { after, before, test } = require("node:test");
+const config = require("../../../config.js");
+const hosts = require("../hosts/index.js");
+const mockHosts = require("../hosts/mock-hosts.js");
+
+const ROOT = path.join(__dirname, "..", "..", "..");
+
+let mock;
+let tmpDir;
+let zipFile;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "page-hosts-test-"));
+  fs.mkdirSync(path.join(tmpDir, "static"));
+  zipFile = path.join(tmpDir, "iG6Zp4WDF-game-cfaf0c-U7.zip");
+  fs.writeFileSync(zipFile, crypto.randomBytes(64 * 1024));
+
+  mock = mockHosts.createServer({ staticDir: path.join(tmpDir, "static") });
+  await new Promise((resolve, reject) =>
+    mock.listen(0, (err) => (err ? reject(err) : resolve()))
+  );
+});
+
+after(async () => {
+  if (mock) {
+    await new Promise((resolve) => mock.close(resolve));
+  }
+  if (tmpDir) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Loads the example config file with its `upload` section replaced.
+ * @param {object} upload - The `upload` settings.
+ * @returns {object} - The settings loaded by `config.js`.
+ */
+function loadConfig(upload) {
+  const raw = JSON.parse(
+    fs.readFileSync(path.join(ROOT, "page.config.json"), "utf8")
+  );
+  raw.upload = Object.assign({ enabled: true }, upload);
+  const configFile = path.join(tmpDir, `${upload.provider}.config.json`);
+  fs.writeFileSync(configFile, JSON.stringify(raw));
+
+  const previous = process.env.PAGE_CONFIG;
+  process.env.PAGE_CONFIG = configFile;
+  try {
+    const loaded = config.load(["upload"]);
+    assert.strictEqual(loaded.errors, undefined, `${loaded.errors}`);
+    return loaded.config;
+  } finally {
+    if (previous === undefined) {
+      delete process.env.PAGE_CONFIG;
+    } else {
+      process.env.PAGE_CONFIG = previous;
+    }
+  }
+}
+
+/**
+ * Prepares the provider's folder and uploads the zip file into it.
+ * @param {object} provider - The provider created by `hosts.create`.
+ * @returns {Promise<object>} - The `folder` and the uploaded `file`.
+ */
+async function prepareAndUpload(provider) {
+  const folder = await new Promise((resolve, reject) =>
+    provider.prepare((err, folder) => (err ? reject(err) : resolve(folder)))
+  );
+  const file = await new Promise((resolve, reject) =>
+    provider.upload(folder, zipFile, (err, file) =>
+      err ? reject(err) : resolve(file)
+    )
+  );
+  return { folder, file };
+}
+
+/**
+ * Downloads a file, following redirects.
+ * @param {string} url - The download link.
+ * @returns {Promise<object>} - The response `status` and `content`.
+ */
+function download(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400) {
+          res.resume();
+          return resolve(download(new URL(res.headers.location, url).href));
+        }
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, content: Buffer.concat(chunks) })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+test("google-drive uploads into the folder and shares a download link", async () => {
+  const provider = hosts.create(
+    loadConfig({
+      provider: "google-drive",
+      googleDrive: {
+        apiUrl: mock.url(),
+        folderId: "mock-folder",
+        accessToken: "mock-token",
+      },
+    })
+  );
+  const { folder, file } = await prepareAndUpload(provider);
+
+  assert.strictEqual(folder.id, "mock-folder");
+  assert.strictEqual(file.size, fs.statSync(zipFile).size);
+  assert.strictEqual(
+    file.fileUrl,
+    `https://drive.google.com/uc?export=download&id=${file.fileId}`
+  );
+  assert.deepStrictEqual(mock.state.drive[file.fileId].parents, [folder.id]);
+  const downloaded = await download(
+    `${mock.url()}/uc?export=download&id=${file.fileId}`
+  );
+  assert.strictEqual(downloaded.status, 200);
+  assert.ok(downloaded.content.equals(fs.readFileSync(zipFile)));
+});
+
+test("ms-graph uploads into the folder and makes a download link", async () => {
+  const provider = hosts.create(
+    loadConfig({
+      provider: "ms-graph",
+      folder: "Assessment Files",
+      msGraph: {
+        apiUrl: `${mock.url()}/v1.0`,
+        authUrl: mock.url(),
+        driveId: "mock-drive",
+        tenantId: "mock-tenant",
+        clientId: "mock-client",
+        clientSecret: "mock-secret",
+      },
+    })
+  );
+  const { folder, file } = await prepareAndUpload(provider);
+
+  assert.strictEqual(mock.state.graph[folder.id].name, "Assessment Files");
+  assert.strictEqual(mock.state.graph[file.fileId].parentId, folder.id);
+  assert.ok(file.fileUrl.startsWith(`${mock.url()}/s/`), file.fileUrl);
+  const downloaded = await download(file.fileUrl);
+  assert.strictEqual(downloaded.status, 200);
+  assert.ok(downloaded.content.equals(fs.readFileSync(zipFile)));
+});
+
+test("local copies into the served folder and links to it", async () => {
+  const provider = hosts.create(
+    loadConfig({
+      provider: "local",
+      local: {
+        directory: path.join(tmpDir, "static"),
+        baseUrl: `${mock.url()}/static`,
+      },
+    })
+  );
+  const { folder, file } = await prepareAndUpload(provider);
+
+  assert.strictEqual(folder.id, path.join(tmpDir, "static"));
+  assert.strictEqual(
+    file.fileUrl,
+    `${mock.url()}/static/${path.basename(zipFile)}`
+  );
+  const downloaded = await download(file.fileUrl);
+  assert.strictEqual(downloaded.status, 200);
+  assert.ok(downloaded.content.equals(fs.readFileSync(zipFile)));
+});
+
+test("an upload that cannot be shared fails with the host's error", async () => {
+  const provider = hosts.create(
+    loadConfig({
+      provider: "google-drive",
+      googleDrive: {
+        apiUrl: mock.url(),
+        folderId: "mock-folder",
+        accessToken: "mock-token",
+      },
+    })
+  );
+  mock.inject({ method: "POST", path: "/permissions$", status: 403 });
+
+  await assert.rejects(prepareAndUpload(provider), (err) => {
+    assert.strictEqual(err.statusCode, 403);
+    assert.match(err.message, /^Failed to share /);
+    return true;
+  });
+  const summary = provider.summary();
+  assert.strictEqual(summary.failed, 1);
+  assert.strictEqual(summary.retries, 0);
+});
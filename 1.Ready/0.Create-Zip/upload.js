@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * Uploads the version zip files to the file host set with `upload.provider` (see
+ * `hosts/index.js`): a hidden Canvas course folder, a Google Drive folder, a OneDrive or
+ * SharePoint folder, or a folder served by a web server.
+ *
+ * Students then download their version from a link in their quiz, instead of the links being
+ * copied out of the file host by hand (`1.Ready/0.Shared-Drive/Steps-*.txt`) into
+ * `TestFiles.csv`. The folder is not shared, so students cannot browse the other versions'
+ * files, but each file can still be downloaded from its link.
+ *
+ * Every uploaded file is recorded in the upload record (`upload.recordFile`, by default
+ * `TestUploads.json`), which `CreateTest.js` reads the download links from:
+ *
+ *   {
+ *     "uploadedAt": "...", "provider": "canvas", "courseId": 12345, "domain": "https://...",
+ *     "folder": { "id": 678, "path": "Assessment Files" },
+ *     "files": { "<hash>": { "fileName": "<hash>-game-<id>.zip", "fileId": 9012, "fileUrl": "https://...", "size": 1234 } }
+ *   }
+ *
+ * Exports:
+ * - `recordFilePath`: The path of the upload record.
+ * - `uploadZips`: Uploads the zip files and writes the upload record.
+ */
+
+const async = require("async");
+const fs = require("fs");
+const path = require("path");
+const workspace = require("../../workspace.js");
+const hosts = require("./hosts/index.js");
+
+/**
+ * Returns the path of the upload record: in the deploy stage's folder (`<workspace>/deploy`
+ * in a workspace), where `CreateTest.js` looks for it.
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {string} - The absolute path.
+ */
+function recordFilePath(config) {
+  return path.join(
+    workspace.active
+      ? workspace.DEPLOY
+      : path.resolve(
+          __dirname,
+          "../../3.Shoot/TEST 101",
+          config.paths.deploy.resourcesPath
+        ),
+    config.upload.recordFile
+  );
+}
+
+/**
+ * Uploads the zip files to the folder `upload.folder` (or the provider's folder setting) on
+ * the file host, and writes the upload record.
+ *
+ * @param {object} config - The settings loaded by `config.js`, with the `canvas` section.
+ * @param {object[]} zips - The zip files: `{ hash, fileName, filePath }`.
+ * @param {number} concurrency - The number of files uploaded at once.
+ * @param {function} done - Callback function called with an error if any file could not be
+ *   uploaded (the others are still recorded), and the upload record.
+ */
+function uploadZips(config, zips, concurrency, done) {
+  const record = {
+    uploadedAt: new Date().toISOString(),
+    provider: config.upload.provider,
+    // The course the quizzes are deployed to, which CreateTest.js checks the record against
+    courseId: config.canvas.courseId,
+    domain: config.canvas.domain,
+    folder: null,
+    files: {},
+  };
+  let provider;
+  try {
+    provider = hosts.create(config);
+  } catch (err) {
+    return done(err, record);
+  }
+
+  provider.prepare((err, folder) => {
+    if (err) return done(err, record);
+    record.folder = folder;
+    console.log(
+      `Uploading ${zips.length} zip files to ${config.upload.provider} folder "${folder.path}"`
+    );
+
+    async.eachLimit(
+      zips,
+      concurrency,
+      (zip, zipDone) => {
+        provider.upload(folder, zip.filePath, (err, file) => {
+          if (err) {
+            // Recorded in the provider's summary; carry on with the other files
+            return zipDone();
+          }
+          record.files[zip.hash] = {
+            fileName: zip.fileName,
+            fileId: file.fileId,
+            fileUrl: file.fileUrl,
+            size: file.size,
+          };
+          console.log(`Uploaded ${zip.fileName} (file ${file.fileId})`);
+          zipDone();
+        });
+      },
+      () => {
+        const recordFile = recordFilePath(config);
+        fs.mkdirSync(path.dirname(recordFile), { recursive: true });
+        fs.writeFileSync(recordFile, JSON.stringify(record, null, 2));
+        console.log(`Upload record written to ${recordFile}`);
+
+        const summary = provider.summary();
+        if (summary.failed > 0) {
+          return done(
+            new Error(`${
+              zips.length - Object.keys(record.files).length
+            } zip files were not uploaded:
+${summary.errors.map((e) => e.message).join(require("os").EOL)}`),
+            record
+          );
+        }
+        done(null, record);
+      }
+    );
+  });
+}
+
+module.exports = { recordFilePath, uploadZips };
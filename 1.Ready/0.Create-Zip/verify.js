@@ -0,0 +1,255 @@
+"use strict";
+
+/**
+ * Script to trace leaked files back to the version they came from, and to check that zip
+ * files have not been changed since they were created.
+ *
+ * Each file given is compared with the manifests the zip script wrote next to the zip files
+ * (see `fingerprint.js`):
+ * - A zip file matches a version if it is identical to that version's zip file. A zip file
+ *   with the same name as one that was created but different content is reported as
+ *   modified, with the files that were changed, added or removed (a watermark file counts
+ *   as changed if its token is not the one signed in the manifest). Otherwise the files in
+ *   it are traced one by one.
+ * - A file matches the versions that had a file with the same SHA-256 digest.
+ * - A watermark file names its version; its token shows whether it is genuine.
+ * - A folder's files are traced one by one.
+ *
+ * Input:
+ * - The files, folders or zip files to trace, given on the command line.
+ * - The manifests (`*.manifest.json`) in `OUTPATH`.
+ *
+ * Output:
+ * - The version each file matches, printed to the console.
+ *
+ * Usage:
+ * - Run `node verify.js <file, folder or zip file>...` from the `1.Ready/0.Create-Zip`
+ *   directory.
+ *
+ * Notes:
+ * - When run through the `page` CLI's workspace (`PAGE_WORKSPACE`), `OUTPATH` is the
+ *   workspace's `zips` folder (see `workspace.js`).
+ * - Manifests and watermarks are checked with `fingerprint.secret`, which must be the one the
+ *   zip files were created with. A manifest whose fingerprint does not match is reported,
+ *   as it may have been edited.
+ * - A file that was edited (even re-saved with different line endings) no longer matches
+ *   its digest. Datasets sampled with `fingerprint.markRows` set can still be traced with
+ *   `1.Ready/1.Test/trace.js`.
+ */
+
+const loaded = require("../../config.js").load([]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+
+const workspace = require("../../workspace.js");
+const OUTPATH = workspace.active
+  ? workspace.ZIPS
+  : loaded.config.paths.zip.outPath; // Directory holding the zip files and their manifests
+const SECRET = loaded.config.fingerprint.secret; // Key the manifests were signed with
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fingerprint = require("./fingerprint.js");
+
+const inputs = process.argv.slice(2);
+if (inputs.length === 0) {
+  console.error("Usage: node verify.js <file, folder or zip file>...");
+  process.exit(1);
+}
+
+const manifests = fingerprint.loadManifests(OUTPATH);
+if (manifests.length === 0) {
+  console.error(
+    `No manifests found in ${OUTPATH}. Only zip files created since manifests were added can be traced.`
+  );
+  process.exit(1);
+}
+manifests
+  .filter((manifest) => !fingerprint.checkManifest(manifest, SECRET))
+  .forEach((manifest) =>
+    console.warn(
+      `Warning: the fingerprint of ${manifest.file} does not match; it may have been edited, or fingerprint.secret has changed.`
+    )
+  );
+
+// The versions each digest was seen in: { sha256: [{ version, zipFile, name }] }
+const digests = {};
+manifests.forEach((manifest) => {
+  manifest.files.forEach((file) => {
+    digests[file.sha256] = (digests[file.sha256] || []).concat({
+      version: manifest.version,
+      zipFile: manifest.zipFile,
+      name: file.name,
+    });
+  });
+});
+
+const found = {}; // Number of matching files by version
+inputs.forEach((input) => {
+  if (!fs.existsSync(input)) {
+    console.log(`${input}: not found`);
+  } else if (fs.statSync(input).isDirectory()) {
+    walk(input).forEach((file) => traceFile(file, fs.readFileSync(file)));
+  } else {
+    const content = fs.readFileSync(input);
+    if (input.toLowerCase().endsWith(".zip")) {
+      traceZip(input, content);
+    } else {
+      traceFile(input, content);
+    }
+  }
+});
+
+console.log(os.EOL);
+const versions = Object.keys(found);
+if (versions.length === 0) {
+  console.log("No file matched a version.");
+} else {
+  console.log("Matching files by version:");
+  versions
+    .sort((a, b) => found[b] - found[a])
+    .forEach((version) => console.log(`  ${version}: ${found[version]}`));
+}
+
+/**
+ * Traces a zip file: as a whole if it matches a zip file that was created, otherwise by the
+ * files in it.
+ * @param {string} label - The zip file's path, for the report.
+ * @param {Buffer} content - The zip file's content.
+ */
+function traceZip(label, content) {
+  const sha256 = fingerprint.digest(content);
+  const identical = manifests.find(
+    (manifest) => manifest.zip.sha256 === sha256
+  );
+  if (identical) {
+    console.log(
+      `${label}: identical to ${identical.zipFile} (version ${identical.version})`
+    );
+    found[identical.version] = (found[identical.version] || 0) + 1;
+    return;
+  }
+
+  let entries;
+  try {
+    entries = fingerprint.readZip(content);
+  } catch (err) {
+    console.log(`${label}: cannot be read (${err.message})`);
+    return;
+  }
+
+  const original = manifests.find(
+    (manifest) => manifest.zipFile === path.basename(label)
+  );
+  if (original) {
+    console.log(
+      `${label}: modified since it was created (version ${original.version})`
+    );
+    describeChanges(original, entries).forEach((change) =>
+      console.log(`  ${change}`)
+    );
+  }
+  entries.forEach((entry) =>
+    traceFile(`${label}:${entry.name}`, entry.content)
+  );
+}
+
+/**
+ * Lists the files of a zip file that differ from its manifest.
+ * @param {object} manifest - The zip file's manifest.
+ * @param {object[]} entries - The files in the zip file now: `{ name, content }`.
+ * @returns {string[]} - The changes.
+ */
+function describeChanges(manifest, entries) {
+  const changes = [];
+  const now = {};
+  entries.forEach((entry) => {
+    now[entry.name] = fingerprint.digest(entry.content);
+  });
+  manifest.files.forEach((file) => {
+    if (!(file.name in now)) {
+      changes.push(`removed: ${file.name}`);
+    } else if (now[file.name] !== file.sha256) {
+      changes.push(`changed: ${file.name}`);
+    }
+  });
+  if (manifest.watermark) {
+    const entry = entries.find((e) => e.name === manifest.watermark.name);
+    const watermark =
+      entry && fingerprint.parseWatermark(entry.content.toString());
+    if (!entry) {
+      changes.push(`removed: ${manifest.watermark.name}`);
+    } else if (!watermark || watermark.token !== manifest.watermark.token) {
+      changes.push(`changed: ${manifest.watermark.name}`);
+    }
+  }
+  Object.keys(now)
+    .filter(
+      (name) =>
+        !manifest.files.some((file) => file.name === name) &&
+        !(manifest.watermark && manifest.watermark.name === name)
+    )
+    .forEach((name) => changes.push(`added: ${name}`));
+  return changes;
+}
+
+/**
+ * Traces one file, by its watermark or its digest.
+ * @param {string} label - The file's path, for the report.
+ * @param {Buffer} content - The file's content.
+ */
+function traceFile(label, content) {
+  const watermark = fingerprint.parseWatermark(
+    content.subarray(0, 1024).toString()
+  );
+  if (watermark) {
+    const genuine = fingerprint.checkWatermark(watermark, SECRET);
+    console.log(
+      `${label}: watermark of version ${watermark.version} (${
+        genuine ? "genuine" : "token does not match: forged, or another secret"
+      })`
+    );
+    if (genuine) {
+      found[watermark.version] = (found[watermark.version] || 0) + 1;
+    }
+    return;
+  }
+
+  const matches = digests[fingerprint.digest(content)] || [];
+  if (matches.length === 0) {
+    console.log(`${label}: no match`);
+    return;
+  }
+  const matchVersions = Array.from(new Set(matches.map((m) => m.version)));
+  console.log(
+    `${label}: ${matches[0].name} of version ${matchVersions.join(", ")}${
+      matchVersions.length > 1 ? " (the same in several versions)" : ""
+    }`
+  );
+  if (matchVersions.length === 1) {
+    found[matchVersions[0]] = (found[matchVersions[0]] || 0) + 1;
+  }
+}
+
+/**
+ * Lists the files in a folder and its subfolders.
+ * @param {string} folder - The folder.
+ * @returns {string[]} - The file paths.
+ */
+function walk(folder) {
+  return fs
+    .readdirSync(folder, { withFileTypes: true })
+    .reduce(
+      (files, entry) =>
+        files.concat(
+          entry.isDirectory()
+            ? walk(path.join(folder, entry.name))
+            : [path.join(folder, entry.name)]
+        ),
+      []
+    );
+}
@@ -7,39 +7,130 @@
  * and writes the subset to separate output files for each version.
  *
  * Input:
- * - A master CSV file located at `inFiles/Video Game Sales.csv`
+ * - A master dataset located at `inFiles/Video Game Sales.csv` (or `.xlsx`, `.json` or `.parquet`),
+ *   or for a dataset of related tables (`dataset.tables`), a file for each table (e.g.
+ *   `inFiles/games.csv`) or one workbook holding them all (see `split.js`).
  *
  * Output:
- * - For each version, a folder in `outFiles/` containing a CSV file (`Video Game Sales.csv`)
- *   with a random subset of rows from the master file.
+ * - For each version, a folder in `outFiles/` containing a dataset (`Video Game Sales.csv`, or in
+ *   the format set with `dataset.format`) with a random subset of rows from the master file.
+ *   A dataset of related tables is written as a file for each table, or one file holding them
+ *   all in the formats that can (see `formats/index.js`).
+ * - `outFiles/seed.json` recording the master seed, the version hashes and the watermark
+ *   options (for `trace.js`).
+ * - If `perturbation.enabled` is set in the config file, `outFiles/changes/<hash>.json` listing
+ *   every change made to the version's rows.
  *
  * Usage:
- * - Set `NUM_VERSIONS` to the number of versions you wish to create.
+ * - Set `versions` in the config file (`page.config.json`, see `config.js`) to the number of
+ *   versions you wish to create.
+ * - Optionally give a master seed with `--seed <seed>`; a new one is generated if none is given.
+ * - To rebuild existing versions, run the script with `--rebuild`: the hashes and seed recorded
+ *   in `outFiles/seed.json` by the last run are used instead of generating new ones (or, if there
+ *   is no such file, those in `1.Ready/0.Create-Zip/hash.js`). `--seed` overrides the recorded
+ *   seed, so versions can be rebuilt from a seed kept elsewhere without editing `hash.js`.
+ * - In per-student mode (`perStudent.enabled` in the config file), pull the roster first
+ *   (`3.Shoot/TEST 101/GetRoster.js`): one version is created for each student, named by
+ *   their SIS ID, instead of `versions` random hashes.
  * - Run `npm install` from the `1.Ready/1.Test` directory to install dependencies.
- * - Run `node app.js` from the `1.Ready/1.Test` directory.
+ * - Run `node app.js [--seed <seed>] [--rebuild]` from the `1.Ready/1.Test` directory.
  *
  * Notes:
+ * - The input and output folders are `paths.sample.inPath` and `paths.sample.outPath` in the
+ *   config file.
+ * - When run through the `page` CLI, the master file is read from `<workspace>/master` and
+ *   the versions are written to `<workspace>/datasets` (see `workspace.js`). `--seed` and
+ *   `--rebuild` are passed on by `page sample`.
  * - The number of rows selected for each version is randomly chosen between `numToPickMin` and `numToPickMax`.
+ * - Every version keeps enough rows for each question to be answerable, whatever parameters
+ *   it draws: the question templates in `2.Aim/2.Test/<dataset.questions>` name the rows they
+ *   need with `requires` (see `2.Aim/2.Test/templates.js`), so run `npm install` in
+ *   `2.Aim/2.Test` too. The `sampling` section of the config file can also stratify rows by a
+ *   column and hold rows out (see `sampling.js`).
+ * - With `perturbation.enabled` set, the sampled rows are changed as set out in the
+ *   `perturbation` section of the config file (jittered numbers, swapped categories, made-up
+ *   rows, shuffled order; see `perturb.js`), so versions cannot be matched against the public
+ *   master file.
+ * - With `fingerprint.markRows` set in the config file, each version's rows are marked as set
+ *   out in `fingerprint.rowMarks` (trailing zeros on some values, some neighbouring rows
+ *   swapped; see `watermark.js`), without changing any value or answer, so that an edited copy
+ *   of a dataset can be traced back to its version with `trace.js`.
+ * - In a dataset of related tables, the first table in `dataset.tables` (e.g. `games`) is
+ *   sampled, perturbed and marked. The other tables are then cut down to the rows related to
+ *   its rows (e.g. the publishers and sales of the sampled games), so that every foreign key
+ *   still resolves (see `relations.js` in the repository root). The sampling settings and
+ *   requirements, the perturbations and the row marks name columns of the first table; set
+ *   `perturbation.synthetic.count` to 0, as made-up rows have no related rows.
  * - The header row is always included in each output file.
+ * - The master file and the versions are read and written through `formats/index.js`, so
+ *   fields holding commas, quotes or line breaks are kept whole, and versions can be shipped
+ *   as Excel workbooks, JSON or Parquet (`dataset.format`). The rows are handled as CSV lines
+ *   in between. Only CSV keeps the trailing zeros of `rowMarks.digits`; the other formats
+ *   store numbers as numbers.
+ * - All random choices are drawn from a generator seeded by the master seed and the
+ *   version hash (see `seed.js`), so the same seed and hash give identical output.
  */
 
-const NUM_VERSIONS = 3; // Number of assessment versions to create
+const loaded = require("../../config.js").load([]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+const NUM_VERSIONS = loaded.config.versions; // Number of assessment versions to create
+
+// Command line options: `--seed <seed>` and `--rebuild`
+const options = parseArgs(process.argv.slice(2));
+const SEED = options.seed; // Master seed; empty to generate a new one
+const REBUILD = options.rebuild; // true: rebuild the versions recorded in seed.json (or hash.js) instead of creating new ones
 
-const inPath = "inFiles"; // Input directory
-const outPath = "outFiles"; // Output directory
+const workspace = require("../../workspace.js");
+const inPath = workspace.active
+  ? workspace.MASTER
+  : loaded.config.paths.sample.inPath; // Input directory
+const outPath = workspace.active
+  ? workspace.DATASETS
+  : loaded.config.paths.sample.outPath; // Output directory
+const changesPath = "changes"; // Directory in `outPath` for the perturbation change logs
 
-const studentCsvFileName = "Video Game Sales.csv"; // Input CSV file name
+const DATASET = loaded.config.dataset; // Dataset file name, the format of the versions and related tables
 
 const numToPickMin = 16450; // Minimum number of rows to pick (excluding header)
 const numToPickMax = 16550; // Maximum number of rows to pick (excluding header)
 
-const _ = require("lodash");
+// Question templates whose `requires` set the rows every version must keep
+const questionsPath = `../../2.Aim/2.Test/${DATASET.questions}`;
+
+// Sampling guarantees for every version (see `sampling.js`); rows are passed to the
+// predicates as objects keyed by column name
+const SAMPLING = {
+  stratifyBy: loaded.config.sampling.stratifyBy,
+  requirements: questionRequirements(),
+  holdOut: Object.keys(loaded.config.sampling.holdOut).map((column) => {
+    const values = loaded.config.sampling.holdOut[column].map(String);
+    return (row) => values.includes(row[column]);
+  }),
+};
+
+const PERTURB = loaded.config.perturbation.enabled; // true: change the sampled rows so that no version matches the master file
+const PERTURBATION = loaded.config.perturbation; // Perturbations applied to each version after sampling (see `perturb.js`)
+
+const WATERMARK = loaded.config.fingerprint.markRows; // true: mark each version's rows so that a leaked copy can be traced
+const WATERMARKING = loaded.config.fingerprint.rowMarks; // Marks that tie each version's rows to its hash, applied last (see `watermark.js`)
+
 const async = require("async");
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
 const mkpath = require("mkpath");
 const shortid = require("shortid");
+const seed = require("./seed");
+const sampling = require("./sampling");
+const perturb = require("./perturb");
+const watermark = require("./watermark");
+const util = require("./util");
+const formats = require("../../formats");
+const relations = require("../../relations.js");
+const hash = require("../0.Create-Zip/hash.js");
 
 // Configure allowed characters for hash generation (excluding '-' which is used as a delimiter)
 shortid.characters(
@@ -48,9 +139,38 @@ shortid.characters(
 
 let hashes = [];
 
-// Generate a unique hash for each version
-for (let i = 0; i < NUM_VERSIONS; i++) {
-  hashes.push(shortid.generate());
+if (loaded.config.perStudent.enabled) {
+  // One version per student in the roster, keyed by SIS ID
+  const roster = require("../../roster.js");
+  try {
+    hashes = roster
+      .load(roster.filePath(loaded.config))
+      .students.map((student) => student.key);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+} else if (REBUILD) {
+  // Rebuild the versions that were previously generated
+  hashes = (recordedSeed() || hash).HASHES.slice();
+} else {
+  // Generate a unique hash for each version
+  for (let i = 0; i < NUM_VERSIONS; i++) {
+    hashes.push(shortid.generate());
+  }
+}
+
+const masterSeed =
+  SEED || (REBUILD ? (recordedSeed() || hash).SEED : "") || seed.generateSeed();
+
+if (REBUILD && !masterSeed) {
+  console.error(
+    `Cannot rebuild versions: no seed is recorded in ${path.join(
+      outPath,
+      "seed.json"
+    )} or hash.js. Give it with --seed <seed>.`
+  );
+  process.exit(1);
 }
 
 console.log(require("os").EOL);
@@ -58,6 +178,8 @@ console.log(`All ${hashes.length} files ready`);
 console.log("==============");
 
 const studentLines = [];
+let mainTable = DATASET.name; // Name of the sampled table
+const relatedTables = {}; // Rows of the other tables of a dataset of related tables, by name
 
 // Execute the main processing functions in series
 async.series([processInFiles, processOutFiles], () => {
@@ -67,43 +189,27 @@ async.series([processInFiles, processOutFiles], () => {
 });
 
 /**
- * Reads the input CSV file and stores each line in an array.
+ * Reads the master dataset and stores each row of its main table in an array, as a CSV line
+ * (a field holding a line break stays quoted within its line), and the rows of its other
+ * tables in `relatedTables`.
  * @param {function} whenDone - Callback function when done.
  */
 function processInFiles(whenDone) {
-  async.parallel(
-    [
-      async.apply(
-        readCsvToArray,
-        path.join(inPath, studentCsvFileName),
-        studentLines
-      ),
-    ],
-    () => {
-      console.log("Input files processed");
-      whenDone(null);
+  formats.readDataset(inPath, DATASET, (err, tables) => {
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
     }
-  );
-}
-
-/**
- * Reads a CSV file line by line and appends each line to the provided array.
- * @param {string} csvFilePath - Path to the CSV file.
- * @param {Array} array - Array to store the lines.
- * @param {function} whenDone - Callback function when done.
- */
-function readCsvToArray(csvFilePath, array, whenDone) {
-  readline
-    .createInterface({
-      input: fs.createReadStream(csvFilePath),
-      terminal: false,
-    })
-    .on("line", (line) => {
-      array.push(line);
-    })
-    .on("close", () => {
-      whenDone(null);
+    mainTable = tables[0].name;
+    tables[0].rows.forEach((row) => {
+      studentLines.push(util.joinCsvLine(row));
+    });
+    tables.slice(1).forEach((table) => {
+      relatedTables[table.name] = table.rows;
     });
+    console.log("Input files processed");
+    whenDone(null);
+  });
 }
 
 /**
@@ -114,47 +220,181 @@ function processOutFiles(allVersionsDone) {
   console.log(`Processing output files for each version`);
 
   let versionsLeft = hashes.length;
+  const unmetRequirements = [];
 
-  async.each(
+  async.eachSeries(
     hashes,
     (hash, versionDone) => {
-      const lineNums = _.range(studentLines.length);
-      const numToPick = _.random(numToPickMin, numToPickMax);
+      const rng = seed.createRng(masterSeed, hash, "sample");
+      const numToPick = rng.int(numToPickMin, numToPickMax);
 
       process.stdout.write(`${hash}: Processing ... `);
 
-      // Randomly select line numbers to pick
-      let selectedLineNumbers = _.sampleSize(lineNums, numToPick);
-
-      // Ensure line numbers are sorted and unique
-      selectedLineNumbers = _.sortedUniq(
-        selectedLineNumbers.sort((a, b) => a - b)
+      // Randomly select line numbers to pick (sorted, unique and including the header)
+      const sample = sampling.sampleLines(
+        studentLines,
+        numToPick,
+        SAMPLING,
+        rng
       );
+      const selectedLineNumbers = sample.lineNumbers;
+      sample.unmet.forEach((description) => {
+        unmetRequirements.push(`${hash}: ${description}`);
+      });
+
+      let versionLines = selectedLineNumbers.map((v) => studentLines[v]);
+
+      // Perturb the sampled rows and keep a log of every change
+      if (PERTURB) {
+        const perturbed = perturb.perturbLines(
+          versionLines,
+          selectedLineNumbers,
+          PERTURBATION,
+          seed.createRng(masterSeed, hash, "perturb")
+        );
+        versionLines = perturbed.lines;
+        mkpath.sync(path.join(outPath, changesPath));
+        fs.writeFileSync(
+          path.join(outPath, changesPath, `${hash}.json`),
+          JSON.stringify(perturbed.changes, null, 2)
+        );
+      }
 
-      // Always include the header (line 0)
-      if (selectedLineNumbers.indexOf(0) === -1) {
-        selectedLineNumbers.unshift(0);
+      // Mark the rows so that an edited copy can still be traced to this version
+      if (WATERMARK) {
+        versionLines = watermark.markLines(
+          versionLines,
+          WATERMARKING,
+          seed.versionSeed(masterSeed, hash)
+        ).lines;
       }
 
       // Create output directory for the version
       mkpath.sync(path.join(outPath, hash));
 
-      // Write the selected lines to the output CSV file
-      fs.writeFileSync(
-        path.join(outPath, hash, `Video Game Sales.csv`),
-        selectedLineNumbers.map((v) => studentLines[v]).join("\n")
-      );
+      // Keep the rows of the related tables that the version's rows are linked to
+      let rows = { [mainTable]: versionLines.map(util.splitCsvLine) };
+      if (Object.keys(relatedTables).length > 0) {
+        try {
+          rows = relations.relatedRows(
+            Object.assign({}, relatedTables, rows),
+            mainTable,
+            DATASET.tables
+          );
+        } catch (err) {
+          return versionDone(err);
+        }
+      }
 
-      versionsLeft--;
-      process.stdout.write(`done\n`);
-      versionDone(null);
+      // Write the version's tables to its dataset, in the configured format
+      formats.writeDataset(
+        path.join(outPath, hash),
+        DATASET,
+        [mainTable]
+          .concat(Object.keys(relatedTables))
+          .map((name) => ({ name: name, rows: rows[name] })),
+        (err) => {
+          if (err) return versionDone(err);
+          versionsLeft--;
+          process.stdout.write(`done\n`);
+          versionDone(null);
+        }
+      );
     },
     (err) => {
+      if (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
       if (versionsLeft === 0) {
+        if (unmetRequirements.length > 0) {
+          console.error(`
+The master file has too few rows to meet these sampling requirements:
+${unmetRequirements.join(require("os").EOL)}
+`);
+          process.exit(1);
+        }
+
+        // Record the seed so that these versions can be rebuilt later
+        fs.writeFileSync(
+          path.join(outPath, "seed.json"),
+          JSON.stringify(
+            {
+              seed: masterSeed,
+              hashes: hashes,
+              watermark: WATERMARK ? WATERMARKING : null,
+            },
+            null,
+            2
+          )
+        );
+
         console.log("All versions processed:");
         console.log(hashes);
+        console.log(`Seed: ${masterSeed}`);
         allVersionsDone(err);
       }
     }
   );
 }
+
+/**
+ * Returns the sampling requirements of the question templates, so that every version keeps
+ * enough rows for each question, whatever parameters it draws (see `templates.js`).
+ * @returns {object[]} - The requirements, as `{ description, where, min }`.
+ */
+function questionRequirements() {
+  // Loaded before the other modules, as `SAMPLING` is set with the other settings
+  const templates = require("../../2.Aim/2.Test/templates.js");
+  try {
+    return templates.samplingRequirements(
+      templates.loadTemplates(questionsPath)
+    );
+  } catch (err) {
+    console.error(
+      `Cannot read the question templates in ${questionsPath}: ${err.message}`
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Reads the hashes and seed recorded in `seed.json` by the last run, for `--rebuild`.
+ * @returns {object|null} - `HASHES` and `SEED`, as exported by `hash.js`, or null if no run
+ *   was recorded.
+ */
+function recordedSeed() {
+  const seedFile = path.join(outPath, "seed.json");
+  if (!fs.existsSync(seedFile)) {
+    return null;
+  }
+  try {
+    const recorded = JSON.parse(fs.readFileSync(seedFile, "utf8"));
+    return { HASHES: recorded.hashes, SEED: recorded.seed };
+  } catch (err) {
+    console.error(`Cannot read ${seedFile}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Parses the command line options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} - `seed`: the `--seed` given, or an empty string; `rebuild`: true if
+ *   `--rebuild` is given.
+ */
+function parseArgs(argv) {
+  const result = { seed: "", rebuild: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--seed" && argv[i + 1]) {
+      result.seed = argv[++i];
+    } else if (argv[i] === "--rebuild") {
+      result.rebuild = true;
+    } else {
+      console.error(`Unknown option: ${argv[i]}
+Usage: node app.js [--seed <seed>] [--rebuild]`);
+      process.exit(1);
+    }
+  }
+  return result;
+}
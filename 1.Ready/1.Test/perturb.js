@@ -0,0 +1,194 @@
+"use strict";
+
+/**
+ * Perturbation of sampled version datasets.
+ *
+ * Sampling alone keeps every row identical to the public master file, so a student can diff
+ * their dataset against it to find their sample. After sampling, the rows of a version can be
+ * changed so that no version matches the master file:
+ * - `synthetic`: `{ count, suffixes }`. `count` made-up rows are added, each combining the
+ *   columns of random rows, with a suffix (e.g. " Remastered") appended to the name column
+ *   and a new key in the key column.
+ * - `jitter`: An array of `{ column, amount, decimals, min, rate }`. A `rate` share of rows
+ *   (default 1) have the numeric column moved by up to `amount` either way, rounded to
+ *   `decimals` places and kept at or above `min`.
+ * - `recompute`: An array of `{ column, sumOf, decimals }`. The column is set to the sum of
+ *   the `sumOf` columns in rows that were jittered or made up (e.g. Global_Sales from the
+ *   regional sales).
+ * - `swap`: An array of `{ column, pairs }`. `pairs` random pairs of values of a categorical
+ *   column are exchanged in every row (e.g. every "Racing" becomes "Puzzle" and vice versa).
+ * - `nameColumn`: The column that holds row names (default "Name").
+ * - `keyColumn`: The column that holds a unique key for each row (default "Rank"). Made-up rows
+ *   are numbered on from the largest numeric key, or, if the keys are not all numbers, get the
+ *   key of a random row with a `-<n>` suffix, so no two rows share a key.
+ * - `shuffle`: true to shuffle the order of the rows (the header stays first).
+ *
+ * The perturbations are applied in the order listed above, so synthetic rows are jittered too.
+ * Every change is returned in a change log so that it can be audited later. Questions are
+ * answered from the perturbed file itself, so the answers always match what students see.
+ *
+ * Exports:
+ * - `perturbLines`: Applies the perturbations to the lines of one version.
+ */
+
+const util = require("./util");
+
+/**
+ * Applies the perturbations to the lines of one version.
+ *
+ * @param {string[]} lines - The version's CSV lines, header first.
+ * @param {number[]} lineNumbers - The master file line number of each line (for the change log).
+ * @param {object} options - The perturbation options.
+ * @param {object} rng - A seeded generator created by `seed.createRng`.
+ * @returns {object} - `lines`: the perturbed CSV lines, header first; `changes`: the change log.
+ */
+function perturbLines(lines, lineNumbers, options, rng) {
+  const header = util.splitCsvLine(lines[0]);
+  const column = (name) => {
+    const index = header.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Cannot perturb missing column: ${name}`);
+    }
+    return index;
+  };
+  const nameIndex = header.indexOf(options.nameColumn || "Name");
+  const keyIndex = header.indexOf(options.keyColumn || "Rank");
+  const changes = [];
+
+  let rows = lines.slice(1).map((line, i) => {
+    return { line: lineNumbers[i + 1], fields: util.splitCsvLine(line) };
+  });
+
+  // Add made-up rows built from the columns of random rows
+  if (options.synthetic && options.synthetic.count > 0 && rows.length > 0) {
+    const suffixes = options.synthetic.suffixes || [" II"];
+    const newKey = keyIndex === -1 ? null : keyMaker(rows, keyIndex);
+    for (let s = 0; s < options.synthetic.count; s++) {
+      const fields = header.map((name, index) => rng.pick(rows).fields[index]);
+      if (nameIndex !== -1) {
+        fields[nameIndex] = `${fields[nameIndex]}${rng.pick(suffixes)}`;
+      }
+      if (newKey) {
+        fields[keyIndex] = newKey(fields[keyIndex]);
+      }
+      rows.push({ line: null, fields: fields, changed: true });
+      changes.push({ type: "synthetic", values: fields.slice() });
+    }
+  }
+
+  // Move numeric values within bounds
+  (options.jitter || []).forEach((jitter) => {
+    const index = column(jitter.column);
+    const rate = jitter.rate === undefined ? 1 : jitter.rate;
+    rows.forEach((row) => {
+      const from = row.fields[index];
+      const value = parseFloat(from);
+      if (isNaN(value) || rng.random() >= rate) return;
+
+      let to = value + (rng.random() * 2 - 1) * jitter.amount;
+      if (jitter.min !== undefined) {
+        to = Math.max(jitter.min, to);
+      }
+      to = `${Number(to.toFixed(jitter.decimals || 0))}`;
+      if (to !== from) {
+        row.fields[index] = to;
+        row.changed = true;
+        changes.push({
+          type: "jitter",
+          line: row.line,
+          column: jitter.column,
+          from,
+          to,
+        });
+      }
+    });
+  });
+
+  // Keep totals consistent with the jittered values
+  (options.recompute || []).forEach((recompute) => {
+    const index = column(recompute.column);
+    const parts = recompute.sumOf.map(column);
+    rows.forEach((row) => {
+      if (!row.changed) return;
+
+      const from = row.fields[index];
+      const sum = parts.reduce(
+        (acc, part) => acc + (parseFloat(row.fields[part]) || 0),
+        0
+      );
+      const to = `${Number(sum.toFixed(recompute.decimals || 0))}`;
+      if (to !== from) {
+        row.fields[index] = to;
+        changes.push({
+          type: "recompute",
+          line: row.line,
+          column: recompute.column,
+          from,
+          to,
+        });
+      }
+    });
+  });
+
+  // Exchange pairs of categorical values
+  (options.swap || []).forEach((swap) => {
+    const index = column(swap.column);
+    const values = Array.from(new Set(rows.map((row) => row.fields[index])))
+      .filter((value) => value !== "")
+      .sort();
+    const picked = rng.sampleSize(values, (swap.pairs || 1) * 2);
+    for (let p = 0; p + 1 < picked.length; p += 2) {
+      const a = picked[p];
+      const b = picked[p + 1];
+      let count = 0;
+      rows.forEach((row) => {
+        if (row.fields[index] === a) {
+          row.fields[index] = b;
+          count++;
+        } else if (row.fields[index] === b) {
+          row.fields[index] = a;
+          count++;
+        }
+      });
+      changes.push({
+        type: "swap",
+        column: swap.column,
+        values: [a, b],
+        rows: count,
+      });
+    }
+  });
+
+  if (options.shuffle) {
+    rows = rng.shuffle(rows);
+    changes.push({ type: "shuffle" });
+  }
+
+  return {
+    lines: [lines[0]].concat(rows.map((row) => util.joinCsvLine(row.fields))),
+    changes: changes,
+  };
+}
+
+/**
+ * Returns a function that gives made-up rows keys no other row has.
+ *
+ * @param {object[]} rows - The version's rows, as `{ fields }`.
+ * @param {number} keyIndex - The index of the key column.
+ * @returns {function} - Called with the key copied from a random row, returns a new key.
+ */
+function keyMaker(rows, keyIndex) {
+  const used = new Set(rows.map((row) => row.fields[keyIndex]));
+  if ([...used].every((key) => /^\d+$/.test(key))) {
+    let next = Math.max(...[...used].map(Number));
+    return () => `${++next}`;
+  }
+  return (copied) => {
+    let n = 1;
+    while (used.has(`${copied}-${n}`)) n++;
+    used.add(`${copied}-${n}`);
+    return `${copied}-${n}`;
+  };
+}
+
+module.exports = { perturbLines };
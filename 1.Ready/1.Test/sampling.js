@@ -0,0 +1,153 @@
+"use strict";
+
+/**
+ * Sampling strategies for choosing which rows of the master CSV go into each version.
+ *
+ * By default rows are picked uniformly at random. The options below add guarantees so that
+ * every version's questions are answerable and versions are comparable in difficulty:
+ * - `stratifyBy`: A column name. Each value of the column (e.g. each Genre) keeps the same
+ *   share of the version's rows as it has in the master file.
+ * - `requirements`: An array of `{ description, where, min }`. At least `min` of the version's
+ *   rows must satisfy `where(row)`, e.g. at least 5 games from the year a question asks about.
+ * - `holdOut`: An array of predicates `where(row)`. Rows satisfying any of them are never picked.
+ *
+ * Predicates receive the row as an object keyed by column name, with string values.
+ *
+ * Exports:
+ * - `sampleLines`: Picks the line numbers for one version.
+ */
+
+const _ = require("lodash");
+const util = require("./util");
+
+/**
+ * Picks the line numbers of the master CSV to include in one version.
+ *
+ * @param {string[]} lines - The lines of the master CSV, header first.
+ * @param {number} numToPick - The number of rows to pick (excluding the header).
+ * @param {object} options - The sampling options (`stratifyBy`, `requirements`, `holdOut`).
+ * @param {object} rng - A seeded generator created by `seed.createRng`.
+ * @returns {object} - `lineNumbers`: the sorted line numbers, header (0) included;
+ *   `unmet`: descriptions of requirements the master file has too few rows to meet.
+ */
+function sampleLines(lines, numToPick, options, rng) {
+  const stratifyBy = options.stratifyBy || "";
+  const requirements = options.requirements || [];
+  const holdOut = options.holdOut || [];
+
+  // Simple random sampling over all lines, as before sampling options existed
+  if (!stratifyBy && requirements.length === 0 && holdOut.length === 0) {
+    return {
+      lineNumbers: withHeader(rng.sampleSize(_.range(lines.length), numToPick)),
+      unmet: [],
+    };
+  }
+
+  const header = util.splitCsvLine(lines[0]);
+  const records = [];
+  const candidates = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].trim() === "") continue;
+    records[i] = util.toRecord(header, lines[i]);
+    if (!holdOut.some((where) => where(records[i]))) {
+      candidates.push(i);
+    }
+  }
+
+  const stratum = (i) => (stratifyBy ? records[i][stratifyBy] : "");
+  const pick = Math.min(numToPick, candidates.length);
+  let selected = stratifyBy
+    ? stratifiedSample(candidates, stratum, pick, rng)
+    : rng.sampleSize(candidates, pick);
+
+  // Top up any requirement that the sample does not meet, swapping out rows that no
+  // requirement needs (from the same stratum, where possible) to keep the size unchanged
+  const selectedSet = new Set(selected);
+  const matches = requirements.map((req) => (i) => req.where(records[i]));
+  const counts = matches.map(
+    (match) => selected.filter((i) => match(i)).length
+  );
+  const unmet = [];
+
+  requirements.forEach((req, r) => {
+    const need = req.min - counts[r];
+    if (need <= 0) return;
+
+    const pool = candidates.filter((i) => !selectedSet.has(i) && matches[r](i));
+    if (pool.length < need) {
+      unmet.push(req.description);
+    }
+
+    rng.sampleSize(pool, need).forEach((added) => {
+      const removable = (i) =>
+        selectedSet.has(i) &&
+        matches.every(
+          (match, m) => !match(i) || counts[m] > requirements[m].min
+        );
+      const sameStratum = selected.filter(
+        (i) => stratum(i) === stratum(added) && removable(i)
+      );
+      const removed = rng.pick(
+        sameStratum.length > 0 ? sameStratum : selected.filter(removable)
+      );
+
+      selectedSet.add(added);
+      matches.forEach((match, m) => {
+        if (match(added)) counts[m]++;
+      });
+      if (removed !== undefined) {
+        selectedSet.delete(removed);
+        matches.forEach((match, m) => {
+          if (match(removed)) counts[m]--;
+        });
+      }
+      selected = Array.from(selectedSet);
+    });
+  });
+
+  return { lineNumbers: withHeader(selected), unmet: unmet };
+}
+
+/**
+ * Picks rows so that each stratum keeps its share of the sample (largest remainder method).
+ *
+ * @param {number[]} candidates - The line numbers that may be picked.
+ * @param {function} stratum - Returns the stratum of a line number.
+ * @param {number} pick - The number of rows to pick.
+ * @param {object} rng - A seeded generator.
+ * @returns {number[]} - The picked line numbers.
+ */
+function stratifiedSample(candidates, stratum, pick, rng) {
+  const groups = _.groupBy(candidates, stratum);
+  const keys = Object.keys(groups).sort();
+  const quotas = keys.map(
+    (key) => (groups[key].length * pick) / candidates.length
+  );
+  const counts = quotas.map(Math.floor);
+
+  // Hand out the remaining rows to the strata with the largest remainders
+  const remaining = pick - _.sum(counts);
+  _.sortBy(_.range(keys.length), (k) => -(quotas[k] - counts[k]))
+    .slice(0, remaining)
+    .forEach((k) => counts[k]++);
+
+  return _.flatten(
+    keys.map((key, k) => rng.sampleSize(groups[key], counts[k]))
+  );
+}
+
+/**
+ * Sorts line numbers, removes duplicates and makes sure the header (line 0) is included.
+ *
+ * @param {number[]} lineNumbers - The picked line numbers.
+ * @returns {number[]} - The sorted, unique line numbers starting with 0.
+ */
+function withHeader(lineNumbers) {
+  const sorted = _.sortedUniq(lineNumbers.slice().sort((a, b) => a - b));
+  if (sorted.indexOf(0) === -1) {
+    sorted.unshift(0);
+  }
+  return sorted;
+}
+
+module.exports = { sampleLines };
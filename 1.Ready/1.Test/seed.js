@@ -0,0 +1,155 @@
+"use strict";
+
+/**
+ * Seeded random number generation for reproducible assessment versions.
+ *
+ * Every random choice made while building a version (which rows are sampled,
+ * which year or keyword a question asks about) is drawn from a generator derived
+ * from a master seed and the version hash. Running the scripts again with the same
+ * seed and hash produces byte-identical datasets, questions and answers, so any
+ * version can be rebuilt and audited after the fact.
+ *
+ * Each consumer asks for its own named stream (e.g. `"sample"` or `"q1"`), so adding
+ * a question or changing one stage does not shift the random draws of another.
+ *
+ * Exports:
+ * - `generateSeed`: Creates a new random master seed.
+ * - `versionSeed`: Derives the seed for a single version from the master seed.
+ * - `createRng`: Creates a seeded generator for a version and stream.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Creates a new random master seed.
+ *
+ * @returns {string} - A 16-character hexadecimal seed.
+ */
+function generateSeed() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * Derives the seed for a single version from the master seed.
+ *
+ * @param {string} masterSeed - The master seed for the assessment.
+ * @param {string} hash - The version identifier.
+ * @returns {string} - A 16-character hexadecimal seed for the version.
+ */
+function versionSeed(masterSeed, hash) {
+  return digest(`${masterSeed}|${hash}`).toString("hex").slice(0, 16);
+}
+
+/**
+ * Creates a seeded random number generator for a version and stream.
+ *
+ * The generator is an SFC32 generator whose state is taken from the SHA-256 digest
+ * of the version seed and stream name.
+ *
+ * @param {string} masterSeed - The master seed for the assessment.
+ * @param {string} hash - The version identifier.
+ * @param {string} stream - The name of the random stream (e.g. "sample", "q1").
+ * @returns {object} - A generator with `random`, `int`, `pick`, `shuffle` and `sampleSize` methods.
+ */
+function createRng(masterSeed, hash, stream) {
+  if (masterSeed === undefined || masterSeed === null || masterSeed === "") {
+    throw new Error("A master seed is required to create a seeded generator.");
+  }
+
+  const state = digest(`${versionSeed(masterSeed, hash)}|${stream}`);
+  let a = state.readUInt32LE(0);
+  let b = state.readUInt32LE(4);
+  let c = state.readUInt32LE(8);
+  let d = state.readUInt32LE(12);
+
+  /**
+   * Returns a random float in the range [0, 1).
+   *
+   * @returns {number} - The random number.
+   */
+  function random() {
+    a >>>= 0;
+    b >>>= 0;
+    c >>>= 0;
+    d >>>= 0;
+    const t = (a + b + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  }
+
+  // Discard the first outputs so that similar seeds diverge
+  for (let i = 0; i < 12; i++) {
+    random();
+  }
+
+  /**
+   * Returns a random integer between `min` and `max` (inclusive).
+   *
+   * @param {number} min - The lower bound.
+   * @param {number} max - The upper bound.
+   * @returns {number} - The random integer.
+   */
+  function int(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  /**
+   * Returns a random element of an array.
+   *
+   * @param {any[]} array - The array to pick from.
+   * @returns {any} - The selected element.
+   */
+  function pick(array) {
+    return array[Math.floor(random() * array.length)];
+  }
+
+  /**
+   * Returns a shuffled copy of an array (Fisher-Yates).
+   *
+   * @param {any[]} array - The array to shuffle.
+   * @returns {any[]} - The shuffled copy.
+   */
+  function shuffle(array) {
+    const result = array.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Returns `n` random elements of an array, in random order.
+   *
+   * @param {any[]} array - The array to sample from.
+   * @param {number} n - The number of elements to pick.
+   * @returns {any[]} - The selected elements.
+   */
+  function sampleSize(array, n) {
+    const result = array.slice();
+    const size = Math.max(0, Math.min(n, result.length));
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(random() * (result.length - i));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result.slice(0, size);
+  }
+
+  return { random, int, pick, shuffle, sampleSize };
+}
+
+/**
+ * Returns the SHA-256 digest of a string.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {Buffer} - The digest.
+ */
+function digest(text) {
+  return crypto.createHash("sha256").update(text, "utf8").digest();
+}
+
+module.exports = { generateSeed, versionSeed, createRng };
@@ -0,0 +1,159 @@
+"use strict";
+
+/**
+ * Script to split the master dataset into related tables.
+ *
+ * The master file has one row per game, with its publisher's name and its sales in each
+ * region. For courses that ask join questions, this script splits it into related tables,
+ * which `app.js` then samples together so that their keys still resolve (see `relations.js`
+ * in the repository root):
+ * - `games`: One row per game, with a `Publisher_ID` instead of the publisher's name.
+ * - `publishers`: One row per publisher: its `Publisher_ID` and `Publisher` name.
+ * - `sales`: One row per game and region: the game's `Rank`, the `Region` and the `Sales`.
+ *
+ * Input:
+ * - The master dataset, `inFiles/Video Game Sales.csv` (or `.xlsx`, `.json` or `.parquet`).
+ *
+ * Output:
+ * - `inFiles/games.csv`, `inFiles/publishers.csv` and `inFiles/sales.csv`.
+ * - The `dataset.tables` setting declaring the tables and their keys, printed to the console.
+ *
+ * Usage:
+ * - Run `node split.js` from the `1.Ready/1.Test` directory.
+ * - Set `dataset.tables` in the config file (`page.config.json`, see `config.js`) to the
+ *   setting printed, and run `node app.js`.
+ *
+ * Notes:
+ * - When run through the `page` CLI (`node page.js split`), the master dataset is read from
+ *   and the tables are written to `<workspace>/master` (see `workspace.js`).
+ * - Publishers are numbered in the order of their first game in the master file, so the
+ *   tables are the same every time the master file is split.
+ * - `Global_Sales` stays in `games`, as the total of each game.
+ */
+
+const loaded = require("../../config.js").load([]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+
+const workspace = require("../../workspace.js");
+const inPath = workspace.active
+  ? workspace.MASTER
+  : loaded.config.paths.sample.inPath; // Directory holding the master dataset
+
+const DATASET_NAME = loaded.config.dataset.name; // Master dataset file name
+const FORMAT = "csv"; // Format of the tables written, one file per table
+
+const MAIN_TABLE = "games"; // Table with one row per row of the master file
+
+// Column whose values are moved to a table of their own, and replaced by a key
+const LOOKUP = {
+  column: "Publisher",
+  table: "publishers",
+  key: "Publisher_ID",
+};
+
+// Columns turned into rows of a table of their own, one row per column
+const UNPIVOT = {
+  table: "sales",
+  key: "Rank", // Column of the main table that the rows refer to
+  // Each column turned into rows, and the name its rows are given
+  columns: {
+    NA_Sales: "NA",
+    EU_Sales: "EU",
+    JP_Sales: "JP",
+    Other_Sales: "Other",
+  },
+  nameColumn: "Region",
+  valueColumn: "Sales",
+};
+
+const os = require("os");
+const formats = require("../../formats");
+
+// The setting declaring the tables and their foreign keys (see `relations.js`)
+const TABLES = {
+  [MAIN_TABLE]: { [LOOKUP.key]: `${LOOKUP.table}.${LOOKUP.key}` },
+  [LOOKUP.table]: {},
+  [UNPIVOT.table]: { [UNPIVOT.key]: `${MAIN_TABLE}.${UNPIVOT.key}` },
+};
+
+formats.readDataset(inPath, { name: DATASET_NAME, tables: {} }, (err, read) => {
+  if (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  formats.writeDataset(
+    inPath,
+    { name: DATASET_NAME, format: FORMAT, tables: TABLES },
+    splitRows(read[0].rows),
+    (err, files) => {
+      if (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+      console.log(`Tables written:${os.EOL}${files.join(os.EOL)}`);
+      console.log(`
+Set dataset.tables in ${loaded.file} to:
+"tables": ${JSON.stringify(TABLES, null, 2)}`);
+      process.exit(0);
+    }
+  );
+});
+
+/**
+ * Splits the rows of the master dataset into the related tables.
+ * @param {Array[]} rows - The rows of the master dataset, header first.
+ * @returns {object[]} - The tables (`{ name, rows }`), in the order of `TABLES`.
+ */
+function splitRows(rows) {
+  const header = rows[0].map((name) => `${name}`.trim());
+  const columnOf = (name) => {
+    const index = header.indexOf(name);
+    if (index === -1) {
+      console.error(`Cannot split ${DATASET_NAME}: missing column ${name}`);
+      process.exit(1);
+    }
+    return index;
+  };
+  const lookupIndex = columnOf(LOOKUP.column);
+  const keyIndex = columnOf(UNPIVOT.key);
+  const unpivoted = Object.keys(UNPIVOT.columns).map(columnOf);
+  const kept = header
+    .map((name, index) => index)
+    .filter((index) => !unpivoted.includes(index));
+
+  // The main table keeps its columns, with the key in place of the looked up column
+  const ids = new Map();
+  const main = [
+    kept.map((index) => (index === lookupIndex ? LOOKUP.key : header[index])),
+  ];
+  const unpivotRows = [[UNPIVOT.key, UNPIVOT.nameColumn, UNPIVOT.valueColumn]];
+  rows.slice(1).forEach((row) => {
+    const value = row[lookupIndex];
+    if (value !== "" && !ids.has(value)) {
+      ids.set(value, `${ids.size + 1}`);
+    }
+    const id = value === "" ? "" : ids.get(value); // An empty value refers to nothing
+    main.push(kept.map((index) => (index === lookupIndex ? id : row[index])));
+    unpivoted.forEach((index) => {
+      unpivotRows.push([
+        row[keyIndex],
+        UNPIVOT.columns[header[index]],
+        row[index],
+      ]);
+    });
+  });
+  const lookupRows = [[LOOKUP.key, LOOKUP.column]].concat(
+    Array.from(ids).map(([value, id]) => [id, value])
+  );
+
+  return [
+    { name: MAIN_TABLE, rows: main },
+    { name: LOOKUP.table, rows: lookupRows },
+    { name: UNPIVOT.table, rows: unpivotRows },
+  ];
+}
@@ -0,0 +1,177 @@
+"use strict";
+
+/**
+ * Script to trace a suspect dataset back to the version it most likely came from.
+ *
+ * The versions are marked when they are sampled with `fingerprint.markRows` set (see `app.js` and
+ * `watermark.js`). This script reads the marks left in each suspect dataset, even one that
+ * was edited, re-saved or cut down, and reports the versions it most likely came from, each
+ * with a confidence score, and the confidence that it came from none of them.
+ *
+ * Input:
+ * - The suspect datasets (CSV, Excel, JSON or Parquet; see `formats/index.js`), given on the
+ *   command line. A workbook's first worksheet is traced. In a dataset of related tables, only
+ *   the main table (the first in `dataset.tables`, e.g. `games.csv`) is marked.
+ * - `outFiles/seed.json`, recording the master seed, the version hashes and the watermark
+ *   options the versions were sampled with.
+ *
+ * Output:
+ * - The marks found in each file and the most likely versions, printed to the console.
+ *
+ * Usage:
+ * - Run `node trace.js <suspect dataset>...` from the `1.Ready/1.Test` directory.
+ *
+ * Notes:
+ * - When run through the `page` CLI (`node page.js trace <file>...`), `seed.json` is read from
+ *   the workspace's `datasets` folder (see `workspace.js`).
+ * - A file that was not changed at all can also be traced by its digest with
+ *   `1.Ready/0.Create-Zip/verify.js`.
+ * - The confidence is high only if enough marks are left. Trailing zeros are lost when a file
+ *   is re-saved from a spreadsheet, and swapped rows when it is sorted; a file that kept
+ *   neither, or only a few rows, cannot be traced.
+ */
+
+const loaded = require("../../config.js").load([]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+
+const workspace = require("../../workspace.js");
+const outPath = workspace.active
+  ? workspace.DATASETS
+  : loaded.config.paths.sample.outPath; // Directory holding the versions and seed.json
+
+const MAX_LISTED = 3; // Number of versions listed for each file
+
+const async = require("async");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const seed = require("./seed");
+const util = require("./util");
+const watermark = require("./watermark");
+const formats = require("../../formats");
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.error("Usage: node trace.js <suspect dataset>...");
+  process.exit(1);
+}
+
+const seedFile = path.join(outPath, "seed.json");
+let sampled;
+try {
+  sampled = JSON.parse(fs.readFileSync(seedFile, "utf8"));
+} catch (err) {
+  console.error(`Cannot read ${seedFile}: ${err.message}`);
+  process.exit(1);
+}
+if (!sampled.watermark) {
+  console.error(
+    `The versions in ${outPath} were sampled without fingerprint.markRows set, so they cannot be traced.`
+  );
+  process.exit(1);
+}
+
+const versions = sampled.hashes.map((hash) => ({
+  hash: hash,
+  key: seed.versionSeed(sampled.seed, hash),
+}));
+
+async.eachSeries(
+  files,
+  (file, fileDone) => {
+    formats.read(file, (err, tables) => {
+      if (err || tables.length === 0) {
+        console.log(
+          `${file}: cannot be read (${err ? err.message : "no rows"})`
+        );
+      } else {
+        traceFile(file, tables[0].rows.map(util.joinCsvLine));
+      }
+      fileDone();
+    });
+  },
+  () => process.exit(0)
+);
+
+/**
+ * Traces one suspect file and prints what was found.
+ * @param {string} file - The file's path, for the report.
+ * @param {string[]} lines - The file's rows as CSV lines, header first.
+ */
+function traceFile(file, lines) {
+  let result;
+  try {
+    result = watermark.traceLines(lines, sampled.watermark, versions);
+  } catch (err) {
+    console.log(`${file}: cannot be traced (${err.message})`);
+    return;
+  }
+
+  console.log(`${os.EOL}${file}: ${result.rows} rows`);
+  const digits = result.channels.digits;
+  if (digits) {
+    console.log(
+      `  Trailing zeros: ${digits.found} rows${
+        digits.used ? "" : " (too few to use; re-saved?)"
+      }`
+    );
+  }
+  const order = result.channels.order;
+  if (order) {
+    console.log(
+      `  Swapped rows: up to ${order.found} pairs, ${
+        order.chance
+      } expected by chance${order.used ? "" : " (too few to use; sorted?)"}`
+    );
+  }
+
+  if (!(digits && digits.used) && !(order && order.used)) {
+    console.log("  No marks left to trace it by");
+    return;
+  }
+
+  const best = result.versions[0];
+  if (!best || result.none >= best.confidence) {
+    console.log(
+      `  Most likely from none of the versions (confidence ${percent(
+        result.none
+      )})`
+    );
+  } else {
+    console.log(
+      `  Most likely version: ${best.hash} (confidence ${percent(
+        best.confidence
+      )})`
+    );
+  }
+  result.versions.slice(0, MAX_LISTED).forEach((version) => {
+    const details = [];
+    if (digits && digits.used) {
+      details.push(
+        `${version.digits.matched} of ${version.digits.expected} trailing zeros`
+      );
+    }
+    if (order && order.used) {
+      details.push(`${version.swaps} swapped pairs`);
+    }
+    console.log(
+      `    ${version.hash}: ${percent(version.confidence)}${
+        details.length ? ` (${details.join(", ")})` : ""
+      }`
+    );
+  });
+  console.log(`    none of the versions: ${percent(result.none)}`);
+}
+
+/**
+ * Formats a confidence as a percentage.
+ * @param {number} confidence - The confidence, from 0 to 1.
+ * @returns {string} - The percentage.
+ */
+function percent(confidence) {
+  return `${(confidence * 100).toFixed(2)}%`;
+}
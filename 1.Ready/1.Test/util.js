@@ -9,6 +9,9 @@
  * Exports:
  * - `yo`: A simple test export.
  * - `pickLines`: Function to pick specific lines from a source array.
+ * - `splitCsvLine`: Function to split a CSV line into its fields.
+ * - `toRecord`: Function to turn a CSV line into an object keyed by column name.
+ * - `joinCsvLine`: Function to join fields into a CSV line.
  */
 
 exports.yo = "yo";
@@ -25,3 +28,77 @@ function pickLines(linesToPick, srcArray) {
 }
 
 exports.pickLines = pickLines;
+
+/**
+ * Splits a single CSV line into its fields, honouring double-quoted fields
+ * (e.g. `"Monsters, Inc."`) and doubled quotes inside them.
+ *
+ * @param {string} line - The CSV line.
+ * @returns {string[]} - The fields of the line.
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields;
+}
+
+exports.splitCsvLine = splitCsvLine;
+
+/**
+ * Turns a CSV line into an object keyed by column name.
+ *
+ * @param {string[]} header - The column names from the header row.
+ * @param {string} line - The CSV line.
+ * @returns {object} - An object mapping each column name to the line's value.
+ */
+function toRecord(header, line) {
+  const fields = splitCsvLine(line);
+  const record = {};
+  header.forEach((name, index) => {
+    record[name] = fields[index];
+  });
+  return record;
+}
+
+exports.toRecord = toRecord;
+
+/**
+ * Joins fields into a CSV line, quoting fields that contain commas, quotes or new lines.
+ *
+ * @param {string[]} fields - The fields of the line.
+ * @returns {string} - The CSV line.
+ */
+function joinCsvLine(fields) {
+  return fields
+    .map((field) => {
+      const text = field === undefined || field === null ? "" : `${field}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+exports.joinCsvLine = joinCsvLine;
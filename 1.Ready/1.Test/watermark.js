@@ -0,0 +1,331 @@
+"use strict";
+
+/**
+ * Invisible fingerprints in the version datasets themselves.
+ *
+ * The zip manifests (see `1.Ready/0.Create-Zip/fingerprint.js`) only match files that were
+ * not changed at all. To trace a dataset that was opened, edited or re-saved, the rows of
+ * each version are marked in two ways that do not change any value or answer:
+ * - `digits`: `{ columns, rate }`. A `rate` share of rows get a trailing zero appended to
+ *   one decimal value in `columns` (e.g. 0.77 is written as 0.770). Spreadsheets show the
+ *   same number, and it parses to the same value.
+ * - `order`: `{ rate }`. A `rate` share of neighbouring rows are swapped. The questions
+ *   only ask about totals and counts, which do not depend on the row order.
+ *
+ * Which rows are marked, and how, is decided by a keyed digest of the row's content, with
+ * the key derived from the master seed and the version hash (`seed.versionSeed`). So a
+ * row's digit mark depends on that row alone and a swap on the two rows swapped (rows can be
+ * removed or added without losing the others' marks), and the marks cannot be found or
+ * copied without the seed.
+ *
+ * Tracing a suspect file works out, for every version, how likely its marks are if the
+ * file came from that version, and compares that with how likely they are if it came from
+ * none of them (e.g. the public master file). A mark that has been lost, like the trailing
+ * zeros when the file is re-saved from a spreadsheet or the order when it is sorted, is
+ * left out of the comparison rather than counted against every version.
+ *
+ * Exports:
+ * - `markLines`: Marks the lines of one version.
+ * - `traceLines`: Works out which version the lines of a suspect file came from.
+ */
+
+const crypto = require("crypto");
+const util = require("./util");
+
+const ERROR_RATE = 0.02; // Chance that an edit changed a row's marks
+
+/**
+ * Marks the lines of one version.
+ *
+ * @param {string[]} lines - The version's CSV lines, header first.
+ * @param {object} options - The watermark options.
+ * @param {string} key - The version's key, from `seed.versionSeed`.
+ * @returns {object} - `lines`: the marked CSV lines, header first; `digits` and `swaps`: the
+ *   number of rows marked each way.
+ */
+function markLines(lines, options, key) {
+  const header = util.splitCsvLine(lines[0]);
+  const columns = digitColumns(header, options);
+  let rows = lines.slice(1).map((line) => readRow(line, columns));
+  let swaps = 0;
+  let digits = 0;
+
+  // Swap neighbouring rows; a swapped pair is not swapped again
+  if (options.order) {
+    for (let i = 0; i + 1 < rows.length; i++) {
+      if (
+        unit(key, "order", `${rows[i].id}\n${rows[i + 1].id}`) <
+        options.order.rate
+      ) {
+        const row = rows[i];
+        rows[i] = rows[i + 1];
+        rows[i + 1] = row;
+        swaps++;
+        i++;
+      }
+    }
+  }
+
+  // Append a trailing zero to one decimal value of some rows
+  if (options.digits) {
+    rows = rows.map((row) => {
+      const mark = digitMark(row, options.digits, key);
+      if (mark === null) return row;
+      const fields = row.fields.slice();
+      fields[mark] = `${fields[mark]}0`;
+      digits++;
+      return { line: util.joinCsvLine(fields) };
+    });
+  }
+
+  return {
+    lines: [lines[0]].concat(rows.map((row) => row.line)),
+    digits: digits,
+    swaps: swaps,
+  };
+}
+
+/**
+ * Works out which version the lines of a suspect file came from.
+ *
+ * @param {string[]} lines - The suspect file's CSV lines, header first.
+ * @param {object} options - The watermark options the versions were marked with.
+ * @param {object[]} versions - The versions: `{ hash, key }`.
+ * @returns {object} - `rows`: the number of rows read; `channels`: what was found of each kind
+ *   of mark (`digits`: `{ used, found }`, `order`: `{ used, found, chance }`); `versions`:
+ *   each version's `hash`, `confidence` (0 to 1), `digits` (`{ matched, expected }`) and
+ *   `swaps`, most likely first; `none`: the confidence that it came from none of them.
+ */
+function traceLines(lines, options, versions) {
+  const header = util.splitCsvLine(lines[0]);
+  const columns = digitColumns(header, options);
+  const rows = lines
+    .slice(1)
+    .filter((line) => line.trim() !== "")
+    .map((line) => readRow(line, columns));
+  const results = versions.map((version) => ({
+    hash: version.hash,
+    logLikelihood: 0,
+    digits: { matched: 0, expected: 0 },
+    swaps: 0,
+  }));
+  let none = 0; // Log-likelihood of the marks if the file came from none of the versions
+  const channels = {};
+
+  if (options.digits) {
+    const rate = options.digits.rate;
+    const candidates = rows.filter((row) => row.candidates.length > 0);
+    const found = candidates.filter((row) => row.marked.length > 0).length;
+    // With (almost) no trailing zeros left, e.g. after re-saving, the digits tell nothing
+    const used = found >= Math.max(1, (candidates.length * rate) / 4);
+    channels.digits = { used: used, found: found };
+    if (used) {
+      candidates.forEach((row) => {
+        const choices = row.candidates.length + 1; // One of the values, or none
+        const observed =
+          row.marked.length === 0
+            ? null
+            : row.marked.length === 1
+            ? row.marked[0]
+            : -1; // More than one: not a mark that any version made
+        none += Math.log(
+          observed === null
+            ? 1 - rate
+            : observed === -1
+            ? ERROR_RATE / choices
+            : rate / row.candidates.length
+        );
+        results.forEach((result, v) => {
+          const expected = digitMark(row, options.digits, versions[v].key);
+          if (expected !== null) {
+            result.digits.expected++;
+          }
+          if (expected === observed) {
+            if (expected !== null) {
+              result.digits.matched++;
+            }
+            result.logLikelihood += Math.log(1 - ERROR_RATE);
+          } else {
+            result.logLikelihood += Math.log(ERROR_RATE / choices);
+          }
+        });
+      });
+    }
+  }
+
+  if (options.order && rows.length > 1) {
+    // A pair of neighbouring rows is one of a version's swaps if the version would have
+    // swapped them in the other order. Some pairs are by chance, so what counts is how many
+    // more there are than chance would give.
+    const rate = options.order.rate;
+    const swapped = rate / (1 + rate); // Share of pairs that a version swapped
+    const marked = swapped + (1 - swapped) * rate; // Share of pairs that look swapped
+    const pairs = rows.length - 1;
+    results.forEach((result, v) => {
+      for (let i = 0; i < pairs; i++) {
+        const back = `${rows[i + 1].id}\n${rows[i].id}`;
+        if (unit(versions[v].key, "order", back) < rate) {
+          result.swaps++;
+        }
+      }
+    });
+    // Sorting the rows, for one, leaves no version more swaps than chance
+    const found = Math.max.apply(
+      null,
+      results.map((result) => result.swaps)
+    );
+    const used = found >= (pairs * (rate + marked)) / 2;
+    channels.order = {
+      used: used,
+      found: found,
+      chance: Math.round(pairs * rate),
+    };
+    if (used) {
+      // Every version's count is by chance if the file came from another version (or none),
+      // so only each version's own count weighs for or against it
+      results.forEach((result) => {
+        result.logLikelihood +=
+          binomial(result.swaps, pairs, marked) -
+          binomial(result.swaps, pairs, rate);
+      });
+    }
+  }
+
+  return Object.assign(
+    { rows: rows.length, channels: channels },
+    posterior(results, none)
+  );
+}
+
+/**
+ * Finds the columns that digit marks go in.
+ *
+ * @param {string[]} header - The column names.
+ * @param {object} options - The watermark options.
+ * @returns {number[]} - The indexes of the columns.
+ * @throws Will throw an error if a column is missing.
+ */
+function digitColumns(header, options) {
+  return (options.digits ? options.digits.columns : []).map((name) => {
+    const index = header.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Cannot watermark missing column: ${name}`);
+    }
+    return index;
+  });
+}
+
+/**
+ * Reads a row, without its digit marks.
+ *
+ * @param {string} line - The CSV line.
+ * @param {number[]} columns - The indexes of the columns that digit marks go in.
+ * @returns {object} - The row: its `line` and `fields`, its `id` (the line without marks, as
+ *   the digests are taken of), the `candidates` columns that can take a digit mark and the
+ *   ones that are `marked`.
+ */
+function readRow(line, columns) {
+  const fields = util.splitCsvLine(line);
+  const plain = fields.slice();
+  columns.forEach((index) => {
+    // Trailing zeros do not change a decimal value: 0.770 is 0.77, and 1.0 is 1
+    if (/^-?\d*\.\d*$/.test(plain[index] || "")) {
+      plain[index] = plain[index].replace(/0+$/, "").replace(/\.$/, "");
+    }
+  });
+  const candidates = columns.filter((index) =>
+    /^-?\d*\.\d+$/.test(plain[index] || "")
+  );
+  return {
+    line: line,
+    fields: fields,
+    id: util.joinCsvLine(plain),
+    candidates: candidates,
+    marked: candidates.filter((index) => fields[index] !== plain[index]),
+  };
+}
+
+/**
+ * Decides which value of a row a version gives a digit mark.
+ *
+ * @param {object} row - The row, read by `readRow`.
+ * @param {object} digits - The `digits` watermark options.
+ * @param {string} key - The version's key.
+ * @returns {number|null} - The index of the column, or null if the row has no digit mark.
+ */
+function digitMark(row, digits, key) {
+  if (row.candidates.length === 0) return null;
+  const bytes = draw(key, "digits", row.id);
+  if (bytes.readUIntBE(0, 6) / 2 ** 48 >= digits.rate) return null;
+  return row.candidates[bytes.readUInt32BE(6) % row.candidates.length];
+}
+
+/**
+ * Returns a number in the range [0, 1) from a keyed digest of a text.
+ *
+ * @param {string} key - The version's key.
+ * @param {string} kind - The kind of mark.
+ * @param {string} text - The row (or rows) marked.
+ * @returns {number} - The number.
+ */
+function unit(key, kind, text) {
+  return draw(key, kind, text).readUIntBE(0, 6) / 2 ** 48;
+}
+
+/**
+ * Returns the keyed SHA-256 digest of a text.
+ *
+ * @param {string} key - The version's key.
+ * @param {string} kind - The kind of mark.
+ * @param {string} text - The row (or rows) marked.
+ * @returns {Buffer} - The digest.
+ */
+function draw(key, kind, text) {
+  return crypto.createHmac("sha256", key).update(`${kind}|${text}`).digest();
+}
+
+/**
+ * Returns the log-likelihood of `count` of `total` pairs looking swapped, if each does with
+ * the chance `p` (leaving out the binomial coefficient, which is the same for every `p`).
+ *
+ * @param {number} count - The pairs that look swapped.
+ * @param {number} total - All the pairs.
+ * @param {number} p - The chance that a pair looks swapped.
+ * @returns {number} - The log-likelihood.
+ */
+function binomial(count, total, p) {
+  return count * Math.log(p) + (total - count) * Math.log(1 - p);
+}
+
+/**
+ * Turns the log-likelihoods into the confidence in each version, with every version and
+ * none of them equally likely beforehand.
+ *
+ * @param {object[]} results - Each version's results, with its `logLikelihood`.
+ * @param {number} none - The log-likelihood if the file came from none of the versions.
+ * @returns {object} - `versions`: the results with their `confidence`, most likely first;
+ *   `none`: the confidence that the file came from none of them.
+ */
+function posterior(results, none) {
+  const max = results.reduce(
+    (acc, result) => Math.max(acc, result.logLikelihood),
+    none
+  );
+  const total = results.reduce(
+    (acc, result) => acc + Math.exp(result.logLikelihood - max),
+    Math.exp(none - max)
+  );
+  return {
+    versions: results
+      .map((result) => ({
+        hash: result.hash,
+        confidence: Math.exp(result.logLikelihood - max) / total,
+        digits: result.digits,
+        swaps: result.swaps,
+      }))
+      .sort((a, b) => b.confidence - a.confidence),
+    none: Math.exp(none - max) / total,
+  };
+}
+
+module.exports = { markLines, traceLines };
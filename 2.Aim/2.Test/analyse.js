@@ -0,0 +1,457 @@
+"use strict";
+
+/**
+ * Script to compare the difficulty of the versions in a Q&A file and resample outliers.
+ *
+ * Each version's question parameters are random, so some versions can be much easier than
+ * others (e.g. a year with two games against a year with two hundred). This script measures
+ * every version's questions on the proxies in `difficulty.js` (the rows behind each answer
+ * and the size of numeric answers), flags the versions whose questions are outliers, and
+ * can draw new parameters for the outlier questions before the quizzes are deployed.
+ *
+ * Input:
+ * - The newest Q&A file (`TestQA-<timestamp>.json`) written by `app.js`.
+ * - The datasets the Q&A file was generated from (`inFiles/<hash>/Video Game Sales.csv`, or in the
+ *   format set with `dataset.format`, or the related tables declared in `dataset.tables`).
+ *
+ * Output:
+ * - A report (`TestQA-<timestamp>-difficulty.json`) with each version's proxies, their ratios
+ *   to the median and the outlier reasons per question, and its overall score.
+ * - With `--resample`, the Q&A file is rewritten with new parameters for the outlier
+ *   questions. Each redrawn question records its draw number in `q<n>r`. Outlier questions
+ *   that could not be resampled are printed with the reason, and the script exits with code
+ *   `1` if any outlier versions remain, so that `page all` stops before deploying them.
+ *
+ * Usage:
+ * - Run `node app.js` first.
+ * - Run `node analyse.js` from the `2.Aim/2.Test` directory to see the report.
+ * - Run `node analyse.js --resample` to replace the outlier questions.
+ * - The outlier thresholds and the number of draws tried are set in the `analysis` section of
+ *   the config file (`page.config.json`, see `config.js`).
+ *
+ * Notes:
+ * - When run through the `page` CLI (`page analyse`), the Q&A file and datasets are read
+ *   from the workspace (see `workspace.js`). `page all` runs it with `--resample` before
+ *   deploying.
+ * - A version's outliers are compared against the medians of the original draws,
+ *   so resampling does not move the target. New draws are tried until one is not an outlier
+ *   or `analysis.maxDraws` is reached, in which case the least extreme draw is kept and reported.
+ * - A new draw that collides with another version's question (as set by `diversity.collideOn`
+ *   in the config file, see `diversity.js`) is not used, so resampling keeps the versions as
+ *   diverse as `app.js` left them.
+ * - Draws are seeded (see `templates.streamName`), so the resampled file can be rebuilt.
+ */
+
+const loaded = require("../../config.js").load([]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+
+const workspace = require("../../workspace.js");
+const inPath = workspace.active
+  ? workspace.DATASETS
+  : loaded.config.paths.qa.inPath; // Directory containing the version datasets
+const outPath = workspace.active
+  ? workspace.DEPLOY
+  : loaded.config.paths.qa.outPath; // Directory containing the Q&A file
+const DATASET = loaded.config.dataset; // Each version's dataset file name, format and related tables
+const questionsPath = DATASET.questions; // Directory containing the question templates
+
+const MAX_RATIO = loaded.config.analysis.maxRatio; // Largest accepted factor between a proxy and its median over all versions
+const MIN_ROWS = loaded.config.analysis.minRows; // Fewest rows accepted behind an answer (0 for no minimum)
+const MAX_DRAWS = loaded.config.analysis.maxDraws; // Number of new draws to try for each outlier question
+const COLLIDE_ON = loaded.config.diversity.collideOn; // What makes two versions' questions collide
+
+// Command line options: `--resample`
+const options = parseArgs(process.argv.slice(2));
+const RESAMPLE = options.resample; // true: draw new parameters for outlier questions and rewrite the Q&A file
+
+const async = require("async");
+const fs = require("fs");
+const path = require("path");
+const util = require("./util");
+const templates = require("./templates");
+const difficulty = require("./difficulty");
+const diversity = require("./diversity");
+const seed = require("../../1.Ready/1.Test/seed.js");
+
+const OPTIONS = { maxRatio: MAX_RATIO, minRows: MIN_ROWS };
+const TEMPLATES = templates.loadTemplates(path.join(__dirname, questionsPath)); // Question templates
+
+const QA_FILE = workspace.latestFile(outPath || ".", workspace.QA_FILE_PATTERN);
+if (!QA_FILE) {
+  console.error(`No Q&A file found in ${path.resolve(outPath || ".")}.`);
+  process.exit(1);
+}
+const qaFilePath = path.join(outPath, QA_FILE);
+const reportFilePath = path.join(
+  outPath,
+  `${path.basename(QA_FILE, ".json")}-difficulty.json`
+);
+
+const studentQA = JSON.parse(fs.readFileSync(qaFilePath, "utf8"));
+const HASHES = Object.keys(studentQA);
+
+// Reads a version's dataset, keeping only the last one in memory
+const datasetOf = util.datasetLoader(
+  (hash) => path.join(inPath, `${hash}`),
+  DATASET
+);
+
+// Regenerate every question to recover its parameters and proxies, one version at a time
+const results = {};
+const mismatches = [];
+let summaries;
+let report;
+let numResampled = 0;
+
+async.eachSeries(
+  HASHES,
+  (hash, versionDone) => {
+    datasetOf(hash, (err, csv, tables) => {
+      if (err) return versionDone(err);
+      results[hash] = TEMPLATES.map((template, index) => {
+        const qNum = index + 1;
+        const result = drawQuestion(
+          template,
+          qNum,
+          hash,
+          studentQA[hash][`q${qNum}r`],
+          csv,
+          tables
+        );
+        if (result.answer !== `${studentQA[hash][`q${qNum}a`]}`) {
+          mismatches.push(`${hash} q${qNum}`);
+        }
+        return result;
+      });
+      versionDone();
+    });
+  },
+  (err) => {
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    if (mismatches.length > 0) {
+      console.error(`
+The datasets do not match ${QA_FILE}; regenerate it with app.js first.
+Answers that differ: ${mismatches.join(", ")}
+`);
+      process.exit(1);
+    }
+    checkVersions();
+  }
+);
+
+/**
+ * Summarises the proxies over all versions, checks each version's questions against the
+ * summaries (drawing new parameters for the outliers with `--resample`), and writes and
+ * prints the report.
+ */
+function checkVersions() {
+  // Summarise each proxy of each question over all versions
+  summaries = TEMPLATES.map((template, index) => {
+    const summary = {};
+    difficulty.METRICS.forEach((name) => {
+      summary[name] = difficulty.summarise(
+        HASHES.map((hash) => results[hash][index].metrics[name])
+      );
+    });
+    return summary;
+  });
+
+  report = {
+    qaFile: QA_FILE,
+    createdAt: new Date().toISOString(),
+    maxRatio: MAX_RATIO,
+    minRows: MIN_ROWS,
+    questions: TEMPLATES.map((template, index) => ({
+      question: index + 1,
+      template: template.id,
+      summary: summaries[index],
+    })),
+    versions: {},
+  };
+
+  async.eachSeries(
+    HASHES,
+    // Without --resample no dataset is needed, and each version calls back at once
+    async.ensureAsync((hash, versionDone) => {
+      if (!RESAMPLE) {
+        report.versions[hash] = checkVersion(hash, null, null);
+        return versionDone();
+      }
+      datasetOf(hash, (err, csv, tables) => {
+        if (err) return versionDone(err);
+        report.versions[hash] = checkVersion(hash, csv, tables);
+        versionDone();
+      });
+    }),
+    (err) => {
+      if (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+      fs.writeFileSync(reportFilePath, JSON.stringify(report, null, 2));
+      if (numResampled > 0) {
+        fs.writeFileSync(qaFilePath, JSON.stringify(studentQA, null, 2));
+      }
+
+      const remaining = printReport();
+      if (RESAMPLE && remaining > 0) {
+        console.error(
+          `${remaining} outlier versions could not be resampled. Change the analysis or diversity settings and run again, or deploy them with "page deploy".`
+        );
+        process.exit(1);
+      }
+    }
+  );
+}
+
+/**
+ * Checks a version's questions against the summaries, drawing new parameters for the
+ * outliers with `--resample`.
+ * @param {string} hash - The version identifier.
+ * @param {Array|null} csv - The version's dataset as an array of rows (only needed to resample).
+ * @param {object|null} tables - Every table of the version's dataset as an array of rows, by
+ *   name (only needed to resample).
+ * @returns {object} - The version's entry in the report.
+ */
+function checkVersion(hash, csv, tables) {
+  const version = { score: 1, outlier: false, questions: {} };
+
+  TEMPLATES.forEach((template, index) => {
+    const qNum = index + 1;
+    let result = results[hash][index];
+    let check = difficulty.checkQuestion(
+      result.metrics,
+      summaries[index],
+      OPTIONS
+    );
+    const entry = {
+      params: result.params,
+      metrics: result.metrics,
+      ratio: check.ratio,
+      reasons: check.reasons,
+    };
+
+    if (RESAMPLE && check.reasons.length > 0) {
+      const redrawn = resample(
+        template,
+        qNum,
+        hash,
+        summaries[index],
+        csv,
+        tables
+      );
+      if (redrawn.reason) {
+        entry.notResampled = redrawn.reason;
+      } else {
+        entry.resampled = {
+          draw: redrawn.draw,
+          from: { params: result.params, reasons: check.reasons },
+        };
+        result = redrawn.result;
+        check = redrawn.check;
+        Object.assign(entry, {
+          params: result.params,
+          metrics: result.metrics,
+          ratio: check.ratio,
+          reasons: check.reasons,
+        });
+        writeQuestion(hash, qNum, result, redrawn.draw);
+        numResampled++;
+      }
+    }
+
+    version.questions[`q${qNum}`] = entry;
+    version.score = Math.max(version.score, check.score);
+    version.outlier = version.outlier || check.reasons.length > 0;
+  });
+
+  return version;
+}
+
+/**
+ * Generates a question for a version from the given draw of its parameters.
+ * @param {object} template - The question template.
+ * @param {number} qNum - The question number.
+ * @param {string} hash - The version identifier.
+ * @param {number} draw - The draw number (0 or undefined for the first draw).
+ * @param {Array} csv - The version's dataset as an array of rows.
+ * @param {object} tables - Every table of the version's dataset as an array of rows, by name.
+ * @returns {object} - The result of `templates.runTemplate`, with the question's `metrics`.
+ */
+function drawQuestion(template, qNum, hash, draw, csv, tables) {
+  const rng = seed.createRng(
+    studentQA[hash].seed,
+    hash,
+    templates.streamName(qNum, draw || 0)
+  );
+  const result = templates.runTemplate(template, csv, rng, tables);
+  result.metrics = difficulty.measure(result);
+  return result;
+}
+
+/**
+ * Draws new parameters for an outlier question until one is not an outlier. Draws that
+ * collide with another version's question are skipped.
+ * @param {object} template - The question template.
+ * @param {number} qNum - The question number.
+ * @param {string} hash - The version identifier.
+ * @param {object} summary - The summary of each proxy over the original draws.
+ * @param {Array} csv - The version's dataset as an array of rows.
+ * @param {object} tables - Every table of the version's dataset as an array of rows, by name.
+ * @returns {object} - The `draw` number, `result` and `check` of the best draw, or the
+ *   `reason` why no draw was used: every draw collided with another version's question, or
+ *   none was less extreme than the current one.
+ */
+function resample(template, qNum, hash, summary, csv, tables) {
+  const current = studentQA[hash][`q${qNum}r`] || 0;
+  const others = diversity.keySet(
+    HASHES.filter((other) => other !== hash).map((other) => studentQA[other]),
+    qNum,
+    COLLIDE_ON
+  );
+  let best = null;
+  let collided = 0;
+
+  for (let draw = current + 1; draw <= current + MAX_DRAWS; draw++) {
+    const result = drawQuestion(template, qNum, hash, draw, csv, tables);
+    const drawn = {
+      [`q${qNum}q`]: result.question,
+      [`q${qNum}a`]: result.answer,
+    };
+    if (diversity.collides(drawn, others, qNum, COLLIDE_ON)) {
+      collided++;
+      continue;
+    }
+    const check = difficulty.checkQuestion(result.metrics, summary, OPTIONS);
+    if (
+      !best ||
+      check.reasons.length < best.check.reasons.length ||
+      (check.reasons.length === best.check.reasons.length &&
+        check.score < best.check.score)
+    ) {
+      best = { draw: draw, result: result, check: check };
+    }
+    if (check.reasons.length === 0) {
+      break;
+    }
+  }
+
+  if (!best) {
+    return {
+      reason: `all ${collided} new draws give the same question as another version (diversity.collideOn "${COLLIDE_ON}")`,
+    };
+  }
+  const before = results[hash][qNum - 1];
+  const beforeCheck = difficulty.checkQuestion(
+    before.metrics,
+    summary,
+    OPTIONS
+  );
+  return best.check.reasons.length < beforeCheck.reasons.length ||
+    best.check.score < beforeCheck.score
+    ? best
+    : {
+        reason: `no new draw is less extreme (${
+          MAX_DRAWS - collided
+        } tried, ${collided} skipped as they give the same question as another version)`,
+      };
+}
+
+/**
+ * Replaces a version's question in the Q&A file with a new draw.
+ * @param {string} hash - The version identifier.
+ * @param {number} qNum - The question number.
+ * @param {object} result - The result of `templates.runTemplate` for the new draw.
+ * @param {number} draw - The draw number.
+ */
+function writeQuestion(hash, qNum, result, draw) {
+  const qa = studentQA[hash];
+  qa[`q${qNum}q`] = result.question;
+  qa[`q${qNum}a`] = result.answer;
+  delete qa[`q${qNum}t`];
+  delete qa[`q${qNum}c`];
+  if (result.tolerance) {
+    qa[`q${qNum}t`] = result.tolerance;
+  }
+  if (result.choices) {
+    qa[`q${qNum}c`] = result.choices;
+  }
+  qa[`q${qNum}r`] = draw;
+}
+
+/**
+ * Prints the versions ranked by score, with the reasons for each outlier.
+ * @returns {number} - The number of outlier versions.
+ */
+function printReport() {
+  const EOL = require("os").EOL;
+  const ranked = HASHES.slice().sort(
+    (a, b) => report.versions[b].score - report.versions[a].score
+  );
+  const outliers = ranked.filter((hash) => report.versions[hash].outlier);
+
+  console.log(`${EOL}Difficulty of ${HASHES.length} versions in ${QA_FILE}`);
+  console.log("==============");
+  ranked.forEach((hash) => {
+    const version = report.versions[hash];
+    console.log(
+      `${
+        version.outlier ? "OUTLIER" : "ok     "
+      } ${hash} (score ${version.score.toFixed(2)})`
+    );
+    Object.keys(version.questions).forEach((q) => {
+      const entry = version.questions[q];
+      if (entry.resampled) {
+        console.log(`  ${q}: resampled (draw ${entry.resampled.draw})`);
+      }
+      if (entry.notResampled) {
+        console.log(`  ${q}: not resampled: ${entry.notResampled}`);
+      }
+      entry.reasons.forEach((reason) => console.log(`  ${q}: ${reason}`));
+    });
+  });
+
+  console.log(EOL);
+  if (numResampled > 0) {
+    console.log(`${numResampled} questions resampled; ${qaFilePath} updated.`);
+  }
+  if (outliers.length > 0) {
+    console.log(
+      `${outliers.length} outlier versions.${
+        RESAMPLE
+          ? ""
+          : " Run again with --resample to draw new parameters for them."
+      }`
+    );
+  } else {
+    console.log("No outlier versions.");
+  }
+  console.log(`Report written to ${reportFilePath}`);
+  return outliers.length;
+}
+
+/**
+ * Parses the command line options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} - `resample`: true if `--resample` is given.
+ */
+function parseArgs(argv) {
+  const result = { resample: false };
+  argv.forEach((arg) => {
+    if (arg === "--resample") {
+      result.resample = true;
+    } else {
+      console.error(`Unknown option: ${arg}
+Usage: node analyse.js [--resample]`);
+      process.exit(1);
+    }
+  });
+  return result;
+}
@@ -7,205 +7,372 @@
  * based on the data for each version.
  *
  * Input:
- * - For each version (identified by a hash), a CSV file located at `inFiles/<hash>/Video Game Sales.csv`
+ * - For each version (identified by a hash), a dataset located at `inFiles/<hash>/Video Game Sales.csv`
+ *   (or in the format set with `dataset.format` in the config file, see `formats/index.js`), or
+ *   the related tables declared in `dataset.tables` (e.g. `inFiles/<hash>/games.csv`)
  *
  * Output:
  * - A JSON file (`TestQA-<timestamp>.json`) containing the questions and answers for all versions.
+ *   Numeric answers also carry a `q<n>t` entry describing the accepted tolerance.
+ *   Multiple choice questions also carry a `q<n>c` entry listing the choices in display order.
  *
  * Usage:
- * - Ensure that the datasets for each version are located in `inFiles/<hash>/Video Game Sales.csv`
+ * - Ensure that the datasets for each version are located in `inFiles/<hash>/`
+ * - Define the questions as templates in the `questions/` directory (see `templates.js`), or
+ *   in the directory set with `dataset.questions` in the config file.
+ * - Declare the dataset's columns and their types in `schema.js`.
  * - Run `npm install` from the `2.Aim/2.Test` directory to install dependencies.
  * - Run `node app.js` from the `2.Aim/2.Test` directory.
  *
  * Notes:
+ * - The input and output folders are `paths.qa.inPath` and `paths.qa.outPath` in the config
+ *   file (`page.config.json`, see `config.js`).
+ * - When run through the `page` CLI, the datasets are read from `<workspace>/datasets` and
+ *   the Q&A file is written to `<workspace>/deploy` (see `workspace.js`).
  * - The script uses the `hash.js` file to get the list of hashes (version identifiers).
+ * - Questions are numbered in the file name order of their templates.
+ * - Every dataset is checked against `schema.js` before its questions are generated. Missing
+ *   columns or values that do not parse as their declared type are reported, and no Q&A file
+ *   is written. The tables of a dataset of related tables are checked against `schema.TABLES`,
+ *   and their foreign keys must resolve (see `relations.js` in the repository root).
+ * - Templates can join the related tables of a dataset (e.g. games and their sales by region)
+ *   with `util.join`; see `questions-relational/` for examples.
+ * - The versions are processed one at a time and only one dataset is held in memory (see
+ *   `util.datasetLoader`), so one version per student (see `roster.js`) scales to large
+ *   courses.
+ * - Question parameters are drawn from a generator seeded by `SEED` in `hash.js` and the
+ *   version hash, so the same seed and hash always give the same questions and answers.
+ *   The seed is recorded against each version in the output file.
+ * - Versions that are given the same question as another version (by default, the same text
+ *   or the same answer) have their parameters drawn again until `diversity.minDiversity` in the
+ *   config file is met (see `diversity.js`). Redrawn questions record their draw number in `q<n>r`, and the collision
+ *   statistics are printed and written to `TestQA-<timestamp>-diversity.json`. Questions whose
+ *   template has too few parameter sets to meet `diversity.minDiversity` are not redrawn.
  * - The generated JSON file is used in the next step to create quizzes in Canvas.
  */
 
-const inPath = "inFiles";
-const answerFileName = "Video Game Sales.csv";
+const loaded = require("../../config.js").load([]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+
+const workspace = require("../../workspace.js");
+const inPath = workspace.active
+  ? workspace.DATASETS
+  : loaded.config.paths.qa.inPath; // Directory containing the version datasets
+const outPath = workspace.active
+  ? workspace.DEPLOY
+  : loaded.config.paths.qa.outPath; // Directory for the Q&A file
+const DATASET = loaded.config.dataset; // Each version's dataset file name, format and related tables
+const questionsPath = DATASET.questions; // Directory containing the question templates
 
+// Re-draw the parameters of versions that are given the same question as another version
+const DIVERSITY = loaded.config.diversity;
+const MAX_LISTED = 10; // Most unseparated versions named per question in the report
+
+const path = require("path");
 const dateFormat = require("dateformat");
 const YMDHMS_FORMAT = "yyyy-mm-dd-HHMMss";
-const outFile = `TestQA-${dateFormat(Date.now(), YMDHMS_FORMAT)}.json`;
+const outFile = path.join(
+  outPath,
+  `TestQA-${dateFormat(Date.now(), YMDHMS_FORMAT)}.json`
+);
+const diversityFile = outFile.replace(/\.json$/, "-diversity.json");
 
 const _ = require("lodash");
 const async = require("async");
 const fs = require("fs");
-const path = require("path");
 const util = require("./util");
+const templates = require("./templates");
+const schema = require("./schema");
+const diversity = require("./diversity");
+const seed = require("../../1.Ready/1.Test/seed.js");
 
 const hash = require("../../1.Ready/0.Create-Zip/hash.js");
 const HASHES = hash.HASHES; // List of version hashes
-
-let numLeft = HASHES.length; // Number of versions left to process
+const SEED = hash.SEED || seed.generateSeed(); // Master seed for question parameters
+const TEMPLATES = templates.loadTemplates(path.join(__dirname, questionsPath)); // Question templates
 
 const studentQA = {};
 
-// Process each version to generate questions and answers
-async.each(HASHES, (hash, versionDone) => {
-  // Parse the CSV file for this version
-  const csv = util.parseStudentAnswerCsv(
-    path.join(inPath, `${hash}`, answerFileName)
-  );
-
-  studentQA[hash] = {};
-
-  // Generate questions and answers for this version
-  async.series(
-    [
-      async.apply(questionOne, hash, csv),
-      async.apply(questionTwo, hash, csv),
-      async.apply(questionThree, hash, csv),
-      async.apply(questionFour, hash, csv),
-    ],
-    function whenVersionDone() {
-      printWhenDone(hash);
-      versionDone();
+// Reads a version's dataset, keeping only the last one in memory
+const datasetOf = util.datasetLoader(
+  (hash) => path.join(inPath, `${hash}`),
+  DATASET
+);
+
+// Validate each version's dataset and generate its questions and answers, one version at a time
+let validationErrors = [];
+async.eachSeries(
+  HASHES,
+  (hash, versionDone) => {
+    datasetOf(hash, (err, csv, tables) => {
+      if (err) {
+        validationErrors.push(`${hash}: ${err.message}`);
+        versionDone();
+        return;
+      }
+      const validation =
+        Object.keys(DATASET.tables).length > 0
+          ? util.validateTables(tables, schema.TABLES, DATASET.tables)
+          : util.validateCsv(csv, schema.COLUMNS);
+      if (validation.errors) {
+        validationErrors = validationErrors.concat(
+          validation.errors.map((e) => `${hash}: ${e}`)
+        );
+      }
+      if (validationErrors.length > 0) {
+        // Keep checking the other datasets, but generate nothing more
+        versionDone();
+        return;
+      }
+
+      studentQA[hash] = {
+        seed: SEED,
+        versionSeed: seed.versionSeed(SEED, hash),
+      };
+
+      // Generate questions and answers for this version, one per template
+      async.series(
+        TEMPLATES.map((template, index) =>
+          async.apply(runQuestion, template, index + 1, hash, csv, tables)
+        ),
+        function whenVersionDone() {
+          console.log(`FINISHED ${hash}`);
+          versionDone();
+        }
+      );
+    });
+  },
+  () => {
+    if (validationErrors.length > 0) {
+      console.error(`
+Errors found in datasets:
+${validationErrors.join(require("os").EOL)}
+`);
+      process.exit(1);
     }
-  );
-});
+    writeWhenDone();
+  }
+);
 
 /**
- * Generates question 1 and its answer for a given version.
+ * Generates a question and its answer from a template for a given version.
+ * @param {object} template - The question template.
+ * @param {number} qNum - The question number.
  * @param {string} hash - The version identifier.
  * @param {Array} csv - The CSV data as an array of rows.
+ * @param {object} tables - Every table of the version's dataset as an array of rows, by name.
  * @param {function} questionDone - Callback function when done.
  */
-function questionOne(hash, csv, questionDone) {
-  const qNum = 1;
-
-  // Randomly select a year between 1985 and 2004 (inclusive)
-  const year = Math.floor(Math.random() * 20) + 1985;
-
-  let totalSales = 0;
-
-  // Calculate total difference in sales between NA_Sales and JP_Sales for the given year
-  for (let i = 1; i < csv.length; i++) {
-    let row = csv[i];
-    if (row[util.header.Year] == year) {
-      totalSales +=
-        parseFloat(row[util.header.NA_Sales]) -
-        parseFloat(row[util.header.JP_Sales]);
-    }
-  }
-
-  // Create the question and answer
-  studentQA[hash][
-    `q${qNum}q`
-  ] = `For video games released in the year "${year}", how many more sales units were made in North America compared to Japan?`;
-  const answer = totalSales.toFixed(2);
-  studentQA[hash][`q${qNum}a`] = `${answer}`;
-
+function runQuestion(template, qNum, hash, csv, tables, questionDone) {
+  drawQuestion(template, qNum, hash, 0, csv, tables);
   questionDone(null);
 }
 
 /**
- * Generates question 2 and its answer for a given version.
+ * Generates a question from a given draw of its parameters and stores it in studentQA.
+ * @param {object} template - The question template.
+ * @param {number} qNum - The question number.
  * @param {string} hash - The version identifier.
- * @param {Array} csv - The CSV data as an array of rows.
- * @param {function} questionDone - Callback function when done.
+ * @param {number} draw - The draw number (0 for the first draw, see `templates.streamName`).
+ * @param {Array} csv - The version's dataset as an array of rows.
+ * @param {object} tables - Every table of the version's dataset as an array of rows, by name.
  */
-function questionTwo(hash, csv, questionDone) {
-  const qNum = 2;
-
-  const names = ["Pokemon", "Wii", "Super Mario", "Grand Theft Auto"];
-  const randIndex = Math.floor(Math.random() * names.length);
-  const name = names[randIndex];
-
-  let numGames = 0;
-
-  // Count the number of games containing the selected name
-  for (let i = 1; i < csv.length; i++) {
-    let row = csv[i];
-    if (row[util.header.Name].includes(name)) {
-      numGames++;
-    }
-  }
+function drawQuestion(template, qNum, hash, draw, csv, tables) {
+  const rng = seed.createRng(SEED, hash, templates.streamName(qNum, draw));
+  const result = templates.runTemplate(template, csv, rng, tables);
+  const qa = studentQA[hash];
 
   // Create the question and answer
-  studentQA[hash][
-    `q${qNum}q`
-  ] = `How many video games contain "${name}" in their name?`;
-  const answer = numGames;
-  studentQA[hash][`q${qNum}a`] = `${answer}`;
+  qa[`q${qNum}q`] = result.question;
+  qa[`q${qNum}a`] = result.answer;
+  if (result.tolerance) {
+    qa[`q${qNum}t`] = result.tolerance;
+  } else {
+    delete qa[`q${qNum}t`];
+  }
+  if (result.choices) {
+    qa[`q${qNum}c`] = result.choices;
+  } else {
+    delete qa[`q${qNum}c`];
+  }
+  if (draw) {
+    qa[`q${qNum}r`] = draw;
+  } else {
+    delete qa[`q${qNum}r`];
+  }
+}
 
-  questionDone(null);
+/**
+ * Re-draws the parameters of versions that collide with another version, question by
+ * question, until the question's diversity reaches `diversity.minDiversity`.
+ *
+ * The first version of each group of colliding versions keeps its question. Each of the
+ * others tries up to `diversity.maxDraws` new draws and keeps the first one that collides
+ * with no other version; if none does, it keeps its first draw.
+ *
+ * A question's text depends on its parameters alone, so when the text counts (`collideOn`
+ * of `"either"` or `"question"`), a template with fewer parameter sets than there are
+ * versions cannot give every version its own text. If even the best split of its texts
+ * falls short of `diversity.minDiversity`, no new draws are tried for that question.
+ *
+ * @param {function} done - Callback function called with an error or the collision statistics
+ *   of each question, before and after.
+ */
+function enforceDiversity(done) {
+  const { collideOn, minDiversity, maxDraws } = DIVERSITY;
+
+  async.mapSeries(
+    TEMPLATES,
+    (template, questionDone) => {
+      const qNum = TEMPLATES.indexOf(template) + 1;
+      const stats = {
+        question: qNum,
+        template: template.id,
+        before: diversity.statistics(studentQA, HASHES, qNum),
+        redrawn: [],
+        unresolved: [],
+      };
+      const diversityOf = () =>
+        diversity.findCollisions(studentQA, HASHES, qNum, collideOn).diversity;
+
+      stats.diversityBefore = diversityOf();
+      stats.bestDiversity = bestDiversity(template, collideOn);
+      if (stats.bestDiversity < minDiversity) {
+        stats.diversity = stats.diversityBefore;
+        stats.met = stats.diversity >= minDiversity;
+        stats.after = stats.before;
+        return questionDone(null, stats);
+      }
+      const colliding = _.flatten(
+        diversity
+          .findCollisions(studentQA, HASHES, qNum, collideOn)
+          .groups.map((group) => group.slice(1))
+      );
+      async.eachSeries(
+        colliding,
+        // Versions that need no new draw call back at once, so do not let the stack grow
+        async.ensureAsync((hash, hashDone) => {
+          const others = diversity.keySet(
+            HASHES.filter((other) => other !== hash).map(
+              (other) => studentQA[other]
+            ),
+            qNum,
+            collideOn
+          );
+          const collides = () =>
+            diversity.collides(studentQA[hash], others, qNum, collideOn);
+          if (diversityOf() >= minDiversity || !collides()) {
+            return hashDone();
+          }
+          datasetOf(hash, (err, csv, tables) => {
+            if (err) return hashDone(err);
+            for (let draw = 1; draw <= maxDraws; draw++) {
+              drawQuestion(template, qNum, hash, draw, csv, tables);
+              if (!collides()) {
+                stats.redrawn.push(hash);
+                return hashDone();
+              }
+            }
+            drawQuestion(template, qNum, hash, 0, csv, tables);
+            stats.unresolved.push(hash);
+            hashDone();
+          });
+        }),
+        (err) => {
+          if (err) return questionDone(err);
+          stats.diversity = diversityOf();
+          stats.met = stats.diversity >= minDiversity;
+          stats.after = diversity.statistics(studentQA, HASHES, qNum);
+          questionDone(null, stats);
+        }
+      );
+    },
+    done
+  );
 }
 
 /**
- * Generates question 3 and its answer for a given version.
- * @param {string} hash - The version identifier.
- * @param {Array} csv - The CSV data as an array of rows.
- * @param {function} questionDone - Callback function when done.
+ * Returns the highest diversity a template's question texts allow: with fewer parameter sets
+ * than versions, at most one version fewer than the number of sets can have a text of its own.
+ * @param {object} template - The question template.
+ * @param {string} collideOn - What makes two versions collide (see `diversity.js`).
+ * @returns {number} - The highest diversity, from 0 to 1.
  */
-function questionThree(hash, csv, questionDone) {
-  const qNum = 3;
-
-  const isNintendo = Math.random() < 0.5;
-  const conditionText = isNintendo ? "are" : "are <strong>not</strong>";
-
-  let totalSales = 0;
-
-  // Calculate total global sales based on the condition
-  for (let i = 1; i < csv.length; i++) {
-    let row = csv[i];
-    if (
-      (isNintendo && row[util.header.Publisher] == "Nintendo") ||
-      (!isNintendo && row[util.header.Publisher] != "Nintendo")
-    ) {
-      totalSales += parseFloat(row[util.header.Global_Sales]);
-    }
+function bestDiversity(template, collideOn) {
+  if (collideOn !== "either" && collideOn !== "question") {
+    return 1;
   }
-
-  // Create the question and answer
-  studentQA[hash][
-    `q${qNum}q`
-  ] = `What are the total global sales for games that ${conditionText} published by Nintendo?`;
-  const answer = totalSales.toFixed(2);
-  studentQA[hash][`q${qNum}a`] = `${answer}`;
-
-  questionDone(null);
+  let sets;
+  try {
+    sets = templates.allParams(template.params).length;
+  } catch (err) {
+    return 1; // Too many parameter sets to list, so more than enough
+  }
+  return sets >= HASHES.length ? 1 : Math.max(0, sets - 1) / HASHES.length;
 }
 
 /**
- * Generates question 4 and its answer for a given version.
- * @param {string} hash - The version identifier.
- * @param {Array} csv - The CSV data as an array of rows.
- * @param {function} questionDone - Callback function when done.
+ * Prints the collision statistics of each question.
+ * @param {object[]} report - The statistics returned by `enforceDiversity`.
  */
-function questionFour(hash, csv, questionDone) {
-  const qNum = 4;
-
-  const randX = Math.ceil(Math.random() * 20);
-  const randY = Math.ceil(Math.random() * 5);
-
-  const solution = 8 * randX + randY;
-
-  // Create the question and answer
-  studentQA[hash][
-    `q${qNum}q`
-  ] = `What is 8x + y, where x = ${randX} and y = ${randY}?`;
-  const answer = solution;
-  studentQA[hash][`q${qNum}a`] = `${answer}`;
-
-  questionDone(null);
+function printDiversity(report) {
+  console.log(require("os").EOL);
+  console.log(
+    `Diversity of ${HASHES.length} versions (collisions on ${DIVERSITY.collideOn})`
+  );
+  console.log("==============");
+  report.forEach((stats) => {
+    console.log(
+      `q${stats.question} ${stats.template}: ${stats.after.distinctQuestions} distinct questions, ${stats.after.distinctAnswers} distinct answers; ` +
+        `diversity ${stats.diversityBefore.toFixed(
+          2
+        )} -> ${stats.diversity.toFixed(2)}, ${stats.redrawn.length} redrawn` +
+        (stats.met
+          ? ""
+          : ` (below ${DIVERSITY.minDiversity}; ${whyUnmet(stats)})`)
+    );
+  });
 }
 
 /**
- * Decrements the count of versions left to process.
- * When all versions are processed, writes the studentQA object to a JSON file.
- * @param {string} hash - The version identifier.
+ * Explains why a question's diversity is below `diversity.minDiversity`.
+ * @param {object} stats - The question's statistics returned by `enforceDiversity`.
+ * @returns {string} - The reason.
  */
-function printWhenDone(hash) {
-  numLeft--;
-
-  console.log(`FINISHED ${hash}`);
+function whyUnmet(stats) {
+  if (stats.bestDiversity < DIVERSITY.minDiversity) {
+    return `its template allows at most ${stats.bestDiversity.toFixed(
+      2
+    )}, so no new draws were tried`;
+  }
+  const shown = stats.unresolved.slice(0, MAX_LISTED);
+  const more = stats.unresolved.length - shown.length;
+  return `could not separate ${shown.join(", ")}${
+    more > 0 ? ` and ${more} more` : ""
+  }`;
+}
 
-  if (numLeft === 0) {
-    // All versions processed, write output file
+/**
+ * Once all versions are processed, separates colliding versions and writes the studentQA
+ * object and the collision statistics to JSON files.
+ */
+function writeWhenDone() {
+  enforceDiversity((err, report) => {
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    printDiversity(report);
     fs.writeFileSync(outFile, JSON.stringify(studentQA, null, 2));
+    fs.writeFileSync(
+      diversityFile,
+      JSON.stringify({ diversity: DIVERSITY, questions: report }, null, 2)
+    );
     console.log(`All done. Answer file written to ${outFile}`);
     process.exit(0);
-  }
+  });
 }
@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+ * Difficulty proxies for comparing versions of the same question.
+ *
+ * Each version draws its own question parameters, so one version may sum sales over two
+ * games while another sums over two hundred. The proxies below put a number on how a
+ * version's question differs from the other versions of the same question:
+ * - `rows`: The number of rows the answer is computed from (the template's `support`).
+ * - `magnitude`: The size of a numeric (not multiple choice) answer, `|answer|`.
+ *
+ * Each proxy is compared with its median over all versions as a ratio, so that "23 times
+ * fewer rows than the typical version" reads the same for every question. A version is an
+ * outlier for a question when a proxy is more than `maxRatio` times above or below the
+ * median, or when fewer than `minRows` rows are behind its answer. Ratios are taken of
+ * `1 + value`, so that zero answers can be compared.
+ *
+ * Exports:
+ * - `METRICS`: The names of the proxies.
+ * - `measure`: Computes the proxies of one version's question.
+ * - `summarise`: Computes the median of a proxy over all versions.
+ * - `checkQuestion`: Scores one version's question against the medians and flags outliers.
+ */
+
+const METRICS = ["rows", "magnitude"];
+
+/**
+ * Computes the proxies of one version's question.
+ * @param {object} result - The result of `templates.runTemplate`.
+ * @returns {object} - The `rows` and `magnitude` of the question (null where unknown).
+ */
+function measure(result) {
+  const value = parseFloat(result.answer);
+  return {
+    rows: typeof result.support === "number" ? result.support : null,
+    magnitude: isNaN(value) || result.choices ? null : Math.abs(value),
+  };
+}
+
+/**
+ * Computes the median of a proxy over all versions of a question.
+ *
+ * @param {Array<number|null>} values - The proxy of each version (null where unknown).
+ * @returns {object|null} - The `median`, or null if no version has a value.
+ */
+function summarise(values) {
+  const known = values.filter((value) => value !== null);
+  if (known.length === 0) {
+    return null;
+  }
+  return { median: medianOf(known) };
+}
+
+/**
+ * Scores one version's question against the medians of all versions and flags outliers.
+ *
+ * @param {object} metrics - The proxies of the version's question, from `measure`.
+ * @param {object} summaries - The summary of each proxy, from `summarise`, keyed by name.
+ * @param {object} options - `maxRatio`: the largest accepted ratio to the median;
+ *   `minRows`: the fewest rows accepted behind an answer (0 for no minimum).
+ * @returns {object} - `ratio`: each proxy divided by its median (below 1 when smaller);
+ *   `reasons`: why the question is an outlier (empty if it is not); `score`: the largest
+ *   factor by which a proxy differs from its median (1 when equal), used to rank versions.
+ */
+function checkQuestion(metrics, summaries, options) {
+  const result = { ratio: {}, reasons: [], score: 1 };
+
+  METRICS.forEach((name) => {
+    const summary = summaries[name];
+    if (metrics[name] === null || !summary) {
+      return;
+    }
+    const ratio = (1 + metrics[name]) / (1 + summary.median);
+    const factor = Math.max(ratio, 1 / ratio);
+    result.ratio[name] = Number(ratio.toFixed(3));
+    result.score = Math.max(result.score, Number(factor.toFixed(2)));
+    if (factor > options.maxRatio) {
+      result.reasons.push(
+        `${name} ${metrics[name]} is ${factor.toFixed(1)} times ${
+          ratio > 1 ? "above" : "below"
+        } the median ${summary.median}`
+      );
+    }
+  });
+
+  if (metrics.rows !== null && metrics.rows < options.minRows) {
+    result.reasons.push(
+      `only ${metrics.rows} rows behind the answer (minimum ${options.minRows})`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Computes the median of a list of numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {number} - The median.
+ */
+function medianOf(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = { METRICS, measure, summarise, checkQuestion };
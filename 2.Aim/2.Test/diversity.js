@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * Collision detection between versions of the same question.
+ *
+ * Two versions collide on a question when they are given the same question, so a student
+ * can copy another's answer. What counts as the same is set by `collideOn`:
+ * - `"either"`: the question text or the answer is identical (e.g. two versions both asked
+ *   whether Nintendo published the games, or both with 52 as the answer).
+ * - `"both"`: the question text and the answer are identical (e.g. two versions both asked
+ *   how many games contain "Wii", with 52 as the answer).
+ * - `"question"`: the question text is identical.
+ * - `"answer"`: the answer is identical.
+ *
+ * The diversity of a question is the share of versions that do not collide with any other
+ * version, from 0 (every version collides) to 1 (every version is unique).
+ *
+ * Exports:
+ * - `COLLIDE_ON`: The accepted values of `collideOn`.
+ * - `keysOf`: The values compared between versions for a question.
+ * - `keySet`: The values compared for a question, over several versions.
+ * - `collides`: Checks if a version collides with the values of other versions.
+ * - `findCollisions`: Groups the versions that collide on a question.
+ * - `statistics`: Counts the distinct texts and answers and the collisions of a question.
+ */
+
+const COLLIDE_ON = ["either", "both", "question", "answer"];
+
+/**
+ * Returns the values compared between versions for a question.
+ *
+ * @param {object} qa - The version's entry in the Q&A file.
+ * @param {number} qNum - The question number.
+ * @param {string} collideOn - `"either"`, `"both"`, `"question"` or `"answer"`.
+ * @returns {string[]} - The keys; versions sharing a key collide.
+ * @throws Will throw an error if `collideOn` is not recognised.
+ */
+function keysOf(qa, qNum, collideOn) {
+  const question = qa[`q${qNum}q`];
+  const answer = `${qa[`q${qNum}a`]}`;
+  switch (collideOn) {
+    case "either":
+      return [
+        JSON.stringify(["question", question]),
+        JSON.stringify(["answer", answer]),
+      ];
+    case "both":
+      return [JSON.stringify([question, answer])];
+    case "question":
+      return [question];
+    case "answer":
+      return [answer];
+    default:
+      throw new Error(`Invalid collideOn value: ${collideOn}`);
+  }
+}
+
+/**
+ * Returns the values compared for a question, over several versions.
+ *
+ * @param {object[]} entries - The versions' entries in the Q&A file.
+ * @param {number} qNum - The question number.
+ * @param {string} collideOn - `"either"`, `"both"`, `"question"` or `"answer"`.
+ * @returns {Set<string>} - The keys of every version.
+ */
+function keySet(entries, qNum, collideOn) {
+  const keys = new Set();
+  entries.forEach((qa) => {
+    keysOf(qa, qNum, collideOn).forEach((key) => keys.add(key));
+  });
+  return keys;
+}
+
+/**
+ * Checks if a version collides with the values of other versions.
+ *
+ * @param {object} qa - The version's entry in the Q&A file (or its new draw of the question).
+ * @param {Set<string>} keys - The keys of the other versions, from `keySet`.
+ * @param {number} qNum - The question number.
+ * @param {string} collideOn - `"either"`, `"both"`, `"question"` or `"answer"`.
+ * @returns {boolean} - True if the version shares a key with another version.
+ */
+function collides(qa, keys, qNum, collideOn) {
+  return keysOf(qa, qNum, collideOn).some((key) => keys.has(key));
+}
+
+/**
+ * Groups the versions that collide on a question.
+ *
+ * With `"either"`, a version can share its text with one version and its answer with another,
+ * so the versions linked in this way form one group.
+ *
+ * @param {object} studentQA - The Q&A entries keyed by version hash.
+ * @param {string[]} hashes - The version hashes, in order.
+ * @param {number} qNum - The question number.
+ * @param {string} collideOn - `"either"`, `"both"`, `"question"` or `"answer"`.
+ * @returns {object} - `groups`: arrays of two or more hashes that collide, each in `hashes`
+ *   order; `diversity`: the share of versions that collide with no other version.
+ */
+function findCollisions(studentQA, hashes, qNum, collideOn) {
+  // Each version links to an earlier version of its group, and the first links to itself
+  const order = new Map(hashes.map((hash, index) => [hash, index]));
+  const linked = new Map();
+  const firstOf = (hash) => {
+    while (linked.get(hash) !== hash) hash = linked.get(hash);
+    return hash;
+  };
+  const firstWithKey = new Map();
+  hashes.forEach((hash) => {
+    linked.set(hash, hash);
+    keysOf(studentQA[hash], qNum, collideOn).forEach((key) => {
+      if (!firstWithKey.has(key)) {
+        firstWithKey.set(key, hash);
+        return;
+      }
+      const a = firstOf(firstWithKey.get(key));
+      const b = firstOf(hash);
+      if (a !== b) {
+        const [earlier, later] = order.get(a) < order.get(b) ? [a, b] : [b, a];
+        linked.set(later, earlier);
+      }
+    });
+  });
+
+  const byFirst = new Map();
+  hashes.forEach((hash) => {
+    const first = firstOf(hash);
+    byFirst.set(first, (byFirst.get(first) || []).concat(hash));
+  });
+  const groups = Array.from(byFirst.values()).filter(
+    (group) => group.length > 1
+  );
+  const numColliding = groups.reduce((sum, group) => sum + group.length, 0);
+
+  return {
+    groups: groups,
+    diversity: hashes.length > 0 ? 1 - numColliding / hashes.length : 1,
+  };
+}
+
+/**
+ * Counts the distinct texts and answers and the collisions of a question.
+ *
+ * @param {object} studentQA - The Q&A entries keyed by version hash.
+ * @param {string[]} hashes - The version hashes.
+ * @param {number} qNum - The question number.
+ * @returns {object} - The numbers of `distinctQuestions` and `distinctAnswers`, and the number
+ *   of versions sharing their `question`, `answer`, `both` or `either` with another version.
+ */
+function statistics(studentQA, hashes, qNum) {
+  const distinct = (collideOn) =>
+    keySet(
+      hashes.map((hash) => studentQA[hash]),
+      qNum,
+      collideOn
+    ).size;
+  const colliding = (collideOn) =>
+    findCollisions(studentQA, hashes, qNum, collideOn).groups.reduce(
+      (sum, group) => sum + group.length,
+      0
+    );
+
+  return {
+    distinctQuestions: distinct("question"),
+    distinctAnswers: distinct("answer"),
+    colliding: {
+      question: colliding("question"),
+      answer: colliding("answer"),
+      both: colliding("both"),
+      either: colliding("either"),
+    },
+  };
+}
+
+module.exports = {
+  COLLIDE_ON,
+  keysOf,
+  keySet,
+  collides,
+  findCollisions,
+  statistics,
+};
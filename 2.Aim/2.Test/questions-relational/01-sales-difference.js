@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Question template: difference between North American and Japanese sales for a year,
+ * joining the games to their sales by region.
+ */
+
+const util = require("../util");
+
+module.exports = {
+  tables: ["games", "sales"],
+
+  params: {
+    year: { type: "int", min: 1985, max: 2004 },
+  },
+
+  text: 'For video games released in the year "{year}", how many more sales units were made in North America compared to Japan?',
+
+  answer: (csv, { year }, tables) => {
+    const rows = util.join(tables.games, tables.sales, "Rank");
+    const header = util.headerOf(rows);
+    let totalSales = 0;
+
+    // Add the North American sales and take away the Japanese sales of the year's games
+    for (let i = 1; i < rows.length; i++) {
+      let row = rows[i];
+      if (row[header.Year] == year) {
+        if (row[header.Region] == "NA") {
+          totalSales += parseFloat(row[header.Sales]);
+        } else if (row[header.Region] == "JP") {
+          totalSales -= parseFloat(row[header.Sales]);
+        }
+      }
+    }
+
+    return totalSales.toFixed(2);
+  },
+
+  // The games released in the year
+  support: (csv, { year }, tables) => {
+    const header = util.headerOf(tables.games);
+    return tables.games.slice(1).filter((row) => row[header.Year] == year)
+      .length;
+  },
+
+  // At least 5 games from the year, so there are sales to add up
+  requires: ({ year }) => ({ where: (row) => row.Year === `${year}`, min: 5 }),
+
+  tolerance: util.exactAnswer(0.01),
+};
@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * Question template: number of games whose name contains a keyword.
+ */
+
+const util = require("../util");
+
+module.exports = {
+  tables: ["games"],
+
+  params: {
+    name: {
+      type: "choice",
+      values: ["Pokemon", "Wii", "Super Mario", "Grand Theft Auto"],
+    },
+  },
+
+  text: 'How many video games contain "{name}" in their name?',
+
+  answer: (csv, { name }, tables) => {
+    const header = util.headerOf(tables.games);
+
+    // Count the number of games containing the selected name
+    return tables.games
+      .slice(1)
+      .filter((row) => row[header.Name].includes(name)).length;
+  },
+
+  // The games counted
+  support: (csv, { name }, tables) => {
+    const header = util.headerOf(tables.games);
+    return tables.games
+      .slice(1)
+      .filter((row) => row[header.Name].includes(name)).length;
+  },
+
+  // At least 5 games with the keyword in their name, so there are games to count
+  requires: ({ name }) => ({
+    where: (row) => row.Name.includes(name),
+    min: 5,
+  }),
+
+  tolerance: util.exactAnswer(0),
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+/**
+ * Question template: total global sales for games that are, or are not, published by
+ * Nintendo, joining the games to their publishers.
+ *
+ * Multiple choice; the distractors are the total for the opposite condition, the total
+ * for all games, and the North American sales for the same condition (joining the sales
+ * by region as well).
+ */
+
+const util = require("../util");
+
+/**
+ * Sums the global sales, or the sales in one region, over the games matching the Nintendo
+ * condition.
+ * @param {object} tables - The version's tables, by name.
+ * @param {boolean|null} isNintendo - true for Nintendo games, false for the rest, null for all games.
+ * @param {string|null} region - The region whose sales to sum, or null for the global sales.
+ * @returns {string} - The total, to two decimal places.
+ */
+function totalSales(tables, isNintendo, region) {
+  let rows = util.join(tables.games, tables.publishers, "Publisher_ID");
+  if (region) {
+    rows = util.join(rows, tables.sales, "Rank");
+  }
+  const header = util.headerOf(rows);
+  let total = 0;
+
+  // Calculate total sales based on the condition
+  for (let i = 1; i < rows.length; i++) {
+    let row = rows[i];
+    if (
+      (isNintendo === null ||
+        (isNintendo && row[header.Publisher] == "Nintendo") ||
+        (!isNintendo && row[header.Publisher] != "Nintendo")) &&
+      (!region || row[header.Region] == region)
+    ) {
+      total += parseFloat(row[region ? header.Sales : header.Global_Sales]);
+    }
+  }
+
+  return total.toFixed(2);
+}
+
+module.exports = {
+  tables: ["games", "publishers", "sales"],
+
+  params: {
+    isNintendo: { type: "boolean" },
+  },
+
+  text: ({ isNintendo }) =>
+    `What are the total global sales for games that ${
+      isNintendo ? "are" : "are <strong>not</strong>"
+    } published by Nintendo?`,
+
+  answer: (csv, { isNintendo }, tables) => totalSales(tables, isNintendo, null),
+
+  // The games summed
+  support: (csv, { isNintendo }, tables) => {
+    const rows = util.join(tables.games, tables.publishers, "Publisher_ID");
+    const header = util.headerOf(rows);
+    return rows
+      .slice(1)
+      .filter((row) => (row[header.Publisher] == "Nintendo") === isNintendo)
+      .length;
+  },
+
+  distractors: (csv, { isNintendo }, tables) => [
+    totalSales(tables, !isNintendo, null),
+    totalSales(tables, null, null),
+    totalSales(tables, isNintendo, "NA"),
+  ],
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+/**
+ * Question template: the region where a publisher's games sold the most, joining the
+ * publishers, games and sales by region.
+ *
+ * Multiple choice; the distractors are the other regions.
+ */
+
+const util = require("../util");
+
+// The regions of the sales table, and how the choices name them
+const REGIONS = {
+  NA: "North America",
+  EU: "Europe",
+  JP: "Japan",
+  Other: "Other regions",
+};
+
+/**
+ * Sums the sales of a publisher's games in each region.
+ * @param {object} tables - The version's tables, by name.
+ * @param {string} publisher - The publisher's name.
+ * @returns {object} - The total sales by region, and the number of the publisher's games.
+ */
+function salesByRegion(tables, publisher) {
+  const games = util.join(tables.publishers, tables.games, "Publisher_ID");
+  const gamesHeader = util.headerOf(games);
+  const published = [games[0]].concat(
+    games.slice(1).filter((row) => row[gamesHeader.Publisher] == publisher)
+  );
+  const rows = util.join(published, tables.sales, "Rank");
+  const header = util.headerOf(rows);
+
+  const totals = {};
+  Object.keys(REGIONS).forEach((region) => {
+    totals[region] = 0;
+  });
+  for (let i = 1; i < rows.length; i++) {
+    let row = rows[i];
+    if (row[header.Region] in totals) {
+      totals[row[header.Region]] += parseFloat(row[header.Sales]);
+    }
+  }
+
+  return { totals: totals, numGames: published.length - 1 };
+}
+
+/**
+ * Returns the region with the highest sales.
+ * @param {object} totals - The total sales by region.
+ * @returns {string} - The region's code.
+ */
+function topRegion(totals) {
+  return Object.keys(totals).reduce((top, region) =>
+    totals[region] > totals[top] ? region : top
+  );
+}
+
+module.exports = {
+  tables: ["games", "publishers", "sales"],
+
+  // Publishers whose games sold the most in different regions
+  params: {
+    publisher: {
+      type: "choice",
+      values: [
+        "Nintendo",
+        "Electronic Arts",
+        "Namco Bandai Games",
+        "Tecmo Koei",
+        "Codemasters",
+        "Hudson Soft",
+      ],
+    },
+  },
+
+  text: 'In which region did the video games published by "{publisher}" sell the most units?',
+
+  answer: (csv, { publisher }, tables) =>
+    REGIONS[topRegion(salesByRegion(tables, publisher).totals)],
+
+  // The publisher's games
+  support: (csv, { publisher }, tables) =>
+    salesByRegion(tables, publisher).numGames,
+
+  distractors: (csv, { publisher }, tables) => {
+    const top = topRegion(salesByRegion(tables, publisher).totals);
+    return Object.keys(REGIONS)
+      .filter((region) => region !== top)
+      .map((region) => REGIONS[region]);
+  },
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Question template: difference between North American and Japanese sales for a year.
+ */
+
+const util = require("../util");
+
+module.exports = {
+  params: {
+    year: { type: "int", min: 1985, max: 2004 },
+  },
+
+  text: 'For video games released in the year "{year}", how many more sales units were made in North America compared to Japan?',
+
+  answer: (csv, { year }) => {
+    const header = util.headerOf(csv);
+    let totalSales = 0;
+
+    // Calculate total difference in sales between NA_Sales and JP_Sales for the given year
+    for (let i = 1; i < csv.length; i++) {
+      let row = csv[i];
+      if (row[header.Year] == year) {
+        totalSales +=
+          parseFloat(row[header.NA_Sales]) - parseFloat(row[header.JP_Sales]);
+      }
+    }
+
+    return totalSales.toFixed(2);
+  },
+
+  // The games released in the year
+  support: (csv, { year }) => {
+    const header = util.headerOf(csv);
+    return csv.slice(1).filter((row) => row[header.Year] == year).length;
+  },
+
+  // At least 5 games from the year, so there are sales to add up
+  requires: ({ year }) => ({ where: (row) => row.Year === `${year}`, min: 5 }),
+
+  tolerance: util.exactAnswer(0.01),
+};
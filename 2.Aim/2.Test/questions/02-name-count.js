@@ -0,0 +1,47 @@
+"use strict";
+
+/**
+ * Question template: number of games whose name contains a keyword.
+ */
+
+const util = require("../util");
+
+module.exports = {
+  params: {
+    name: {
+      type: "choice",
+      values: ["Pokemon", "Wii", "Super Mario", "Grand Theft Auto"],
+    },
+  },
+
+  text: 'How many video games contain "{name}" in their name?',
+
+  answer: (csv, { name }) => {
+    const header = util.headerOf(csv);
+    let numGames = 0;
+
+    // Count the number of games containing the selected name
+    for (let i = 1; i < csv.length; i++) {
+      let row = csv[i];
+      if (row[header.Name].includes(name)) {
+        numGames++;
+      }
+    }
+
+    return numGames;
+  },
+
+  // The games counted
+  support: (csv, { name }) => {
+    const header = util.headerOf(csv);
+    return csv.slice(1).filter((row) => row[header.Name].includes(name)).length;
+  },
+
+  // At least 5 games with the keyword in their name, so there are games to count
+  requires: ({ name }) => ({
+    where: (row) => row.Name.includes(name),
+    min: 5,
+  }),
+
+  tolerance: util.exactAnswer(0),
+};
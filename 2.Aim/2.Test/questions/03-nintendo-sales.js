@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * Question template: total global sales for games that are, or are not, published by Nintendo.
+ *
+ * Multiple choice; the distractors are the total for the opposite condition, the total
+ * for all games, and the North American sales for the same condition.
+ */
+
+const util = require("../util");
+
+/**
+ * Sums a sales column over the games matching the Nintendo condition.
+ * @param {Array} csv - The CSV data as an array of rows.
+ * @param {boolean|null} isNintendo - true for Nintendo games, false for the rest, null for all games.
+ * @param {string} column - The name of the sales column to sum.
+ * @returns {string} - The total, to two decimal places.
+ */
+function totalSales(csv, isNintendo, column) {
+  const header = util.headerOf(csv);
+  let total = 0;
+
+  // Calculate total sales based on the condition
+  for (let i = 1; i < csv.length; i++) {
+    let row = csv[i];
+    if (
+      isNintendo === null ||
+      (isNintendo && row[header.Publisher] == "Nintendo") ||
+      (!isNintendo && row[header.Publisher] != "Nintendo")
+    ) {
+      total += parseFloat(row[header[column]]);
+    }
+  }
+
+  return total.toFixed(2);
+}
+
+module.exports = {
+  params: {
+    isNintendo: { type: "boolean" },
+  },
+
+  text: ({ isNintendo }) =>
+    `What are the total global sales for games that ${
+      isNintendo ? "are" : "are <strong>not</strong>"
+    } published by Nintendo?`,
+
+  answer: (csv, { isNintendo }) => totalSales(csv, isNintendo, "Global_Sales"),
+
+  // The games summed
+  support: (csv, { isNintendo }) => {
+    const header = util.headerOf(csv);
+    return csv
+      .slice(1)
+      .filter((row) => (row[header.Publisher] == "Nintendo") === isNintendo)
+      .length;
+  },
+
+  distractors: (csv, { isNintendo }) => [
+    totalSales(csv, !isNintendo, "Global_Sales"),
+    totalSales(csv, null, "Global_Sales"),
+    totalSales(csv, isNintendo, "NA_Sales"),
+  ],
+};
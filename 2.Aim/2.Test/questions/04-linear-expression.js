@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * Question template: evaluate a linear expression (does not use the dataset).
+ */
+
+const util = require("../util");
+
+module.exports = {
+  params: {
+    x: { type: "int", min: 1, max: 20 },
+    y: { type: "int", min: 1, max: 5 },
+  },
+
+  text: "What is 8x + y, where x = {x} and y = {y}?",
+
+  answer: (csv, { x, y }) => 8 * x + y,
+
+  tolerance: util.exactAnswer(0),
+};
@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * Column declarations for the version datasets.
+ *
+ * Columns are found by name in each file's header row, so their order in the file does not
+ * matter. Each entry declares a column that must be present and the type its values must
+ * parse as: `"number"`, `"int"`, `"string"` or `"date"`. Use the object form to list values
+ * that stand for a missing value (e.g. `"N/A"`) and are accepted for any type.
+ *
+ * To use a different dataset, replace these declarations with its columns.
+ *
+ * A dataset of related tables (`dataset.tables` in the config file) is checked against
+ * `TABLES` instead, which declares the columns of each table in the same way. The tables below
+ * are the ones `1.Ready/1.Test/split.js` splits the master file into.
+ *
+ * Exports:
+ * - `COLUMNS`: An object mapping column names to their declared types.
+ * - `TABLES`: An object mapping table names to their declared columns.
+ */
+
+const COLUMNS = {
+  Rank: "int",
+  Name: "string",
+  Platform: "string",
+  Year: { type: "int", nullValues: ["N/A"] },
+  Genre: "string",
+  Publisher: "string",
+  NA_Sales: "number",
+  EU_Sales: "number",
+  JP_Sales: "number",
+  Other_Sales: "number",
+  Global_Sales: "number",
+};
+
+const TABLES = {
+  games: {
+    Rank: "int",
+    Name: "string",
+    Platform: "string",
+    Year: { type: "int", nullValues: ["N/A"] },
+    Genre: "string",
+    Publisher_ID: { type: "int", nullValues: [""] },
+    Global_Sales: "number",
+  },
+  publishers: {
+    Publisher_ID: "int",
+    Publisher: "string",
+  },
+  sales: {
+    Rank: "int",
+    Region: "string",
+    Sales: "number",
+  },
+};
+
+module.exports = { COLUMNS, TABLES };
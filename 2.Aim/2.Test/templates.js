@@ -0,0 +1,284 @@
+"use strict";
+
+/**
+ * Engine for declarative question templates.
+ *
+ * Each question is a small module in the `questions/` directory. Templates are run in
+ * file name order, so a numeric prefix (e.g. `01-sales-difference.js`) sets the question
+ * number. Adding a question only requires adding a file; `app.js` does not change.
+ *
+ * A template module exports:
+ * - `params`: An object of parameter samplers, drawn in key order:
+ *     - `{ type: "int", min, max }`: A random integer from `min` to `max` (inclusive).
+ *     - `{ type: "choice", values }`: A random element of `values`.
+ *     - `{ type: "boolean", probability }`: `true` with the given probability (default 0.5).
+ * - `text`: The question text. Either a string with `{param}` placeholders, or a
+ *   function `(params) => string`.
+ * - `answer`: A function `(csv, params, tables) => answer` computing the answer from the
+ *   version's dataset. `csv` is the dataset's (first) table; in a dataset of related tables
+ *   (`dataset.tables` in the config file), `tables` holds every table by name, so that answers
+ *   can join them (see `util.join`). For a dataset of one table, `tables` holds it under the
+ *   dataset's name.
+ * - `tables` (optional): The names of the tables the template needs. A version whose dataset
+ *   lacks one of them is reported instead of given a wrong answer.
+ * - `tolerance` (optional): The accepted tolerance for a numeric answer
+ *   (see `util.exactAnswer`, `util.rangeAnswer` and `util.precisionAnswer`).
+ * - `support` (optional): A function `(csv, params, tables) => number` returning the number of rows the
+ *   answer is computed from. It is used to compare the difficulty of versions (see `difficulty.js`).
+ * - `distractors` (optional): A function `(csv, params, tables) => answer[]` returning wrong answers
+ *   computed from the version's dataset. A template with distractors is a multiple choice
+ *   question: duplicates and values equal to the answer are dropped, up to `numDistractors`
+ *   (default 3) are kept, and the choices are shuffled with the version's seeded generator.
+ * - `requires` (optional): A function `(params) => ({ where, min })` naming the rows the question
+ *   needs to be answerable: at least `min` rows of the dataset's (first) table must satisfy
+ *   `where(row)`, where `row` is an object keyed by column name, with string values. The
+ *   sampling stage (`1.Ready/1.Test/app.js`) keeps enough such rows in every version for every
+ *   parameter value the template can draw, so the requirements follow the template's `params`.
+ *
+ * Exports:
+ * - `loadTemplates`: Loads all question templates from a directory.
+ * - `sampleParams`: Draws a template's parameters from a seeded generator.
+ * - `renderText`: Fills in a template's question text.
+ * - `runTemplate`: Generates the question, answer, tolerance and choices for one version.
+ * - `streamName`: Names the seeded generator stream for a question and draw.
+ * - `allParams`: Lists every set of parameters a template can draw.
+ * - `samplingRequirements`: The sampling requirements of the templates' `requires`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MAX_PARAM_SETS = 10000; // Most parameter sets a template with `requires` may have
+
+/**
+ * Loads all question templates from a directory, in file name order.
+ *
+ * @param {string} dir - The directory containing the template modules.
+ * @returns {object[]} - The templates, each with an added `id` (its file name without extension).
+ * @throws Will throw an error if a template is missing its `text` or `answer`.
+ */
+function loadTemplates(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => path.extname(file) === ".js")
+    .sort()
+    .map((file) => {
+      const template = require(path.resolve(dir, file));
+      const id = path.basename(file, ".js");
+      if (!template.text || typeof template.answer !== "function") {
+        throw new Error(`Question template ${id} must export text and answer.`);
+      }
+      return Object.assign({ id: id, params: {} }, template);
+    });
+}
+
+/**
+ * Draws a template's parameters from a seeded generator.
+ *
+ * @param {object} samplers - The template's parameter samplers.
+ * @param {object} rng - A seeded generator created by `seed.createRng`.
+ * @returns {object} - The sampled parameters.
+ * @throws Will throw an error if a sampler type is not recognised.
+ */
+function sampleParams(samplers, rng) {
+  const params = {};
+  Object.keys(samplers).forEach((name) => {
+    const sampler = samplers[name];
+    switch (sampler.type) {
+      case "int":
+        params[name] = rng.int(sampler.min, sampler.max);
+        break;
+      case "choice":
+        params[name] = rng.pick(sampler.values);
+        break;
+      case "boolean":
+        params[name] =
+          rng.random() <
+          (sampler.probability === undefined ? 0.5 : sampler.probability);
+        break;
+      default:
+        throw new Error(`Invalid parameter sampler type: ${sampler.type}`);
+    }
+  });
+  return params;
+}
+
+/**
+ * Fills in a template's question text.
+ *
+ * @param {string|function} text - The question text with `{param}` placeholders, or a function of the parameters.
+ * @param {object} params - The sampled parameters.
+ * @returns {string} - The question text.
+ */
+function renderText(text, params) {
+  if (typeof text === "function") {
+    return text(params);
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? `${params[name]}` : match
+  );
+}
+
+/**
+ * Generates the question, answer and tolerance for one version.
+ *
+ * @param {object} template - The question template.
+ * @param {Array[]} csv - The version's dataset (its first table) as an array of rows.
+ * @param {object} rng - A seeded generator for this version and question.
+ * @param {object} tables - Every table of the version's dataset as an array of rows, by name.
+ * @returns {object} - The `question`, `answer`, `tolerance` and `choices` (undefined if none) for the
+ *   version, the sampled `params`, and the `support` row count (undefined if the template has none).
+ * @throws Will throw an error if the dataset lacks a table the template needs, or if a
+ *   multiple choice template yields no distinct distractors.
+ */
+function runTemplate(template, csv, rng, tables) {
+  const missing = (template.tables || []).filter((name) => !tables[name]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Question template ${template.id} needs the tables ${missing.join(
+        ", "
+      )}, which the dataset does not have (see dataset.tables in the config file).`
+    );
+  }
+
+  const params = sampleParams(template.params, rng);
+  const result = {
+    question: renderText(template.text, params),
+    answer: `${template.answer(csv, params, tables)}`,
+    tolerance: template.tolerance,
+    params: params,
+  };
+
+  if (typeof template.support === "function") {
+    result.support = template.support(csv, params, tables);
+  }
+
+  if (typeof template.distractors === "function") {
+    const numDistractors =
+      template.numDistractors === undefined ? 3 : template.numDistractors;
+    const distractors = [];
+    template.distractors(csv, params, tables).forEach((value) => {
+      const text = `${value}`;
+      if (
+        text !== result.answer &&
+        !distractors.includes(text) &&
+        distractors.length < numDistractors
+      ) {
+        distractors.push(text);
+      }
+    });
+
+    if (distractors.length === 0) {
+      throw new Error(
+        `Question template ${template.id} has no distractors that differ from the answer "${result.answer}".`
+      );
+    }
+
+    // Multiple choice answers are matched exactly, so no tolerance applies
+    result.tolerance = undefined;
+    result.choices = rng.shuffle([result.answer].concat(distractors));
+  }
+
+  return result;
+}
+
+/**
+ * Names the seeded generator stream for a question.
+ *
+ * The first draw uses the stream `q<n>`. When a version's parameters are drawn again
+ * (e.g. to replace an outlier), draw `r` uses the stream `q<n>.<r>`, so every draw can be
+ * reproduced from the seed, the version hash and the draw number recorded in `q<n>r`.
+ *
+ * @param {number} qNum - The question number.
+ * @param {number} draw - The draw number (0 for the first draw).
+ * @returns {string} - The stream name.
+ */
+function streamName(qNum, draw) {
+  return draw ? `q${qNum}.${draw}` : `q${qNum}`;
+}
+
+/**
+ * Lists every set of parameters a template can draw.
+ *
+ * @param {object} samplers - The template's parameter samplers.
+ * @returns {object[]} - The parameter sets, in key order.
+ * @throws Will throw an error if a sampler type is not recognised, or if there are more than
+ *   `MAX_PARAM_SETS` sets.
+ */
+function allParams(samplers) {
+  let sets = [{}];
+  Object.keys(samplers).forEach((name) => {
+    const sampler = samplers[name];
+    let values;
+    switch (sampler.type) {
+      case "int":
+        values = [];
+        for (let value = sampler.min; value <= sampler.max; value++) {
+          values.push(value);
+        }
+        break;
+      case "choice":
+        values = sampler.values;
+        break;
+      case "boolean":
+        values = [true, false];
+        break;
+      default:
+        throw new Error(`Invalid parameter sampler type: ${sampler.type}`);
+    }
+    sets = [].concat(
+      ...sets.map((set) =>
+        values.map((value) => Object.assign({}, set, { [name]: value }))
+      )
+    );
+    if (sets.length > MAX_PARAM_SETS) {
+      throw new Error(
+        `Too many parameter sets to list (more than ${MAX_PARAM_SETS}).`
+      );
+    }
+  });
+  return sets;
+}
+
+/**
+ * Returns the sampling requirements of the templates' `requires`, one for each set of
+ * parameters a template can draw (see `1.Ready/1.Test/sampling.js`).
+ *
+ * @param {object[]} templates - The templates, from `loadTemplates`.
+ * @returns {object[]} - The requirements, as `{ description, where, min }`.
+ * @throws Will throw an error if a template's parameter sets cannot be listed.
+ */
+function samplingRequirements(templates) {
+  const requirements = [];
+  templates
+    .filter((template) => typeof template.requires === "function")
+    .forEach((template) => {
+      let sets;
+      try {
+        sets = allParams(template.params);
+      } catch (err) {
+        throw new Error(`Question template ${template.id}: ${err.message}`);
+      }
+      sets.forEach((params) => {
+        const required = template.requires(params);
+        requirements.push({
+          description: `at least ${required.min} rows for ${
+            template.id
+          } with ${JSON.stringify(params)}`,
+          where: required.where,
+          min: required.min,
+        });
+      });
+    });
+  return requirements;
+}
+
+module.exports = {
+  loadTemplates,
+  sampleParams,
+  renderText,
+  runTemplate,
+  streamName,
+  allParams,
+  samplingRequirements,
+};
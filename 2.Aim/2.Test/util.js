@@ -1,59 +1,212 @@
 "use strict";
 
 /**
- * Utility functions for parsing CSV files and performing data manipulations.
+ * Utility functions for reading datasets and performing data manipulations.
  *
- * This module provides functions to parse CSV files, work with data arrays,
+ * This module provides functions to read version datasets, work with data arrays,
  * and perform common operations needed for generating questions and answers.
  *
  * Dependencies:
- * - `babyparse`: For parsing CSV files.
+ * - `formats/index.js` in the repository root: For reading CSV, Excel, JSON and Parquet datasets.
+ * - `relations.js` in the repository root: For checking the foreign keys of related tables.
  * - `lodash`: Utility library for data manipulations.
  */
 
-const Baby = require("babyparse");
 const _ = require("lodash");
+const formats = require("../../formats");
+const relations = require("../../relations.js");
 
-// Header mapping for the CSV file columns
-const header = {
-  Rank: 0,
-  Name: 1,
-  Platform: 2,
-  Year: 3,
-  Genre: 4,
-  Publisher: 5,
-  NA_Sales: 6,
-  EU_Sales: 7,
-  JP_Sales: 8,
-  Other_Sales: 9,
-  Global_Sales: 10,
-};
+const MAX_ERRORS_PER_COLUMN = 5; // Number of unparseable values reported for each column
 
-exports.header = header;
+/**
+ * Maps each column name in a CSV file's header row to its index.
+ *
+ * @param {Array[]} csv - The CSV data as a 2D array, with the header in the first row.
+ * @returns {object} - An object mapping column names to column indices.
+ */
+exports.headerOf = (csv) => {
+  const header = {};
+  (csv[0] || []).forEach((name, index) => {
+    header[`${name}`.trim()] = index;
+  });
+  return header;
+};
 
 /**
- * Parses a CSV file and returns its data as a 2D array.
+ * Checks a CSV file against column declarations (see `schema.js`).
+ *
+ * Reports every declared column missing from the header row, and values that do not parse
+ * as their column's declared type (up to `MAX_ERRORS_PER_COLUMN` per column).
  *
- * @param {string} file - The file path to the CSV file.
- * @returns {Array[]} - A 2D array representing the CSV data.
- * @throws Will throw an error if the CSV file cannot be parsed.
+ * @param {Array[]} csv - The CSV data as a 2D array, with the header in the first row.
+ * @param {object} columns - An object mapping column names to their declared types.
+ * @returns {object} - An object containing any errors found.
  */
-exports.parseStudentAnswerCsv = (file) => {
-  const csv = Baby.parseFiles(file, {
-    delimiter: ",",
-    encoding: "UTF-8",
-    header: false,
-    skipEmptyLines: true,
+exports.validateCsv = (csv, columns) => {
+  const result = {};
+  const header = exports.headerOf(csv);
+
+  Object.keys(columns).forEach((name) => {
+    const declaration =
+      typeof columns[name] === "string"
+        ? { type: columns[name] }
+        : columns[name];
+    const nullValues = declaration.nullValues || [];
+    const index = header[name];
+
+    if (index === undefined) {
+      addError(result, `Missing column: ${name}`);
+      return;
+    }
+
+    let numErrors = 0;
+    for (let i = 1; i < csv.length; i++) {
+      const value = csv[i][index];
+      if (nullValues.includes(value) || isOfType(value, declaration.type)) {
+        continue;
+      }
+      numErrors++;
+      if (numErrors <= MAX_ERRORS_PER_COLUMN) {
+        addError(
+          result,
+          `Row ${i + 1}, column ${name}: "${value}" is not a valid ${
+            declaration.type
+          }`
+        );
+      }
+    }
+    if (numErrors > MAX_ERRORS_PER_COLUMN) {
+      addError(
+        result,
+        `Column ${name}: ${
+          numErrors - MAX_ERRORS_PER_COLUMN
+        } more invalid values`
+      );
+    }
   });
 
-  if (csv.errors.length > 0) {
-    csv.errors.forEach((e) => {
-      console.error(e.message);
+  return result;
+};
+
+/**
+ * Checks the tables of a dataset of related tables against their column declarations (see
+ * `schema.js`), and checks that their foreign keys resolve (see `relations.js`).
+ *
+ * @param {object} tables - The data of each table as a 2D array, by table name.
+ * @param {object} declarations - The declared columns of each table, by table name.
+ * @param {object} declared - The `dataset.tables` setting, declaring the foreign keys.
+ * @returns {object} - An object containing any errors found.
+ */
+exports.validateTables = (tables, declarations, declared) => {
+  const result = {};
+  Object.keys(declarations).forEach((name) => {
+    if (!tables[name]) {
+      addError(result, `Missing table: ${name}`);
+      return;
+    }
+    const validation = exports.validateCsv(tables[name], declarations[name]);
+    (validation.errors || []).forEach((msg) => {
+      addError(result, `Table ${name}: ${msg}`);
     });
-    throw new Error("Could not parse the CSV file.");
+  });
+  relations
+    .unresolvedKeys(tables, declared)
+    .forEach((msg) => addError(result, msg));
+  return result;
+};
+
+/**
+ * Joins two tables on a column of each (an inner join), as in SQL
+ * `SELECT * FROM left JOIN right ON left.leftColumn = right.rightColumn`.
+ *
+ * @param {Array[]} left - The left table's data as a 2D array, with the header in the first row.
+ * @param {Array[]} right - The right table's data as a 2D array, with the header in the first row.
+ * @param {string} leftColumn - The column of the left table to join on.
+ * @param {string} [rightColumn] - The column of the right table to join on (default `leftColumn`).
+ * @returns {Array[]} - A row for each pair of matching rows, with the left table's columns
+ *   followed by the right table's columns that the left table does not have, header first.
+ *   Empty values match nothing, as NULL does in SQL.
+ * @throws Will throw an error if a table does not have its join column.
+ */
+exports.join = (left, right, leftColumn, rightColumn = leftColumn) => {
+  const leftHeader = exports.headerOf(left);
+  const rightHeader = exports.headerOf(right);
+  if (leftHeader[leftColumn] === undefined) {
+    throw new Error(`Cannot join on missing column: ${leftColumn}`);
   }
+  if (rightHeader[rightColumn] === undefined) {
+    throw new Error(`Cannot join on missing column: ${rightColumn}`);
+  }
+
+  const added = right[0]
+    .map((name, index) => index)
+    .filter((index) => leftHeader[`${right[0][index]}`.trim()] === undefined);
+  const matches = _.groupBy(
+    right.slice(1),
+    (row) => row[rightHeader[rightColumn]]
+  );
+
+  const joined = [left[0].concat(added.map((index) => right[0][index]))];
+  left.slice(1).forEach((row) => {
+    const value = row[leftHeader[leftColumn]];
+    const found = value !== "" && _.has(matches, value) ? matches[value] : [];
+    found.forEach((match) => {
+      joined.push(row.concat(added.map((index) => match[index])));
+    });
+  });
+  return joined;
+};
 
-  return csv.data;
+/**
+ * Reads a version's dataset (CSV, Excel, JSON or Parquet) and returns its data as 2D arrays.
+ *
+ * @param {string} folder - The folder holding the version's dataset.
+ * @param {object} dataset - The `dataset` settings (see `formats.readDataset`).
+ * @param {function} done - Callback function called with an error, the data of the dataset's
+ *   first (main) table, and the data of every table by table name, each with the header in the
+ *   first row.
+ */
+exports.readDataset = (folder, dataset, done) => {
+  formats.readDataset(folder, dataset, (err, read) => {
+    if (err) return done(err);
+    const tables = {};
+    read.forEach((table) => {
+      tables[table.name] = table.rows;
+    });
+    done(null, read[0].rows, tables);
+  });
+};
+
+/**
+ * Creates a loader that reads version datasets on demand and keeps only the last one.
+ *
+ * With one version per student (see `roster.js`) there can be more datasets than fit in
+ * memory at once, so each is read when it is needed and dropped when another is loaded.
+ *
+ * @param {function} folderOf - Returns the folder holding a version's dataset from its hash.
+ * @param {object} dataset - The `dataset` settings (see `formats.readDataset`).
+ * @returns {function} - Calls back with an error or a version's data, as `readDataset` does,
+ *   from its hash: `(hash, done)`.
+ */
+exports.datasetLoader = (folderOf, dataset) => {
+  let lastHash = null;
+  let lastCsv = null;
+  let lastTables = null;
+  return (hash, done) => {
+    if (hash === lastHash) {
+      return done(null, lastCsv, lastTables);
+    }
+    lastHash = null;
+    lastCsv = null; // Let the previous dataset be collected before reading the next
+    lastTables = null;
+    exports.readDataset(folderOf(hash), dataset, (err, csv, tables) => {
+      if (err) return done(err);
+      lastHash = hash;
+      lastCsv = csv;
+      lastTables = tables;
+      done(null, csv, tables);
+    });
+  };
 };
 
 /**
@@ -81,3 +234,79 @@ exports.len = (str) => {
     return 0;
   }
 };
+
+/**
+ * Describes a numeric answer accepted within a margin of the exact answer.
+ *
+ * Stored in the QA file as `q<n>t` next to the question's answer; questions with a
+ * `q<n>t` entry are created in Canvas as numerical questions instead of exact-match
+ * short answer questions.
+ *
+ * @param {number} margin - The allowed absolute difference from the answer.
+ * @returns {object} - The answer tolerance.
+ */
+exports.exactAnswer = (margin) => {
+  return { type: "exact", margin: margin };
+};
+
+/**
+ * Describes a numeric answer accepted anywhere within a range.
+ *
+ * @param {number} start - The lowest accepted value.
+ * @param {number} end - The highest accepted value.
+ * @returns {object} - The answer tolerance.
+ */
+exports.rangeAnswer = (start, end) => {
+  return {
+    type: "range",
+    start: Math.min(start, end),
+    end: Math.max(start, end),
+  };
+};
+
+/**
+ * Describes a numeric answer accepted when it matches the answer to a number of significant digits.
+ *
+ * @param {number} precision - The number of significant digits that must match.
+ * @returns {object} - The answer tolerance.
+ */
+exports.precisionAnswer = (precision) => {
+  return { type: "precision", precision: precision };
+};
+
+/**
+ * Checks whether a CSV value parses as a declared type.
+ *
+ * @param {string} value - The value from the CSV file.
+ * @param {string} type - The declared type ("number", "int", "string" or "date").
+ * @returns {boolean} - True if the value is valid for the type.
+ * @throws Will throw an error if the type is not recognised.
+ */
+function isOfType(value, type) {
+  const text = value === undefined || value === null ? "" : `${value}`.trim();
+  switch (type) {
+    case "number":
+      return text !== "" && isFinite(Number(text));
+    case "int":
+      return /^[-+]?\d+$/.test(text);
+    case "string":
+      return value !== undefined && value !== null;
+    case "date":
+      return text !== "" && !isNaN(Date.parse(text));
+    default:
+      throw new Error(`Invalid column type: ${type}`);
+  }
+}
+
+/**
+ * Helper function to add an error message to the result object.
+ *
+ * @param {object} resultObject - The result object where errors are collected.
+ * @param {string} msg - The error message to add.
+ */
+function addError(resultObject, msg) {
+  if (!resultObject.errors) {
+    resultObject.errors = [];
+  }
+  resultObject.errors.push(msg);
+}
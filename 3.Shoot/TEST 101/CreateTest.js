@@ -9,20 +9,49 @@
  *
  * Input:
  * - A JSON file (`TestQA-<timestamp>.json`) containing questions and answers for each version.
- * - A CSV file (`TestFiles.csv`) containing file download URLs for each version.
+ * - A CSV file (`TestFiles.csv`) containing file download URLs for each version, or, if
+ *   `upload.enabled` is set, the upload record (`TestUploads.json`) written when the zip
+ *   stage uploaded the files to the file host.
+ * - Or, with `--plan <file>`, a deploy plan written by an earlier `--dry-run`, instead of both.
  *
  * Output:
  * - Creates quizzes in Canvas for each version of the assessment.
+ * - A run manifest (`<QA file>-<assignment title>-manifest.json`) in `inOutFiles` mapping each
+ *   version hash to its quiz ID, assignment ID, students, file URL and QA file.
+ * - A quiz ID list (`<QA file>-<assignment title>-quizIds.txt`) in `inOutFiles`.
+ * - With `--dry-run`, only a deploy plan (`<QA file>-<assignment title>-plan.json`) in
+ *   `inOutFiles`, listing every quiz, question, answer and override the run would create.
  *
  * Usage:
- * - Configure the constants in the script (e.g., COURSE_ID, TOKEN, etc.).
+ * - Set the `canvas` and `assessment` sections of the config file (`page.config.json`, see
+ *   `config.js`), e.g. the course ID, dates and marks. Set the API token in the `CANVAS_TOKEN`
+ *   environment variable rather than in the file.
  * - Run `npm install` from the `3.Shoot/TEST 101` directory to install dependencies.
  * - Run `node CreateTest.js` from the `3.Shoot/TEST 101` directory.
+ * - Run `node CreateTest.js --dry-run` to write the deploy plan without changing anything in
+ *   Canvas, then `node CreateTest.js --plan <plan file>` to carry out exactly that plan.
+ * - Run `node CreateTest.js --resume` to finish a run that stopped part way.
  *
  * Notes:
+ * - When run through the `page` CLI, `inOutFiles` is replaced by `<workspace>/deploy` and the
+ *   newest Q&A file in it is used (see `workspace.js`).
  * - The script uses the Canvas API to create quizzes and assignments.
- * - Students are assigned to versions based on their user ID.
+ * - Students are assigned to versions by the strategy set in `assignment.strategy` (see
+ *   `assignment.js`). Each student's version is pinned in `<assignment title>-assignments.csv`
+ *   in `inOutFiles` and kept on later runs; delete the file to assign everyone again.
+ * - In per-student mode (`perStudent.enabled`, see `roster.js`) every version is keyed by
+ *   a student's SIS ID, and that student alone is assigned to it: no assignment strategy is
+ *   used and nothing is pinned. Versions of students who are no longer enrolled are left
+ *   out, and enrolled students who are not in the roster are reported.
+ * - Questions with `q<n>c` choices in the QA file are created as multiple choice questions,
+ *   questions whose answer has a `q<n>t` tolerance as numerical questions, and all other
+ *   questions as exact-match short answer questions.
  * - Ensure that your Canvas API token has the necessary permissions.
+ * - A dry run still reads the list of students from Canvas, but sends no other request.
+ * - Every completed step (quiz, each question, override, publish) is recorded in the run
+ *   manifest. If a run stops part way, run the script again with `--resume` (and the same
+ *   `--plan`, if any): only the missing steps are carried out, so no duplicate quizzes are
+ *   created.
  */
 
 const _ = require("lodash");
@@ -30,241 +59,757 @@ const async = require("async");
 const fs = require("fs");
 const path = require("path");
 const util = require("./util.js");
-const RestClient = require("node-rest-client").Client;
+const canvasClient = require("./canvas.js");
+const assignment = require("./assignment.js");
+const roster = require("../../roster.js");
+const hosts = require("../../1.Ready/0.Create-Zip/hosts/index.js");
+
+// Load the shared config file (see `config.js`)
+const loaded = require("../../config.js").load(["canvas", "assessment"]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+const { canvas, assessment } = loaded.config;
+
+const workspace = require("../../workspace.js");
+const resourcesPath = workspace.active
+  ? workspace.DEPLOY
+  : loaded.config.paths.deploy.resourcesPath;
 
-const resourcesPath = "inOutFiles";
+const NUM_VERSIONS = loaded.config.versions; // Number of assessment versions to create
+const PER_STUDENT = loaded.config.perStudent.enabled; // true: one version per student, keyed by SIS ID
 
-const NUM_VERSIONS = 3; // Number of assessment versions to create
+const COURSE_ID = canvas.courseId; // Canvas Course ID
+const DOMAIN = canvas.domain; // Your Canvas domain (we suggest using a test environment first before using production)
 
-const COURSE_ID = 0; // Canvas Course ID
-const DOMAIN = "https://auckland.test.instructure.com"; // Your Canvas domain (we suggest using a test environment first before using production)
-// Platform for storing file URLs ('Canvas', 'Google Drive', or 'OneDrive'; refer to and edit `3.Shoot/TEST 101/util.js` if 'OneDrive' is specified)
-const PLATFORM = "Canvas";
+// Command line options: `--dry-run`, `--plan <file>` and `--resume`
+const options = parseArgs(process.argv.slice(2));
+const DRY_RUN = options.dryRun; // Write the deploy plan without changing anything in Canvas
+// Continue the run recorded in the run manifest, doing only the steps that did not finish
+const RESUME = options.resume;
+const PLAN = options.plan ? loadPlan(options.plan) : null; // Deploy plan to carry out
 
 const hash = require("../../1.Ready/0.Create-Zip/hash.js");
 const HASHES = hash.HASHES; // List of version hashes
 
-/**********************/
-/** Configuration    **/
-/**********************/
+if (!PLAN && !PER_STUDENT && HASHES.length !== NUM_VERSIONS) {
+  console.error(
+    `hash.js lists ${HASHES.length} versions but the config file sets versions to ${NUM_VERSIONS}.`
+  );
+  process.exit(1);
+}
 
-// Replace with actual file names and settings
-const QA_FILE = "TestQA-2024-12-02-230419.json"; // Questions and answers file
-const URL_FILE = "TestFiles.csv"; // File containing download URLs
-const Q_PREFIX = ""; // Prefix for question keys, if necessary
+// Questions and answers file (in a workspace, the newest one written by `generate-qa`)
+const QA_FILE = PLAN
+  ? PLAN.qaFile
+  : workspace.active
+  ? workspace.latestFile(workspace.DEPLOY, workspace.QA_FILE_PATTERN)
+  : assessment.qaFile;
+if (!QA_FILE) {
+  console.error(
+    workspace.active
+      ? `No Q&A file found in ${workspace.DEPLOY}. Run "generate-qa" first.`
+      : "No Q&A file: set assessment.qaFile in the config file."
+  );
+  process.exit(1);
+}
+const URL_FILE = assessment.urlFile; // File containing download URLs
+// Upload record of the zip files uploaded by the zip stage, used instead of URL_FILE
+const UPLOAD_RECORD_FILE = loaded.config.upload.enabled
+  ? loaded.config.upload.recordFile
+  : "";
+const Q_PREFIX = assessment.qPrefix; // Prefix for question keys, if necessary
+
+const ASSIGNMENT_TITLE = PLAN ? PLAN.assignmentTitle : assessment.title; // Assignment title
+const STARTING_Q_NUMBER = assessment.startingQuestion; // Starting question number
+const ASSIGNMENT_GROUP = canvas.assignmentGroup; // Canvas assignment group ID
+
+const NUMBER_OF_ATTEMPTS = assessment.attempts; // Number of attempts allowed
+const START_DATE = assessment.startDate; // Quiz start date
+const LOCK_AND_DUE_DATE = assessment.lockDate; // Quiz lock and due date
+
+const TOTAL_MARKS_PER_QUIZ = assessment.totalMarks; // Total marks per quiz
+const NUMBER_OF_QUESTIONS_PER_QUIZ = assessment.numQuestions; // Number of questions per quiz
+const MARKS_PER_QUESTION = TOTAL_MARKS_PER_QUIZ / NUMBER_OF_QUESTIONS_PER_QUIZ; // Marks per question
+const BONUS_Q = assessment.bonusQuestions; // Bonus questions (optional)
 
-const ASSIGNMENT_TITLE = "Test Assessment"; // Assignment title
-const STARTING_Q_NUMBER = 1; // Starting question number
-const ASSIGNMENT_GROUP = 0; // Canvas assignment group ID
+// How students are assigned to versions (see `assignment.js`)
+const ASSIGNMENT_STRATEGY = loaded.config.assignment.strategy;
+const ASSIGNMENT_SEED = loaded.config.assignment.seed || hash.SEED; // Seed for `shuffle`
+const GROUPS_FILE = loaded.config.assignment.groupsFile; // Student groups (optional)
+const MAPPING_FILE = loaded.config.assignment.mappingFile; // Student versions for `csv`
 
-const NUMBER_OF_ATTEMPTS = 1; // Number of attempts allowed
-const START_DATE = new Date("2024/12/25 18:00:00 GMT +13:00").toISOString(); // Quiz start date
-const LOCK_AND_DUE_DATE = new Date(
-  "2024/12/25 20:00:00 GMT +13:00"
-).toISOString(); // Quiz lock and due date
+const TOKEN = canvas.token; // Your Canvas API token (from the config file or CANVAS_TOKEN)
 
-const TOTAL_MARKS_PER_QUIZ = 100; // Total marks per quiz
-const NUMBER_OF_QUESTIONS_PER_QUIZ = 4; // Number of questions per quiz
-const MARKS_PER_QUESTION = TOTAL_MARKS_PER_QUIZ / NUMBER_OF_QUESTIONS_PER_QUIZ; // Marks per question
-const BONUS_Q = {}; // Bonus questions (optional)
+// Canvas API client, which retries failed requests and records the ones that still fail
+const client = canvasClient.createClient({
+  domain: DOMAIN,
+  courseId: COURSE_ID,
+  token: TOKEN,
+});
 
-/**********************/
-/** End Configuration **/
-/**********************/
+// Reasons why versions could not be fully created, keyed by version
+const failures = {};
 
-const TOKEN = ""; // Your Canvas API token
+let quizIds = ["assignmentId|quizId|canvasStudentIds"];
 
-// Initialize the Canvas client with the API token
-util.init(TOKEN);
+const planFilePath = options.plan
+  ? path.resolve(options.plan)
+  : path.join(
+      resourcesPath,
+      util.generatePlanFileName(QA_FILE, ASSIGNMENT_TITLE)
+    );
+
+// Pinned version of every student assigned so far
+const pinFilePath = path.join(
+  resourcesPath,
+  util.generateAssignmentFileName(ASSIGNMENT_TITLE)
+);
 
-const client = new RestClient();
+// Run manifest recording the quiz and students for each version
+const manifestFilePath = path.join(
+  resourcesPath,
+  util.generateManifestFileName(QA_FILE, ASSIGNMENT_TITLE)
+);
+let manifest;
 
-let quizIds = ["assignmentId|quizId|canvasStudentIds"];
+if (!DRY_RUN) {
+  manifest = openManifest();
+}
 
 /**
  * Main process:
- * - Load questions and answers for each version.
- * - Load file URLs for each version.
- * - Assign students to versions.
- * - For each version:
+ * - Build the deploy plan, unless one is given with `--plan`:
+ *     - Load questions and answers for each version.
+ *     - Load file URLs for each version.
+ *     - Assign students to versions.
+ * - With `--dry-run`, write the plan and stop.
+ * - Pin the versions of the students in the plan (not in per-student mode).
+ * - For each version in the plan:
  *     - Create a quiz in Canvas.
  *     - Add questions to the quiz.
  *     - Set assignment overrides for the students assigned to the version.
  */
 
-// Load student questions and answers
-const qaFilePath = path.join(resourcesPath, QA_FILE);
-let studentsQA = util.loadStudentQaFile(qaFilePath);
-
-// Load student file download URLs
-const urlFilePath = path.join(resourcesPath, URL_FILE);
-let studentsFileUrls = util.loadStudentFilesUrls(urlFilePath, PLATFORM);
+if (PLAN) {
+  printPlan(PLAN);
+  if (DRY_RUN) {
+    console.log(`The plan in ${planFilePath} matches this course.`);
+    process.exit(0);
+  }
+  if (!PER_STUDENT) {
+    pinPlan(PLAN);
+  }
+  createQuizzes(PLAN);
+} else {
+  // Load student questions and answers
+  const qaFilePath = path.join(resourcesPath, QA_FILE);
+  let studentsQA = util.loadStudentQaFile(qaFilePath);
+
+  // Load student file download URLs
+  let studentsFileUrls = UPLOAD_RECORD_FILE
+    ? loadUploadedFileUrls()
+    : util.loadStudentFilesUrls(
+        path.join(resourcesPath, URL_FILE),
+        (id, name) => hosts.downloadUrl(loaded.config, id, name)
+      );
 
-// Merge the file URLs into the studentsQA object
-studentsQA = _.forEach(studentsQA, (s, version) => {
-  s = _.merge(s, studentsFileUrls[version]);
-});
+  // Merge the file URLs into the studentsQA object
+  studentsQA = _.forEach(studentsQA, (s, version) => {
+    s = _.merge(s, studentsFileUrls[version]);
+  });
 
-// Check that all questions have answers
-const truthyCheckResult = util.checkTruthy(studentsQA);
-if (truthyCheckResult.errors) {
-  console.error(`
+  // Check that all questions have answers
+  const truthyCheckResult = util.checkTruthy(studentsQA);
+  if (truthyCheckResult.errors) {
+    console.error(`
 Errors found in QA file:
 ${truthyCheckResult.errors}
 `);
-  process.exit();
-}
-
-// Get Canvas user IDs for students enrolled in the course
-getCanvasUserIds(
-  `${DOMAIN}/api/v1/courses/${COURSE_ID}/users?enrollment_type[]=student&per_page=100`
-);
-// When getCanvasUserIds finishes, it calls createQuizzes().
+    process.exit(1);
+  }
 
-function createQuizzes() {
-  const url = `${DOMAIN}/api/v1/courses/${COURSE_ID}/quizzes`;
+  // Get Canvas user IDs for students enrolled in the course, then plan and create the quizzes
+  client.listUsers((err, users) => {
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    const plan = buildPlan(
+      studentsQA,
+      PER_STUDENT
+        ? assignStudentsBySisId(users, studentsQA)
+        : assignStudents(users, studentsQA)
+    );
+    printPlan(plan);
+    if (DRY_RUN) {
+      fs.writeFileSync(planFilePath, JSON.stringify(plan, null, 2));
+      console.log(`Dry run: nothing was changed in Canvas.
+Deploy plan written to ${planFilePath}
+Run "node CreateTest.js --plan ${path.relative(
+        process.cwd(),
+        planFilePath
+      )}" to carry it out.`);
+      process.exit(0);
+    }
+    if (!PER_STUDENT) {
+      pinPlan(plan);
+    }
+    createQuizzes(plan);
+  });
+}
 
+/**
+ * Creates the quizzes in a deploy plan, one version at a time.
+ * @param {object} plan - The deploy plan.
+ */
+function createQuizzes(plan) {
   async.eachSeries(
-    Object.keys(studentsQA),
+    Object.keys(plan.versions),
     (version, versionDone) => {
-      const title = `${ASSIGNMENT_TITLE}`;
-      const fileName = studentsQA[version].fileName;
-      const fileUrl = studentsQA[version].fileUrl;
-      const description = `<p>This is a test assessment. Please use the link below to download the files for your assessment version.</p>
-          <p><strong>${fileName}</strong>: <a href="${fileUrl}">${fileUrl}</a></p>`;
-
-      const quizArgs = util.newQuizArgs(
-        title,
-        description,
-        TOTAL_MARKS_PER_QUIZ,
-        NUMBER_OF_ATTEMPTS,
-        ASSIGNMENT_GROUP
-      );
-
-      console.log(`Creating quiz for version ${version}`);
-
-      client.post(url, quizArgs, (data, response) => {
-        if (response.statusCode !== 200) {
-          console.error(`Failed to create quiz for version ${version}`);
-          return versionDone();
-        }
-
-        const quizId = data.id;
-        const assignmentId = data.assignment_id;
-        const canvasStudentIds = studentsQA[version].id;
-
-        quizIds.push(`${assignmentId}|${quizId}|${canvasStudentIds.join(",")}`);
-
-        async.series(
-          [
-            // Add questions to the quiz
-            (questionsAdded) => {
-              addQuestions(quizId, version, questionsAdded);
-            },
-            // Add assignment overrides for students assigned to this version
-            (overridesAdded) => {
-              const overrideUrl = `${DOMAIN}/api/v1/courses/${COURSE_ID}/assignments/${assignmentId}/overrides`;
-              const overrideArgs = util.newOverrideArgs(
-                START_DATE,
-                LOCK_AND_DUE_DATE,
-                canvasStudentIds
+      const planned = plan.versions[version];
+      async.series(
+        [
+          // Create the quiz, unless a previous run already did
+          (quizReady) => {
+            if (manifest.versions[version]) {
+              console.log(
+                `Quiz ${manifest.versions[version].quizId} already exists for version ${version}`
               );
-              client.post(overrideUrl, overrideArgs, (data, response) => {
-                if (response.statusCode === 201) {
-                  overridesAdded();
-                } else {
-                  console.error(
-                    `Override failed for version ${version}. Response: ${response.statusCode} - ${response.statusMessage}`
-                  );
-                  overridesAdded(); // Proceed even if override fails
-                }
-              });
-            },
-            // Publish the quiz
-            (quizPublished) => {
-              const publishUrl = `${DOMAIN}/api/v1/courses/${COURSE_ID}/quizzes/${quizId}`;
-              client.put(
-                publishUrl,
-                util.newPublishQuizArgs(),
-                (data, response) => {
-                  quizPublished();
-                }
-              );
-            },
-          ],
-          () => {
-            // Version processing done
-            versionDone();
+              return quizReady();
+            }
+            createQuiz(version, planned, quizReady);
+          },
+          // Add questions to the quiz
+          (questionsAdded) => {
+            addQuestions(version, planned, questionsAdded);
+          },
+          // Add assignment overrides for students assigned to this version
+          (overridesAdded) => {
+            addOverride(version, planned, overridesAdded);
+          },
+          // Publish the quiz
+          (quizPublished) => {
+            publishQuiz(version, quizPublished);
+          },
+        ],
+        (err) => {
+          // Version processing done
+          if (err) {
+            console.error(err.message);
+            failures[version] = err.message;
           }
-        );
-      });
+
+          const entry = manifest.versions[version];
+          if (entry) {
+            quizIds.push(
+              `${entry.assignmentId}|${entry.quizId}|${entry.canvasUserIds.join(
+                ","
+              )}`
+            );
+          }
+          versionDone();
+        }
+      );
     },
     () => {
       // All versions processed
-      console.log(`All quizzes created.`);
-      process.exit();
+      util.saveRunManifest(manifestFilePath, manifest);
+      fs.writeFileSync(
+        path.join(
+          resourcesPath,
+          util.generateIdOutputFileName(QA_FILE, ASSIGNMENT_TITLE)
+        ),
+        quizIds.join(require("os").EOL)
+      );
+
+      const versions = Object.keys(plan.versions);
+      const incomplete = versions.filter(
+        (version) =>
+          !util.isVersionComplete(
+            manifest.versions[version],
+            plan.versions[version].questions.length
+          )
+      );
+      const summary = client.summary();
+
+      console.log("---------------------------");
+      console.log(
+        `Versions: ${versions.length - incomplete.length} of ${
+          versions.length
+        } created`
+      );
+      console.log(
+        `Canvas requests: ${summary.requests} (${summary.retries} retried, ${summary.failed} failed)`
+      );
+      if (incomplete.length > 0) {
+        console.error("Versions not fully created:");
+        incomplete.forEach((version) => {
+          console.error(`  ${version}: ${failures[version] || "not finished"}`);
+        });
+        console.error(
+          `Run again with --resume${
+            PLAN ? ` --plan ${options.plan}` : ""
+          } to finish them.`
+        );
+      } else {
+        console.log(`All quizzes created.`);
+      }
+      console.log(`Run manifest written to ${manifestFilePath}`);
+      process.exit(incomplete.length > 0 ? 1 : 0);
     }
   );
 }
 
+/**
+ * Opens the run manifest: the existing one when resuming, otherwise a new one.
+ * @returns {object} - The run manifest.
+ */
+function openManifest() {
+  const planFile = PLAN ? path.basename(planFilePath) : null;
+
+  if (!RESUME) {
+    if (fs.existsSync(manifestFilePath)) {
+      console.error(`A run manifest already exists at ${manifestFilePath}.
+Run again with --resume to finish that run, or move the manifest away to start a new one.`);
+      process.exit(1);
+    }
+    const created = util.newRunManifest(
+      COURSE_ID,
+      DOMAIN,
+      ASSIGNMENT_TITLE,
+      QA_FILE
+    );
+    created.planFile = planFile;
+    return created;
+  }
+
+  if (!fs.existsSync(manifestFilePath)) {
+    console.error(
+      `Cannot resume: no run manifest found at ${manifestFilePath}`
+    );
+    process.exit(1);
+  }
+  const resumed = util.loadRunManifest(manifestFilePath);
+  if (resumed.courseId !== COURSE_ID || resumed.domain !== DOMAIN) {
+    console.error(
+      `Cannot resume: the run manifest is for course ${resumed.courseId} on ${resumed.domain}.`
+    );
+    process.exit(1);
+  }
+  if ((resumed.planFile || null) !== planFile) {
+    console.error(
+      resumed.planFile
+        ? `Cannot resume: the run carries out the plan ${resumed.planFile}; pass it with --plan.`
+        : "Cannot resume: the run was not started from a plan; run it again without --plan."
+    );
+    process.exit(1);
+  }
+  console.log(`Resuming the run recorded in ${manifestFilePath}`);
+  return resumed;
+}
+
+/**
+ * Builds the deploy plan: everything the run will send to Canvas for each version.
+ * @param {object} studentsQA - The Q&A entries, with file URLs, keyed by version.
+ * @param {object} students - The students assigned to each version, from `assignStudents`.
+ * @returns {object} - The deploy plan.
+ */
+function buildPlan(studentsQA, students) {
+  const plan = {
+    createdAt: new Date().toISOString(),
+    courseId: COURSE_ID,
+    domain: DOMAIN,
+    assignmentTitle: ASSIGNMENT_TITLE,
+    qaFile: QA_FILE,
+    versions: {},
+  };
+
+  Object.keys(studentsQA).forEach((version) => {
+    const qa = studentsQA[version];
+    const assigned = students[version] || [];
+    const questions = [];
+
+    // In per-student mode, a version without its student is not created
+    if (PER_STUDENT && assigned.length === 0) {
+      return;
+    }
+
+    for (
+      let i = STARTING_Q_NUMBER;
+      i <= STARTING_Q_NUMBER - 1 + NUMBER_OF_QUESTIONS_PER_QUIZ;
+      i++
+    ) {
+      questions.push({
+        position: i,
+        name: `Question ${i}`,
+        points: BONUS_Q[i] ? 0 : MARKS_PER_QUESTION, // 0 marks if bonus question
+        text: qa[`q${Q_PREFIX + i}q`].replace(/\n/g, "<br/>"),
+        answer: qa[`q${Q_PREFIX + i}a`],
+        choices: qa[`q${Q_PREFIX + i}c`], // Multiple choice questions only
+        tolerance: qa[`q${Q_PREFIX + i}t`], // Numeric answers only
+      });
+    }
+
+    plan.versions[version] = {
+      fileName: qa.fileName,
+      fileUrl: qa.fileUrl,
+      students: assigned,
+      quiz: {
+        title: `${ASSIGNMENT_TITLE}`,
+        description: `<p>This is a test assessment. Please use the link below to download the files for your assessment version.</p>
+          <p><strong>${qa.fileName}</strong>: <a href="${qa.fileUrl}">${qa.fileUrl}</a></p>`,
+        pointsPossible: TOTAL_MARKS_PER_QUIZ,
+        attempts: NUMBER_OF_ATTEMPTS,
+        group: ASSIGNMENT_GROUP,
+      },
+      questions: questions,
+      override: {
+        startDate: START_DATE,
+        lockDate: LOCK_AND_DUE_DATE,
+        studentIds: assigned.map((student) => student.id),
+      },
+    };
+  });
+
+  return plan;
+}
+
+/**
+ * Loads the deploy plan given with `--plan` and checks it is for the configured course.
+ * @param {string} file - The path to the plan file.
+ * @returns {object} - The deploy plan.
+ */
+function loadPlan(file) {
+  let plan;
+  try {
+    plan = util.loadDeployPlan(file);
+  } catch (err) {
+    console.error(`Cannot read the deploy plan: ${err.message}`);
+    process.exit(1);
+  }
+  if (plan.courseId !== COURSE_ID || plan.domain !== DOMAIN) {
+    console.error(
+      `The deploy plan is for course ${plan.courseId} on ${plan.domain}, not course ${COURSE_ID} on ${DOMAIN}.`
+    );
+    process.exit(1);
+  }
+  return plan;
+}
+
+/**
+ * Loads the download links of the zip files uploaded by the zip stage, and checks
+ * they were uploaded to the configured course.
+ * @returns {object} - The file name and URL of each version, keyed by version.
+ */
+function loadUploadedFileUrls() {
+  const file = path.join(resourcesPath, UPLOAD_RECORD_FILE);
+  let record;
+  try {
+    record = util.loadUploadRecord(file);
+  } catch (err) {
+    console.error(
+      `Cannot read the upload record (run the zip stage with upload.enabled first): ${err.message}`
+    );
+    process.exit(1);
+  }
+  if (record.courseId !== COURSE_ID || record.domain !== DOMAIN) {
+    console.error(
+      `The zip files in ${file} were uploaded to course ${record.courseId} on ${record.domain}, not course ${COURSE_ID} on ${DOMAIN}.`
+    );
+    process.exit(1);
+  }
+  return record.students;
+}
+
+/**
+ * Prints the number of questions and students of each version in a deploy plan.
+ * @param {object} plan - The deploy plan.
+ */
+function printPlan(plan) {
+  const versions = Object.keys(plan.versions);
+  let numStudents = 0;
+
+  console.log(`Deploy plan for "${plan.assignmentTitle}" (${plan.qaFile})`);
+  versions.forEach((version) => {
+    const entry = plan.versions[version];
+    numStudents += entry.students.length;
+    console.log(
+      `  ${version}: ${entry.questions.length} questions, ${entry.students.length} students`
+    );
+  });
+  console.log(
+    `${versions.length} quizzes for ${numStudents} students in course ${plan.courseId}`
+  );
+
+  const empty = versions.filter(
+    (version) => plan.versions[version].students.length === 0
+  );
+  if (empty.length > 0) {
+    console.error(`No students are assigned to: ${empty.join(", ")}`);
+  }
+}
+
+/**
+ * Creates the Canvas quiz for a version and records it in the run manifest.
+ * @param {string} version - The version identifier.
+ * @param {object} planned - The version's entry in the deploy plan.
+ * @param {function} done - Callback function when done.
+ */
+function createQuiz(version, planned, done) {
+  console.log(`Creating quiz for version ${version}`);
+
+  // If the request fails after Canvas created the quiz, it is found by the version's file
+  // name, which no other version's quiz holds, unless it was recorded for another version
+  const recorded = Object.keys(manifest.versions).map(
+    (key) => manifest.versions[key].quizId
+  );
+  const quiz = Object.assign({}, planned.quiz, {
+    marker: planned.fileName,
+    ignoreIds: recorded,
+  });
+
+  client.createQuiz(quiz, (err, data) => {
+    if (err) {
+      return done(err);
+    }
+
+    // Record the quiz as soon as it exists so that a re-run does not create it again
+    manifest.versions[version] = util.newManifestEntry(
+      planned,
+      data.id,
+      data.assignment_id,
+      QA_FILE
+    );
+    util.saveRunManifest(manifestFilePath, manifest);
+    done();
+  });
+}
+
 /**
  * Adds questions to a Canvas quiz.
- * @param {number} quizId - The Canvas quiz ID.
+ * Questions already recorded in the run manifest are skipped.
  * @param {string} version - The version identifier.
+ * @param {object} planned - The version's entry in the deploy plan.
  * @param {function} done - Callback function when done.
  */
-function addQuestions(quizId, version, done) {
-  const url = `${DOMAIN}/api/v1/courses/${COURSE_ID}/quizzes/${quizId}/questions`;
+function addQuestions(version, planned, done) {
+  const entry = manifest.versions[version];
   const tasks = [];
 
   // Add each question to the quiz
-  for (
-    let i = STARTING_Q_NUMBER;
-    i <= STARTING_Q_NUMBER - 1 + NUMBER_OF_QUESTIONS_PER_QUIZ;
-    i++
-  ) {
+  planned.questions.forEach((question) => {
+    if (entry.questionsAdded.includes(question.position)) {
+      return;
+    }
+
     tasks.push((questionDone) => {
-      const args = util.newQuestionArgs(
-        i, // position
-        `Question ${i}`, // Name
-        BONUS_Q[i] ? 0 : MARKS_PER_QUESTION, // 0 marks if bonus question
-        studentsQA[version][`q${Q_PREFIX + i}q`].replace(/\n/g, "<br/>"), // Question text
-        studentsQA[version][`q${Q_PREFIX + i}a`] // Correct answer
-      );
-      client.post(url, args, (data, response) => {
+      client.addQuestion(entry.quizId, question, (err) => {
+        if (err) {
+          return questionDone(err);
+        }
+        entry.questionsAdded.push(question.position);
+        util.saveRunManifest(manifestFilePath, manifest);
         questionDone();
       });
     });
+  });
+  async.series(tasks, done);
+}
+
+/**
+ * Adds the assignment override for the students assigned to a version,
+ * unless the run manifest shows it was already added.
+ * @param {string} version - The version identifier.
+ * @param {object} planned - The version's entry in the deploy plan.
+ * @param {function} done - Callback function when done.
+ */
+function addOverride(version, planned, done) {
+  const entry = manifest.versions[version];
+  if (entry.overrideId) {
+    return done();
   }
-  async.series(tasks, () => done());
+
+  client.createOverride(entry.assignmentId, planned.override, (err, data) => {
+    if (err) {
+      return done(err);
+    }
+    entry.overrideId = data.id;
+    util.saveRunManifest(manifestFilePath, manifest);
+    done();
+  });
 }
 
 /**
- * Retrieves Canvas user IDs for students enrolled in the course.
- * Assigns students to versions based on their SIS user ID.
- * @param {string} url - The API endpoint URL.
+ * Publishes the quiz for a version, unless the run manifest shows it is already published.
+ * @param {string} version - The version identifier.
+ * @param {function} done - Callback function when done.
  */
-function getCanvasUserIds(url) {
-  client.get(url, util.standardArgs(), (data, response) => {
-    // Save users
-    data.forEach((s) => {
-      const fileNum = parseInt(s.sis_user_id) % NUM_VERSIONS; // Assign students to versions
-      const fileHash = HASHES[fileNum];
-      if (!studentsQA[fileHash].id) {
-        studentsQA[fileHash].id = [];
-        studentsQA[fileHash].auid = [];
-      }
-      studentsQA[fileHash].id.push(s.id);
-      studentsQA[fileHash].auid.push(s.sis_user_id);
+function publishQuiz(version, done) {
+  const entry = manifest.versions[version];
+  if (entry.published) {
+    return done();
+  }
+
+  client.publish(entry.quizId, (err) => {
+    if (err) {
+      return done(err);
+    }
+    entry.published = true;
+    util.saveRunManifest(manifestFilePath, manifest);
+    done();
+  });
+}
+
+/**
+ * Assigns the students enrolled in the course to versions, keeping pinned versions.
+ * @param {object[]} users - The Canvas users returned by `client.listUsers`.
+ * @param {object} studentsQA - The Q&A entries keyed by version.
+ * @returns {object} - The students assigned to each version, as `{ id, sisId, name }`
+ *   objects, keyed by version.
+ */
+function assignStudents(users, studentsQA) {
+  let groups = {};
+  let mapping = {};
+  try {
+    if (GROUPS_FILE) {
+      groups = assignment.loadGroups(path.join(resourcesPath, GROUPS_FILE));
+    }
+    if (ASSIGNMENT_STRATEGY === "csv") {
+      mapping = assignment.loadMapping(path.join(resourcesPath, MAPPING_FILE));
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const students = users.map((s) => {
+    // Groups come from the groups file, or else from the student's Canvas section
+    const enrollment = (s.enrollments || []).find(
+      (e) => e.type === "StudentEnrollment"
+    );
+    let group = groups[s.id] || groups[`sis:${s.sis_user_id}`];
+    if (!GROUPS_FILE && enrollment) {
+      group = enrollment.course_section_id;
+    }
+    return {
+      id: s.id,
+      sisId: s.sis_user_id,
+      name: s.name,
+      group: group === undefined ? null : group,
+    };
+  });
+
+  const result = assignment.assign(students, Object.keys(studentsQA), {
+    strategy: ASSIGNMENT_STRATEGY,
+    seed: ASSIGNMENT_SEED,
+    mapping: mapping,
+    pins: assignment.loadPins(pinFilePath),
+  });
+  result.warnings.forEach((warning) => console.error(warning));
+  if (result.errors) {
+    console.error(`
+Errors found assigning students to versions (${ASSIGNMENT_STRATEGY}):
+${result.errors.join(require("os").EOL)}
+`);
+    process.exit(1);
+  }
+  console.log(
+    `Students: ${students.length - result.numNew} pinned, ${
+      result.numNew
+    } newly assigned (${ASSIGNMENT_STRATEGY})`
+  );
+
+  const assigned = {};
+  Object.keys(result.versions).forEach((version) => {
+    assigned[version] = result.versions[version].map((s) => ({
+      id: s.id,
+      sisId: s.sisId,
+      name: s.name,
+    }));
+  });
+  return assigned;
+}
+
+/**
+ * Assigns each student enrolled in the course to their own version, keyed by SIS ID (see
+ * `roster.js`), for per-student mode.
+ * @param {object[]} users - The Canvas users returned by `client.listUsers`.
+ * @param {object} studentsQA - The Q&A entries keyed by version.
+ * @returns {object} - The student assigned to each version, as a one-item array of
+ *   `{ id, sisId, name }`, keyed by version.
+ */
+function assignStudentsBySisId(users, studentsQA) {
+  const assigned = {};
+  const notInRoster = [];
+
+  users.forEach((s) => {
+    const version = roster.keyOf(s);
+    if (!studentsQA[version]) {
+      notInRoster.push(`${s.name} (${version})`);
+    } else if (!assigned[version]) {
+      assigned[version] = [{ id: s.id, sisId: s.sis_user_id, name: s.name }];
+    }
+  });
+
+  if (notInRoster.length > 0) {
+    console.error(`These students have no version: pull the roster again and rebuild the versions to include them:
+${notInRoster.join(require("os").EOL)}`);
+  }
+  const withdrawn = Object.keys(studentsQA).filter((v) => !assigned[v]);
+  if (withdrawn.length > 0) {
+    console.error(
+      `Left out the versions of students who are no longer enrolled: ${withdrawn.join(
+        ", "
+      )}`
+    );
+  }
+  console.log(
+    `Students: ${Object.keys(assigned).length} with a version of their own`
+  );
+  return assigned;
+}
+
+/**
+ * Pins the versions of the students in a deploy plan, so later runs keep them.
+ * @param {object} plan - The deploy plan.
+ */
+function pinPlan(plan) {
+  const pins = assignment.loadPins(pinFilePath);
+  Object.keys(plan.versions).forEach((version) => {
+    plan.versions[version].students.forEach((student) => {
+      pins[student.id] = {
+        version: version,
+        sisId: student.sisId,
+        name: student.name,
+      };
     });
+  });
+  assignment.savePins(pinFilePath, pins);
+}
 
-    // Process next page of results if available
-    const nextUrl = util.nextURL(response.headers.link);
-    if (nextUrl) {
-      getCanvasUserIds(nextUrl);
+/**
+ * Parses the command line options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} - `dryRun`: true if `--dry-run` is given; `plan`: the `--plan` file, if any;
+ *   `resume`: true if `--resume` is given.
+ */
+function parseArgs(argv) {
+  const result = { dryRun: false, plan: null, resume: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") {
+      result.dryRun = true;
+    } else if (argv[i] === "--plan" && argv[i + 1]) {
+      result.plan = argv[++i];
+    } else if (argv[i] === "--resume") {
+      result.resume = true;
     } else {
-      // No more users, proceed to create quizzes
-      createQuizzes();
+      console.error(`Unknown option: ${argv[i]}
+Usage: node CreateTest.js [--dry-run] [--plan <plan file>] [--resume]`);
+      process.exit(1);
     }
-  });
+  }
+  return result;
 }
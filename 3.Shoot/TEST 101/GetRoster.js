@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * Script to pull the students enrolled in the Canvas course into the roster file.
+ *
+ * In per-student mode every student gets a version of their own, keyed by their SIS ID, so
+ * the roster is needed before any dataset is generated. This script lists the course's
+ * students and writes them to the roster file (see `roster.js`), which the sample, zip, Q&A
+ * and deploy stages then read their version keys from.
+ *
+ * Input:
+ * - The students enrolled in the course, from the Canvas API.
+ *
+ * Output:
+ * - The roster file (`perStudent.rosterFile`, by default `roster.json` in the repository
+ *   root; `<workspace>/roster.json` in a workspace).
+ *
+ * Usage:
+ * - Set `perStudent.enabled` to `true` and the `canvas` section of the config file
+ *   (`page.config.json`, see `config.js`).
+ * - Run `node GetRoster.js` from the `3.Shoot/TEST 101` directory, then generate the
+ *   datasets, zip files and Q&A file as usual.
+ *
+ * Notes:
+ * - Students whose SIS ID cannot be used in file names, or who share a SIS ID with another
+ *   student, are reported and no roster is written.
+ * - Run the script again (and the stages after it) to take in late enrolments. Students
+ *   who are already in the roster keep their key, so their versions do not change.
+ */
+
+const path = require("path");
+const canvasClient = require("./canvas.js");
+
+// Load the shared config file (see `config.js`)
+const loaded = require("../../config.js").load(["canvas"]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+const { canvas } = loaded.config;
+
+if (!loaded.config.perStudent.enabled) {
+  console.error(
+    "The roster is only used in per-student mode: set perStudent.enabled to true in the config file."
+  );
+  process.exit(1);
+}
+
+const roster = require("../../roster.js");
+const rosterFilePath = roster.filePath(loaded.config);
+
+// Canvas API client, which retries failed requests and records the ones that still fail
+const client = canvasClient.createClient({
+  domain: canvas.domain,
+  courseId: canvas.courseId,
+  token: canvas.token,
+});
+
+client.listUsers((err, users) => {
+  if (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const result = roster.build(users, {
+    courseId: canvas.courseId,
+    domain: canvas.domain,
+  });
+  if (result.errors) {
+    console.error(`
+Errors found in the course roster:
+${result.errors.join(require("os").EOL)}
+`);
+    process.exit(1);
+  }
+
+  roster.save(rosterFilePath, result.roster);
+  console.log(
+    `Roster of ${
+      result.roster.students.length
+    } students written to ${path.relative(process.cwd(), rosterFilePath)}`
+  );
+  process.exit(0);
+});
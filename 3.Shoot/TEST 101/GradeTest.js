@@ -0,0 +1,301 @@
+"use strict";
+
+/**
+ * Script to download Canvas quiz reports and re-grade them against the QA file.
+ *
+ * Canvas marks `short_answer_question`s by exact match, so a correct answer typed with a
+ * different number of decimal places or different capitalisation is marked wrong. This
+ * script requests a `student_analysis` report for each version's quiz, downloads it,
+ * checks every answer against that version's answers in the QA file and writes a
+ * consolidated gradebook that flags where the re-graded mark differs from Canvas.
+ *
+ * Input:
+ * - The run manifest written by `CreateTest.js` (`<QA file>-<assignment title>-manifest.json`),
+ *   which maps each version to its Canvas quiz and students.
+ * - The JSON file (`TestQA-<timestamp>.json`) containing questions and answers for each version.
+ *
+ * Output:
+ * - A gradebook (`<QA file>-<assignment title>-gradebook.csv`) in `inOutFiles` with one row
+ *   per submission.
+ *
+ * Usage:
+ * - Uses the same config file (`page.config.json`, see `config.js`) as `CreateTest.js`.
+ * - Run `node GradeTest.js` from the `3.Shoot/TEST 101` directory after the quiz has closed.
+ *
+ * Notes:
+ * - Numeric answers are accepted within the question's `q<n>t` tolerance from the QA file, and
+ *   must equal the answer as a number if it has none (so `26.790` is accepted for `26.79`);
+ *   multiple choice answers must match exactly; other answers are compared ignoring case and
+ *   surrounding whitespace.
+ * - How often and how many times a quiz report is checked for being ready is set in the
+ *   `grading` section of the config file.
+ * - The gradebook is for review only. No marks are changed in Canvas.
+ */
+
+const async = require("async");
+const fs = require("fs");
+const path = require("path");
+const util = require("./util.js");
+const canvasClient = require("./canvas.js");
+
+// Load the shared config file (see `config.js`)
+const loaded = require("../../config.js").load(["canvas", "assessment"]);
+if (loaded.errors) {
+  console.error(`Errors found in config file ${loaded.file}:
+${loaded.errors.join(require("os").EOL)}`);
+  process.exit(1);
+}
+const { canvas, assessment } = loaded.config;
+
+const workspace = require("../../workspace.js");
+const resourcesPath = workspace.active
+  ? workspace.DEPLOY
+  : loaded.config.paths.deploy.resourcesPath;
+
+const COURSE_ID = canvas.courseId; // Canvas Course ID
+const DOMAIN = canvas.domain; // Your Canvas domain
+
+// Questions and answers file (in a workspace, the newest one written by `generate-qa`)
+const QA_FILE = workspace.active
+  ? workspace.latestFile(workspace.DEPLOY, workspace.QA_FILE_PATTERN)
+  : assessment.qaFile;
+if (!QA_FILE) {
+  console.error(
+    workspace.active
+      ? `No Q&A file found in ${workspace.DEPLOY}. Run "generate-qa" first.`
+      : "No Q&A file: set assessment.qaFile in the config file."
+  );
+  process.exit(1);
+}
+const Q_PREFIX = assessment.qPrefix; // Prefix for question keys, if necessary
+const ASSIGNMENT_TITLE = assessment.title; // Assignment title
+const STARTING_Q_NUMBER = assessment.startingQuestion; // Starting question number
+
+const TOTAL_MARKS_PER_QUIZ = assessment.totalMarks; // Total marks per quiz
+const NUMBER_OF_QUESTIONS_PER_QUIZ = assessment.numQuestions; // Number of questions per quiz
+const MARKS_PER_QUESTION = TOTAL_MARKS_PER_QUIZ / NUMBER_OF_QUESTIONS_PER_QUIZ; // Marks per question
+const BONUS_Q = assessment.bonusQuestions; // Bonus questions (optional)
+
+const POLL_INTERVAL_MS = loaded.config.grading.pollIntervalMs; // Time between checks on whether a report is ready
+const MAX_POLLS = loaded.config.grading.maxPolls; // Number of checks before giving up on a report
+
+const TOKEN = canvas.token; // Your Canvas API token (from the config file or CANVAS_TOKEN)
+
+// Canvas API client, which retries failed requests and records the ones that still fail
+const client = canvasClient.createClient({
+  domain: DOMAIN,
+  courseId: COURSE_ID,
+  token: TOKEN,
+});
+
+const manifestFilePath = path.join(
+  resourcesPath,
+  util.generateManifestFileName(QA_FILE, ASSIGNMENT_TITLE)
+);
+const gradebookFilePath = path.join(
+  resourcesPath,
+  util.generateGradebookFileName(QA_FILE, ASSIGNMENT_TITLE)
+);
+
+let manifest;
+try {
+  manifest = util.loadRunManifest(manifestFilePath);
+} catch (err) {
+  console.error(
+    fs.existsSync(manifestFilePath)
+      ? `Cannot read the run manifest ${manifestFilePath}: ${err.message}`
+      : `No run manifest found at ${manifestFilePath}. Run CreateTest.js (or "page deploy") with the same Q&A file and assessment title first.`
+  );
+  process.exit(1);
+}
+const studentsQA = util.loadStudentQaFile(path.join(resourcesPath, QA_FILE));
+
+const questionNumbers = [];
+for (
+  let i = STARTING_Q_NUMBER;
+  i <= STARTING_Q_NUMBER - 1 + NUMBER_OF_QUESTIONS_PER_QUIZ;
+  i++
+) {
+  questionNumbers.push(i);
+}
+
+const gradebook = [
+  util.toCsvLine(
+    [
+      "version",
+      "quiz_id",
+      "name",
+      "canvas_user_id",
+      "sis_id",
+      "attempt",
+      "canvas_score",
+      "regraded_score",
+      "flagged_questions",
+      "notes",
+    ].concat(
+      ...questionNumbers.map((i) => [
+        `q${i}_answer`,
+        `q${i}_expected`,
+        `q${i}_canvas_points`,
+        `q${i}_regraded_points`,
+      ])
+    )
+  ),
+];
+
+let numSubmissions = 0;
+let numFlagged = 0;
+const failedVersions = [];
+
+async.eachSeries(
+  Object.keys(manifest.versions),
+  (version, versionDone) => {
+    const quizId = manifest.versions[version].quizId;
+
+    console.log(
+      `Requesting quiz report for version ${version} (quiz ${quizId})`
+    );
+
+    requestReport(quizId, (err, fileUrl) => {
+      if (err) {
+        console.error(err.message);
+        failedVersions.push(version);
+        return versionDone();
+      }
+
+      client.download(fileUrl, (err, data) => {
+        if (err) {
+          console.error(err.message);
+          failedVersions.push(version);
+          return versionDone();
+        }
+
+        util.parseQuizReportCsv(data.toString()).forEach((submission) => {
+          gradebook.push(regradeSubmission(version, submission));
+        });
+        versionDone();
+      });
+    });
+  },
+  () => {
+    fs.writeFileSync(gradebookFilePath, gradebook.join(require("os").EOL));
+
+    console.log("---------------------------");
+    console.log(`Submissions re-graded: ${numSubmissions}`);
+    console.log(`Submissions whose mark differs from Canvas: ${numFlagged}`);
+    const summary = client.summary();
+    console.log(
+      `Canvas requests: ${summary.requests} (${summary.retries} retried, ${summary.failed} failed)`
+    );
+    if (failedVersions.length > 0) {
+      console.error(`Reports not downloaded for: ${failedVersions.join(", ")}`);
+    }
+    console.log(`Gradebook written to ${gradebookFilePath}`);
+    process.exit(failedVersions.length > 0 ? 1 : 0);
+  }
+);
+
+/**
+ * Requests a student analysis report for a quiz and waits until its file is ready.
+ * @param {number} quizId - The Canvas quiz ID.
+ * @param {function} done - Callback function called with an error or the report file URL.
+ */
+function requestReport(quizId, done) {
+  client.requestReport(quizId, (err, data) => {
+    if (err) {
+      return done(err);
+    }
+
+    let polls = 0;
+    let fileUrl = data.file && data.file.url;
+
+    async.until(
+      () => fileUrl || polls >= MAX_POLLS,
+      (pollDone) => {
+        polls++;
+        setTimeout(() => {
+          client.getReport(quizId, data.id, (err, report) => {
+            if (!err && report.file) {
+              fileUrl = report.file.url;
+            }
+            pollDone();
+          });
+        }, POLL_INTERVAL_MS);
+      },
+      () => {
+        if (!fileUrl) {
+          return done(
+            new Error(`The report for quiz ${quizId} was not ready in time.`)
+          );
+        }
+        done(null, fileUrl);
+      }
+    );
+  });
+}
+
+/**
+ * Re-grades one submission against its version's answers.
+ * @param {string} version - The version identifier.
+ * @param {object} submission - A submission parsed from the quiz report.
+ * @returns {string} - The gradebook CSV line for the submission.
+ */
+function regradeSubmission(version, submission) {
+  const entry = manifest.versions[version];
+  const flagged = [];
+  const notes = [];
+  const questionColumns = [];
+  let regradedScore = 0;
+
+  if (!entry.canvasUserIds.map(String).includes(`${submission.canvasUserId}`)) {
+    notes.push("student not assigned to this version");
+  }
+
+  questionNumbers.forEach((i, index) => {
+    const response = submission.answers[index] || { answer: "", points: 0 };
+    const expected = studentsQA[version][`q${Q_PREFIX + i}a`];
+    const marks = BONUS_Q[i] ? 0 : MARKS_PER_QUESTION;
+    // Multiple choice answers must match exactly
+    const isChoice = Boolean(studentsQA[version][`q${Q_PREFIX + i}c`]);
+    const tolerance = studentsQA[version][`q${Q_PREFIX + i}t`] || 0;
+    const regradedPoints = util.checkAnswer(
+      response.answer,
+      expected,
+      tolerance,
+      isChoice
+    )
+      ? marks
+      : 0;
+
+    if (regradedPoints !== response.points) {
+      flagged.push(`q${i}`);
+    }
+    regradedScore += regradedPoints;
+    questionColumns.push(
+      response.answer,
+      expected,
+      response.points,
+      regradedPoints
+    );
+  });
+
+  numSubmissions++;
+  if (flagged.length > 0) {
+    numFlagged++;
+  }
+
+  return util.toCsvLine(
+    [
+      version,
+      entry.quizId,
+      submission.name,
+      submission.canvasUserId,
+      submission.sisId,
+      submission.attempt,
+      submission.score,
+      regradedScore,
+      flagged.join(" "),
+      notes.join("; "),
+    ].concat(questionColumns)
+  );
+}
@@ -0,0 +1,480 @@
+"use strict";
+
+/**
+ * Strategies for assigning the students in a course to assessment versions.
+ *
+ * `assign` gives every student a version using one of `STRATEGIES`:
+ * - `modulo`: The SIS ID modulo the number of versions, as before. SIS IDs that are not
+ *   numbers (or missing) are hashed instead, so they no longer give `NaN`.
+ * - `round-robin`: Students in SIS ID order are dealt to versions in turn, so version sizes
+ *   differ by at most one.
+ * - `shuffle`: As `round-robin`, but in a seeded random order.
+ * - `one-per-student`: Every student gets a version of their own. There must be at least as
+ *   many versions as students.
+ * - `spread-groups`: Students in the same group (e.g. friends, from `assignment.groupsFile`)
+ *   get different versions, as far as the number of versions allows.
+ * - `separate-sections`: Each group (by default the student's Canvas section) gets versions
+ *   that no other group uses, so a section sitting the test earlier cannot pass on answers.
+ * - `csv`: The version of each student is read from `assignment.mappingFile`.
+ *
+ * Assignments are pinned: once a student has a version, it is recorded in the pin file and
+ * kept on every later run, whatever the strategy. Only students without a pinned version
+ * (e.g. late enrolments) are assigned, and the balanced strategies take the pinned students
+ * into account.
+ *
+ * Exports:
+ * - `STRATEGIES`: The names of the strategies.
+ * - `assign`: Assigns students to versions.
+ * - `loadPins`, `savePins`: Read and write the pin file.
+ * - `loadMapping`: Reads the `csv` strategy's mapping file.
+ * - `loadGroups`: Reads a file of student groups.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const parseCsv = require("csv-parse/lib/sync");
+const util = require("./util.js");
+const seed = require("../../1.Ready/1.Test/seed.js");
+
+const STRATEGIES = [
+  "modulo",
+  "round-robin",
+  "shuffle",
+  "one-per-student",
+  "spread-groups",
+  "separate-sections",
+  "csv",
+];
+
+const PIN_COLUMNS = ["canvas_user_id", "sis_id", "name", "version"];
+const NO_SECTION = "(no section)"; // Group of students in no section, for `separate-sections`
+
+/**
+ * Assigns students to versions.
+ *
+ * @param {object[]} students - The students, as `{ id, sisId, name, group }` objects, where
+ *   `id` is the Canvas user ID and `group` the student's group or section (null if none).
+ * @param {string[]} versions - The version hashes.
+ * @param {object} options - `strategy`: one of `STRATEGIES`; `seed`: the seed for `shuffle`;
+ *   `mapping`: the versions read by `loadMapping`, for `csv`; `pins`: the versions already
+ *   pinned, read by `loadPins`.
+ * @returns {object} - `versions`: the students of each version, keyed by hash; `pins`: the
+ *   pins updated with the new assignments; `numNew`: the number of students newly
+ *   assigned; `warnings` and `errors`: messages (`errors` is only set if there are any).
+ */
+function assign(students, versions, options) {
+  const result = {
+    versions: {},
+    pins: Object.assign({}, options.pins),
+    numNew: 0,
+    warnings: [],
+  };
+  versions.forEach((version) => {
+    result.versions[version] = [];
+  });
+
+  if (STRATEGIES.indexOf(options.strategy) === -1) {
+    addError(result, `Unknown assignment strategy: ${options.strategy}`);
+    return result;
+  }
+
+  // Keep the pinned versions, as long as the version still exists
+  const unassigned = [];
+  students.forEach((student) => {
+    const pin = result.pins[student.id];
+    if (pin && result.versions[pin.version]) {
+      result.versions[pin.version].push(student);
+    } else {
+      if (pin) {
+        result.warnings.push(
+          `${describe(student)} was pinned to ${
+            pin.version
+          }, which is not a version of this assessment; assigning again.`
+        );
+      }
+      unassigned.push(student);
+    }
+  });
+
+  const chosen = {};
+  const choose = (student, version) => {
+    chosen[student.id] = version;
+    result.versions[version].push(student);
+  };
+  const ordered = unassigned.slice().sort(bySisId);
+
+  switch (options.strategy) {
+    case "modulo":
+      ordered.forEach((student) =>
+        choose(student, versions[moduloIndex(student, versions.length)])
+      );
+      break;
+    case "round-robin":
+      ordered.forEach((student) =>
+        choose(student, smallest(versions, result.versions))
+      );
+      break;
+    case "shuffle":
+      if (!options.seed) {
+        addError(
+          result,
+          "The shuffle strategy needs a seed: set assignment.seed in the config file."
+        );
+        return result;
+      }
+      seed
+        .createRng(options.seed, "assignment", "shuffle")
+        .shuffle(ordered)
+        .forEach((student) =>
+          choose(student, smallest(versions, result.versions))
+        );
+      break;
+    case "one-per-student": {
+      const free = versions.filter(
+        (version) => result.versions[version].length === 0
+      );
+      if (ordered.length > free.length) {
+        addError(
+          result,
+          `One version per student needs ${ordered.length} unused versions, but only ${free.length} of ${versions.length} are unused.`
+        );
+        return result;
+      }
+      ordered.forEach((student, index) => choose(student, free[index]));
+      break;
+    }
+    case "spread-groups":
+      spreadGroups(ordered, versions, result, choose);
+      break;
+    case "separate-sections":
+      separateSections(students, ordered, versions, result, choose);
+      break;
+    case "csv":
+      ordered.forEach((student) => {
+        const version =
+          (options.mapping || {})[student.id] ||
+          (options.mapping || {})[`sis:${student.sisId}`];
+        if (!version) {
+          addError(result, `${describe(student)} is not in the mapping file.`);
+        } else if (!result.versions[version]) {
+          addError(
+            result,
+            `${describe(
+              student
+            )} is mapped to ${version}, which is not a version of this assessment.`
+          );
+        } else {
+          choose(student, version);
+        }
+      });
+      break;
+  }
+
+  if (result.errors) {
+    return result;
+  }
+
+  unassigned.forEach((student) => {
+    result.pins[student.id] = {
+      version: chosen[student.id],
+      sisId: student.sisId,
+      name: student.name,
+    };
+  });
+  result.numNew = unassigned.length;
+  return result;
+}
+
+/**
+ * Gives students in the same group different versions; students in no group are dealt in
+ * turn to the smallest versions afterwards.
+ * @param {object[]} ordered - The students to assign, in SIS ID order.
+ * @param {string[]} versions - The version hashes.
+ * @param {object} result - The result of `assign`, holding the students of each version.
+ * @param {function} choose - Records a student's version.
+ */
+function spreadGroups(ordered, versions, result, choose) {
+  const groups = groupsOf(ordered);
+  const versionsOf = {};
+  versions.forEach((version) => {
+    result.versions[version].forEach((student) => {
+      if (student.group !== null && student.group !== undefined) {
+        (versionsOf[student.group] = versionsOf[student.group] || []).push(
+          version
+        );
+      }
+    });
+  });
+
+  // Largest groups first, while every version is still available to them
+  Object.keys(groups)
+    .sort((a, b) => groups[b].length - groups[a].length || compare(a, b))
+    .forEach((group) => {
+      const used = versionsOf[group] || [];
+      groups[group].forEach((student) => {
+        const fresh = versions.filter((version) => !used.includes(version));
+        const version = smallest(
+          fresh.length > 0 ? fresh : versions,
+          result.versions
+        );
+        if (fresh.length === 0) {
+          result.warnings.push(
+            `Group ${group} has more students than there are versions; ${describe(
+              student
+            )} shares a version with another member.`
+          );
+        }
+        used.push(version);
+        choose(student, version);
+      });
+    });
+
+  ordered
+    .filter((student) => student.group === null || student.group === undefined)
+    .forEach((student) => choose(student, smallest(versions, result.versions)));
+}
+
+/**
+ * Gives each group its own versions, then deals each group's students in turn to the
+ * smallest of its versions. A version already holding pinned students stays with their
+ * group, so later enrolments do not move versions between groups.
+ * @param {object[]} students - All the students, including those already pinned.
+ * @param {object[]} ordered - The students to assign, in SIS ID order.
+ * @param {string[]} versions - The version hashes.
+ * @param {object} result - The result of `assign`, holding the students of each version.
+ * @param {function} choose - Records a student's version.
+ */
+function separateSections(students, ordered, versions, result, choose) {
+  const all = groupsOf(students, NO_SECTION);
+  const names = Object.keys(all).sort(
+    (a, b) => all[b].length - all[a].length || compare(a, b)
+  );
+  const owned = {};
+  names.forEach((name) => {
+    owned[name] = [];
+  });
+
+  // Versions with pinned students belong to the group most of them are in
+  const free = [];
+  versions.forEach((version) => {
+    const pinned = groupsOf(result.versions[version], NO_SECTION);
+    const owner = Object.keys(pinned).sort(
+      (a, b) => pinned[b].length - pinned[a].length || compare(a, b)
+    )[0];
+    owner ? owned[owner].push(version) : free.push(version);
+  });
+
+  // The other versions are dealt to the groups with the fewest, largest group first
+  free.forEach((version) => {
+    const name = names.reduce((best, n) =>
+      owned[n].length < owned[best].length ? n : best
+    );
+    owned[name].push(version);
+  });
+
+  const toAssign = groupsOf(ordered, NO_SECTION);
+  Object.keys(toAssign).forEach((name) => {
+    if (owned[name].length === 0) {
+      result.warnings.push(
+        `There are more sections than versions; section ${name} shares versions with other sections.`
+      );
+    }
+    toAssign[name].forEach((student) =>
+      choose(
+        student,
+        smallest(
+          owned[name].length > 0 ? owned[name] : versions,
+          result.versions
+        )
+      )
+    );
+  });
+}
+
+/**
+ * Groups students by their `group`.
+ * @param {object[]} students - The students.
+ * @param {string} [missing] - The group of students in none; if not given, they are left out.
+ * @returns {object} - The students of each group, keyed by group.
+ */
+function groupsOf(students, missing) {
+  const groups = {};
+  students.forEach((student) => {
+    const group =
+      student.group === null || student.group === undefined
+        ? missing
+        : `${student.group}`;
+    if (group !== undefined) {
+      (groups[group] = groups[group] || []).push(student);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Finds the version with the fewest students, the first in order among equals.
+ * @param {string[]} candidates - The versions to choose from.
+ * @param {object} assigned - The students of each version, keyed by hash.
+ * @returns {string} - The version.
+ */
+function smallest(candidates, assigned) {
+  return candidates.reduce((best, version) =>
+    assigned[version].length < assigned[best].length ? version : best
+  );
+}
+
+/**
+ * Computes the `modulo` strategy's version index for a student.
+ * @param {object} student - The student.
+ * @param {number} numVersions - The number of versions.
+ * @returns {number} - The version index.
+ */
+function moduloIndex(student, numVersions) {
+  const sisId = `${student.sisId || ""}`.trim();
+  if (/^\d+$/.test(sisId)) {
+    return parseInt(sisId) % numVersions;
+  }
+  // Not a number: use the first 6 bytes of the SHA-256 digest of the SIS or Canvas user ID
+  const digest = crypto
+    .createHash("sha256")
+    .update(sisId || `canvas:${student.id}`)
+    .digest();
+  return digest.readUIntBE(0, 6) % numVersions;
+}
+
+/**
+ * Orders students by SIS ID, then Canvas user ID, so the order does not depend on Canvas.
+ * @param {object} a - A student.
+ * @param {object} b - Another student.
+ * @returns {number} - The sort order.
+ */
+function bySisId(a, b) {
+  return compare(`${a.sisId || ""}`, `${b.sisId || ""}`) || a.id - b.id;
+}
+
+/**
+ * Compares two strings, numbers first in numeric order.
+ * @param {string} a - A string.
+ * @param {string} b - Another string.
+ * @returns {number} - The sort order.
+ */
+function compare(a, b) {
+  return a.localeCompare(b, "en", { numeric: true });
+}
+
+/**
+ * Describes a student for messages.
+ * @param {object} student - The student.
+ * @returns {string} - The description.
+ */
+function describe(student) {
+  return `Student ${student.name || student.id} (SIS ID ${
+    student.sisId || "none"
+  })`;
+}
+
+/**
+ * Loads the pinned versions.
+ * @param {string} file - The path to the pin file.
+ * @returns {object} - The `{ version, sisId, name }` pin of each student, keyed by Canvas
+ *   user ID; empty if the file does not exist.
+ */
+function loadPins(file) {
+  const pins = {};
+  if (!fs.existsSync(file)) {
+    return pins;
+  }
+  parseCsv(fs.readFileSync(file, "utf8"), {
+    columns: true,
+    skip_empty_lines: true,
+  }).forEach((row) => {
+    pins[row.canvas_user_id] = {
+      version: row.version,
+      sisId: row.sis_id,
+      name: row.name,
+    };
+  });
+  return pins;
+}
+
+/**
+ * Writes the pinned versions.
+ * @param {string} file - The path to the pin file.
+ * @param {object} pins - The pins, as returned by `assign`.
+ */
+function savePins(file, pins) {
+  const lines = [util.toCsvLine(PIN_COLUMNS)];
+  Object.keys(pins)
+    .sort((a, b) => a - b)
+    .forEach((id) => {
+      lines.push(
+        util.toCsvLine([id, pins[id].sisId, pins[id].name, pins[id].version])
+      );
+    });
+  fs.writeFileSync(file, lines.join(require("os").EOL));
+}
+
+/**
+ * Loads the `csv` strategy's mapping file. Each row has a `version` column and identifies
+ * the student by `sis_id` or `canvas_user_id`.
+ * @param {string} file - The path to the mapping file.
+ * @returns {object} - The version of each student, keyed by Canvas user ID or `sis:<SIS ID>`.
+ * @throws Will throw an error if the file has no `version` column or identifies no student.
+ */
+function loadMapping(file) {
+  const mapping = {};
+  parseCsv(fs.readFileSync(file, "utf8"), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  }).forEach((row, index) => {
+    if (!row.version || !(row.sis_id || row.canvas_user_id)) {
+      throw new Error(
+        `${file}, row ${
+          index + 2
+        }: each row needs a version and a sis_id or canvas_user_id.`
+      );
+    }
+    mapping[row.canvas_user_id || `sis:${row.sis_id}`] = row.version;
+  });
+  return mapping;
+}
+
+/**
+ * Loads a file of student groups, with a `group` column and a `sis_id` or
+ * `canvas_user_id` column.
+ * @param {string} file - The path to the groups file.
+ * @returns {object} - The group of each student, keyed by Canvas user ID or `sis:<SIS ID>`.
+ */
+function loadGroups(file) {
+  const groups = {};
+  parseCsv(fs.readFileSync(file, "utf8"), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  }).forEach((row) => {
+    if (row.group) {
+      groups[row.canvas_user_id || `sis:${row.sis_id}`] = row.group;
+    }
+  });
+  return groups;
+}
+
+/**
+ * Adds an error message to the result object.
+ * @param {object} result - The result object.
+ * @param {string} msg - The error message.
+ */
+function addError(result, msg) {
+  if (!result.errors) result.errors = [];
+  result.errors.push(msg);
+}
+
+module.exports = {
+  STRATEGIES,
+  assign,
+  loadPins,
+  savePins,
+  loadMapping,
+  loadGroups,
+};
@@ -0,0 +1,667 @@
+"use strict";
+
+/**
+ * Canvas API client used by `CreateTest.js`, `GradeTest.js` and the zip stage.
+ *
+ * Wraps the `util.*Args` request builders in one method per Canvas call, so that every
+ * call is checked, retried and counted in the same way:
+ * - Requests that fail with a network error, a timeout, `429 Too Many Requests`, a Canvas
+ *   throttling `403` or a `5xx` status are retried up to `maxRetries` times, waiting
+ *   `retryDelayMs`, then twice as long each time (or as long as a `Retry-After` header asks).
+ * - A `POST` creates something, so only a throttled one (`429` or `403`) is sure not to have
+ *   been handled. After any other failure Canvas may still have created the item, so the
+ *   quizzes, questions, overrides or folder are listed first, and an item that already exists
+ *   is returned instead of being created again.
+ * - Canvas reports the caller's remaining request quota in `X-Rate-Limit-Remaining`. While
+ *   it is below `rateLimitThreshold`, each request waits `rateLimitDelayMs` first.
+ * - A call that still fails passes an `Error` to its callback with the `statusCode` and
+ *   `action`, and the error is also kept, so the script can end with a summary of every
+ *   request that failed (`summary`).
+ *
+ * Every method takes a Node-style callback `(err, data)`.
+ *
+ * Exports:
+ * - `DEFAULTS`: The default retry and rate limit settings.
+ * - `createClient`: Creates a client for one course.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const RestClient = require("node-rest-client").Client;
+const util = require("./util.js");
+
+const DEFAULTS = {
+  maxRetries: 3, // Number of times a failed request is retried
+  retryDelayMs: 1000, // Wait before the first retry; doubled for each further retry
+  rateLimitThreshold: 50, // Slow down while X-Rate-Limit-Remaining is below this
+  rateLimitDelayMs: 2000, // Wait before each request while slowed down
+  timeoutMs: 60000, // Time allowed for a request to connect and to respond
+};
+
+/**
+ * Creates a Canvas API client for one course.
+ *
+ * @param {object} options - `domain`, `courseId` and `token`, plus any of `DEFAULTS`.
+ *   `transport` may be given to replace the `node-rest-client` instance (e.g. in tests).
+ * @returns {object} - The client: `createQuiz`, `addQuestion`, `createOverride`, `publish`,
+ *   `listUsers`, `requestReport`, `getReport`, `download`, `hiddenFolder`, `uploadFile` and
+ *   `summary`.
+ */
+function createClient(options) {
+  const settings = Object.assign({}, DEFAULTS, options);
+  const rest = settings.transport || new RestClient();
+  const courseUrl = `${settings.domain}/api/v1/courses/${settings.courseId}`;
+  const stats = { requests: 0, retries: 0, succeeded: 0, failed: 0 };
+  const errors = [];
+  let rateLimitRemaining = null;
+
+  util.init(settings.token);
+
+  /**
+   * Sends a request, retrying it while it fails with a retryable error.
+   * @param {string} method - "get", "post", "put", or "multipart" for a file upload (see
+   *   `postMultipart`).
+   * @param {string} url - The request URL.
+   * @param {object} args - The `node-rest-client` arguments (headers and data).
+   * @param {number[]} expected - The status codes that mean success.
+   * @param {string} action - What the request does, for error messages.
+   * @param {function} done - Callback function called with an error or the response data and response.
+   * @param {function} [findExisting] - For a "post" or "multipart" request, looks for what a
+   *   failed attempt may have created: `(callback)`, with `callback(err, item)`. Without it
+   *   such a request is only retried when it was throttled.
+   */
+  function request(method, url, args, expected, action, done, findExisting) {
+    let attempt = 0;
+
+    const send = () => {
+      let settled = false;
+      const handle = (err, data, response) => {
+        if (settled) return;
+        settled = true;
+
+        const status = response ? response.statusCode : null;
+        if (response && response.headers) {
+          const remaining = parseFloat(
+            response.headers["x-rate-limit-remaining"]
+          );
+          if (!isNaN(remaining)) {
+            rateLimitRemaining = remaining;
+          }
+        }
+
+        if (!err && expected.includes(status)) {
+          stats.succeeded++;
+          return done(null, data, response);
+        }
+
+        const retry = () => {
+          attempt++;
+          stats.retries++;
+          const delay =
+            retryAfterMs(response) ||
+            settings.retryDelayMs * Math.pow(2, attempt - 1);
+          setTimeout(throttled, delay);
+        };
+        const fail = () => {
+          stats.failed++;
+          const error = new Error(
+            `Failed to ${action}: ${
+              err
+                ? err.message
+                : `${status} - ${describeResponse(data, response)}`
+            }${attempt > 0 ? ` (after ${attempt + 1} attempts)` : ""}`
+          );
+          error.statusCode = status;
+          error.action = action;
+          errors.push(error);
+          done(error, data, response);
+        };
+
+        const canRetry = attempt < settings.maxRetries;
+        if (!isRetryable(err, status, data)) {
+          return fail();
+        }
+        if (
+          (method !== "post" && method !== "multipart") ||
+          isThrottled(status, data)
+        ) {
+          return canRetry ? retry() : fail();
+        }
+        if (!findExisting) {
+          return fail();
+        }
+        // The failed attempt may have created the item: use it rather than create another
+        findExisting((lookupErr, existing) => {
+          if (lookupErr || (!existing && !canRetry)) return fail();
+          if (!existing) return retry();
+          stats.succeeded++;
+          done(null, existing);
+        });
+      };
+
+      stats.requests++;
+      const req = (method === "multipart" ? postMultipart : rest[method])(
+        url,
+        Object.assign(
+          {
+            requestConfig: { timeout: settings.timeoutMs },
+            responseConfig: { timeout: settings.timeoutMs },
+          },
+          args
+        ),
+        (data, response) => handle(null, data, response)
+      );
+      req.on("error", (err) => handle(err));
+      req.on("requestTimeout", (timedOut) => {
+        timedOut.abort();
+        handle(new Error("the request timed out"));
+      });
+      req.on("responseTimeout", () =>
+        handle(new Error("the response timed out"))
+      );
+    };
+
+    // Wait first while the rate limit quota is low
+    const throttled = () => {
+      const slowDown =
+        rateLimitRemaining !== null &&
+        rateLimitRemaining < settings.rateLimitThreshold;
+      setTimeout(send, slowDown ? settings.rateLimitDelayMs : 0);
+    };
+
+    throttled();
+  }
+
+  /**
+   * Gets a list, following every page of results.
+   * @param {string} url - The URL of the first page.
+   * @param {string} action - What the request does, for error messages.
+   * @param {function} done - Callback function called with an error or the items.
+   */
+  function getAll(url, action, done) {
+    const items = [];
+    const getPage = (pageUrl) => {
+      request(
+        "get",
+        pageUrl,
+        util.standardArgs(),
+        [200],
+        action,
+        (err, data, response) => {
+          if (err) return done(err);
+          if (!Array.isArray(data)) {
+            return done(new Error(`Failed to ${action}: unexpected response.`));
+          }
+          items.push(...data);
+          const nextUrl = util.nextURL(response.headers.link);
+          nextUrl ? getPage(nextUrl) : done(null, items);
+        }
+      );
+    };
+    getPage(url);
+  }
+
+  /**
+   * Makes a `findExisting` function for `request` that looks for an item in a list.
+   * @param {string} url - The URL of the list.
+   * @param {string} action - What the request does, for error messages.
+   * @param {function} matches - Checks if an item is the one being created.
+   * @returns {function} - The `findExisting` function, which finds the last matching item.
+   */
+  function findIn(url, action, matches) {
+    return (callback) =>
+      getAll(url, action, (err, items) =>
+        callback(err, err ? null : items.filter(matches).pop() || null)
+      );
+  }
+
+  return {
+    /**
+     * Creates a quiz.
+     *
+     * Quizzes often share a title, so after a failed request an existing quiz is only taken
+     * for this one if its description holds `marker`, text that no other quiz has (e.g. the
+     * version's file name), and its ID is not in `ignoreIds`. Without a `marker` the request
+     * is only retried when it was throttled.
+     * @param {object} quiz - `title`, `description` (HTML), `pointsPossible`, `attempts` and
+     *   `group`, and optionally `marker` and `ignoreIds`.
+     * @param {function} done - Callback function called with an error or the quiz.
+     */
+    createQuiz(quiz, done) {
+      request(
+        "post",
+        `${courseUrl}/quizzes`,
+        util.newQuizArgs(
+          quiz.title,
+          quiz.description,
+          quiz.pointsPossible,
+          quiz.attempts,
+          quiz.group
+        ),
+        [200],
+        `create quiz "${quiz.title}"`,
+        done,
+        quiz.marker &&
+          findIn(
+            `${courseUrl}/quizzes?search_term=${encodeURIComponent(
+              quiz.title
+            )}&per_page=100`,
+            `look for quiz "${quiz.title}"`,
+            (existing) =>
+              existing.title === quiz.title &&
+              `${existing.description}`.includes(quiz.marker) &&
+              !(quiz.ignoreIds || []).includes(existing.id)
+          )
+      );
+    },
+
+    /**
+     * Adds a question to a quiz. Questions with `choices` are multiple choice questions,
+     * questions with a `tolerance` are numerical questions, and all other questions are
+     * short answer questions.
+     * @param {number} quizId - The Canvas quiz ID.
+     * @param {object} question - `position`, `name`, `points`, `text`, `answer`, and
+     *   optionally `choices` or `tolerance`.
+     * @param {function} done - Callback function called with an error or the question.
+     */
+    addQuestion(quizId, question, done) {
+      let newArgs = util.newQuestionArgs;
+      if (question.choices) {
+        newArgs = util.newMultipleChoiceQuestionArgs;
+      } else if (question.tolerance) {
+        newArgs = util.newNumericalQuestionArgs;
+      }
+      request(
+        "post",
+        `${courseUrl}/quizzes/${quizId}/questions`,
+        newArgs(
+          question.position,
+          question.name,
+          question.points,
+          question.text,
+          question.answer,
+          question.choices || question.tolerance
+        ),
+        [200],
+        `add question ${question.position} to quiz ${quizId}`,
+        done,
+        findIn(
+          `${courseUrl}/quizzes/${quizId}/questions?per_page=100`,
+          `look for question ${question.position} in quiz ${quizId}`,
+          (existing) =>
+            Number(existing.position) === Number(question.position) &&
+            existing.question_name === question.name
+        )
+      );
+    },
+
+    /**
+     * Creates an assignment override giving a list of students their own dates.
+     * @param {number} assignmentId - The Canvas assignment ID of the quiz.
+     * @param {object} override - `startDate`, `lockDate` (ISO strings) and `studentIds`.
+     * @param {function} done - Callback function called with an error or the override.
+     */
+    createOverride(assignmentId, override, done) {
+      request(
+        "post",
+        `${courseUrl}/assignments/${assignmentId}/overrides`,
+        util.newOverrideArgs(
+          override.startDate,
+          override.lockDate,
+          override.studentIds
+        ),
+        [200, 201],
+        `add the override to assignment ${assignmentId}`,
+        done,
+        findIn(
+          `${courseUrl}/assignments/${assignmentId}/overrides?per_page=100`,
+          `look for the override of assignment ${assignmentId}`,
+          (existing) => sameIds(existing.student_ids || [], override.studentIds)
+        )
+      );
+    },
+
+    /**
+     * Publishes a quiz.
+     * @param {number} quizId - The Canvas quiz ID.
+     * @param {function} done - Callback function called with an error or the quiz.
+     */
+    publish(quizId, done) {
+      request(
+        "put",
+        `${courseUrl}/quizzes/${quizId}`,
+        util.newPublishQuizArgs(),
+        [200],
+        `publish quiz ${quizId}`,
+        done
+      );
+    },
+
+    /**
+     * Lists the students enrolled in the course, with their enrollments (and so their
+     * sections), following every page of results.
+     * @param {function} done - Callback function called with an error or the users.
+     */
+    listUsers(done) {
+      getAll(
+        `${courseUrl}/users?enrollment_type[]=student&include[]=enrollments&per_page=100`,
+        "list the students in the course",
+        done
+      );
+    },
+
+    /**
+     * Requests a student analysis report for a quiz.
+     * @param {number} quizId - The Canvas quiz ID.
+     * @param {function} done - Callback function called with an error or the report.
+     */
+    requestReport(quizId, done) {
+      request(
+        "post",
+        `${courseUrl}/quizzes/${quizId}/reports`,
+        util.newReportArgs(),
+        [200],
+        `request the report for quiz ${quizId}`,
+        done,
+        nothingCreated
+      );
+    },
+
+    /**
+     * Gets a quiz report, including its file once it has been generated.
+     * @param {number} quizId - The Canvas quiz ID.
+     * @param {number} reportId - The report ID returned by `requestReport`.
+     * @param {function} done - Callback function called with an error or the report.
+     */
+    getReport(quizId, reportId, done) {
+      request(
+        "get",
+        `${courseUrl}/quizzes/${quizId}/reports/${reportId}?include[]=file`,
+        util.standardArgs(),
+        [200],
+        `get report ${reportId} for quiz ${quizId}`,
+        done
+      );
+    },
+
+    /**
+     * Downloads a file from a URL given by Canvas (which needs no authorization).
+     * @param {string} url - The file URL.
+     * @param {function} done - Callback function called with an error or the file content.
+     */
+    download(url, done) {
+      request("get", url, {}, [200], `download ${url}`, done);
+    },
+
+    /**
+     * Finds a course folder, creating it if needed, and makes it hidden: students cannot
+     * browse it, but can download its files from a link.
+     * @param {string} folderPath - The folder path in the course files, e.g. "Assessment Files".
+     * @param {function} done - Callback function called with an error or the folder.
+     */
+    hiddenFolder(folderPath, done) {
+      const segments = folderPath.split("/").filter((segment) => segment);
+      const findFolder = (callback) =>
+        request(
+          "get",
+          `${courseUrl}/folders/by_path/${segments
+            .map(encodeURIComponent)
+            .join("/")}`,
+          util.standardArgs(),
+          [200, 404],
+          `find the folder "${folderPath}"`,
+          (err, data, response) =>
+            callback(
+              err,
+              !err && response.statusCode === 200 && Array.isArray(data)
+                ? data[data.length - 1]
+                : null
+            )
+        );
+      findFolder((err, found) => {
+        if (err) return done(err);
+        if (found && found.hidden) {
+          return done(null, found);
+        }
+        if (found) {
+          return request(
+            "put",
+            `${settings.domain}/api/v1/folders/${found.id}`,
+            util.hideFolderArgs(),
+            [200],
+            `hide the folder "${folderPath}"`,
+            done
+          );
+        }
+        request(
+          "post",
+          `${courseUrl}/folders`,
+          util.newFolderArgs(
+            segments[segments.length - 1],
+            segments.slice(0, -1).join("/")
+          ),
+          [200, 201],
+          `create the folder "${folderPath}"`,
+          done,
+          findFolder
+        );
+      });
+    },
+
+    /**
+     * Uploads a file into a course folder through the Canvas Files API: tells Canvas about
+     * the file, sends its content to the upload URL Canvas gives, then confirms the upload.
+     * A file of the same name in the folder is replaced.
+     * @param {number} folderId - The Canvas folder ID.
+     * @param {string} filePath - The path of the file to upload.
+     * @param {function} done - Callback function called with an error or the Canvas file,
+     *   whose `url` downloads it.
+     */
+    uploadFile(folderId, filePath, done) {
+      const name = path.basename(filePath);
+      let size;
+      try {
+        size = fs.statSync(filePath).size;
+      } catch (err) {
+        return done(err);
+      }
+
+      request(
+        "post",
+        `${courseUrl}/files`,
+        util.newFileArgs(name, size, folderId),
+        [200],
+        `start the upload of ${name}`,
+        (err, slot) => {
+          if (err) return done(err);
+          request(
+            "multipart",
+            slot.upload_url,
+            {
+              data: { fields: slot.upload_params || {}, file: filePath },
+            },
+            [200, 201, 301, 302, 303],
+            `upload ${name}`,
+            (err, data, response) => {
+              if (err) return done(err);
+              if (response.statusCode < 300 && data && data.id && data.url) {
+                return done(null, data);
+              }
+              const location =
+                response.headers.location || (data && data.location);
+              if (!location) {
+                return done(
+                  new Error(`Failed to upload ${name}: no file was returned.`)
+                );
+              }
+              request(
+                "get",
+                location,
+                util.standardArgs(),
+                [200, 201],
+                `confirm the upload of ${name}`,
+                done
+              );
+            }
+          );
+        },
+        nothingCreated
+      );
+    },
+
+    /**
+     * Summarises the requests made so far.
+     * @returns {object} - The numbers of `requests`, `retries`, `succeeded` and `failed`
+     *   calls, and the `errors` of the calls that failed.
+     */
+    summary() {
+      return Object.assign({}, stats, { errors: errors.slice() });
+    },
+  };
+}
+
+/**
+ * Posts a file as multipart form data, with the same call signature and events as a
+ * `node-rest-client` request. `node-rest-client` converts request bodies to text, which
+ * would corrupt binary files, so uploads are sent with Node's `http` module instead.
+ *
+ * The upload URL given by Canvas needs no authorization, so none is sent.
+ *
+ * @param {string} url - The upload URL.
+ * @param {object} args - `data`: the form `fields` and the `file` path; `requestConfig` and
+ *   `responseConfig`: the `timeout` in milliseconds.
+ * @param {function} callback - Called with the response data (parsed if JSON) and the response.
+ * @returns {object} - The request, which emits `error` and `responseTimeout`.
+ */
+function postMultipart(url, args, callback) {
+  const boundary = `----page${Date.now().toString(16)}`;
+  const fields = args.data.fields;
+  const parts = Object.keys(fields).map((name) =>
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${fields[name]}\r\n`
+    )
+  );
+  // Canvas expects the file to be the last field
+  parts.push(
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${path.basename(
+        args.data.file
+      )}"\r\nContent-Type: application/octet-stream\r\n\r\n`
+    ),
+    fs.readFileSync(args.data.file),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  );
+  const body = Buffer.concat(parts);
+
+  const req = (url.startsWith("https:") ? https : http).request(
+    url,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": `multipart/form-data; boundary=${boundary}`,
+        "Content-Length": body.length,
+      },
+    },
+    (response) => {
+      const chunks = [];
+      response.on("data", (chunk) => chunks.push(chunk));
+      response.on("end", () => {
+        let data = Buffer.concat(chunks).toString();
+        if (/json/.test(response.headers["content-type"] || "")) {
+          try {
+            data = JSON.parse(data);
+          } catch (err) {
+            // Leave a body that is not JSON as text
+          }
+        }
+        callback(data, response);
+      });
+    }
+  );
+  req.setTimeout(args.responseConfig.timeout, () => {
+    req.emit("responseTimeout");
+    req.destroy();
+  });
+  req.end(body);
+  return req;
+}
+
+/**
+ * Checks if a failed request may succeed if it is sent again.
+ * @param {Error|null} err - The network error, if any.
+ * @param {number|null} status - The response status code.
+ * @param {*} data - The response body.
+ * @returns {boolean} - True if the request should be retried.
+ */
+function isRetryable(err, status, data) {
+  if (err) return true;
+  return status >= 500 || isThrottled(status, data);
+}
+
+/**
+ * Checks if a request was throttled, and so was not handled.
+ * @param {number|null} status - The response status code.
+ * @param {*} data - The response body.
+ * @returns {boolean} - True if Canvas refused the request because of the rate limit.
+ */
+function isThrottled(status, data) {
+  // Canvas answers 403 with "Rate Limit Exceeded" when a caller is throttled
+  return (
+    status === 429 || (status === 403 && /rate limit exceeded/i.test(`${data}`))
+  );
+}
+
+/**
+ * The `findExisting` function of a POST that a second attempt cannot duplicate: Canvas
+ * returns the report of a quiz that is already being generated, and only gives an upload URL
+ * when a file upload is started.
+ * @param {function} callback - Called with no error and no item.
+ */
+function nothingCreated(callback) {
+  callback(null, null);
+}
+
+/**
+ * Checks if two lists hold the same IDs, in any order.
+ * @param {Array} a - The first list.
+ * @param {Array} b - The second list.
+ * @returns {boolean} - True if the lists hold the same IDs.
+ */
+function sameIds(a, b) {
+  const sorted = (ids) =>
+    ids
+      .map(Number)
+      .sort((x, y) => x - y)
+      .join(",");
+  return sorted(a) === sorted(b);
+}
+
+/**
+ * Reads the wait asked for by a `Retry-After` header.
+ * @param {object} response - The response.
+ * @returns {number} - The wait in milliseconds, or 0 if there is none.
+ */
+function retryAfterMs(response) {
+  const seconds = response && parseFloat(response.headers["retry-after"]);
+  return seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Describes an error response, using the Canvas error message when there is one.
+ * @param {*} data - The response body.
+ * @param {object} response - The response.
+ * @returns {string} - The description.
+ */
+function describeResponse(data, response) {
+  if (data && Array.isArray(data.errors) && data.errors[0]) {
+    return data.errors[0].message || JSON.stringify(data.errors[0]);
+  }
+  if (data && typeof data.message === "string") {
+    return data.message;
+  }
+  return response.statusMessage;
+}
+
+module.exports = { DEFAULTS, createClient };
@@ -0,0 +1,999 @@
+"use strict";
+
+/**
+ * Local stand-in for the Canvas endpoints used by `CreateTest.js` and `GradeTest.js`.
+ *
+ * The server keeps the course in memory, so a whole deploy and grade run can be tried and
+ * checked offline, without a Canvas test instance. It implements:
+ * - `GET  /api/v1/courses/:course/users`: the enrolled students, `per_page` at a time, with
+ *   `Link` header pagination.
+ * - `POST /api/v1/courses/:course/quizzes`, `GET` and `PUT .../quizzes/:quiz`: quizzes, each
+ *   with its own assignment ID.
+ * - `POST` and `GET .../quizzes/:quiz/questions`: quiz questions.
+ * - `POST` and `GET .../assignments/:assignment/overrides`: assignment overrides (the student
+ *   IDs must be enrolled).
+ * - `POST .../quizzes/:quiz/reports` and `GET .../reports/:report`: student analysis reports,
+ *   whose CSV file is ready after `reportPolls` checks and is served from `/files/:file`.
+ * - `GET .../folders/by_path/*`, `POST .../folders` and `PUT /api/v1/folders/:folder`: course
+ *   folders.
+ * - `POST .../files`, then a multipart `POST` to the `upload_url` it returns, which redirects
+ *   to `GET /api/v1/files/:file`: file uploads. Uploaded files are also served from
+ *   `/files/:file/download`.
+ *
+ * Faults can be injected to try the failure paths: each fault answers the requests whose
+ * method and path match it with an error status (e.g. `500` or `429` with `Retry-After`)
+ * instead of handling them, for a number of `times`, optionally after a delay. A fault can
+ * let the first `skip` matching requests through, and can be `handled`: the request is
+ * carried out before the error is sent, as when Canvas fails after doing the work.
+ *
+ * Input:
+ * - The options given to `createServer`, or the port and number of students given on the
+ *   command line.
+ *
+ * Output:
+ * - None; the state (users, quizzes, questions, overrides, submissions, reports, folders,
+ *   files and a log of every request) is kept in memory and can be read with `state` or
+ *   `GET /__mock/state`.
+ *
+ * Usage:
+ * - Run `node mock-canvas.js [port] [students]` from the `3.Shoot/TEST 101` directory, then
+ *   run the scripts against it with `CANVAS_DOMAIN=http://localhost:<port>`,
+ *   `CANVAS_COURSE_ID=1` and `CANVAS_TOKEN=mock-token`.
+ * - Or `require("./mock-canvas.js").createServer(options)` in a test and call `listen`.
+ *
+ * Notes:
+ * - When the server runs on its own, it can be controlled over HTTP, without a token:
+ *   `POST /__mock/faults` adds a fault (`path` is a regular expression), `POST
+ *   /__mock/submissions` submits a student's answers (`quizId`, `userId`, `answers`) and
+ *   `GET /__mock/state` returns the state.
+ * - Submissions are marked the way `GradeTest.js` expects Canvas to mark them: short answers
+ *   by exact match, numerical answers within their tolerance and multiple choice answers by
+ *   their text.
+ *
+ * Exports:
+ * - `DEFAULTS`: The default options.
+ * - `createServer`: Creates a mock Canvas server.
+ */
+
+const http = require("http");
+const util = require("./util.js");
+
+const DEFAULTS = {
+  courseId: 1, // Canvas course ID served
+  token: "mock-token", // API token expected in the Authorization header ("" to accept any)
+  students: 25, // Number of students generated when no `users` are given
+  sections: 1, // Number of sections the generated students are spread over
+  users: null, // Students to enrol instead: { id, name, sis_user_id, enrollments } objects
+  perPage: 10, // Most users returned per page, whatever `per_page` asks for
+  reportPolls: 1, // Number of report checks before its file is ready
+  rateLimitRemaining: 700, // Value of the X-Rate-Limit-Remaining header
+  faults: [], // Faults to inject from the start (see `inject`)
+};
+
+/**
+ * Creates a mock Canvas server.
+ *
+ * @param {object} options - Any of `DEFAULTS`.
+ * @returns {object} - The mock: `listen`, `close`, `url`, `state`, `inject` and `submit`.
+ */
+function createServer(options) {
+  const settings = Object.assign({}, DEFAULTS, options);
+  // Last ID given to each kind of object
+  const ids = {
+    quiz: 100,
+    assignment: 200,
+    override: 300,
+    report: 400,
+    file: 500,
+    folder: 600,
+    upload: 700,
+    question: 1000,
+  };
+  const state = {
+    users:
+      settings.users || generateUsers(settings.students, settings.sections),
+    quizzes: [],
+    assignments: {},
+    files: {},
+    folders: [],
+    requests: [],
+  };
+  const uploads = {}; // Files announced with `POST .../files`, by upload ID
+  let faults = [];
+  let baseUrl = null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, baseUrl);
+    readBody(req, (body, raw) => {
+      const fault = takeFault(req.method, url.pathname);
+      const send = (status, data, headers) => {
+        state.requests.push({
+          method: req.method,
+          path: url.pathname + url.search,
+          status: status,
+          fault: Boolean(fault),
+        });
+        reply(
+          res,
+          status,
+          data,
+          Object.assign(
+            { "X-Rate-Limit-Remaining": settings.rateLimitRemaining },
+            headers
+          )
+        );
+      };
+
+      if (url.pathname.startsWith("/__mock/")) {
+        return control(req.method, url.pathname, body, send);
+      }
+      if (fault) {
+        const fail = () =>
+          setTimeout(
+            () =>
+              send(
+                fault.status,
+                fault.body || errorBody(http.STATUS_CODES[fault.status]),
+                fault.retryAfter ? { "Retry-After": fault.retryAfter } : {}
+              ),
+            fault.delayMs || 0
+          );
+        return fault.handled ? route(req, url, body, raw, fail) : fail();
+      }
+      route(req, url, body, raw, send);
+    });
+  });
+
+  /**
+   * Handles a Canvas API request.
+   * @param {object} req - The request.
+   * @param {URL} url - The request URL.
+   * @param {*} body - The parsed request body.
+   * @param {Buffer} raw - The request body as sent.
+   * @param {function} send - Sends the response: `(status, data, headers)`.
+   */
+  function route(req, url, body, raw, send) {
+    const fileMatch = /^\/files\/(\d+)\/download$/.exec(url.pathname);
+    if (req.method === "GET" && fileMatch) {
+      const file = state.files[fileMatch[1]];
+      return file
+        ? send(200, file.content, {
+            "Content-Type": file.contentType || "text/csv",
+          })
+        : send(404, errorBody("The specified resource does not exist."));
+    }
+
+    // Upload URLs need no token, as on Canvas
+    const uploadMatch = /^\/__upload\/(\d+)$/.exec(url.pathname);
+    if (req.method === "POST" && uploadMatch) {
+      return receiveUpload(uploadMatch[1], req, raw, send);
+    }
+
+    if (
+      settings.token &&
+      req.headers.authorization !== `Bearer ${settings.token}`
+    ) {
+      return send(401, errorBody("Invalid access token."));
+    }
+
+    const folderMatch = /^\/api\/v1\/folders\/(\d+)$/.exec(url.pathname);
+    if (req.method === "PUT" && folderMatch) {
+      const folder = state.folders.find((f) => `${f.id}` === folderMatch[1]);
+      if (!folder) {
+        return send(404, errorBody("The specified resource does not exist."));
+      }
+      ["hidden", "locked"].forEach((key) => {
+        if (body && body[key] !== undefined) folder[key] = Boolean(body[key]);
+      });
+      return send(200, folder);
+    }
+    const uploadedMatch = /^\/api\/v1\/files\/(\d+)$/.exec(url.pathname);
+    if (req.method === "GET" && uploadedMatch) {
+      const file = state.files[uploadedMatch[1]];
+      return file && file.json
+        ? send(200, file.json)
+        : send(404, errorBody("The specified resource does not exist."));
+    }
+
+    const coursePrefix = `/api/v1/courses/${settings.courseId}`;
+    if (!url.pathname.startsWith(`${coursePrefix}/`)) {
+      return send(404, errorBody("The specified resource does not exist."));
+    }
+    const parts = url.pathname.slice(coursePrefix.length + 1).split("/");
+    const key = `${req.method} ${parts
+      .map((part) => (/^\d+$/.test(part) ? ":id" : part))
+      .join("/")}`;
+    const quiz = parts[0] === "quizzes" ? findQuiz(parts[1]) : null;
+    const missing = () =>
+      send(404, errorBody("The specified resource does not exist."));
+
+    if (
+      req.method === "GET" &&
+      parts[0] === "folders" &&
+      parts[1] === "by_path"
+    ) {
+      return findFolders(parts.slice(2).map(decodeURIComponent), send);
+    }
+
+    switch (key) {
+      case "GET users":
+        return listUsers(url, send);
+      case "POST quizzes":
+        return send(200, createQuiz((body && body.quiz) || {}));
+      case "GET quizzes":
+        return send(200, state.quizzes.map(quizJson));
+      case "GET quizzes/:id":
+        return quiz ? send(200, quizJson(quiz)) : missing();
+      case "PUT quizzes/:id":
+        if (!quiz) return missing();
+        updateQuiz(quiz, (body && body.quiz) || {});
+        return send(200, quizJson(quiz));
+      case "POST quizzes/:id/questions":
+        if (!quiz) return missing();
+        return send(200, addQuestion(quiz, (body && body.question) || {}));
+      case "GET quizzes/:id/questions":
+        return quiz ? send(200, quiz.questions) : missing();
+      case "POST assignments/:id/overrides":
+      case "GET assignments/:id/overrides": {
+        const assignment = state.assignments[parts[1]];
+        if (!assignment) return missing();
+        if (req.method === "GET") {
+          return send(200, assignment.overrides);
+        }
+        return createOverride(
+          assignment,
+          (body && body.assignment_override) || {},
+          send
+        );
+      }
+      case "POST quizzes/:id/reports":
+        if (!quiz) return missing();
+        return send(200, reportJson(createReport(quiz, body || {}), false));
+      case "GET quizzes/:id/reports/:id": {
+        const report = quiz && quiz.reports.find((r) => `${r.id}` === parts[3]);
+        if (!report) return missing();
+        report.polls++;
+        return send(
+          200,
+          reportJson(
+            report,
+            url.searchParams.getAll("include[]").includes("file")
+          )
+        );
+      }
+      case "POST folders":
+        return createFolder(body || {}, send);
+      case "POST files":
+        return announceUpload(body || {}, send);
+      default:
+        return missing();
+    }
+  }
+
+  /**
+   * Returns the folders along a path, from the course's top folder, as
+   * `GET .../folders/by_path/*` does.
+   * @param {string[]} names - The folder names along the path.
+   * @param {function} send - Sends the response.
+   */
+  function findFolders(names, send) {
+    const found = [];
+    let parentPath = "";
+    for (const name of names) {
+      const fullPath = parentPath ? `${parentPath}/${name}` : name;
+      const folder = state.folders.find((f) => f.path === fullPath);
+      if (!folder) {
+        return send(404, errorBody("The specified resource does not exist."));
+      }
+      found.push(folder);
+      parentPath = fullPath;
+    }
+    send(200, found);
+  }
+
+  /**
+   * Creates a course folder.
+   * @param {object} fields - `name`, `parent_folder_path`, `hidden` and `locked`.
+   * @param {function} send - Sends the response.
+   */
+  function createFolder(fields, send) {
+    if (!fields.name) {
+      return send(400, errorBody("A folder needs a name."));
+    }
+    const parentPath = `${fields.parent_folder_path || ""}`.replace(
+      /^\/+|\/+$/g,
+      ""
+    );
+    const fullPath = parentPath ? `${parentPath}/${fields.name}` : fields.name;
+    if (state.folders.some((f) => f.path === fullPath)) {
+      return send(409, errorBody("A folder with that name already exists."));
+    }
+    const folder = {
+      id: ++ids.folder,
+      name: fields.name,
+      full_name: `course files/${fullPath}`,
+      path: fullPath,
+      hidden: Boolean(fields.hidden),
+      locked: Boolean(fields.locked),
+    };
+    state.folders.push(folder);
+    send(200, folder);
+  }
+
+  /**
+   * Starts a file upload, returning the URL to send the file to.
+   * @param {object} fields - `name`, `size`, `content_type`, `parent_folder_id` and `on_duplicate`.
+   * @param {function} send - Sends the response.
+   */
+  function announceUpload(fields, send) {
+    const folder = state.folders.find(
+      (f) => `${f.id}` === `${fields.parent_folder_id}`
+    );
+    if (!fields.name || !folder) {
+      return send(400, errorBody("An upload needs a name and a folder."));
+    }
+    const id = ++ids.upload;
+    uploads[id] = Object.assign({}, fields, { folder: folder });
+    send(200, {
+      upload_url: `${baseUrl}/__upload/${id}`,
+      upload_params: {
+        filename: fields.name,
+        content_type: fields.content_type,
+      },
+    });
+  }
+
+  /**
+   * Receives the content of an announced upload, then redirects to the new file, as the
+   * Canvas upload servers do.
+   * @param {string} uploadId - The upload ID from the upload URL.
+   * @param {object} req - The request.
+   * @param {Buffer} raw - The multipart request body.
+   * @param {function} send - Sends the response.
+   */
+  function receiveUpload(uploadId, req, raw, send) {
+    const upload = uploads[uploadId];
+    const content = upload && multipartFile(req.headers["content-type"], raw);
+    if (!content) {
+      return send(400, errorBody("No file was uploaded."));
+    }
+    if (upload.size !== undefined && Number(upload.size) !== content.length) {
+      return send(
+        400,
+        errorBody(`Expected ${upload.size} bytes, received ${content.length}.`)
+      );
+    }
+    delete uploads[uploadId];
+
+    // A file of the same name in the folder is replaced
+    Object.keys(state.files).forEach((id) => {
+      const json = state.files[id].json;
+      if (
+        json &&
+        json.folder_id === upload.folder.id &&
+        json.display_name === upload.name
+      ) {
+        delete state.files[id];
+      }
+    });
+    const id = ++ids.file;
+    state.files[id] = {
+      content: content,
+      contentType: upload.content_type || "application/octet-stream",
+      json: {
+        id: id,
+        display_name: upload.name,
+        filename: upload.name,
+        "content-type": upload.content_type,
+        size: content.length,
+        folder_id: upload.folder.id,
+        hidden: upload.folder.hidden,
+        url: `${baseUrl}/files/${id}/download?download_frd=1&verifier=mock${id}`,
+      },
+    };
+    send(302, "", { Location: `${baseUrl}/api/v1/files/${id}` });
+  }
+
+  /**
+   * Handles a request to the control endpoints under `/__mock/`.
+   * @param {string} method - The request method.
+   * @param {string} pathname - The request path.
+   * @param {*} body - The parsed request body.
+   * @param {function} send - Sends the response.
+   */
+  function control(method, pathname, body, send) {
+    try {
+      switch (`${method} ${pathname}`) {
+        case "GET /__mock/state":
+          return send(
+            200,
+            Object.assign({}, state, { files: fileSummaries() })
+          );
+        case "POST /__mock/faults":
+          inject(body || {});
+          return send(201, { faults: faults.length });
+        case "POST /__mock/submissions":
+          return send(
+            201,
+            submit(body.quizId, body.userId, body.answers, body.attempt)
+          );
+        default:
+          return send(404, errorBody("Unknown mock control endpoint."));
+      }
+    } catch (err) {
+      send(400, errorBody(err.message));
+    }
+  }
+
+  /**
+   * Returns the files for the state endpoint, with the size of uploaded files in place of
+   * their content (which can be downloaded from `/files/:file/download`).
+   * @returns {object} - The files, by ID.
+   */
+  function fileSummaries() {
+    const files = {};
+    Object.keys(state.files).forEach((id) => {
+      const file = state.files[id];
+      files[id] = Buffer.isBuffer(file.content)
+        ? Object.assign({}, file, { content: `${file.content.length} bytes` })
+        : file;
+    });
+    return files;
+  }
+
+  /**
+   * Finds the fault for a request, if any, and counts it as used.
+   * @param {string} method - The request method.
+   * @param {string} pathname - The request path.
+   * @returns {object|null} - The fault, or null if the request is handled normally.
+   */
+  function takeFault(method, pathname) {
+    const fault = faults.find(
+      (f) =>
+        (!f.method || f.method.toUpperCase() === method) &&
+        f.path.test(pathname)
+    );
+    if (!fault) {
+      return null;
+    }
+    if (fault.skipped < fault.skip) {
+      fault.skipped++;
+      return null;
+    }
+    fault.used++;
+    if (fault.times > 0 && fault.used >= fault.times) {
+      faults = faults.filter((f) => f !== fault);
+    }
+    return fault;
+  }
+
+  /**
+   * Adds a fault. Faults are checked in the order they were added.
+   * @param {object} fault - `status`: the status code to answer with; `path`: a regular
+   *   expression (or its source) matched against the request path; and optionally `method`,
+   *   `times` (default 1; 0 for every request), `retryAfter` (seconds), `delayMs`, `body`,
+   *   `skip` (the number of matching requests to let through first) and `handled` (true to
+   *   carry out the request before answering with the error).
+   * @throws Will throw an error if `status` or `path` is missing.
+   */
+  function inject(fault) {
+    if (!fault.status || !fault.path) {
+      throw new Error("A fault needs a status and a path.");
+    }
+    faults.push(
+      Object.assign({ times: 1, skip: 0 }, fault, {
+        path:
+          fault.path instanceof RegExp ? fault.path : new RegExp(fault.path),
+        used: 0,
+        skipped: 0,
+      })
+    );
+  }
+
+  /**
+   * Returns one page of the enrolled students with the Link header for the other pages.
+   * @param {URL} url - The request URL.
+   * @param {function} send - Sends the response.
+   */
+  function listUsers(url, send) {
+    const perPage = Math.min(
+      parseInt(url.searchParams.get("per_page")) || settings.perPage,
+      settings.perPage
+    );
+    const page = parseInt(url.searchParams.get("page")) || 1;
+    const lastPage = Math.max(Math.ceil(state.users.length / perPage), 1);
+    const pageUrl = (n) => {
+      const link = new URL(url.href);
+      link.searchParams.set("page", n);
+      link.searchParams.set("per_page", perPage);
+      return link.href;
+    };
+
+    const links = [`<${pageUrl(page)}>; rel="current"`];
+    if (page < lastPage) {
+      links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+    }
+    if (page > 1) {
+      links.push(`<${pageUrl(page - 1)}>; rel="prev"`);
+    }
+    links.push(`<${pageUrl(1)}>; rel="first"`);
+    links.push(`<${pageUrl(lastPage)}>; rel="last"`);
+
+    send(200, state.users.slice((page - 1) * perPage, page * perPage), {
+      Link: links.join(","),
+    });
+  }
+
+  /**
+   * Creates a quiz and its assignment.
+   * @param {object} fields - The `quiz` fields of the request.
+   * @returns {object} - The quiz as Canvas returns it.
+   */
+  function createQuiz(fields) {
+    const quiz = {
+      id: ++ids.quiz,
+      assignment_id: ++ids.assignment,
+      questions: [],
+      reports: [],
+      submissions: [],
+      published: false,
+    };
+    updateQuiz(quiz, fields);
+    state.quizzes.push(quiz);
+    state.assignments[quiz.assignment_id] = { quizId: quiz.id, overrides: [] };
+    return quizJson(quiz);
+  }
+
+  /**
+   * Updates the fields of a quiz.
+   * @param {object} quiz - The quiz.
+   * @param {object} fields - The `quiz` fields of the request.
+   */
+  function updateQuiz(quiz, fields) {
+    Object.keys(fields).forEach((key) => {
+      quiz[key] = fields[key];
+    });
+    ["points_possible", "allowed_attempts"].forEach((key) => {
+      if (quiz[key] !== undefined) quiz[key] = Number(quiz[key]);
+    });
+    quiz.published = quiz.published === true || quiz.published === "true";
+  }
+
+  /**
+   * Adds a question to a quiz.
+   * @param {object} quiz - The quiz.
+   * @param {object} fields - The `question` fields of the request.
+   * @returns {object} - The question as Canvas returns it.
+   */
+  function addQuestion(quiz, fields) {
+    const question = {
+      id: ++ids.question,
+      quiz_id: quiz.id,
+      position: Number(fields.position) || quiz.questions.length + 1,
+      question_name: fields.name,
+      question_type: fields.question_type,
+      question_text: fields.question_text,
+      points_possible: Number(fields.points_possible) || 0,
+      answers: (fields.answers || []).map((answer, index) =>
+        Object.assign({ id: index + 1 }, answer, {
+          answer_weight: Number(answer.answer_weight) || 0,
+        })
+      ),
+    };
+    quiz.questions.push(question);
+    return question;
+  }
+
+  /**
+   * Creates an assignment override, checking that its students are enrolled.
+   * @param {object} assignment - The assignment.
+   * @param {object} fields - The `assignment_override` fields of the request.
+   * @param {function} send - Sends the response.
+   */
+  function createOverride(assignment, fields, send) {
+    const studentIds = (fields.student_ids || []).map(Number);
+    const unknown = studentIds.filter(
+      (id) => !state.users.some((user) => user.id === id)
+    );
+    if (studentIds.length === 0 || unknown.length > 0) {
+      return send(
+        400,
+        errorBody(
+          studentIds.length === 0
+            ? "An override needs at least one student."
+            : `Unknown student IDs: ${unknown.join(", ")}`
+        )
+      );
+    }
+    const override = Object.assign({}, fields, {
+      id: ++ids.override,
+      assignment_id: findQuiz(assignment.quizId).assignment_id,
+      quiz_id: assignment.quizId,
+      student_ids: studentIds,
+    });
+    assignment.overrides.push(override);
+    send(201, override);
+  }
+
+  /**
+   * Starts a quiz report.
+   * @param {object} quiz - The quiz.
+   * @param {object} fields - The request body.
+   * @returns {object} - The report.
+   */
+  function createReport(quiz, fields) {
+    const report = {
+      id: ++ids.report,
+      quiz_id: quiz.id,
+      report_type: (fields.quiz_report || {}).report_type || "student_analysis",
+      polls: 0,
+      file: null,
+    };
+    quiz.reports.push(report);
+    return report;
+  }
+
+  /**
+   * Returns a report as Canvas does, generating its file once it has been checked
+   * `reportPolls` times.
+   * @param {object} report - The report.
+   * @param {boolean} includeFile - True if the file was asked for with `include[]=file`.
+   * @returns {object} - The report as Canvas returns it.
+   */
+  function reportJson(report, includeFile) {
+    if (!report.file && report.polls >= settings.reportPolls) {
+      const quiz = findQuiz(report.quiz_id);
+      const id = ++ids.file;
+      state.files[id] = { content: reportCsv(quiz) };
+      report.file = {
+        id: id,
+        filename: `quiz-${quiz.id}-student_analysis.csv`,
+        "content-type": "text/csv",
+        url: `${baseUrl}/files/${id}/download`,
+      };
+    }
+    const json = {
+      id: report.id,
+      quiz_id: report.quiz_id,
+      report_type: report.report_type,
+      generatable: true,
+    };
+    if (report.file && includeFile) {
+      json.file = report.file;
+    } else if (!report.file) {
+      json.progress_url = `${baseUrl}/api/v1/progress/${report.id}`;
+    }
+    return json;
+  }
+
+  /**
+   * Submits a student's answers to a quiz and marks them.
+   * @param {number} quizId - The quiz ID.
+   * @param {number} userId - The student's Canvas user ID.
+   * @param {string[]} answers - The answer to each question, in position order.
+   * @param {number} [attempt] - The attempt number (default: the student's next attempt).
+   * @returns {object} - The submission, with the points of each answer and the score.
+   * @throws Will throw an error if the quiz or student does not exist.
+   */
+  function submit(quizId, userId, answers, attempt) {
+    const quiz = findQuiz(quizId);
+    const user = state.users.find((u) => u.id === Number(userId));
+    if (!quiz || !user) {
+      throw new Error(`No ${quiz ? "student" : "quiz"} with that ID.`);
+    }
+    const questions = sortedQuestions(quiz);
+    const submission = {
+      userId: user.id,
+      attempt:
+        attempt ||
+        quiz.submissions.filter((s) => s.userId === user.id).length + 1,
+      answers: questions.map((question, index) => {
+        const answer = answers[index] === undefined ? "" : `${answers[index]}`;
+        return {
+          answer: answer,
+          points: isCorrect(question, answer) ? question.points_possible : 0,
+        };
+      }),
+    };
+    submission.score = submission.answers.reduce((sum, a) => sum + a.points, 0);
+    quiz.submissions.push(submission);
+    return submission;
+  }
+
+  /**
+   * Builds the student analysis CSV of a quiz, in the columns Canvas uses.
+   * @param {object} quiz - The quiz.
+   * @returns {string} - The CSV content.
+   */
+  function reportCsv(quiz) {
+    const questions = sortedQuestions(quiz);
+    const lines = [
+      util.toCsvLine(
+        [
+          "name",
+          "id",
+          "sis_id",
+          "section",
+          "section_id",
+          "section_sis_id",
+          "submitted",
+          "attempt",
+        ]
+          .concat(
+            ...questions.map((q) => [
+              `${q.id}: ${stripTags(q.question_text)}`,
+              q.points_possible,
+            ])
+          )
+          .concat(["n correct", "n incorrect", "score"])
+      ),
+    ];
+
+    quiz.submissions.forEach((submission) => {
+      const user = state.users.find((u) => u.id === submission.userId);
+      const correct = submission.answers.filter((a) => a.points > 0).length;
+      lines.push(
+        util.toCsvLine(
+          [
+            user.name,
+            user.id,
+            user.sis_user_id,
+            "Mock Section",
+            1,
+            "",
+            new Date().toISOString(),
+            submission.attempt,
+          ]
+            .concat(...submission.answers.map((a) => [a.answer, a.points]))
+            .concat([
+              correct,
+              submission.answers.length - correct,
+              submission.score,
+            ])
+        )
+      );
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * Finds a quiz by ID.
+   * @param {number|string} id - The quiz ID.
+   * @returns {object|undefined} - The quiz.
+   */
+  function findQuiz(id) {
+    return state.quizzes.find((quiz) => `${quiz.id}` === `${id}`);
+  }
+
+  return {
+    state: state,
+    inject: inject,
+    submit: submit,
+
+    /**
+     * The base URL of the server (the Canvas domain to use), once it is listening.
+     * @returns {string|null} - The URL, e.g. `http://localhost:3000`.
+     */
+    url() {
+      return baseUrl;
+    },
+
+    /**
+     * Starts the server.
+     * @param {number} port - The port (0 for any free port).
+     * @param {function} done - Callback function called with an error or the base URL.
+     */
+    listen(port, done) {
+      settings.faults.forEach(inject);
+      server.once("error", done);
+      server.listen(port, "127.0.0.1", () => {
+        server.removeListener("error", done);
+        baseUrl = `http://localhost:${server.address().port}`;
+        done(null, baseUrl);
+      });
+    },
+
+    /**
+     * Stops the server, closing any open connections.
+     * @param {function} done - Callback function when done.
+     */
+    close(done) {
+      server.close(() => done());
+      server.closeAllConnections();
+    },
+  };
+}
+
+/**
+ * Generates students with Canvas user IDs and numeric SIS IDs, dealt to sections in turn.
+ * @param {number} count - The number of students.
+ * @param {number} sections - The number of sections.
+ * @returns {object[]} - The students.
+ */
+function generateUsers(count, sections) {
+  const users = [];
+  for (let i = 1; i <= count; i++) {
+    users.push({
+      id: 5000 + i,
+      name: `Student ${i}`,
+      sortable_name: `${i}, Student`,
+      sis_user_id: `${100000000 + i}`,
+      login_id: `student${i}`,
+      enrollments: [
+        {
+          type: "StudentEnrollment",
+          course_section_id: 10 + ((i - 1) % Math.max(sections, 1)) + 1,
+        },
+      ],
+    });
+  }
+  return users;
+}
+
+/**
+ * Returns the questions of a quiz in position order.
+ * @param {object} quiz - The quiz.
+ * @returns {object[]} - The questions.
+ */
+function sortedQuestions(quiz) {
+  return quiz.questions.slice().sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Marks an answer against a question's correct answers.
+ * @param {object} question - The question.
+ * @param {string} answer - The answer given.
+ * @returns {boolean} - True if the answer is correct.
+ */
+function isCorrect(question, answer) {
+  const value = parseFloat(answer);
+  return question.answers
+    .filter((a) => a.answer_weight > 0)
+    .some((a) => {
+      switch (question.question_type) {
+        case "numerical_question":
+          if (isNaN(value)) return false;
+          if (a.numerical_answer_type === "range_answer") {
+            return (
+              value >= Number(a.answer_range_start) &&
+              value <= Number(a.answer_range_end)
+            );
+          }
+          if (a.numerical_answer_type === "precision_answer") {
+            const precision = Number(a.answer_precision);
+            return (
+              value.toPrecision(precision) ===
+              Number(a.answer_approximate).toPrecision(precision)
+            );
+          }
+          return (
+            Math.abs(value - Number(a.answer_exact)) <=
+            Number(a.answer_error_margin || 0)
+          );
+        default:
+          return `${a.answer_text}`.trim() === answer.trim();
+      }
+    });
+}
+
+/**
+ * Returns a quiz without the mock's own records.
+ * @param {object} quiz - The quiz.
+ * @returns {object} - The quiz as Canvas returns it.
+ */
+function quizJson(quiz) {
+  const json = Object.assign({}, quiz, {
+    question_count: quiz.questions.length,
+  });
+  delete json.questions;
+  delete json.reports;
+  delete json.submissions;
+  return json;
+}
+
+/**
+ * Removes the HTML tags from a question text, as in the report column titles.
+ * @param {string} html - The question text.
+ * @returns {string} - The plain text.
+ */
+function stripTags(html) {
+  return `${html || ""}`.replace(/<br\s*\/?>/g, " ").replace(/<[^>]*>/g, "");
+}
+
+/**
+ * Extracts the `file` field of a multipart form body.
+ * @param {string} contentType - The request's Content-Type header, with the boundary.
+ * @param {Buffer} raw - The request body.
+ * @returns {Buffer|null} - The file content, or null if there is no file.
+ */
+function multipartFile(contentType, raw) {
+  const boundary = /boundary=(.+)$/.exec(contentType || "");
+  if (!boundary) {
+    return null;
+  }
+  const delimiter = Buffer.from(`--${boundary[1]}`);
+  let start = raw.indexOf(delimiter);
+  while (start !== -1) {
+    const next = raw.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+    const part = raw.slice(start + delimiter.length + 2, next - 2); // Without the CRLFs
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (/name="file"/.test(part.slice(0, headerEnd).toString())) {
+      return part.slice(headerEnd + 4);
+    }
+    start = next;
+  }
+  return null;
+}
+
+/**
+ * Builds a Canvas error response body.
+ * @param {string} message - The error message.
+ * @returns {object} - The body.
+ */
+function errorBody(message) {
+  return { errors: [{ message: message }] };
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {object} req - The request.
+ * @param {function} done - Callback function called with the body (null if empty or not
+ *   JSON) and the body as sent.
+ */
+function readBody(req, done) {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const raw = Buffer.concat(chunks);
+    const text = raw.toString();
+    try {
+      done(text ? JSON.parse(text) : null, raw);
+    } catch (err) {
+      done(null, raw);
+    }
+  });
+}
+
+/**
+ * Sends a response.
+ * @param {object} res - The response.
+ * @param {number} status - The status code.
+ * @param {*} data - The body: a string or Buffer, or a value sent as JSON.
+ * @param {object} headers - Extra headers.
+ */
+function reply(res, status, data, headers) {
+  const isText = typeof data === "string" || Buffer.isBuffer(data);
+  res.writeHead(
+    status,
+    Object.assign(
+      {
+        "Content-Type": isText
+          ? "text/plain; charset=utf-8"
+          : "application/json; charset=utf-8",
+      },
+      headers
+    )
+  );
+  res.end(isText ? data : JSON.stringify(data));
+}
+
+module.exports = { DEFAULTS, createServer };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 3000;
+  const students = parseInt(process.argv[3]) || DEFAULTS.students;
+  const mock = createServer({ students: students });
+  mock.listen(port, (err, url) => {
+    if (err) {
+      console.error(`Cannot start the mock Canvas server: ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`Mock Canvas server with ${students} students listening on ${url}
+Run the scripts with:
+  CANVAS_DOMAIN=${url} CANVAS_COURSE_ID=${DEFAULTS.courseId} CANVAS_TOKEN=${DEFAULTS.token}
+Press Ctrl+C to stop.`);
+  });
+}
@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * Tests `CreateTest.js` end to end against the mock Canvas server (`mock-canvas.js`).
+ *
+ * A workspace is made in a temporary folder with the example Q&A and file URL files from
+ * `inOutFiles`, the mock is started on a free port, and `CreateTest.js` is run against it.
+ * The quizzes, questions and overrides it creates are then read from `GET /__mock/state`.
+ *
+ * Usage:
+ * - Run `npm test` from the `3.Shoot/TEST 101` directory.
+ *
+ * Notes:
+ * - Every quiz has the same title. The second quiz request fails with a `500` after the mock
+ *   has created the quiz, the third fails with a `500` before it is created, and one
+ *   question request fails with a `429`. The run also checks that each version still gets
+ *   its own quiz.
+ */
+
+const assert = require("assert");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { after, before, test } = require("node:test");
+const mockCanvas = require("../mock-canvas.js");
+
+const SCRIPT_DIR = path.join(__dirname, "..");
+const EXAMPLES = path.join(SCRIPT_DIR, "inOutFiles");
+const QA_FILE = "TestQA-2024-12-02-230419.json";
+const URL_FILE = "TestFiles.csv";
+const STUDENTS = 7;
+
+let mock;
+let tmpDir;
+let run;
+
+before(async () => {
+  mock = mockCanvas.createServer({
+    students: STUDENTS,
+    faults: [
+      {
+        method: "POST",
+        path: "/quizzes$",
+        status: 500,
+        skip: 1,
+        handled: true,
+      },
+      // Checked once the fault above is used up, so it fails the third quiz request
+      { method: "POST", path: "/quizzes$", status: 500, times: 1 },
+      { method: "POST", path: "/questions$", status: 429, times: 1 },
+    ],
+  });
+  const domain = await new Promise((resolve, reject) =>
+    mock.listen(0, (err, url) => (err ? reject(err) : resolve(url)))
+  );
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "page-create-test-"));
+  const deployDir = path.join(tmpDir, "workspace", "deploy");
+  fs.mkdirSync(deployDir, { recursive: true });
+  [QA_FILE, URL_FILE].forEach((file) =>
+    fs.copyFileSync(path.join(EXAMPLES, file), path.join(deployDir, file))
+  );
+  const configFile = path.join(tmpDir, "page.config.json");
+  fs.copyFileSync(
+    path.join(SCRIPT_DIR, "..", "..", "page.config.json"),
+    configFile
+  );
+
+  run = await new Promise((resolve) =>
+    execFile(
+      process.execPath,
+      ["CreateTest.js"],
+      {
+        cwd: SCRIPT_DIR,
+        timeout: 60000,
+        env: Object.assign({}, process.env, {
+          PAGE_CONFIG: configFile,
+          PAGE_WORKSPACE: path.join(tmpDir, "workspace"),
+          CANVAS_DOMAIN: domain,
+          CANVAS_COURSE_ID: "1",
+          CANVAS_TOKEN: "mock-token",
+        }),
+      },
+      (err, stdout, stderr) =>
+        resolve({ code: err ? err.code : 0, stdout, stderr })
+    )
+  );
+});
+
+after(async () => {
+  if (mock) {
+    await new Promise((resolve) => mock.close(resolve));
+  }
+  if (tmpDir) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Reads the state of the mock Canvas server.
+ * @returns {Promise<object>} - The state returned by `GET /__mock/state`.
+ */
+function mockState() {
+  return new Promise((resolve, reject) => {
+    http
+      .get(`${mock.url()}/__mock/state`, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve(JSON.parse(body)));
+      })
+      .on("error", reject);
+  });
+}
+
+/**
+ * Reads the run manifest written by `CreateTest.js`.
+ * @returns {object} - The run manifest.
+ */
+function runManifest() {
+  const deployDir = path.join(tmpDir, "workspace", "deploy");
+  const manifests = fs
+    .readdirSync(deployDir)
+    .filter((file) => file.endsWith("-manifest.json"));
+  assert.strictEqual(manifests.length, 1);
+  return JSON.parse(
+    fs.readFileSync(path.join(deployDir, manifests[0]), "utf8")
+  );
+}
+
+test("CreateTest.js finishes every version", () => {
+  assert.strictEqual(run.code, 0, run.stderr || run.stdout);
+  const manifest = runManifest();
+  const versions = Object.keys(manifest.versions);
+  const qa = JSON.parse(fs.readFileSync(path.join(EXAMPLES, QA_FILE), "utf8"));
+  assert.deepStrictEqual(versions.sort(), Object.keys(qa).sort());
+});
+
+test("each version has its own quiz", async () => {
+  const manifest = runManifest();
+  const state = await mockState();
+  const quizIds = Object.keys(manifest.versions).map(
+    (version) => manifest.versions[version].quizId
+  );
+
+  assert.strictEqual(new Set(quizIds).size, quizIds.length);
+  assert.deepStrictEqual(
+    state.quizzes.map((quiz) => quiz.id).sort(),
+    quizIds.slice().sort()
+  );
+  Object.keys(manifest.versions).forEach((version) => {
+    const quiz = state.quizzes.find(
+      (q) => q.id === manifest.versions[version].quizId
+    );
+    assert.ok(
+      quiz.description.includes(manifest.versions[version].fileName),
+      `quiz ${quiz.id} is not version ${version}'s`
+    );
+  });
+});
+
+test("one published quiz is created per version, each with its questions", async () => {
+  const qa = JSON.parse(fs.readFileSync(path.join(EXAMPLES, QA_FILE), "utf8"));
+  const state = await mockState();
+
+  assert.strictEqual(state.quizzes.length, Object.keys(qa).length);
+  state.quizzes.forEach((quiz) => {
+    assert.strictEqual(quiz.published, true);
+    const version = Object.keys(qa).find((hash) =>
+      `${quiz.description}`.includes(hash)
+    );
+    assert.ok(version, `quiz ${quiz.id} names no version`);
+    assert.deepStrictEqual(
+      quiz.questions.map((question) => question.position),
+      [1, 2, 3, 4]
+    );
+    quiz.questions.forEach((question) => {
+      assert.strictEqual(
+        question.answers[0].answer_text,
+        qa[version][`q${question.position}a`]
+      );
+    });
+  });
+});
+
+test("every student is given exactly one version", async () => {
+  const state = await mockState();
+  const assigned = Object.keys(state.assignments).reduce(
+    (ids, assignmentId) =>
+      ids.concat(
+        ...state.assignments[assignmentId].overrides.map(
+          (override) => override.student_ids
+        )
+      ),
+    []
+  );
+
+  assert.deepStrictEqual(
+    assigned.sort((a, b) => a - b),
+    state.users.map((user) => user.id).sort((a, b) => a - b)
+  );
+});
+
+test("failed requests are retried without creating duplicates", async () => {
+  const state = await mockState();
+  const faults = state.requests.filter((request) => request.fault);
+
+  assert.deepStrictEqual(
+    faults.map((request) => `${request.method} ${request.status}`).sort(),
+    ["POST 429", "POST 500", "POST 500"]
+  );
+  // After the 500 the quizzes are listed, and the quiz Canvas created anyway is used
+  assert.ok(
+    state.requests.some(
+      (request) =>
+        request.method === "GET" && /\/quizzes\?search_term=/.test(request.path)
+    )
+  );
+  assert.strictEqual(
+    state.requests.filter(
+      (request) => request.method === "POST" && /\/quizzes$/.test(request.path)
+    ).length,
+    state.quizzes.length + 1
+  );
+});
@@ -10,6 +10,7 @@
  * - `fs`: File system operations.
  * - `path`: File path utilities.
  * - `os`: Operating system utilities.
+ * - `csv-parse`: For parsing quiz report CSV files.
  */
 
 let init = false;
@@ -20,6 +21,7 @@ Call init(token) first before using other functions.`;
 const fs = require("fs");
 const path = require("path");
 const EOL = require("os").EOL; // Use the operating system's end-of-line marker
+const parseCsv = require("csv-parse/lib/sync");
 
 /**
  * Initializes the module with the Canvas API access token.
@@ -203,6 +205,126 @@ exports.newQuestionArgs = (
   };
 };
 
+/**
+ * Generates arguments for creating a new numerical question.
+ *
+ * The tolerance comes from the `q<n>t` entry in the QA file:
+ * - `{ type: "exact", margin }`: the answer, plus or minus `margin`.
+ * - `{ type: "range", start, end }`: any value from `start` to `end`.
+ * - `{ type: "precision", precision }`: the answer to `precision` significant digits.
+ *
+ * @param {number} position - The position of the question in the quiz.
+ * @param {string} questionName - The name of the question.
+ * @param {number} pointsPossible - Points possible for the question.
+ * @param {string} questionText - The question text (HTML format).
+ * @param {string} answerText - The correct answer.
+ * @param {object} tolerance - The accepted tolerance for the answer.
+ * @returns {object} - The arguments object for the question creation API call.
+ * @throws Will throw an error if the tolerance type is not recognised.
+ */
+exports.newNumericalQuestionArgs = (
+  position,
+  questionName,
+  pointsPossible,
+  questionText,
+  answerText,
+  tolerance
+) => {
+  return {
+    headers: getStandardHeader(),
+    data: {
+      question: {
+        position: position,
+        name: questionName,
+        question_type: "numerical_question",
+        question_text: `<p>${questionText}</p>`,
+        points_possible: `${pointsPossible}`,
+        answers: [numericalAnswer(answerText, tolerance)],
+      },
+    },
+  };
+};
+
+/**
+ * Builds the Canvas answer object for a numerical question.
+ *
+ * @param {string} answerText - The correct answer.
+ * @param {object} tolerance - The accepted tolerance for the answer.
+ * @returns {object} - The Canvas answer object.
+ * @throws Will throw an error if the tolerance type is not recognised.
+ */
+function numericalAnswer(answerText, tolerance) {
+  const answer = parseFloat(answerText);
+  switch (tolerance.type) {
+    case "exact":
+      return {
+        numerical_answer_type: "exact_answer",
+        answer_exact: answer,
+        answer_error_margin: tolerance.margin || 0,
+        answer_weight: 100,
+      };
+    case "range":
+      return {
+        numerical_answer_type: "range_answer",
+        answer_range_start: tolerance.start,
+        answer_range_end: tolerance.end,
+        answer_weight: 100,
+      };
+    case "precision":
+      return {
+        numerical_answer_type: "precision_answer",
+        answer_approximate: answer,
+        answer_precision: tolerance.precision,
+        answer_weight: 100,
+      };
+    default:
+      throw new Error(`Invalid answer tolerance type: ${tolerance.type}`);
+  }
+}
+
+/**
+ * Generates arguments for creating a new multiple choice question.
+ *
+ * The choices come from the `q<n>c` entry in the QA file and are uploaded in the order
+ * given, which the Q&A stage has already shuffled. The choice equal to the answer gets
+ * full weight; every other choice gets none.
+ *
+ * @param {number} position - The position of the question in the quiz.
+ * @param {string} questionName - The name of the question.
+ * @param {number} pointsPossible - Points possible for the question.
+ * @param {string} questionText - The question text (HTML format).
+ * @param {string} answerText - The correct answer.
+ * @param {string[]} choices - All choices, including the correct answer, in display order.
+ * @returns {object} - The arguments object for the question creation API call.
+ */
+exports.newMultipleChoiceQuestionArgs = (
+  position,
+  questionName,
+  pointsPossible,
+  questionText,
+  answerText,
+  choices
+) => {
+  return {
+    headers: getStandardHeader(),
+    data: {
+      question: {
+        position: position,
+        name: questionName,
+        question_type: "multiple_choice_question",
+        question_text: `<p>${questionText}</p>`,
+        points_possible: `${pointsPossible}`,
+        answers: choices.map((choice) => {
+          return {
+            answer_text: `${choice}`,
+            answer_weight: `${choice}` === `${answerText}` ? 100 : 0,
+          };
+        }),
+      },
+    },
+  };
+};
+
 /**
  * Generates arguments for creating a new essay question.
  *
@@ -326,6 +448,62 @@ exports.newPublishQuizArgs = () => {
   };
 };
 
+/**
+ * Generates arguments for creating a hidden course folder, whose files students can only
+ * download from a link.
+ *
+ * @param {string} name - The folder name.
+ * @param {string} parentPath - The path of the parent folder ("" for the top level).
+ * @returns {object} - The arguments object for the folder API call.
+ */
+exports.newFolderArgs = (name, parentPath) => {
+  return {
+    headers: getStandardHeader(),
+    data: {
+      name: name,
+      parent_folder_path: parentPath,
+      hidden: true,
+      locked: false,
+    },
+  };
+};
+
+/**
+ * Generates arguments for hiding a folder, so that its files can only be downloaded from a link.
+ *
+ * @returns {object} - The arguments object for the folder API call.
+ */
+exports.hideFolderArgs = () => {
+  return {
+    headers: getStandardHeader(),
+    data: {
+      hidden: true,
+      locked: false,
+    },
+  };
+};
+
+/**
+ * Generates arguments for starting a file upload into a folder.
+ *
+ * @param {string} name - The file name.
+ * @param {number} size - The file size in bytes.
+ * @param {number} folderId - The Canvas ID of the folder.
+ * @returns {object} - The arguments object for the file upload API call.
+ */
+exports.newFileArgs = (name, size, folderId) => {
+  return {
+    headers: getStandardHeader(),
+    data: {
+      name: name,
+      size: size,
+      content_type: "application/zip",
+      parent_folder_id: folderId,
+      on_duplicate: "overwrite",
+    },
+  };
+};
+
 /**
  * Loads the student question and answer data from a JSON file.
  *
@@ -346,10 +524,12 @@ const header = {
  * Loads the student file URLs from a CSV file.
  *
  * @param {string} file - The path to the CSV file.
- * @param {string} platform - The platform ('Canvas', 'Google Drive', or 'OneDrive').
+ * @param {function} linkOf - Returns the download link of a file from the first column (its
+ *   link or ID on the file host) and its name (see `downloadUrl` in
+ *   `1.Ready/0.Create-Zip/hosts/index.js`).
  * @returns {object} - An object mapping student identifiers to their file names and URLs.
  */
-exports.loadStudentFilesUrls = (file, platform) => {
+exports.loadStudentFilesUrls = (file, linkOf) => {
   const students = {};
   fs.readFileSync(file, "utf8")
     .split(/\r?\n/) // Split on new lines (handles Windows and Unix)
@@ -358,31 +538,43 @@ exports.loadStudentFilesUrls = (file, platform) => {
       const row = line.split(",");
       const auid = row[header.fileName].split("-")[0];
       const fileName = row[header.fileName];
-      let url = "";
-      switch (platform) {
-        case "Canvas":
-          url = row[header.fileid];
-          break;
-        case "Google Drive":
-          url =
-            "https://drive.google.com/uc?export=download&id=" +
-            row[header.fileid];
-          break;
-        case "OneDrive":
-          url = "yourOneDriveUrl" + encodeURIComponent(row[header.fileName]);
-          break;
-        default:
-          throw new Error("Invalid platform specified.");
-      }
       students[auid] = {
         fileName: fileName,
-        fileUrl: url,
+        fileUrl: linkOf(row[header.fileid], fileName),
       };
     });
 
   return students;
 };
 
+/**
+ * Loads the student file URLs from the upload record written by the zip stage when it
+ * uploads the zip files to the file host (see `1.Ready/0.Create-Zip/upload.js`).
+ *
+ * @param {string} file - The path to the upload record.
+ * @returns {object} - `courseId` and `domain` of the course the files were uploaded to, and
+ *   `students`: an object mapping version hashes to their file names and URLs.
+ * @throws Will throw an error if the file is not an upload record.
+ */
+exports.loadUploadRecord = (file) => {
+  const record = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!record.files || !record.courseId || !record.domain) {
+    throw new Error(`${file} is not an upload record.`);
+  }
+  const students = {};
+  Object.keys(record.files).forEach((version) => {
+    students[version] = {
+      fileName: record.files[version].fileName,
+      fileUrl: record.files[version].fileUrl,
+    };
+  });
+  return {
+    courseId: record.courseId,
+    domain: record.domain,
+    students: students,
+  };
+};
+
 /**
  * Generates the output file name for quiz IDs based on the QA file and assignment name.
  *
@@ -394,6 +586,278 @@ exports.generateIdOutputFileName = (fileName, assignmentName) => {
   return `${path.basename(fileName, ".json")}-${assignmentName}-quizIds.txt`;
 };
 
+/**
+ * Generates the output file name for the run manifest based on the QA file and assignment name.
+ *
+ * @param {string} fileName - The name of the QA JSON file.
+ * @param {string} assignmentName - The name of the assignment.
+ * @returns {string} - The generated manifest file name.
+ */
+exports.generateManifestFileName = (fileName, assignmentName) => {
+  return `${path.basename(fileName, ".json")}-${assignmentName}-manifest.json`;
+};
+
+/**
+ * Creates an empty run manifest.
+ *
+ * The manifest records, for each version hash, the Canvas quiz and assignment created
+ * for it and the students it was assigned to, so that later tooling can reload a run.
+ *
+ * @param {number} courseId - The Canvas course ID.
+ * @param {string} domain - The Canvas domain.
+ * @param {string} assignmentTitle - The assignment title.
+ * @param {string} qaFile - The name of the QA JSON file used for the run.
+ * @returns {object} - The run manifest.
+ */
+exports.newRunManifest = (courseId, domain, assignmentTitle, qaFile) => {
+  return {
+    createdAt: new Date().toISOString(),
+    courseId: courseId,
+    domain: domain,
+    assignmentTitle: assignmentTitle,
+    qaFile: qaFile,
+    versions: {},
+  };
+};
+
+/**
+ * Creates the run manifest entry for a single version.
+ *
+ * @param {object} version - The version's entry from the deploy plan.
+ * @param {number} quizId - The Canvas quiz ID.
+ * @param {number} assignmentId - The Canvas assignment ID.
+ * @param {string} qaFile - The name of the QA JSON file the questions came from.
+ * @returns {object} - The manifest entry.
+ */
+exports.newManifestEntry = (version, quizId, assignmentId, qaFile) => {
+  return {
+    quizId: quizId,
+    assignmentId: assignmentId,
+    canvasUserIds: version.override.studentIds,
+    sisUserIds: version.students.map((student) => student.sisId),
+    fileName: version.fileName,
+    fileUrl: version.fileUrl,
+    qaFile: qaFile,
+    questionsAdded: [],
+    overrideId: null,
+    published: false,
+  };
+};
+
+/**
+ * Checks whether every step has been completed for a version in the run manifest.
+ *
+ * @param {object} entry - The version's run manifest entry.
+ * @param {number} numberOfQuestions - The number of questions each quiz should have.
+ * @returns {boolean} - True if the quiz, all questions, the override and publishing are done.
+ */
+exports.isVersionComplete = (entry, numberOfQuestions) => {
+  return Boolean(
+    entry &&
+      entry.quizId &&
+      entry.questionsAdded.length >= numberOfQuestions &&
+      entry.overrideId &&
+      entry.published
+  );
+};
+
+/**
+ * Writes a run manifest to a JSON file.
+ *
+ * @param {string} file - The path to the manifest file.
+ * @param {object} manifest - The run manifest.
+ */
+exports.saveRunManifest = (file, manifest) => {
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+};
+
+/**
+ * Loads a run manifest from a JSON file.
+ *
+ * @param {string} file - The path to the manifest file.
+ * @returns {object} - The run manifest.
+ * @throws Will throw an error if the file is not a run manifest.
+ */
+exports.loadRunManifest = (file) => {
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!manifest.versions) {
+    throw new Error(`${file} is not a run manifest.`);
+  }
+  return manifest;
+};
+
+/**
+ * Generates the file name of the pinned student versions based on the assignment name.
+ *
+ * The name does not depend on the QA file, so students keep their versions when the
+ * questions are generated again.
+ *
+ * @param {string} assignmentName - The name of the assignment.
+ * @returns {string} - The generated file name.
+ */
+exports.generateAssignmentFileName = (assignmentName) => {
+  return `${assignmentName}-assignments.csv`;
+};
+
+/**
+ * Generates the output file name for the deploy plan based on the QA file and assignment name.
+ *
+ * @param {string} fileName - The name of the QA JSON file.
+ * @param {string} assignmentName - The name of the assignment.
+ * @returns {string} - The generated plan file name.
+ */
+exports.generatePlanFileName = (fileName, assignmentName) => {
+  return `${path.basename(fileName, ".json")}-${assignmentName}-plan.json`;
+};
+
+/**
+ * Loads a deploy plan written by `CreateTest.js --dry-run`.
+ *
+ * @param {string} file - The path to the plan file.
+ * @returns {object} - The deploy plan.
+ * @throws Will throw an error if the file is not a complete deploy plan.
+ */
+exports.loadDeployPlan = (file) => {
+  const plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!plan.versions || !plan.courseId || !plan.domain || !plan.qaFile) {
+    throw new Error(`${file} is not a deploy plan.`);
+  }
+  Object.keys(plan.versions).forEach((version) => {
+    const entry = plan.versions[version];
+    if (
+      !entry.quiz ||
+      !Array.isArray(entry.questions) ||
+      !Array.isArray(entry.students) ||
+      !entry.override ||
+      !Array.isArray(entry.override.studentIds)
+    ) {
+      throw new Error(
+        `${file}: the plan for version ${version} is incomplete.`
+      );
+    }
+  });
+  return plan;
+};
+
+/**
+ * Generates the output file name for the regraded gradebook based on the QA file and assignment name.
+ *
+ * @param {string} fileName - The name of the QA JSON file.
+ * @param {string} assignmentName - The name of the assignment.
+ * @returns {string} - The generated gradebook file name.
+ */
+exports.generateGradebookFileName = (fileName, assignmentName) => {
+  return `${path.basename(fileName, ".json")}-${assignmentName}-gradebook.csv`;
+};
+
+/**
+ * Parses a Canvas `student_analysis` quiz report.
+ *
+ * Each question in the report has a `<question id>: <question text>` column holding the
+ * student's answer, followed by a column holding the points Canvas awarded. Questions
+ * appear in the same order as in the quiz.
+ *
+ * @param {string} text - The contents of the report CSV file.
+ * @returns {object[]} - One object per submission with the student's details, Canvas score
+ *   and an `answers` array of `{ questionId, answer, points }` in quiz order.
+ */
+exports.parseQuizReportCsv = (text) => {
+  const rows = parseCsv(text, { relax_column_count: true });
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const reportHeader = rows[0];
+  const column = (name) => reportHeader.indexOf(name);
+  const questionRE = /^(\d+): /;
+  const questionColumns = [];
+  reportHeader.forEach((title, index) => {
+    const matches = questionRE.exec(title);
+    if (matches) {
+      questionColumns.push({ index: index, questionId: matches[1] });
+    }
+  });
+
+  return rows.slice(1).map((row) => {
+    return {
+      name: row[column("name")],
+      canvasUserId: row[column("id")],
+      sisId: row[column("sis_id")],
+      attempt: row[column("attempt")],
+      score: parseFloat(row[reportHeader.lastIndexOf("score")]) || 0,
+      answers: questionColumns.map((q) => {
+        return {
+          questionId: q.questionId,
+          answer: row[q.index],
+          points: parseFloat(row[q.index + 1]) || 0,
+        };
+      }),
+    };
+  });
+};
+
+/**
+ * Checks a student's answer against the expected answer.
+ *
+ * Multiple choice answers (`exact`) must be the expected answer's text, as the choice was
+ * uploaded, apart from surrounding whitespace. Numeric answers are compared as numbers.
+ * `tolerance` is either the allowed absolute difference, or a `q<n>t` answer tolerance from
+ * the QA file (see `newNumericalQuestionArgs`). Other answers are compared ignoring case and
+ * surrounding whitespace.
+ *
+ * @param {string} given - The student's answer.
+ * @param {string} expected - The expected answer from the QA file.
+ * @param {number|object} [tolerance=0] - The accepted tolerance for numeric answers.
+ * @param {boolean} [exact=false] - True for a multiple choice answer.
+ * @returns {boolean} - True if the answer is correct.
+ */
+exports.checkAnswer = (given, expected, tolerance = 0, exact = false) => {
+  const givenText =
+    given === undefined || given === null ? "" : `${given}`.trim();
+  const expectedText = `${expected}`.trim();
+  if (exact) {
+    return givenText === expectedText;
+  }
+  const numberText = givenText.replace(/,/g, "");
+  const numberRE = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+  if (numberRE.test(numberText) && numberRE.test(expectedText)) {
+    const value = parseFloat(numberText);
+    const answer = parseFloat(expectedText);
+    if (typeof tolerance === "number") {
+      return Math.abs(value - answer) <= tolerance + 1e-9;
+    }
+    switch (tolerance.type) {
+      case "range":
+        return value >= tolerance.start - 1e-9 && value <= tolerance.end + 1e-9;
+      case "precision":
+        return (
+          Number(value.toPrecision(tolerance.precision)) ===
+          Number(answer.toPrecision(tolerance.precision))
+        );
+      default:
+        return Math.abs(value - answer) <= (tolerance.margin || 0) + 1e-9;
+    }
+  }
+  return givenText.toLowerCase() === expectedText.toLowerCase();
+};
+
+/**
+ * Formats an array of values as a CSV line, quoting values where needed.
+ *
+ * @param {any[]} values - The values for the line.
+ * @returns {string} - The CSV line.
+ */
+exports.toCsvLine = (values) => {
+  return values
+    .map((value) => {
+      const text = value === undefined || value === null ? "" : `${value}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+};
+
 /**
  * Checks that all questions have corresponding answers and that required fields are present.
  *
@@ -417,6 +881,34 @@ exports.checkTruthy = (QaObject) => {
             `${auid} - Missing or invalid answer for key: ${aKey}`
           );
         }
+
+        // Multiple choice questions must list the answer exactly once among distinct choices
+        const cKey = key.replace(/.$/, "c");
+        const cVal = QaObject[auid][cKey];
+        if (
+          cVal !== undefined &&
+          !(
+            Array.isArray(cVal) &&
+            cVal.length >= 2 &&
+            new Set(cVal.map(String)).size === cVal.length &&
+            cVal.map(String).includes(`${aVal}`)
+          )
+        ) {
+          addError(
+            result,
+            `${auid} - Invalid multiple choice options for key: ${cKey}`
+          );
+        }
+
+        // Numeric answers with a tolerance must be numbers with a valid tolerance
+        const tKey = key.replace(/.$/, "t");
+        const tVal = QaObject[auid][tKey];
+        if (tVal !== undefined && !isValidTolerance(aVal, tVal)) {
+          addError(
+            result,
+            `${auid} - Invalid numeric answer or tolerance for key: ${tKey}`
+          );
+        }
       }
     }
 
@@ -429,6 +921,29 @@ exports.checkTruthy = (QaObject) => {
   return result;
 };
 
+/**
+ * Helper function to check that a numeric answer and its tolerance can be used for a numerical question.
+ *
+ * @param {string} answer - The answer from the QA file.
+ * @param {object} tolerance - The `q<n>t` answer tolerance from the QA file.
+ * @returns {boolean} - True if the answer is a number and the tolerance is valid.
+ */
+function isValidTolerance(answer, tolerance) {
+  if (isNaN(parseFloat(answer)) || !tolerance) {
+    return false;
+  }
+  switch (tolerance.type) {
+    case "exact":
+      return !(tolerance.margin < 0);
+    case "range":
+      return tolerance.start <= tolerance.end;
+    case "precision":
+      return tolerance.precision >= 1;
+    default:
+      return false;
+  }
+}
+
 /**
  * Helper function to add an error message to the result object.
  *
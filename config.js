@@ -0,0 +1,951 @@
+"use strict";
+
+/**
+ * Shared assessment configuration for the Ready, Aim and Shoot stages.
+ *
+ * The settings that used to be edited at the top of each stage's script (the number of
+ * versions, the Canvas course, dates, marks and folders) are read from one config file,
+ * so the stages cannot drift apart. The file is found at:
+ * - the path in the `PAGE_CONFIG` environment variable (the `page` CLI sets it with `--config`), or
+ * - `page.config.json`, `page.config.yaml` or `page.config.yml` in the repository root.
+ *
+ * Secrets do not need to be stored in the file. These environment variables take precedence
+ * over the values in the file:
+ * - `CANVAS_TOKEN`: `canvas.token`
+ * - `CANVAS_DOMAIN`: `canvas.domain`
+ * - `CANVAS_COURSE_ID`: `canvas.courseId`
+ * - `GOOGLE_APPLICATION_CREDENTIALS`: `upload.googleDrive.credentialsFile`
+ * - `GOOGLE_DRIVE_TOKEN`: `upload.googleDrive.accessToken`
+ * - `MS_GRAPH_CLIENT_SECRET`: `upload.msGraph.clientSecret`
+ * - `MS_GRAPH_TOKEN`: `upload.msGraph.accessToken`
+ * - `PAGE_FINGERPRINT_SECRET`: `fingerprint.secret`
+ *
+ * The file is checked against `SCHEMA` when it is loaded. Each script names the sections it
+ * needs; required settings in those sections must be present, and every setting that is
+ * present must have the right type, so that for example a course ID of 0 is reported before
+ * any request is sent to Canvas.
+ *
+ * Exports:
+ * - `SCHEMA`: The settings, their types, defaults and descriptions.
+ * - `load`: Loads and checks the config file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const relations = require("./relations.js");
+
+const DEFAULT_FILES = [
+  "page.config.json",
+  "page.config.yaml",
+  "page.config.yml",
+];
+
+const ENV_OVERRIDES = {
+  CANVAS_TOKEN: ["canvas", "token"],
+  CANVAS_DOMAIN: ["canvas", "domain"],
+  CANVAS_COURSE_ID: ["canvas", "courseId"],
+  GOOGLE_APPLICATION_CREDENTIALS: ["upload", "googleDrive", "credentialsFile"],
+  GOOGLE_DRIVE_TOKEN: ["upload", "googleDrive", "accessToken"],
+  MS_GRAPH_CLIENT_SECRET: ["upload", "msGraph", "clientSecret"],
+  MS_GRAPH_TOKEN: ["upload", "msGraph", "accessToken"],
+  PAGE_FINGERPRINT_SECRET: ["fingerprint", "secret"],
+};
+
+// Settings that have moved, reported instead of as unknown settings
+const MOVED = {
+  "canvas.platform": "upload.provider",
+};
+
+// Each setting is `{ type, required, default, min, values, withPath, description }`. Paths
+// are relative to the folder the stage's script runs in, as before. `withPath` lets a `url`
+// have a path after its domain.
+const SCHEMA = {
+  versions: {
+    type: "int",
+    required: true,
+    min: 1,
+    description: "Number of assessment versions",
+  },
+  paths: {
+    sample: {
+      inPath: {
+        type: "string",
+        default: "inFiles",
+        description: "Folder holding the master dataset",
+      },
+      outPath: {
+        type: "string",
+        default: "outFiles",
+        description: "Folder the versions are written to",
+      },
+    },
+    zip: {
+      inPath: {
+        type: "string",
+        default: "",
+        description: "Folder holding the version folders to zip",
+      },
+      outPath: {
+        type: "string",
+        default: "",
+        description: "Folder the zip files are written to",
+      },
+    },
+    qa: {
+      inPath: {
+        type: "string",
+        default: "inFiles",
+        description: "Folder holding the version datasets",
+      },
+      outPath: {
+        type: "string",
+        default: "",
+        description: "Folder the Q&A file is written to",
+      },
+    },
+    deploy: {
+      resourcesPath: {
+        type: "string",
+        default: "inOutFiles",
+        description: "Folder holding the Q&A file, file URLs and run manifest",
+      },
+    },
+  },
+  dataset: {
+    name: {
+      type: "string",
+      default: "Video Game Sales",
+      description:
+        "Dataset file name without its extension, for the master file and each version's file",
+    },
+    format: {
+      type: "string",
+      default: "csv",
+      // The formats of `formats/index.js`
+      values: ["csv", "xlsx", "json", "parquet"],
+      description: "Format each version's dataset is written in",
+    },
+    tables: {
+      type: "object",
+      default: {},
+      // See `relations.js`
+      description:
+        'Related tables of the dataset and their foreign keys, main table first, e.g. { "games": {}, "sales": { "Rank": "games.Rank" } }; empty for one table',
+    },
+    questions: {
+      type: "string",
+      default: "questions",
+      description:
+        "Folder in 2.Aim/2.Test holding the question templates for the dataset",
+    },
+  },
+  sampling: {
+    stratifyBy: {
+      type: "string",
+      default: "",
+      description:
+        'Column whose values keep their share of each version\'s rows, e.g. "Genre"; empty for none',
+    },
+    holdOut: {
+      type: "object",
+      default: {},
+      description:
+        'Values of columns whose rows are never included, e.g. { "Platform": ["2600"] }',
+    },
+  },
+  perturbation: {
+    enabled: {
+      type: "boolean",
+      default: false,
+      description:
+        "Change the sampled rows so that no version matches the master file",
+    },
+    synthetic: {
+      count: {
+        type: "int",
+        default: 0,
+        min: 0,
+        description: "Number of made-up rows added to each version",
+      },
+      suffixes: {
+        type: "array",
+        default: [" II"],
+        description:
+          'Suffixes appended to the names of made-up rows, e.g. [" II"]',
+      },
+    },
+    jitter: {
+      type: "array",
+      default: [],
+      description:
+        "Numeric columns moved a little, as { column, amount, decimals, min, rate }",
+    },
+    recompute: {
+      type: "array",
+      default: [],
+      description:
+        "Columns set to the sum of other columns in changed rows, as { column, sumOf, decimals }",
+    },
+    swap: {
+      type: "array",
+      default: [],
+      description:
+        "Categorical columns whose values are exchanged, as { column, pairs }",
+    },
+    nameColumn: {
+      type: "string",
+      default: "Name",
+      description: "Column holding the row names, for made-up rows",
+    },
+    keyColumn: {
+      type: "string",
+      default: "Rank",
+      description:
+        "Column holding each row's unique key, given a new key in made-up rows",
+    },
+    shuffle: {
+      type: "boolean",
+      default: true,
+      description: "Shuffle the order of the rows",
+    },
+  },
+  diversity: {
+    collideOn: {
+      type: "string",
+      default: "either",
+      // The values of `2.Aim/2.Test/diversity.js`
+      values: ["either", "both", "question", "answer"],
+      description:
+        "What makes two versions' questions collide: the same text or answer (either), the same text and answer (both), the same text (question) or the same answer (answer)",
+    },
+    minDiversity: {
+      type: "number",
+      default: 0.3,
+      min: 0,
+      description:
+        "Smallest share of versions per question that collide with no other version (0 to 1)",
+    },
+    maxDraws: {
+      type: "int",
+      default: 20,
+      min: 1,
+      description: "Number of new draws to try for each colliding version",
+    },
+  },
+  analysis: {
+    maxRatio: {
+      type: "number",
+      default: 5,
+      min: 1,
+      description:
+        "Largest accepted factor between a question's difficulty proxy and its median over all versions",
+    },
+    minRows: {
+      type: "int",
+      default: 5,
+      min: 0,
+      description: "Fewest rows accepted behind an answer (0 for no minimum)",
+    },
+    maxDraws: {
+      type: "int",
+      default: 20,
+      min: 1,
+      description: "Number of new draws to try for each outlier question",
+    },
+  },
+  canvas: {
+    domain: {
+      type: "url",
+      required: true,
+      description: "Canvas domain, e.g. https://auckland.test.instructure.com",
+    },
+    courseId: {
+      type: "int",
+      required: true,
+      min: 1,
+      description: "Canvas course ID",
+    },
+    token: {
+      type: "string",
+      required: true,
+      description: "Canvas API token; can be set with CANVAS_TOKEN instead",
+    },
+    assignmentGroup: {
+      type: "int",
+      default: 0,
+      min: 0,
+      description: "Canvas assignment group ID (0 for the default group)",
+    },
+  },
+  assessment: {
+    title: { type: "string", required: true, description: "Assignment title" },
+    qaFile: {
+      type: "string",
+      default: "",
+      description: "Q&A file name (in a workspace, the newest one is used)",
+    },
+    urlFile: {
+      type: "string",
+      default: "TestFiles.csv",
+      description: "File containing download URLs",
+    },
+    qPrefix: {
+      type: "string",
+      default: "",
+      description: "Prefix for question keys",
+    },
+    startingQuestion: {
+      type: "int",
+      default: 1,
+      min: 1,
+      description: "Starting question number",
+    },
+    numQuestions: {
+      type: "int",
+      required: true,
+      min: 1,
+      description: "Number of questions per quiz",
+    },
+    totalMarks: {
+      type: "number",
+      required: true,
+      min: 0,
+      description: "Total marks per quiz",
+    },
+    attempts: {
+      type: "int",
+      default: 1,
+      min: -1,
+      description: "Number of attempts allowed (-1 for unlimited)",
+    },
+    startDate: { type: "date", required: true, description: "Quiz start date" },
+    lockDate: {
+      type: "date",
+      required: true,
+      description: "Quiz lock and due date",
+    },
+    bonusQuestions: {
+      type: "object",
+      default: {},
+      description: 'Question numbers worth 0 marks, e.g. { "4": true }',
+    },
+  },
+  upload: {
+    enabled: {
+      type: "boolean",
+      default: false,
+      description: "Upload the zip files to the file host in the zip stage",
+    },
+    provider: {
+      type: "string",
+      default: "canvas",
+      // The providers of `1.Ready/0.Create-Zip/hosts`
+      values: ["canvas", "google-drive", "ms-graph", "local"],
+      description: "File host the version files are stored on and linked from",
+    },
+    folder: {
+      type: "string",
+      default: "Assessment Files",
+      description:
+        "Folder the zip files are uploaded to (canvas: course files; ms-graph: the drive)",
+    },
+    recordFile: {
+      type: "string",
+      default: "TestUploads.json",
+      description:
+        "File recording the uploaded files and their download links, used instead of urlFile",
+    },
+    googleDrive: {
+      folderId: {
+        type: "string",
+        default: "",
+        description:
+          "ID of the Google Drive folder the zip files are uploaded to",
+      },
+      credentialsFile: {
+        type: "string",
+        default: "",
+        description:
+          "Service account key file; can be set with GOOGLE_APPLICATION_CREDENTIALS instead",
+      },
+      accessToken: {
+        type: "string",
+        default: "",
+        description:
+          "OAuth access token, instead of a service account; can be set with GOOGLE_DRIVE_TOKEN",
+      },
+      apiUrl: {
+        type: "url",
+        withPath: true,
+        default: "https://www.googleapis.com",
+        description: "Google APIs address (changed only to use a stand-in)",
+      },
+    },
+    msGraph: {
+      driveId: {
+        type: "string",
+        default: "",
+        description:
+          "ID of the OneDrive or SharePoint document library drive to upload to",
+      },
+      tenantId: {
+        type: "string",
+        default: "",
+        description: "Microsoft Entra tenant ID of the app registration",
+      },
+      clientId: {
+        type: "string",
+        default: "",
+        description: "Application (client) ID of the app registration",
+      },
+      clientSecret: {
+        type: "string",
+        default: "",
+        description:
+          "Client secret of the app registration; can be set with MS_GRAPH_CLIENT_SECRET instead",
+      },
+      accessToken: {
+        type: "string",
+        default: "",
+        description:
+          "Access token, instead of the app registration; can be set with MS_GRAPH_TOKEN",
+      },
+      linkScope: {
+        type: "string",
+        default: "anonymous",
+        values: ["anonymous", "organization"],
+        description: "Who can download the files from their links",
+      },
+      apiUrl: {
+        type: "url",
+        withPath: true,
+        default: "https://graph.microsoft.com/v1.0",
+        description: "Microsoft Graph address (changed only to use a stand-in)",
+      },
+      authUrl: {
+        type: "url",
+        withPath: true,
+        default: "https://login.microsoftonline.com",
+        description:
+          "Microsoft identity platform address (changed only to use a stand-in)",
+      },
+    },
+    local: {
+      directory: {
+        type: "string",
+        default: "",
+        description:
+          "Folder served by a static web server to copy the zip files to",
+      },
+      baseUrl: {
+        type: "url",
+        withPath: true,
+        default: "",
+        description:
+          "Address the folder is served at, e.g. https://example.com/files",
+      },
+    },
+  },
+  perStudent: {
+    enabled: {
+      type: "boolean",
+      default: false,
+      description:
+        "One version per student, keyed by SIS ID (see roster.js); versions is then ignored",
+    },
+    rosterFile: {
+      type: "string",
+      default: "roster.json",
+      description:
+        "Roster file written by the roster stage, relative to the repository root",
+    },
+  },
+  assignment: {
+    strategy: {
+      type: "string",
+      default: "modulo",
+      // The strategies of `3.Shoot/TEST 101/assignment.js`
+      values: [
+        "modulo",
+        "round-robin",
+        "shuffle",
+        "one-per-student",
+        "spread-groups",
+        "separate-sections",
+        "csv",
+      ],
+      description: "How students are assigned to versions",
+    },
+    seed: {
+      type: "string",
+      default: "",
+      description: "Seed for the shuffle strategy (default: the master seed)",
+    },
+    groupsFile: {
+      type: "string",
+      default: "",
+      description:
+        "CSV file of student groups, for spread-groups and separate-sections",
+    },
+    mappingFile: {
+      type: "string",
+      default: "",
+      description: "CSV file of each student's version, for the csv strategy",
+    },
+  },
+  grading: {
+    pollIntervalMs: {
+      type: "int",
+      default: 2000,
+      min: 0,
+      description:
+        "Time between checks on whether a quiz report is ready, in milliseconds",
+    },
+    maxPolls: {
+      type: "int",
+      default: 60,
+      min: 1,
+      description: "Number of checks before giving up on a quiz report",
+    },
+  },
+  fingerprint: {
+    watermark: {
+      type: "boolean",
+      default: false,
+      description:
+        "Add a hidden watermark file naming the version to each zip file",
+    },
+    watermarkFile: {
+      type: "string",
+      default: ".page",
+      description: "Name of the watermark file, next to the version's files",
+    },
+    secret: {
+      type: "string",
+      default: "",
+      description:
+        "Key the manifests and watermarks are signed with, so they cannot be forged",
+    },
+    markRows: {
+      type: "boolean",
+      default: false,
+      description:
+        "Mark each version's rows in the sample stage, so that an edited copy can be traced",
+    },
+    rowMarks: {
+      digits: {
+        columns: {
+          type: "array",
+          default: [],
+          description:
+            "Decimal columns that can be given a trailing zero (e.g. 0.77 written as 0.770)",
+        },
+        rate: {
+          type: "number",
+          default: 0.1,
+          min: 0,
+          description:
+            "Share of rows with a trailing zero on one of the columns",
+        },
+      },
+      order: {
+        rate: {
+          type: "number",
+          default: 0.05,
+          min: 0,
+          description: "Share of rows swapped with the next row",
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Loads the config file, applies the environment overrides and defaults, and checks it.
+ *
+ * @param {string[]} sections - The sections whose required settings must be present
+ *   (e.g. `["canvas", "assessment"]`). `versions` is always required.
+ * @returns {object} - `file`: the config file path; `config`: the settings, with dates as
+ *   ISO strings; `errors`: the problems found, if any.
+ */
+function load(sections) {
+  const result = { file: findFile() };
+
+  if (!result.file) {
+    addError(
+      result,
+      `No config file found. Create ${DEFAULT_FILES[0]} in ${__dirname} or set PAGE_CONFIG.`
+    );
+    return result;
+  }
+
+  let raw;
+  try {
+    raw = parse(result.file);
+  } catch (err) {
+    addError(result, `Cannot read ${result.file}: ${err.message}`);
+    return result;
+  }
+  if (!isPlainObject(raw)) {
+    addError(result, `${result.file} must contain an object of settings.`);
+    return result;
+  }
+
+  Object.keys(ENV_OVERRIDES).forEach((name) => {
+    if (process.env[name] !== undefined && process.env[name] !== "") {
+      const keys = ENV_OVERRIDES[name];
+      let level = raw;
+      keys.slice(0, -1).forEach((key) => {
+        level[key] = isPlainObject(level[key]) ? level[key] : {};
+        level = level[key];
+      });
+      level[keys[keys.length - 1]] = process.env[name];
+    }
+  });
+
+  const required = ["versions"].concat(sections || []);
+  result.config = checkObject(raw, SCHEMA, "", required, result);
+
+  // Settings that are valid on their own but not together
+  const assessment = result.config.assessment;
+  if (
+    assessment.startDate &&
+    assessment.lockDate &&
+    assessment.lockDate <= assessment.startDate
+  ) {
+    addError(result, "assessment.lockDate must be after assessment.startDate.");
+  }
+  const assignment = result.config.assignment;
+  if (assignment.strategy === "csv" && !assignment.mappingFile) {
+    addError(result, "assignment.mappingFile is needed by the csv strategy.");
+  }
+  if (assignment.strategy === "spread-groups" && !assignment.groupsFile) {
+    addError(
+      result,
+      "assignment.groupsFile is needed by the spread-groups strategy."
+    );
+  }
+  const upload = result.config.upload;
+  const needs = (setting, provider) =>
+    addError(
+      result,
+      `upload.${setting} is needed by the ${provider} provider.`
+    );
+  if (upload.enabled && upload.provider === "google-drive") {
+    const drive = upload.googleDrive;
+    if (!drive.folderId) {
+      needs("googleDrive.folderId", "google-drive");
+    }
+    if (!drive.credentialsFile && !drive.accessToken) {
+      needs("googleDrive.credentialsFile (or accessToken)", "google-drive");
+    }
+  }
+  if (upload.enabled && upload.provider === "ms-graph") {
+    const graph = upload.msGraph;
+    if (!graph.driveId) {
+      needs("msGraph.driveId", "ms-graph");
+    }
+    if (
+      !graph.accessToken &&
+      !(graph.tenantId && graph.clientId && graph.clientSecret)
+    ) {
+      needs(
+        "msGraph.accessToken (or tenantId, clientId and clientSecret)",
+        "ms-graph"
+      );
+    }
+  }
+  if (upload.provider === "local") {
+    // CreateTest.js builds the links from baseUrl even when the files were copied by hand
+    if (!upload.local.baseUrl) {
+      needs("local.baseUrl", "local");
+    }
+    if (upload.enabled && !upload.local.directory) {
+      needs("local.directory", "local");
+    }
+  }
+  const holdOut = result.config.sampling.holdOut;
+  if (isPlainObject(holdOut)) {
+    Object.keys(holdOut)
+      .filter((column) => !Array.isArray(holdOut[column]))
+      .forEach((column) =>
+        addError(
+          result,
+          `sampling.holdOut.${column} must be an array of values, e.g. ["2600"].`
+        )
+      );
+  }
+  const perturbation = result.config.perturbation;
+  checkEntries(result, "perturbation.jitter", perturbation.jitter, [
+    "column",
+    "amount",
+  ]);
+  checkEntries(result, "perturbation.recompute", perturbation.recompute, [
+    "column",
+    "sumOf",
+  ]);
+  checkEntries(result, "perturbation.swap", perturbation.swap, [
+    "column",
+    "pairs",
+  ]);
+  if (result.config.diversity.minDiversity > 1) {
+    addError(
+      result,
+      "diversity.minDiversity must be a share of versions, at most 1."
+    );
+  }
+  const rowMarks = result.config.fingerprint.rowMarks;
+  ["digits", "order"].forEach((mark) => {
+    if (rowMarks[mark].rate > 1) {
+      addError(
+        result,
+        `fingerprint.rowMarks.${mark}.rate must be a share of rows, at most 1.`
+      );
+    }
+  });
+  if (isPlainObject(result.config.dataset.tables)) {
+    relations
+      .check(result.config.dataset.tables)
+      .forEach((msg) => addError(result, msg));
+  }
+  if (assessment.attempts === 0) {
+    addError(
+      result,
+      "assessment.attempts must be -1 (unlimited) or at least 1."
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Finds the config file.
+ * @returns {string|null} - The path of the config file, or null if there is none.
+ */
+function findFile() {
+  if (process.env.PAGE_CONFIG) {
+    return path.resolve(process.env.PAGE_CONFIG);
+  }
+  const found = DEFAULT_FILES.map((file) => path.join(__dirname, file)).find(
+    (file) => fs.existsSync(file)
+  );
+  return found || null;
+}
+
+/**
+ * Parses a JSON or YAML config file.
+ * @param {string} file - The path of the config file.
+ * @returns {*} - The parsed content.
+ */
+function parse(file) {
+  const content = fs.readFileSync(file, "utf8");
+  if (/\.ya?ml$/i.test(file)) {
+    return require("js-yaml").load(content);
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Checks the settings of one level of the schema and fills in the defaults.
+ *
+ * @param {object} raw - The settings read from the file.
+ * @param {object} schema - The schema of this level.
+ * @param {string} prefix - The dotted path of this level, for error messages.
+ * @param {string[]} required - The sections whose required settings must be present.
+ * @param {object} result - The result to add errors to.
+ * @returns {object} - The checked settings.
+ */
+function checkObject(raw, schema, prefix, required, result) {
+  const config = {};
+
+  Object.keys(raw).forEach((key) => {
+    if (MOVED[`${prefix}${key}`]) {
+      addError(
+        result,
+        `${prefix}${key} has been replaced by ${MOVED[`${prefix}${key}`]}.`
+      );
+    } else if (!schema[key]) {
+      addError(result, `Unknown setting: ${prefix}${key}`);
+    }
+  });
+
+  Object.keys(schema).forEach((key) => {
+    const name = `${prefix}${key}`;
+    const rule = schema[key];
+    const value = raw[key];
+    const isRequired = required.some(
+      (section) => name === section || name.startsWith(`${section}.`)
+    );
+
+    if (!rule.type) {
+      // A nested section
+      if (value !== undefined && !isPlainObject(value)) {
+        addError(result, `${name} must be an object.`);
+      }
+      config[key] = checkObject(
+        isPlainObject(value) ? value : {},
+        rule,
+        `${name}.`,
+        required,
+        result
+      );
+    } else if (value === undefined || value === null || value === "") {
+      if (rule.required && isRequired) {
+        addError(result, `Missing setting: ${name} (${rule.description}).`);
+      }
+      config[key] = rule.default;
+    } else {
+      config[key] = checkValue(name, value, rule, result);
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Checks one setting against its rule.
+ *
+ * @param {string} name - The dotted path of the setting, for error messages.
+ * @param {*} value - The value read from the file or environment.
+ * @param {object} rule - The setting's rule from the schema.
+ * @param {object} result - The result to add errors to.
+ * @returns {*} - The value converted to its type (numbers from strings, dates to ISO strings).
+ */
+function checkValue(name, value, rule, result) {
+  let converted = value;
+
+  switch (rule.type) {
+    case "int":
+    case "number":
+      converted = typeof value === "string" ? Number(value) : value;
+      if (
+        typeof converted !== "number" ||
+        !isFinite(converted) ||
+        (rule.type === "int" && !Number.isInteger(converted))
+      ) {
+        addError(
+          result,
+          `${name} must be ${
+            rule.type === "int" ? "an integer" : "a number"
+          }, not ${JSON.stringify(value)}.`
+        );
+        return value;
+      }
+      if (rule.min !== undefined && converted < rule.min) {
+        addError(
+          result,
+          `${name} must be at least ${rule.min}, not ${converted} (${rule.description}).`
+        );
+      }
+      return converted;
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) {
+        addError(
+          result,
+          `${name} is not a valid date: ${JSON.stringify(value)}.`
+        );
+        return value;
+      }
+      return date.toISOString();
+    }
+    case "url":
+      if (
+        typeof value !== "string" ||
+        !(
+          rule.withPath
+            ? /^https?:\/\/[^/\s]+(\/\S*)?$/
+            : /^https?:\/\/[^/\s]+\/?$/
+        ).test(value)
+      ) {
+        addError(
+          result,
+          `${name} must be a URL such as https://example.instructure.com, not ${JSON.stringify(
+            value
+          )}.`
+        );
+        return value;
+      }
+      return value.replace(/\/$/, "");
+    case "object":
+      if (!isPlainObject(value)) {
+        addError(result, `${name} must be an object.`);
+      }
+      return value;
+    case "array":
+      if (!Array.isArray(value)) {
+        addError(
+          result,
+          `${name} must be an array, not ${JSON.stringify(value)}.`
+        );
+      }
+      return value;
+    default:
+      if (typeof value !== rule.type) {
+        addError(
+          result,
+          `${name} must be a ${rule.type}, not ${JSON.stringify(value)}.`
+        );
+        return value;
+      }
+      if (rule.values && rule.values.indexOf(value) === -1) {
+        addError(
+          result,
+          `${name} must be one of ${rule.values
+            .map((v) => `"${v}"`)
+            .join(", ")}, not "${value}".`
+        );
+      }
+      return value;
+  }
+}
+
+/**
+ * Checks that every entry of an array setting is an object with the settings it needs.
+ * @param {object} result - The result to add errors to.
+ * @param {string} name - The dotted path of the setting, for error messages.
+ * @param {*} entries - The setting's value (not checked if it is not an array).
+ * @param {string[]} keys - The settings each entry needs.
+ */
+function checkEntries(result, name, entries, keys) {
+  if (!Array.isArray(entries)) return;
+  entries.forEach((entry, index) => {
+    const missing = isPlainObject(entry)
+      ? keys.filter((key) => entry[key] === undefined)
+      : keys;
+    if (missing.length > 0) {
+      addError(
+        result,
+        `${name}[${index}] must be an object with ${keys.join(
+          " and "
+        )}; missing ${missing.join(" and ")}.`
+      );
+    }
+  });
+}
+
+/**
+ * Checks if a value is a plain object (not an array, date or null).
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True if the value is a plain object.
+ */
+function isPlainObject(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+/**
+ * Adds an error message to the result object.
+ * @param {object} result - The result object.
+ * @param {string} msg - The error message.
+ */
+function addError(result, msg) {
+  if (!result.errors) result.errors = [];
+  result.errors.push(msg);
+}
+
+module.exports = { SCHEMA, load };
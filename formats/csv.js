@@ -0,0 +1,130 @@
+"use strict";
+
+/**
+ * CSV files, as set out in RFC 4180.
+ *
+ * Fields are separated by commas. A field that holds a comma, a double quote or a line
+ * break is enclosed in double quotes, with its double quotes doubled, so names such as
+ * `"Monsters, Inc."` and notes that run over several lines are read back whole. Lines may
+ * end with CRLF, LF or CR. Blank lines and a byte order mark at the start are skipped.
+ *
+ * Files are written with LF line endings and no line break after the last row, as the
+ * versions always have been, so rebuilt versions stay identical to the first build.
+ *
+ * Exports:
+ * - `multipleTables`: false; one table per file.
+ * - `parse`: The rows of CSV text.
+ * - `stringify`: The CSV text of rows.
+ * - `read`: Reads a CSV file (see `index.js`).
+ * - `write`: Writes a CSV file (see `index.js`).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Returns the rows of CSV text.
+ * @param {string} text - The text.
+ * @returns {string[][]} - The rows.
+ * @throws Will throw an error if a quoted field is not closed.
+ */
+function parse(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let quoteLine = 0; // Line the open quoted field started on, for the error message
+  let line = 1;
+  const endRow = () => {
+    row.push(field);
+    // A blank line is not a row
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`The quoted field on line ${quoteLine} is not closed.`);
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Returns the CSV text of rows.
+ * @param {string[][]} rows - The rows.
+ * @returns {string} - The text.
+ */
+function stringify(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((field) => {
+          const text = field === undefined || field === null ? "" : `${field}`;
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\n");
+}
+
+/**
+ * Reads a CSV file.
+ * @param {string} file - The file path.
+ * @param {function} done - Callback function called with an error or the table, named after
+ *   the file.
+ */
+function read(file, done) {
+  fs.readFile(file, "utf8", (err, text) => {
+    if (err) return done(err);
+    let rows;
+    try {
+      rows = parse(text);
+    } catch (err) {
+      return done(err);
+    }
+    done(null, [{ name: path.basename(file, path.extname(file)), rows: rows }]);
+  });
+}
+
+/**
+ * Writes a CSV file.
+ * @param {string} file - The file path.
+ * @param {object[]} tables - The table to write.
+ * @param {function} done - Callback function called with an error, if any.
+ */
+function write(file, tables, done) {
+  fs.writeFile(file, stringify(tables[0].rows), done);
+}
+
+module.exports = { multipleTables: false, parse, stringify, read, write };
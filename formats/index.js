@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * Dataset files in the formats the versions can be shipped in.
+ *
+ * The master dataset can be read from, and each version's dataset written to, any of these
+ * formats, chosen by the file's extension (`dataset.format` in the config file sets the one
+ * the versions are written in). Whatever the format, a dataset is handled as tables of text
+ * values, as the stages have always handled CSV files:
+ *
+ *   [{ name: "Video Game Sales", rows: [["Rank", "Name", ...], ["1", "Wii Sports", ...]] }]
+ *
+ * The first row of each table is its header. Each format module in this folder exports:
+ * - `multipleTables`: Whether a file can hold more than one table.
+ * - `read(file, done)`: Reads the tables in a file. Callback `(err, tables)`.
+ * - `write(file, tables, done)`: Writes the tables to a file. Callback `(err)`.
+ *
+ * Formats:
+ * - `csv`: One table per file, quoted as set out in RFC 4180 (see `csv.js`).
+ * - `xlsx`: An Excel workbook with one worksheet per table (see `xlsx.js`).
+ * - `json`: An array of row objects, or an object of them by table name (see `json.js`).
+ * - `parquet`: One table per file, in columns (see `parquet.js`).
+ *
+ * The formats other than CSV store numbers as numbers: a column whose values are all
+ * numbers (or empty) is written as numbers (see `values.js`), and read back as text.
+ *
+ * A dataset of related tables (`dataset.tables` in the config file, see `relations.js`) is
+ * kept in one file named after the dataset in a format that holds several tables (e.g.
+ * `Video Game Sales.xlsx`, with one worksheet per table), or else in one file per table,
+ * named after the table (e.g. `games.csv`, `publishers.csv` and `sales.csv`).
+ *
+ * Exports:
+ * - `FORMATS`: The format modules, by name (which is also their file extension).
+ * - `formatOf`: The format of a file, from its extension.
+ * - `find`: Finds a dataset file by name, in any format.
+ * - `read`: Reads the tables in a file.
+ * - `write`: Writes tables to a file.
+ * - `readDataset`: Reads a dataset's tables from a folder, in any format.
+ * - `writeDataset`: Writes a dataset's tables to a folder, in the configured format.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FORMATS = {
+  csv: require("./csv.js"),
+  xlsx: require("./xlsx.js"),
+  json: require("./json.js"),
+  parquet: require("./parquet.js"),
+};
+
+/**
+ * Returns the format of a file, from its extension.
+ * @param {string} file - The file path.
+ * @returns {string|null} - The format's name, or null if the format is not supported.
+ */
+function formatOf(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  return FORMATS[extension] ? extension : null;
+}
+
+/**
+ * Finds a dataset file by name, in any format.
+ * @param {string} folder - The folder holding the file.
+ * @param {string} name - The file name, without its extension.
+ * @returns {string|null} - The file path, or null if there is no such file. If there are
+ *   several, the first in the order of `FORMATS` is returned.
+ */
+function find(folder, name) {
+  const found = Object.keys(FORMATS)
+    .map((format) => path.join(folder, `${name}.${format}`))
+    .find((file) => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Reads the tables in a file, in the format of its extension.
+ * @param {string} file - The file path.
+ * @param {function} done - Callback function called with an error or the tables.
+ */
+function read(file, done) {
+  const format = formatOf(file);
+  if (!format) {
+    return done(new Error(`Unsupported dataset format: ${file}`));
+  }
+  FORMATS[format].read(file, (err, tables) => {
+    if (err) return done(new Error(`Cannot read ${file}: ${err.message}`));
+    done(null, tables);
+  });
+}
+
+/**
+ * Writes tables to a file, in the format of its extension.
+ * @param {string} file - The file path.
+ * @param {object[]} tables - The tables: `{ name, rows }`, header first.
+ * @param {function} done - Callback function called with an error, if any.
+ */
+function write(file, tables, done) {
+  const format = formatOf(file);
+  if (!format) {
+    return done(new Error(`Unsupported dataset format: ${file}`));
+  }
+  if (tables.length > 1 && !FORMATS[format].multipleTables) {
+    return done(
+      new Error(`A ${format} file holds one table; ${file} was given more.`)
+    );
+  }
+  FORMATS[format].write(file, tables, (err) => {
+    if (err) return done(new Error(`Cannot write ${file}: ${err.message}`));
+    done(null);
+  });
+}
+
+/**
+ * Reads a dataset's tables from a folder, in any format.
+ *
+ * A dataset of one table is read from the first table of the file named after the dataset.
+ * The tables of a dataset of related tables are read from the file named after the dataset if
+ * it holds several tables, or else from their own files.
+ *
+ * @param {string} folder - The folder holding the dataset.
+ * @param {object} dataset - The `dataset` settings: its `name` and related `tables`.
+ * @param {function} done - Callback function called with an error or the tables (`{ name, rows }`),
+ *   in the order of `dataset.tables`; a dataset of one table is named after the dataset.
+ */
+function readDataset(folder, dataset, done) {
+  const names = Object.keys(dataset.tables);
+
+  if (names.length === 0) {
+    const file = find(folder, dataset.name);
+    if (!file) {
+      return done(
+        new Error(
+          `No dataset found: put ${fileNames(dataset.name)} in ${folder}.`
+        )
+      );
+    }
+    return read(file, (err, tables) => {
+      if (err) return done(err);
+      if (tables.length === 0) {
+        return done(new Error(`${file} holds no rows.`));
+      }
+      done(null, [{ name: dataset.name, rows: tables[0].rows }]);
+    });
+  }
+
+  const bundle = Object.keys(FORMATS)
+    .filter((format) => FORMATS[format].multipleTables)
+    .map((format) => path.join(folder, `${dataset.name}.${format}`))
+    .find((file) => fs.existsSync(file));
+  if (bundle) {
+    return read(bundle, (err, tables) => {
+      if (err) return done(err);
+      const missing = names.filter(
+        (name) => !tables.some((table) => table.name === name)
+      );
+      if (missing.length > 0) {
+        return done(
+          new Error(`${bundle} has no table named ${missing.join(", ")}.`)
+        );
+      }
+      done(
+        null,
+        names.map((name) => tables.find((table) => table.name === name))
+      );
+    });
+  }
+
+  const missing = names.find((name) => !find(folder, name));
+  if (missing) {
+    return done(
+      new Error(
+        `No table ${missing} found: put ${fileNames(
+          missing
+        )} in ${folder}, or every table in ${dataset.name}.xlsx or .json.`
+      )
+    );
+  }
+
+  // Read the tables one after the other
+  const tables = [];
+  const next = (index) => {
+    if (index >= names.length) return done(null, tables);
+    read(find(folder, names[index]), (err, found) => {
+      if (err) return done(err);
+      tables.push({
+        name: names[index],
+        rows: found.length > 0 ? found[0].rows : [],
+      });
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+/**
+ * Writes a dataset's tables to a folder, in the configured format.
+ * @param {string} folder - The folder to write the dataset to.
+ * @param {object} dataset - The `dataset` settings: its `name`, `format` and related `tables`.
+ * @param {object[]} tables - The tables: `{ name, rows }`, header first, in the order of
+ *   `dataset.tables`.
+ * @param {function} done - Callback function called with an error or the paths of the files
+ *   written.
+ */
+function writeDataset(folder, dataset, tables, done) {
+  const format = dataset.format;
+  if (
+    Object.keys(dataset.tables).length === 0 ||
+    FORMATS[format].multipleTables
+  ) {
+    const file = path.join(folder, `${dataset.name}.${format}`);
+    return write(file, tables, (err) => done(err, err ? null : [file]));
+  }
+
+  // One file per table, written one after the other
+  const files = [];
+  const next = (index) => {
+    if (index >= tables.length) return done(null, files);
+    const file = path.join(folder, `${tables[index].name}.${format}`);
+    write(file, [tables[index]], (err) => {
+      if (err) return done(err);
+      files.push(file);
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+/**
+ * Lists the file names a dataset or table can be found under, for error messages.
+ * @param {string} name - The dataset or table name.
+ * @returns {string} - The file names, e.g. `games.csv (or .xlsx, .json or .parquet)`.
+ */
+function fileNames(name) {
+  const others = Object.keys(FORMATS).slice(1);
+  return `${name}.${Object.keys(FORMATS)[0]} (or .${others
+    .slice(0, -1)
+    .join(", .")} or .${others[others.length - 1]})`;
+}
+
+module.exports = {
+  FORMATS,
+  formatOf,
+  find,
+  read,
+  write,
+  readDataset,
+  writeDataset,
+};
@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * JSON files.
+ *
+ * A table is an array of row objects keyed by column name, as most tools (e.g. pandas'
+ * `read_json(orient="records")`) read and write them:
+ *
+ *   [{ "Rank": 1, "Name": "Wii Sports", ... }]
+ *
+ * A file with several tables holds an object of them by table name. An array of arrays,
+ * header first, is read as well. Empty values are written as null.
+ *
+ * Exports:
+ * - `multipleTables`: true.
+ * - `read`: Reads a JSON file (see `index.js`).
+ * - `write`: Writes a JSON file (see `index.js`).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const values = require("./values.js");
+
+/**
+ * Reads a JSON file.
+ * @param {string} file - The file path.
+ * @param {function} done - Callback function called with an error or the tables. A single
+ *   table is named after the file.
+ */
+function read(file, done) {
+  fs.readFile(file, "utf8", (err, text) => {
+    if (err) return done(err);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return done(err);
+    }
+
+    const tables = Array.isArray(data)
+      ? [{ name: path.basename(file, path.extname(file)), records: data }]
+      : data && typeof data === "object"
+      ? Object.keys(data).map((name) => ({ name: name, records: data[name] }))
+      : [];
+    const invalid = tables.find((table) => !Array.isArray(table.records));
+    if (tables.length === 0 || invalid) {
+      return done(
+        new Error(
+          "Expected an array of rows, or an object of arrays of rows by table name."
+        )
+      );
+    }
+    done(
+      null,
+      tables.map((table) => ({
+        name: table.name,
+        rows: toRows(table.records),
+      }))
+    );
+  });
+}
+
+/**
+ * Turns an array of row objects (or of arrays, header first) into rows.
+ * @param {Array} records - The rows read.
+ * @returns {string[][]} - The rows, header first.
+ */
+function toRows(records) {
+  if (records.length > 0 && Array.isArray(records[0])) {
+    return records.map((record) => record.map(values.toText));
+  }
+  // Every key found, in the order first seen
+  const header = [];
+  records.forEach((record) => {
+    Object.keys(record || {}).forEach((key) => {
+      if (!header.includes(key)) header.push(key);
+    });
+  });
+  return [header].concat(
+    records.map((record) =>
+      header.map((key) => values.toText((record || {})[key]))
+    )
+  );
+}
+
+/**
+ * Writes a JSON file.
+ * @param {string} file - The file path.
+ * @param {object[]} tables - The tables to write.
+ * @param {function} done - Callback function called with an error, if any.
+ */
+function write(file, tables, done) {
+  const records = tables.map((table) => {
+    const header = table.rows[0] || [];
+    const types = values.columnTypes(table.rows);
+    return table.rows.slice(1).map((row) => {
+      const record = {};
+      header.forEach((name, index) => {
+        record[name] = values.toValue(row[index], types[index]);
+      });
+      return record;
+    });
+  });
+  const data =
+    tables.length === 1
+      ? records[0]
+      : tables.reduce((acc, table, index) => {
+          acc[table.name] = records[index];
+          return acc;
+        }, {});
+  fs.writeFile(file, JSON.stringify(data, null, 2), done);
+}
+
+module.exports = { multipleTables: true, read, write };
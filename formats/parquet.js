@@ -0,0 +1,96 @@
+"use strict";
+
+/**
+ * Parquet files, with one table per file.
+ *
+ * Integer columns are written as INT64, other number columns as DOUBLE and the rest as UTF8
+ * text, all optional so that empty values are left out. Files written by other tools (e.g.
+ * pandas or Spark) are read whatever their column types, compression and encodings, as far
+ * as `parquetjs-lite` supports them; nested columns are read as JSON text.
+ *
+ * Exports:
+ * - `multipleTables`: false; one table per file.
+ * - `read`: Reads a Parquet file (see `index.js`).
+ * - `write`: Writes a Parquet file (see `index.js`).
+ */
+
+const path = require("path");
+const parquet = require("parquetjs-lite");
+const values = require("./values.js");
+
+const TYPES = { int: "INT64", number: "DOUBLE", string: "UTF8" }; // Column types by value type
+
+/**
+ * Reads a Parquet file.
+ * @param {string} file - The file path.
+ * @param {function} done - Callback function called with an error or the table, named after
+ *   the file.
+ */
+function read(file, done) {
+  let reader;
+  parquet.ParquetReader.openFile(file)
+    .then((opened) => {
+      reader = opened;
+      const header = Object.keys(reader.getSchema().schema);
+      const rows = [header];
+      const cursor = reader.getCursor();
+      const next = () =>
+        cursor.next().then((record) => {
+          if (!record) return rows;
+          rows.push(header.map((name) => values.toText(record[name])));
+          return next();
+        });
+      return next();
+    })
+    .then((rows) => reader.close().then(() => rows))
+    .then(
+      (rows) =>
+        done(null, [
+          { name: path.basename(file, path.extname(file)), rows: rows },
+        ]),
+      (err) => done(err)
+    );
+}
+
+/**
+ * Writes a Parquet file.
+ * @param {string} file - The file path.
+ * @param {object[]} tables - The table to write.
+ * @param {function} done - Callback function called with an error, if any.
+ */
+function write(file, tables, done) {
+  const rows = tables[0].rows;
+  const header = rows[0] || [];
+  const types = values.columnTypes(rows);
+  const fields = {};
+  header.forEach((name, index) => {
+    fields[name] = { type: TYPES[types[index]], optional: true };
+  });
+
+  let schema;
+  try {
+    schema = new parquet.ParquetSchema(fields);
+  } catch (err) {
+    return done(err);
+  }
+  parquet.ParquetWriter.openFile(schema, file)
+    .then((writer) => {
+      // Rows are appended one after the other, as the writer expects
+      const append = (i) => {
+        if (i >= rows.length) return writer.close();
+        const record = {};
+        header.forEach((name, index) => {
+          const value = values.toValue(rows[i][index], types[index]);
+          if (value !== null) record[name] = value;
+        });
+        return writer.appendRow(record).then(() => append(i + 1));
+      };
+      return append(1);
+    })
+    .then(
+      () => done(null),
+      (err) => done(err)
+    );
+}
+
+module.exports = { multipleTables: false, read, write };
@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Conversions between the text values of a table and the typed values of the formats that
+ * store numbers as numbers (`xlsx`, `json` and `parquet`).
+ *
+ * A column is written as numbers only if every value in it is a number or empty, so a
+ * column with a "N/A" in it stays text and reads back unchanged. Numbers with leading zeros
+ * (e.g. "007") stay text too, as they are usually codes rather than amounts.
+ *
+ * Exports:
+ * - `columnTypes`: The type each column of a table is written as.
+ * - `toValue`: A text value as a value of its column's type.
+ * - `toText`: A value read from a file as text.
+ */
+
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+const INTEGER = /^-?(0|[1-9]\d*)$/;
+
+/**
+ * Works out the type each column of a table is written as.
+ * @param {string[][]} rows - The table's rows, header first.
+ * @returns {string[]} - Each column's type: "int", "number" or "string".
+ */
+function columnTypes(rows) {
+  const header = rows[0] || [];
+  return header.map((name, index) => {
+    let type = "int";
+    for (let i = 1; i < rows.length && type !== "string"; i++) {
+      const text = rows[i][index];
+      if (text === undefined || text === null || text === "") continue;
+      if (!NUMBER.test(text) || !isFinite(Number(text))) {
+        type = "string";
+      } else if (!INTEGER.test(text) || !Number.isSafeInteger(Number(text))) {
+        type = "number";
+      }
+    }
+    return type;
+  });
+}
+
+/**
+ * Returns a text value as a value of its column's type.
+ * @param {string} text - The value.
+ * @param {string} type - The column's type, from `columnTypes`.
+ * @returns {string|number|null} - The value, or null if it is empty.
+ */
+function toValue(text, type) {
+  if (text === undefined || text === null || text === "") return null;
+  return type === "string" ? `${text}` : Number(text);
+}
+
+/**
+ * Returns a value read from a file as text.
+ * @param {*} value - The value.
+ * @returns {string} - The text ("" for no value).
+ */
+function toText(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) {
+    // Dates without a time are written as dates only
+    const text = value.toISOString();
+    return text.endsWith("T00:00:00.000Z") ? text.slice(0, 10) : text;
+  }
+  if (Buffer.isBuffer(value)) return value.toString("utf8");
+  if (typeof value === "object") return JSON.stringify(value);
+  return `${value}`;
+}
+
+module.exports = { columnTypes, toValue, toText };
@@ -0,0 +1,129 @@
+"use strict";
+
+/**
+ * Excel workbooks, with one worksheet per table.
+ *
+ * Worksheets are named after their tables, shortened to the 31 characters Excel allows and
+ * without the characters it does not. Number columns are written as numbers, so they can be
+ * summed and charted straight away. When a workbook is read, empty worksheets and empty rows
+ * are skipped, and formulas are read as their last calculated result.
+ *
+ * Exports:
+ * - `multipleTables`: true.
+ * - `read`: Reads a workbook (see `index.js`).
+ * - `write`: Writes a workbook (see `index.js`).
+ */
+
+const ExcelJS = require("exceljs");
+const values = require("./values.js");
+
+const MAX_SHEET_NAME = 31; // Longest worksheet name Excel accepts
+
+/**
+ * Reads a workbook.
+ * @param {string} file - The file path.
+ * @param {function} done - Callback function called with an error or the tables, one per
+ *   worksheet that is not empty.
+ */
+function read(file, done) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.xlsx.readFile(file).then(
+    () => {
+      const tables = [];
+      workbook.eachSheet((worksheet) => {
+        const rows = [];
+        // Both counts go over every row, so they are looked up only once
+        const rowCount = worksheet.rowCount;
+        const columnCount = worksheet.columnCount;
+        for (let r = 1; r <= rowCount; r++) {
+          const row = worksheet.getRow(r);
+          const fields = [];
+          for (let c = 1; c <= columnCount; c++) {
+            fields.push(cellText(row.getCell(c).value));
+          }
+          if (fields.some((field) => field !== "")) {
+            rows.push(fields);
+          }
+        }
+        if (rows.length > 0) {
+          tables.push({ name: worksheet.name, rows: rows });
+        }
+      });
+      done(null, tables);
+    },
+    (err) => done(err)
+  );
+}
+
+/**
+ * Writes a workbook.
+ * @param {string} file - The file path.
+ * @param {object[]} tables - The tables to write.
+ * @param {function} done - Callback function called with an error, if any.
+ */
+function write(file, tables, done) {
+  const workbook = new ExcelJS.Workbook();
+  const names = [];
+  tables.forEach((table) => {
+    const name = sheetName(table.name, names);
+    names.push(name.toLowerCase());
+    const worksheet = workbook.addWorksheet(name);
+    const types = values.columnTypes(table.rows);
+    table.rows.forEach((row, index) => {
+      worksheet.addRow(
+        index === 0
+          ? row
+          : row.map((text, column) => values.toValue(text, types[column]))
+      );
+    });
+  });
+  workbook.xlsx.writeFile(file).then(
+    () => done(null),
+    (err) => done(err)
+  );
+}
+
+/**
+ * Returns a cell's value as text.
+ * @param {*} value - The cell's value, as read by ExcelJS.
+ * @returns {string} - The text.
+ */
+function cellText(value) {
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    if ("result" in value || "formula" in value || "sharedFormula" in value) {
+      return values.toText(value.result);
+    }
+    if ("text" in value) {
+      return values.toText(value.text); // A hyperlink
+    }
+    if ("error" in value) {
+      return value.error;
+    }
+  }
+  return values.toText(value);
+}
+
+/**
+ * Returns a worksheet name Excel accepts for a table.
+ * @param {string} name - The table's name.
+ * @param {string[]} taken - The names already used, in lower case.
+ * @returns {string} - The worksheet name.
+ */
+function sheetName(name, taken) {
+  const base =
+    `${name}`
+      .replace(/[\\/?*[\]:]/g, "_")
+      .replace(/^'|'$/g, "")
+      .slice(0, MAX_SHEET_NAME) || "Sheet";
+  let result = base;
+  for (let n = 2; taken.includes(result.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    result = `${base.slice(0, MAX_SHEET_NAME - suffix.length)}${suffix}`;
+  }
+  return result;
+}
+
+module.exports = { multipleTables: true, read, write };
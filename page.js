@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Command line interface that runs the Ready, Aim and Shoot stages as one pipeline.
+ *
+ * Each subcommand runs one stage's script in its own folder, with `PAGE_WORKSPACE` set so
+ * that every stage reads the previous stage's outputs from a shared project workspace
+ * (see `workspace.js`). There is no need to copy hashes into `hash.js` or move files
+ * between the stage folders.
+ *
+ * Usage:
+ *   node page.js <command> [--workspace <dir>] [--config <file>] [--dry-run] [--plan <file>] [--resume]
+ *   node page.js sample [--seed <seed>] [--rebuild] [--workspace <dir>]
+ *   node page.js analyse [--resample] [--workspace <dir>]
+ *   node page.js trace <suspect dataset>... [--workspace <dir>]
+ *   node page.js verify <file, folder or zip file>... [--workspace <dir>]
+ *
+ * Commands:
+ * - `roster`: Pull the course roster for per-student mode (`3.Shoot/TEST 101/GetRoster.js`).
+ * - `split`: Split the master dataset into related tables (`1.Ready/1.Test/split.js`), for
+ *   datasets of related tables (`dataset.tables` in the config file).
+ * - `sample`: Generate the version datasets (`1.Ready/1.Test/app.js`).
+ * - `zip`: Zip each version's files (`1.Ready/0.Create-Zip/app.js`), and upload them to the
+ *   file host if `upload.enabled` is set in the config file.
+ * - `generate-qa`: Generate the questions and answers (`2.Aim/2.Test/app.js`).
+ * - `analyse`: Compare the difficulty of the versions, and with `--resample` draw new parameters
+ *   for the outlier questions (`2.Aim/2.Test/analyse.js`).
+ * - `deploy`: Create the Canvas quizzes (`3.Shoot/TEST 101/CreateTest.js`).
+ * - `grade`: Re-grade the quiz submissions (`3.Shoot/TEST 101/GradeTest.js`).
+ * - `trace`: Report which version the suspect datasets given most likely came from, with a
+ *   confidence score (`1.Ready/1.Test/trace.js`). Needs versions sampled with `fingerprint.markRows` set.
+ * - `verify`: Report which version the leaked files, folders or zip files given came from, by
+ *   the zip manifests and watermarks, and whether they were changed (`1.Ready/0.Create-Zip/verify.js`).
+ * - `all`: Run `sample`, `zip`, `generate-qa`, `analyse` (with `--resample`, so outlier questions
+ *   are replaced before they are deployed) and `deploy` in order, stopping at the first
+ *   failure (including outlier versions that `analyse` could not resample). In per-student mode (`perStudent.enabled` in the config file), `roster` is run first.
+ *
+ * Notes:
+ * - The workspace defaults to `./workspace`; it can also be set with `PAGE_WORKSPACE`.
+ * - The settings are read from `page.config.json` unless `--config` (or `PAGE_CONFIG`) names
+ *   another file (see `config.js`).
+ * - `--seed` and `--rebuild` are passed to `sample` (see `1.Ready/1.Test/app.js`): `--seed` sets
+ *   the master seed, and `--rebuild` rebuilds the versions recorded in `<workspace>/datasets`.
+ * - `--dry-run`, `--plan` and `--resume` are passed to `deploy` (see `CreateTest.js`): `--dry-run`
+ *   writes the deploy plan to `<workspace>/deploy` without changing anything in Canvas, `--plan`
+ *   carries out a plan written before, and `--resume` finishes a run that stopped part way.
+ * - Put the master dataset in `<workspace>/master` before running `sample`.
+ * - Run `npm install` in the repository root and in each stage folder first.
+ */
+
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_WORKSPACE = "workspace"; // Workspace folder used when none is given
+
+const STAGES = {
+  roster: {
+    folder: "3.Shoot/TEST 101",
+    script: "GetRoster.js",
+    description: "Pull the course roster for per-student mode",
+  },
+  split: {
+    folder: "1.Ready/1.Test",
+    script: "split.js",
+    description: "Split the master dataset into related tables",
+  },
+  sample: {
+    folder: "1.Ready/1.Test",
+    script: "app.js",
+    description: "Generate the version datasets",
+  },
+  zip: {
+    folder: "1.Ready/0.Create-Zip",
+    script: "app.js",
+    description: "Zip each version's files",
+  },
+  "generate-qa": {
+    folder: "2.Aim/2.Test",
+    script: "app.js",
+    description: "Generate the questions and answers",
+  },
+  analyse: {
+    folder: "2.Aim/2.Test",
+    script: "analyse.js",
+    description: "Compare the difficulty of the versions",
+  },
+  deploy: {
+    folder: "3.Shoot/TEST 101",
+    script: "CreateTest.js",
+    description: "Create the Canvas quizzes",
+  },
+  grade: {
+    folder: "3.Shoot/TEST 101",
+    script: "GradeTest.js",
+    description: "Re-grade the quiz submissions",
+  },
+  trace: {
+    folder: "1.Ready/1.Test",
+    script: "trace.js",
+    description: "Find the version suspect datasets came from",
+  },
+  verify: {
+    folder: "1.Ready/0.Create-Zip",
+    script: "verify.js",
+    description: "Check leaked files against the zip manifests",
+  },
+};
+
+const PIPELINE = ["sample", "zip", "generate-qa", "analyse", "deploy"]; // Stages run by `all`
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.command || args.command === "help" || args.help) {
+  printUsage();
+  process.exit(args.command || args.help ? 0 : 1);
+}
+
+if (args.command !== "all" && !STAGES[args.command]) {
+  console.error(`Unknown command: ${args.command}`);
+  printUsage();
+  process.exit(1);
+}
+
+if (args.config) {
+  process.env.PAGE_CONFIG = path.resolve(args.config);
+}
+
+// The workspace module reads PAGE_WORKSPACE when it is loaded, so set it first
+process.env.PAGE_WORKSPACE = path.resolve(
+  args.workspace || process.env.PAGE_WORKSPACE || DEFAULT_WORKSPACE
+);
+const workspace = require("./workspace.js");
+workspace.ensureFolders();
+
+console.log(`Workspace: ${workspace.ROOT}`);
+
+// In per-student mode, every version is keyed by a student in the roster (see `roster.js`)
+const loaded = require("./config.js").load([]);
+const perStudent = !loaded.errors && loaded.config.perStudent.enabled;
+
+const commands =
+  args.command === "all"
+    ? (perStudent ? ["roster"] : []).concat(PIPELINE)
+    : [args.command];
+for (const command of commands) {
+  const status = runStage(command);
+  if (status !== 0) {
+    console.error(`Stage "${command}" failed (exit code ${status}).`);
+    process.exit(status || 1);
+  }
+}
+
+console.log(`${os.EOL}Finished: ${commands.join(" → ")}`);
+
+/**
+ * Runs one stage's script in its folder, sharing the workspace.
+ * @param {string} command - The stage to run.
+ * @returns {number} - The exit code of the stage's script.
+ */
+function runStage(command) {
+  const stage = STAGES[command];
+  const folder = path.join(__dirname, stage.folder);
+
+  console.log(`${os.EOL}=== ${command}: ${stage.description} ===`);
+
+  const missing = checkInputs(command);
+  if (missing) {
+    console.error(missing);
+    return 1;
+  }
+  if (!fs.existsSync(path.join(folder, "node_modules"))) {
+    console.error(`Dependencies are missing. Run "npm install" in ${folder}.`);
+    return 1;
+  }
+
+  const result = childProcess.spawnSync(
+    process.execPath,
+    [stage.script].concat(
+      command === "sample"
+        ? sampleArgs()
+        : command === "deploy"
+        ? deployArgs()
+        : command === "analyse"
+        ? analyseArgs()
+        : command === "trace" || command === "verify"
+        ? args.files
+        : []
+    ),
+    {
+      cwd: folder,
+      env: process.env,
+      stdio: "inherit",
+    }
+  );
+  if (result.error) {
+    console.error(result.error.message);
+    return 1;
+  }
+  return result.status === null ? 1 : result.status;
+}
+
+/**
+ * Checks that the workspace holds the inputs a stage needs.
+ * @param {string} command - The stage to check.
+ * @returns {string|null} - A message describing what is missing, or null if nothing is.
+ */
+function checkInputs(command) {
+  const seedFile = path.join(workspace.DATASETS, "seed.json");
+
+  switch (command) {
+    case "sample":
+      if (perStudent && !fs.existsSync(workspace.ROSTER)) {
+        return `No roster found at ${workspace.ROSTER}. Run "roster" first.`;
+      }
+    // Falls through: the master dataset is needed as well
+    case "split":
+      return fs.readdirSync(workspace.MASTER).length === 0
+        ? `Put the master dataset in ${workspace.MASTER} first.`
+        : null;
+    case "verify":
+      if (args.files.length === 0) {
+        return "Give the files, folders or zip files to verify.";
+      }
+      return fs.readdirSync(workspace.ZIPS).length === 0
+        ? `No zip files found in ${workspace.ZIPS}. Run "zip" first.`
+        : null;
+    case "trace":
+      if (args.files.length === 0) {
+        return "Give the suspect datasets to trace.";
+      }
+    // Falls through: the versions' seed is needed as well
+    case "zip":
+    case "generate-qa":
+      return fs.existsSync(seedFile)
+        ? null
+        : `No versions found in ${workspace.DATASETS}. Run "sample" first.`;
+    case "analyse":
+    case "deploy":
+    case "grade":
+      if (command === "deploy" && args.plan) {
+        return fs.existsSync(args.plan)
+          ? null
+          : `No deploy plan found at ${args.plan}.`;
+      }
+      if (!workspace.latestFile(workspace.DEPLOY, workspace.QA_FILE_PATTERN)) {
+        return `No Q&A file found in ${workspace.DEPLOY}. Run "generate-qa" first.`;
+      }
+      if (command === "analyse") {
+        return null;
+      }
+      if (!loaded.errors && loaded.config.upload.enabled) {
+        return fs.existsSync(
+          path.join(workspace.DEPLOY, loaded.config.upload.recordFile)
+        )
+          ? null
+          : `No upload record found in ${workspace.DEPLOY}. Run "zip" with upload.enabled first.`;
+      }
+      return fs.existsSync(path.join(workspace.DEPLOY, "TestFiles.csv"))
+        ? null
+        : `Save the file download links as TestFiles.csv in ${workspace.DEPLOY} first.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} - The `command`, `workspace`, `config`, `seed`, `rebuild`, `dryRun`, `plan`,
+ *   `resume`, `resample` and `help` options,
+ *   and the `files` given after the command.
+ */
+function parseArgs(argv) {
+  const result = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--workspace" || argv[i] === "-w") {
+      result.workspace = argv[++i];
+    } else if (argv[i] === "--config" || argv[i] === "-c") {
+      result.config = argv[++i];
+    } else if (argv[i] === "--seed") {
+      result.seed = argv[++i];
+    } else if (argv[i] === "--rebuild") {
+      result.rebuild = true;
+    } else if (argv[i] === "--dry-run") {
+      result.dryRun = true;
+    } else if (argv[i] === "--plan") {
+      result.plan = path.resolve(argv[++i] || "");
+    } else if (argv[i] === "--resume") {
+      result.resume = true;
+    } else if (argv[i] === "--resample") {
+      result.resample = true;
+    } else if (argv[i] === "--help" || argv[i] === "-h") {
+      result.help = true;
+    } else if (!result.command) {
+      result.command = argv[i];
+    } else {
+      result.files.push(path.resolve(argv[i]));
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns the options passed on to the `sample` stage's script.
+ * @returns {string[]} - The `--seed` and `--rebuild` arguments given, if any.
+ */
+function sampleArgs() {
+  const result = [];
+  if (args.seed) {
+    result.push("--seed", args.seed);
+  }
+  if (args.rebuild) {
+    result.push("--rebuild");
+  }
+  return result;
+}
+
+/**
+ * Returns the options passed on to the `deploy` stage's script.
+ * @returns {string[]} - The `--dry-run`, `--plan` and `--resume` arguments given, if any.
+ */
+function deployArgs() {
+  const result = [];
+  if (args.dryRun) {
+    result.push("--dry-run");
+  }
+  if (args.plan) {
+    result.push("--plan", args.plan);
+  }
+  if (args.resume) {
+    result.push("--resume");
+  }
+  return result;
+}
+
+/**
+ * Returns the options passed on to the `analyse` stage's script.
+ * @returns {string[]} - `--resample` if it was given, or if `all` runs the stage.
+ */
+function analyseArgs() {
+  return args.resample || args.command === "all" ? ["--resample"] : [];
+}
+
+/**
+ * Prints the usage message.
+ */
+function printUsage() {
+  console.log(`Usage: node page.js <command> [--workspace <dir>] [--config <file>] [--dry-run] [--plan <file>] [--resume]
+       node page.js sample [--seed <seed>] [--rebuild] [--workspace <dir>]
+       node page.js analyse [--resample] [--workspace <dir>]
+       node page.js trace <suspect dataset>... [--workspace <dir>]
+       node page.js verify <file, folder or zip file>... [--workspace <dir>]
+
+Commands:
+${Object.keys(STAGES)
+  .map((command) => `  ${command.padEnd(12)} ${STAGES[command].description}`)
+  .join(os.EOL)}
+  ${"all".padEnd(12)} Run ${PIPELINE.map((command) =>
+    command === "analyse" ? "analyse --resample" : command
+  ).join(", ")} in order (roster first in per-student mode)
+
+Options for sample:
+  --seed       Master seed for the versions (a new one is generated if none is given)
+  --rebuild    Rebuild the versions recorded in the workspace instead of creating new ones
+
+Options for analyse:
+  --resample   Draw new parameters for the outlier questions and rewrite the Q&A file
+
+Options for deploy:
+  --dry-run    Write the deploy plan without changing anything in Canvas
+  --plan       Carry out a deploy plan written by --dry-run
+  --resume     Finish the run recorded in the run manifest`);
+}
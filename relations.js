@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ * Datasets of related tables, such as games, publishers and sales by region.
+ *
+ * A version's dataset can be several tables linked by keys instead of one table. The tables
+ * and their foreign keys are declared in the config file's `dataset.tables`, in the order the
+ * tables are written, each table mapping its foreign key columns to the `<table>.<column>`
+ * they refer to:
+ *
+ *   "tables": {
+ *     "games": { "Publisher_ID": "publishers.Publisher_ID" },
+ *     "publishers": {},
+ *     "sales": { "Rank": "games.Rank" }
+ *   }
+ *
+ * The first table is the main table: its rows are sampled, perturbed and marked as a dataset
+ * of one table is. The other tables are then cut down to the rows related to the main table's
+ * rows, so that every foreign key still resolves:
+ * - A table the kept rows refer to keeps the rows they refer to (e.g. the publishers of the
+ *   sampled games).
+ * - A table that refers to the kept rows keeps the rows that refer to them (e.g. the sales of
+ *   the sampled games).
+ * - Tables are reached from the main table along the keys, one after the other; a table that
+ *   is not linked to the main table at all is kept whole.
+ * - Rows whose foreign key is empty refer to nothing and are always valid, but are dropped
+ *   from a table cut down to the rows that refer to another table's kept rows.
+ *
+ * Tables are passed as objects mapping each table name to its rows, header first, as the Q&A
+ * templates receive them.
+ *
+ * Exports:
+ * - `check`: Checks the `dataset.tables` setting.
+ * - `foreignKeys`: Lists the foreign keys of the `dataset.tables` setting.
+ * - `relatedRows`: Cuts the other tables down to the rows related to the main table's rows.
+ * - `unresolvedKeys`: Reports foreign key values that do not resolve.
+ */
+
+const MAX_ERRORS_PER_KEY = 5; // Number of unresolved values reported for each foreign key
+
+/**
+ * Checks the `dataset.tables` setting.
+ * @param {object} tables - The setting: each table's foreign keys, by table name.
+ * @returns {string[]} - The errors found (empty if none).
+ */
+function check(tables) {
+  const errors = [];
+  Object.keys(tables).forEach((table) => {
+    const keys = tables[table];
+    if (typeof keys !== "object" || keys === null || Array.isArray(keys)) {
+      errors.push(
+        `dataset.tables.${table} must be an object of foreign keys (e.g. {}).`
+      );
+      return;
+    }
+    Object.keys(keys).forEach((column) => {
+      const target = parseTarget(keys[column]);
+      if (!target || !(target.table in tables)) {
+        errors.push(
+          `dataset.tables.${table}.${column} must name a column of a table in dataset.tables, e.g. "${
+            Object.keys(tables)[0]
+          }.${column}", not ${JSON.stringify(keys[column])}.`
+        );
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Lists the foreign keys of the `dataset.tables` setting.
+ * @param {object} tables - The setting, checked with `check`.
+ * @returns {object[]} - The keys: `{ table, column, references: { table, column } }`.
+ */
+function foreignKeys(tables) {
+  const keys = [];
+  Object.keys(tables).forEach((table) => {
+    Object.keys(tables[table]).forEach((column) => {
+      keys.push({
+        table: table,
+        column: column,
+        references: parseTarget(tables[table][column]),
+      });
+    });
+  });
+  return keys;
+}
+
+/**
+ * Cuts the other tables down to the rows related to the main table's rows.
+ * @param {object} tables - The rows of every table (the master's), by table name, header first.
+ * @param {string} main - The name of the main table, whose rows in `tables` are the kept ones.
+ * @param {object} declared - The `dataset.tables` setting.
+ * @returns {object} - The kept rows of every table, by table name, header first.
+ * @throws Will throw an error if a key's column is missing from its table.
+ */
+function relatedRows(tables, main, declared) {
+  const keys = foreignKeys(declared);
+  const kept = {};
+  kept[main] = tables[main];
+
+  // Reach the tables from the main table along the keys
+  const queue = [main];
+  while (queue.length > 0) {
+    const reached = queue.shift();
+    keys.forEach((key) => {
+      let from, to, table;
+      if (key.table === reached && !(key.references.table in kept)) {
+        // Keep the rows the reached table refers to
+        table = key.references.table;
+        from = key.column;
+        to = key.references.column;
+      } else if (key.references.table === reached && !(key.table in kept)) {
+        // Keep the rows that refer to the reached table
+        table = key.table;
+        from = key.references.column;
+        to = key.column;
+      } else {
+        return;
+      }
+      const values = valuesOf(kept[reached], from, reached);
+      const index = columnOf(tables[table], to, table);
+      kept[table] = [tables[table][0]].concat(
+        tables[table].slice(1).filter((row) => values.has(row[index]))
+      );
+      queue.push(table);
+    });
+  }
+
+  Object.keys(tables).forEach((table) => {
+    if (!(table in kept)) kept[table] = tables[table];
+  });
+
+  // A table reached along two paths was cut along the first; drop any rows whose keys do not
+  // resolve along the second
+  let dropped = true;
+  while (dropped) {
+    dropped = false;
+    keys.forEach((key) => {
+      const values = valuesOf(
+        kept[key.references.table],
+        key.references.column,
+        key.references.table
+      );
+      const index = columnOf(kept[key.table], key.column, key.table);
+      const rows = kept[key.table].filter(
+        (row, r) => r === 0 || row[index] === "" || values.has(row[index])
+      );
+      if (rows.length < kept[key.table].length) {
+        kept[key.table] = rows;
+        dropped = true;
+      }
+    });
+  }
+
+  return kept;
+}
+
+/**
+ * Reports foreign key values that do not resolve, up to `MAX_ERRORS_PER_KEY` per key.
+ * @param {object} tables - The rows of every table, by table name, header first.
+ * @param {object} declared - The `dataset.tables` setting.
+ * @returns {string[]} - The errors found (empty if none).
+ */
+function unresolvedKeys(tables, declared) {
+  const errors = [];
+  foreignKeys(declared).forEach((key) => {
+    const name = `${key.table}.${key.column}`;
+    const target = `${key.references.table}.${key.references.column}`;
+    let values, index;
+    try {
+      values = valuesOf(
+        tables[key.references.table],
+        key.references.column,
+        key.references.table
+      );
+      index = columnOf(tables[key.table], key.column, key.table);
+    } catch (err) {
+      errors.push(err.message);
+      return;
+    }
+
+    let numErrors = 0;
+    tables[key.table].forEach((row, r) => {
+      const value = r === 0 || row[index] === undefined ? "" : `${row[index]}`;
+      if (value === "" || values.has(value)) return;
+      numErrors++;
+      if (numErrors <= MAX_ERRORS_PER_KEY) {
+        errors.push(
+          `Row ${r + 1} of ${key.table}: ${name} "${value}" is not in ${target}`
+        );
+      }
+    });
+    if (numErrors > MAX_ERRORS_PER_KEY) {
+      errors.push(
+        `${name}: ${
+          numErrors - MAX_ERRORS_PER_KEY
+        } more values not in ${target}`
+      );
+    }
+  });
+  return errors;
+}
+
+/**
+ * Parses the column a foreign key refers to.
+ * @param {*} target - The column, as `<table>.<column>`.
+ * @returns {object|null} - The `table` and `column`, or null if it is not in that form.
+ */
+function parseTarget(target) {
+  const match = typeof target === "string" && /^([^.]+)\.(.+)$/.exec(target);
+  return match ? { table: match[1], column: match[2] } : null;
+}
+
+/**
+ * Returns the index of a column in a table's header.
+ * @param {Array[]} rows - The table's rows, header first.
+ * @param {string} column - The column name.
+ * @param {string} table - The table name, for the error message.
+ * @returns {number} - The column's index.
+ * @throws Will throw an error if the table or the column is missing.
+ */
+function columnOf(rows, column, table) {
+  if (!rows) {
+    throw new Error(`Missing table: ${table}`);
+  }
+  const index = (rows[0] || []).findIndex(
+    (name) => `${name}`.trim() === column
+  );
+  if (index === -1) {
+    throw new Error(`Missing column in table ${table}: ${column}`);
+  }
+  return index;
+}
+
+/**
+ * Returns the values of a column that are not empty.
+ * @param {Array[]} rows - The table's rows, header first.
+ * @param {string} column - The column name.
+ * @param {string} table - The table name, for the error message.
+ * @returns {Set<string>} - The values.
+ */
+function valuesOf(rows, column, table) {
+  const index = columnOf(rows, column, table);
+  const values = new Set();
+  rows.slice(1).forEach((row) => {
+    if (row[index] !== "" && row[index] !== undefined) {
+      values.add(`${row[index]}`);
+    }
+  });
+  return values;
+}
+
+module.exports = { check, foreignKeys, relatedRows, unresolvedKeys };
@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ * Course roster for per-student mode, where every student gets a version of their own.
+ *
+ * In per-student mode (`perStudent.enabled` in the config file), the versions are not random
+ * hashes shared by several students: each student enrolled in the course is one version,
+ * identified by their SIS ID. The `roster` stage (`3.Shoot/TEST 101/GetRoster.js`) pulls the
+ * students from Canvas into the roster file first; every later stage then uses the roster's
+ * keys as the version hashes (see `hash.js`), so the datasets, zip files (e.g.
+ * `4057338-game-XRKD8lF82z.zip`), Q&A entries and quizzes are all keyed by SIS ID.
+ *
+ * The roster file is JSON:
+ *
+ *   {
+ *     "createdAt": "...", "courseId": 12345, "domain": "https://...",
+ *     "students": [{ "key": "4057338", "canvasUserId": 5001, "sisId": "4057338", "name": "..." }]
+ *   }
+ *
+ * A student's key is their SIS ID. Keys are used in file names and split on `-` (see
+ * `loadStudentFilesUrls`), so SIS IDs that contain anything but letters, digits, `_` and `.`
+ * are rejected. Students without a SIS ID are keyed `canvas<Canvas user ID>`.
+ *
+ * Exports:
+ * - `filePath`: The path of the roster file.
+ * - `keyOf`: The version key of a Canvas user.
+ * - `build`: Builds a roster from the Canvas users of a course.
+ * - `load`, `save`: Read and write the roster file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const workspace = require("./workspace.js");
+
+const KEY_PATTERN = /^[A-Za-z0-9_.]+$/;
+
+/**
+ * Returns the path of the roster file: `<workspace>/roster.json` in a workspace, else
+ * `perStudent.rosterFile` (relative to the repository root).
+ * @param {object} config - The settings loaded by `config.js`.
+ * @returns {string} - The absolute path.
+ */
+function filePath(config) {
+  return workspace.active
+    ? workspace.ROSTER
+    : path.resolve(__dirname, config.perStudent.rosterFile);
+}
+
+/**
+ * Returns the version key of a Canvas user.
+ * @param {object} user - A Canvas user, with `id` and `sis_user_id`.
+ * @returns {string} - The key: the SIS ID, or `canvas<id>` if there is none.
+ */
+function keyOf(user) {
+  const sisId = `${user.sis_user_id || ""}`.trim();
+  return sisId || `canvas${user.id}`;
+}
+
+/**
+ * Builds a roster from the Canvas users of a course.
+ *
+ * @param {object[]} users - The Canvas users returned by `client.listUsers`.
+ * @param {object} course - `courseId` and `domain` of the course.
+ * @returns {object} - `roster`: the roster, in key order; `errors`: the students whose key
+ *   cannot be used (only set if there are any).
+ */
+function build(users, course) {
+  const result = {
+    roster: {
+      createdAt: new Date().toISOString(),
+      courseId: course.courseId,
+      domain: course.domain,
+      students: [],
+    },
+  };
+  const seen = {};
+
+  users.forEach((user) => {
+    const key = keyOf(user);
+    if (!KEY_PATTERN.test(key)) {
+      addError(
+        result,
+        `${user.name} (Canvas user ${user.id}): SIS ID "${key}" may only contain letters, digits, "_" and ".".`
+      );
+    } else if (seen[key]) {
+      // A student enrolled in several sections is listed once per enrollment
+      if (seen[key].canvasUserId !== user.id) {
+        addError(
+          result,
+          `${user.name} (Canvas user ${user.id}) has the same SIS ID as Canvas user ${seen[key].canvasUserId}: ${key}.`
+        );
+      }
+    } else {
+      seen[key] = {
+        key: key,
+        canvasUserId: user.id,
+        sisId: user.sis_user_id || null,
+        name: user.name,
+      };
+      result.roster.students.push(seen[key]);
+    }
+  });
+
+  result.roster.students.sort((a, b) =>
+    a.key.localeCompare(b.key, "en", { numeric: true })
+  );
+  return result;
+}
+
+/**
+ * Loads the roster file.
+ * @param {string} file - The path to the roster file.
+ * @returns {object} - The roster.
+ * @throws Will throw an error if the file does not exist or is not a roster.
+ */
+function load(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No roster found at ${file}. Run "node page.js roster" (or GetRoster.js) first.`
+    );
+  }
+  const roster = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(roster.students)) {
+    throw new Error(`${file} is not a roster.`);
+  }
+  return roster;
+}
+
+/**
+ * Writes the roster file.
+ * @param {string} file - The path to the roster file.
+ * @param {object} roster - The roster.
+ */
+function save(file, roster) {
+  fs.writeFileSync(file, JSON.stringify(roster, null, 2));
+}
+
+/**
+ * Adds an error message to the result object.
+ * @param {object} result - The result object.
+ * @param {string} msg - The error message.
+ */
+function addError(result, msg) {
+  if (!result.errors) result.errors = [];
+  result.errors.push(msg);
+}
+
+module.exports = { filePath, keyOf, build, load, save };
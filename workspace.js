@@ -0,0 +1,88 @@
+"use strict";
+
+/**
+ * Shared project workspace for running the Ready, Aim and Shoot stages as one pipeline.
+ *
+ * When the `PAGE_WORKSPACE` environment variable is set (the `page` CLI sets it), every
+ * stage reads its inputs from and writes its outputs to fixed folders in the workspace,
+ * so each stage picks up the previous stage's outputs without files being moved by hand:
+ *
+ *   <workspace>/
+ *     master/      The master dataset to sample from (e.g. `Video Game Sales.csv`), or its
+ *                  related tables (e.g. `games.csv`, see `relations.js`).
+ *     datasets/    One folder per version hash, plus `seed.json` (written by `sample`).
+ *     zips/        One zip file per version and its manifest (written by `zip`).
+ *     deploy/      `TestQA-<timestamp>.json` (written by `generate-qa`), `TestFiles.csv`
+ *                  or the upload record `TestUploads.json` (written by `zip`),
+ *                  and the run manifest and gradebook (written by `deploy` and `grade`).
+ *     roster.json  The students of the course, in per-student mode (written by `roster`).
+ *
+ * When `PAGE_WORKSPACE` is not set, each stage uses its own folders as before.
+ *
+ * Exports:
+ * - `active`: True if a workspace is in use.
+ * - `ROOT`, `MASTER`, `DATASETS`, `ZIPS`, `DEPLOY`: Absolute paths of the workspace folders.
+ * - `ROSTER`: Absolute path of the roster file (see `roster.js`).
+ * - `ensureFolders`: Creates the workspace folders.
+ * - `latestFile`: Finds the newest file in a folder whose name matches a pattern.
+ * - `QA_FILE_PATTERN`: The pattern of Q&A file names written by `generate-qa`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = process.env.PAGE_WORKSPACE
+  ? path.resolve(process.env.PAGE_WORKSPACE)
+  : "";
+const active = Boolean(ROOT);
+
+const MASTER = path.join(ROOT, "master");
+const DATASETS = path.join(ROOT, "datasets");
+const ZIPS = path.join(ROOT, "zips");
+const DEPLOY = path.join(ROOT, "deploy");
+const ROSTER = path.join(ROOT, "roster.json");
+
+const QA_FILE_PATTERN = /^TestQA-\d{4}-\d{2}-\d{2}-\d{6}\.json$/;
+
+/**
+ * Creates the workspace folders if they do not exist.
+ */
+function ensureFolders() {
+  [MASTER, DATASETS, ZIPS, DEPLOY].forEach((folder) => {
+    fs.mkdirSync(folder, { recursive: true });
+  });
+}
+
+/**
+ * Finds the newest file in a folder whose name matches a pattern.
+ *
+ * File names that embed a timestamp (e.g. `TestQA-2024-12-02-230419.json`) sort by age,
+ * so the last name in sorted order is the newest.
+ *
+ * @param {string} folder - The folder to search.
+ * @param {RegExp} pattern - The pattern file names must match.
+ * @returns {string|null} - The file name (not the full path), or null if there is none.
+ */
+function latestFile(folder, pattern) {
+  if (!fs.existsSync(folder)) {
+    return null;
+  }
+  const files = fs
+    .readdirSync(folder)
+    .filter((file) => pattern.test(file))
+    .sort();
+  return files.length > 0 ? files[files.length - 1] : null;
+}
+
+module.exports = {
+  active,
+  ROOT,
+  MASTER,
+  DATASETS,
+  ZIPS,
+  DEPLOY,
+  ROSTER,
+  ensureFolders,
+  latestFile,
+  QA_FILE_PATTERN,
+};